@@ -1,29 +1,32 @@
+// Developer metadata key that tags a log tab with the match it belongs to
+const MATCH_ID_KEY = 'matchId';
+
 function doPost(e) {
+  // Retries and resubmits of the same match may arrive together; handle one at a time
+  const lock = LockService.getScriptLock();
   try {
+    lock.waitLock(30000);
+
     // Parse the received data
     const data = JSON.parse(e.postData.contents);
-    
+
     // Extract GameID and Date for the sheet title
+    const matchId = data.MatchID ? String(data.MatchID) : '';
     const gameID = data.GameID || 'Game';
     const date = data.Date || new Date().toLocaleDateString();
-    const sheetTitle = `${gameID}, ${date}`;
-    
+    const sheetTitle = sanitizeSheetName(`${gameID}, ${date}`);
+
     // Open the spreadsheet or create if it doesn't exist
     const ss = SpreadsheetApp.openById('LINK_TO_YOUR_SPREADSHEET'); // Replace with your Spreadsheet ID
-    
-    // Add a new sheet with the specified title
-    let sheet;
-    try {
-      sheet = ss.insertSheet(sheetTitle);
-    } catch (err) {
-      // If the sheet already exists, append a number to the title
-      sheet = ss.insertSheet(`${sheetTitle} (${new Date().getTime()})`);
-    }
-    
+
+    const sheet = findOrCreateMatchSheet(ss, matchId, sheetTitle);
     const logs = Array.isArray(data.logs) ? data.logs : [];
 
-    // Build headers based on expected structure plus any additional fields
-    const baseColumns = ['GameID', 'Time', 'Event', 'Team', 'Score', 'Assist'];
+    // Headers follow the client's column order (the same as its CSV); payloads
+    // without one get the base columns plus any additional fields
+    const baseColumns = Array.isArray(data.Columns)
+      ? data.Columns.map(String)
+      : ['scoreID', 'GameID', 'Time', 'Event', 'Team', 'Score', 'Assist', 'Player', 'Turnover'];
     const extraColumns = [];
     logs.forEach((log) => {
       if (!log || typeof log !== 'object') return;
@@ -33,21 +36,58 @@ function doPost(e) {
         }
       });
     });
-    const headers = baseColumns.concat(extraColumns);
-    sheet.appendRow(headers);
-
-    // Append the data rows
-    logs.forEach(log => {
-      const row = headers.map((key) => {
-        const value = log && typeof log === 'object' ? log[key] : '';
-        return value === undefined || value === null ? '' : value;
+    if (baseColumns.indexOf('scoreID') === -1) baseColumns.unshift('scoreID');
+
+    // Rows already on the tab are matched by scoreID: updated in place, or
+    // deleted when the event no longer exists on the client
+    const logResult = syncRows(sheet, baseColumns.concat(extraColumns),
+      logs.filter((log) => log && typeof log === 'object'), {
+        key: 'scoreID',
+        owns: (row) => row.scoreID !== ''
       });
-      sheet.appendRow(row);
-    });
-    
-    // Return a success response
-    return ContentService.createTextOutput(JSON.stringify({ status: 'Success' }))
-                         .setMimeType(ContentService.MimeType.JSON);
+
+    // Summary sheets hold one block of rows per match, replaced on every upload.
+    // Payloads without a match ID (older clients) are keyed by the tab title,
+    // game and date, just as their log tab is found.
+    const summaryRows = {};
+    const summaryId = matchId || sheetTitle;
+    const summary = (sheetName, headers, entries) => {
+      const rows = (Array.isArray(entries) ? entries : []).map((entry) => Object.assign({}, entry, {
+        MatchID: summaryId,
+        GameID: gameID,
+        Date: date
+      }));
+      if (rows.length === 0 && !ss.getSheetByName(sheetName)) return 0;
+      const summarySheet = ss.getSheetByName(sheetName) || ss.insertSheet(sheetName);
+      syncRows(summarySheet, ['MatchID'].concat(headers), rows, {
+        owns: (row) => row.MatchID === summaryId
+      });
+      return rows.length;
+    };
+
+    // Points played per player go to a shared Players sheet, one row per player and game
+    summaryRows.Players = summary('Players', ['GameID', 'Date', 'Team', 'Player', 'PointsPlayed', 'OPoints', 'DPoints'],
+      data.PlayerStats);
+
+    // Holds and breaks go to a shared Teams sheet, one row per team and game
+    summaryRows.Teams = summary('Teams', ['GameID', 'Date', 'Team', 'OPoints', 'Holds', 'DPoints', 'Breaks'],
+      data.TeamStats);
+
+    // Spirit of the Game scores go to a shared Spirit sheet, one row per team and game
+    summaryRows.Spirit = summary('Spirit', ['GameID', 'Date', 'Team', 'GivenBy', 'RulesKnowledge', 'FoulsAndBodyContact',
+      'FairMindedness', 'PositiveAttitude', 'Communication', 'Total', 'MVP', 'MSP', 'Comments'],
+      data.Spirit);
+
+    // Return a receipt the client can show: where the rows went and how many
+    return ContentService.createTextOutput(JSON.stringify({
+      status: 'Success',
+      sheetName: sheet.getName(),
+      rowCount: logs.length,
+      updated: logResult.updated,
+      appended: logResult.appended,
+      deleted: logResult.deleted,
+      summaryRows: summaryRows
+    })).setMimeType(ContentService.MimeType.JSON);
   } catch (error) {
     // Log the error for debugging
     Logger.log('Error processing request: ' + error.message);
@@ -55,5 +95,116 @@ function doPost(e) {
     // Return an error response
     return ContentService.createTextOutput(JSON.stringify({ status: 'Error', message: error.message }))
                          .setMimeType(ContentService.MimeType.JSON);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+// Tab names must be a single non-empty line of at most 100 characters
+function sanitizeSheetName(name) {
+  const cleaned = String(name).replace(/\s+/g, ' ').trim();
+  return (cleaned || 'Game').slice(0, 100);
+}
+
+// Find the tab tagged with this match ID. Payloads without an ID (older clients)
+// reuse the tab with the same title. A new tab gets a timestamp suffix when its
+// title is already used by another match.
+function findOrCreateMatchSheet(ss, matchId, sheetTitle) {
+  if (matchId) {
+    const tagged = ss.createDeveloperMetadataFinder()
+      .withKey(MATCH_ID_KEY)
+      .withValue(matchId)
+      .withLocationType(SpreadsheetApp.DeveloperMetadataLocationType.SHEET)
+      .find();
+    if (tagged.length > 0) {
+      return tagged[0].getLocation().getSheet();
+    }
+  } else {
+    const existing = ss.getSheetByName(sheetTitle);
+    if (existing) return existing;
+  }
+
+  const title = ss.getSheetByName(sheetTitle)
+    ? sanitizeSheetName(`${sheetTitle.slice(0, 80)} (${new Date().getTime()})`)
+    : sheetTitle;
+  const sheet = ss.insertSheet(title);
+  if (matchId) {
+    sheet.addDeveloperMetadata(MATCH_ID_KEY, matchId);
+  }
+  return sheet;
+}
+
+// Bring a sheet's data rows in line with `entries` (objects keyed by column name).
+// Rows the payload owns (options.owns) are replaced: with options.key they are
+// updated in place by ID and dropped when their ID is gone; without a key they
+// are all replaced. Other rows are kept. Missing columns are added to the header
+// row, and the data is written back with a single setValues call.
+function syncRows(sheet, columns, entries, options) {
+  const lastRow = sheet.getLastRow();
+  const lastColumn = sheet.getLastColumn();
+  const headers = lastRow > 0
+    ? sheet.getRange(1, 1, 1, lastColumn).getValues()[0].map(String)
+    : [];
+  columns.forEach((column) => {
+    if (headers.indexOf(column) === -1) headers.push(column);
+  });
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]);
+
+  const toRow = (entry) => headers.map((column) => {
+    const value = entry[column];
+    return value === undefined || value === null ? '' : value;
+  });
+  const toObject = (row) => {
+    const object = {};
+    headers.forEach((column, index) => {
+      object[column] = row[index] === undefined || row[index] === null ? '' : String(row[index]);
+    });
+    return object;
+  };
+
+  const key = options.key;
+  const incoming = {};
+  if (key) {
+    entries.forEach((entry) => {
+      if (entry[key] !== undefined && entry[key] !== null && entry[key] !== '') {
+        incoming[String(entry[key])] = entry;
+      }
+    });
+  }
+
+  const existingRows = lastRow > 1
+    ? sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+    : [];
+  const used = {};
+  const result = { updated: 0, appended: 0, deleted: 0 };
+  const rows = [];
+  existingRows.forEach((row) => {
+    const object = toObject(row);
+    if (!options.owns(object)) {
+      rows.push(row);
+      return;
+    }
+    const id = key ? object[key] : '';
+    if (key && incoming[id] && !used[id]) {
+      used[id] = true;
+      rows.push(toRow(incoming[id]));
+      result.updated++;
+    } else {
+      result.deleted++;
+    }
+  });
+  entries.forEach((entry) => {
+    const id = key ? String(entry[key]) : '';
+    if (key && used[id]) return;
+    rows.push(toRow(entry));
+    result.appended++;
+  });
+
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+  }
+  if (existingRows.length > rows.length) {
+    sheet.deleteRows(rows.length + 2, existingRows.length - rows.length);
   }
+  return result;
 }
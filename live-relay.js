@@ -0,0 +1,489 @@
+// =====================================================
+// LIVE RELAY - Reference receiver for the live feed
+// =====================================================
+// A small Node server (built-in modules only, no install) that receives the
+// live feed of one or more scoring devices and rebroadcasts it, and carries
+// the operations of co-scoring devices that share a match:
+//
+//   node live-relay.js            then open http://<this machine>:8787/
+//
+// Scoring devices publish with the live feed address set to
+//   http://<host>:8787/events     (POST, one message or an array)
+//   ws://<host>:8787/ws           (WebSocket, answered with acks)
+//
+// Subscribers read with
+//   GET /                         live scores page
+//   GET /stream?since=N           Server-Sent Events, one per message
+//   GET /events?since=N           JSON { lastSeq, messages }
+//   ws://<host>:8787/ws           send { type: 'subscribe', since: N }
+//
+// Reads can be narrowed to one match and one kind of message with
+// ?matchId=...&type=match-event (or sync-op) over HTTP, and matchId and
+// messageType in the subscribe message. Co-scoring devices publish sync-op
+// messages and subscribe to those of their match on the same socket.
+//
+// Every accepted message gets a relay sequence number (relaySeq) that counts
+// up across all devices and matches. A late subscriber asks for everything
+// after the last number it saw (0 for everything) and catches up before
+// receiving new messages; EventSource does this by itself on reconnect via
+// Last-Event-ID. Messages sent twice (retries) are recognised by type,
+// device ID, match ID and the device's own sequence number, and stored once.
+//
+// Settings come from the environment:
+//   PORT        port to listen on (8787)
+//   RELAY_LOG   file to keep messages in, as JSON lines, so a restart
+//               replays them (kept in memory only when unset)
+//   RELAY_KEY   when set, publishing requires ?key=<value> in the address
+//   RELAY_KEEP  messages kept for replay (50000); the oldest are dropped,
+//               a tenth at a time, and RELAY_LOG is then rewritten
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const RELAY_LOG = process.env.RELAY_LOG || '';
+const RELAY_KEY = process.env.RELAY_KEY || '';
+const RELAY_KEEP = parseInt(process.env.RELAY_KEEP, 10) || 50000;
+const MAX_BODY_BYTES = 1024 * 1024;
+const HEARTBEAT_MS = 25 * 1000;
+const PAGE_FILE = path.join(__dirname, 'live-scores.html');
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// =====================================================
+// MESSAGE LOG - Sequenced, de-duplicated messages
+// =====================================================
+class MessageLog {
+  constructor(file = '') {
+    this.file = file;
+    this.messages = [];
+    this.seen = new Set(); // Keys of the messages kept
+    this.dropped = new Map(); // Highest seq dropped, per type, device and match
+    this.lastSeq = 0;
+    this.subscribers = new Set();
+    if (file) this.load();
+  }
+
+  static streamOf(message) {
+    return `${message.type}\n${message.deviceId}\n${message.matchId}`;
+  }
+
+  static keyOf(message) {
+    return `${MessageLog.streamOf(message)}\n${message.seq}`;
+  }
+
+  /**
+   * Whether a message was stored before. Devices send in seq order, so
+   * anything up to the highest dropped seq of its stream was stored too.
+   */
+  has(message) {
+    return this.seen.has(MessageLog.keyOf(message))
+      || message.seq <= (this.dropped.get(MessageLog.streamOf(message)) || 0);
+  }
+
+  /**
+   * Problem with a published message, or null when it can be stored
+   */
+  static validate(message) {
+    if (!message || typeof message !== 'object' || Array.isArray(message)) return 'Messages must be JSON objects.';
+    if (message.type !== 'match-event' && message.type !== 'sync-op') return 'Only match-event and sync-op messages can be published.';
+    if (typeof message.deviceId !== 'string' || !message.deviceId) return 'deviceId is missing.';
+    if (typeof message.matchId !== 'string' || !message.matchId) return 'matchId is missing.';
+    if (!Number.isInteger(message.seq) || message.seq < 1) return 'seq must be a positive whole number.';
+    if (message.type === 'sync-op') {
+      if (!Number.isInteger(message.lamport) || message.lamport < 1) return 'lamport must be a positive whole number.';
+      if (!Array.isArray(message.changes)) return 'changes is missing.';
+    }
+    return null;
+  }
+
+  load() {
+    if (!fs.existsSync(this.file)) return;
+    fs.readFileSync(this.file, 'utf8').split('\n').forEach((line) => {
+      if (!line.trim()) return;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === 'dropped') {
+          Object.entries(entry.streams).forEach(([stream, seq]) => this.dropped.set(stream, seq));
+        } else {
+          this.remember(entry);
+        }
+      } catch (error) {
+        console.error(`Skipped an unreadable line in ${this.file}`);
+      }
+    });
+    if (this.trim()) this.rewrite();
+    console.log(`Loaded ${this.messages.length} messages from ${this.file}`);
+  }
+
+  remember(entry) {
+    this.messages.push(entry);
+    this.seen.add(MessageLog.keyOf(entry));
+    this.lastSeq = Math.max(this.lastSeq, entry.relaySeq);
+  }
+
+  /**
+   * Drop the oldest messages once there are a tenth more than RELAY_KEEP,
+   * keeping the highest seq dropped per stream; returns whether any were
+   */
+  trim() {
+    if (this.messages.length <= RELAY_KEEP + Math.ceil(RELAY_KEEP / 10)) return false;
+    this.messages.splice(0, this.messages.length - RELAY_KEEP).forEach((entry) => {
+      const stream = MessageLog.streamOf(entry);
+      this.seen.delete(MessageLog.keyOf(entry));
+      this.dropped.set(stream, Math.max(this.dropped.get(stream) || 0, entry.seq));
+    });
+    return true;
+  }
+
+  /**
+   * Replace the log file with the kept messages, after a line holding the
+   * dropped seqs so that retries are still recognised after a restart
+   */
+  rewrite() {
+    const header = { type: 'dropped', streams: Object.fromEntries(this.dropped) };
+    const temporary = `${this.file}.tmp`;
+    fs.writeFileSync(temporary, [header, ...this.messages].map((entry) => `${JSON.stringify(entry)}\n`).join(''));
+    fs.renameSync(temporary, this.file);
+  }
+
+  /**
+   * Store a message and pass it to subscribers. Returns the stored entry,
+   * or null for a message that was already stored.
+   */
+  add(message) {
+    if (this.has(message)) return null;
+    const entry = { ...message, relaySeq: this.lastSeq + 1, receivedAt: new Date().toISOString() };
+    this.remember(entry);
+    if (this.file) fs.appendFileSync(this.file, `${JSON.stringify(entry)}\n`);
+    if (this.trim() && this.file) this.rewrite();
+    this.subscribers.forEach((send) => send(entry));
+    return entry;
+  }
+
+  /**
+   * Messages after a relay sequence number, optionally only those matching
+   * `filter` ({ matchId, type })
+   */
+  since(relaySeq, filter = {}) {
+    return this.messages.filter((entry) => entry.relaySeq > relaySeq && MessageLog.matches(entry, filter));
+  }
+
+  static matches(entry, filter) {
+    return (!filter.matchId || entry.matchId === filter.matchId) && (!filter.type || entry.type === filter.type);
+  }
+
+  /**
+   * Send everything after `since`, then every new message, to `send`.
+   * Returns a function that stops the subscription.
+   */
+  subscribe(since, send, filter = {}) {
+    this.since(since, filter).forEach(send);
+    const listener = (entry) => {
+      if (MessageLog.matches(entry, filter)) send(entry);
+    };
+    this.subscribers.add(listener);
+    return () => this.subscribers.delete(listener);
+  }
+}
+
+const log = new MessageLog(RELAY_LOG);
+
+/**
+ * Store published messages; returns { accepted, duplicates, rejected, acks }
+ */
+function publish(messages) {
+  const result = { accepted: 0, duplicates: 0, rejected: [], acks: [] };
+  messages.forEach((message, index) => {
+    const problem = MessageLog.validate(message);
+    if (problem) {
+      result.rejected.push({ index, error: problem });
+      return;
+    }
+    if (log.add(message)) {
+      result.accepted += 1;
+    } else {
+      result.duplicates += 1;
+    }
+    result.acks.push({ type: 'ack', matchId: message.matchId, seq: message.seq });
+  });
+  return result;
+}
+
+function parseSince(value) {
+  const since = parseInt(value, 10);
+  return Number.isFinite(since) && since > 0 ? since : 0;
+}
+
+function readFilter(url) {
+  return { matchId: url.searchParams.get('matchId') || '', type: url.searchParams.get('type') || '' };
+}
+
+function isAuthorized(url) {
+  return !RELAY_KEY || url.searchParams.get('key') === RELAY_KEY;
+}
+
+// =====================================================
+// HTTP - Publishing, replay, Server-Sent Events and the page
+// =====================================================
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error('The request is too large.'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+async function handlePublish(req, res, url) {
+  if (!isAuthorized(url)) {
+    sendJson(res, 403, { error: 'A valid key is required to publish.' });
+    return;
+  }
+  let body;
+  try {
+    body = JSON.parse(await readBody(req));
+  } catch (error) {
+    sendJson(res, 400, { error: error instanceof SyntaxError ? 'The body is not valid JSON.' : error.message });
+    return;
+  }
+  const result = publish(Array.isArray(body) ? body : [body]);
+  const status = result.rejected.length && !result.acks.length ? 400 : 200;
+  sendJson(res, status, { ...result, lastSeq: log.lastSeq });
+}
+
+function handleStream(req, res, url) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+  const since = parseSince(req.headers['last-event-id'] || url.searchParams.get('since'));
+  const unsubscribe = log.subscribe(since, (entry) => {
+    res.write(`id: ${entry.relaySeq}\ndata: ${JSON.stringify(entry)}\n\n`);
+  }, readFilter(url));
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), HEARTBEAT_MS);
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+  });
+}
+
+function handlePage(res) {
+  fs.readFile(PAGE_FILE, (error, html) => {
+    if (error) {
+      sendJson(res, 500, { error: 'live-scores.html is missing next to live-relay.js.' });
+      return;
+    }
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(html);
+  });
+}
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, 'http://relay');
+  // Scoring devices post from whatever origin the app is served from
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    res.end();
+  } else if (req.method === 'POST' && url.pathname === '/events') {
+    handlePublish(req, res, url).catch((error) => sendJson(res, 500, { error: error.message }));
+  } else if (req.method === 'GET' && url.pathname === '/events') {
+    sendJson(res, 200, { lastSeq: log.lastSeq, messages: log.since(parseSince(url.searchParams.get('since')), readFilter(url)) });
+  } else if (req.method === 'GET' && url.pathname === '/stream') {
+    handleStream(req, res, url);
+  } else if (req.method === 'GET' && (url.pathname === '/' || url.pathname === '/live-scores.html')) {
+    handlePage(res);
+  } else {
+    sendJson(res, 404, { error: 'Not found.' });
+  }
+});
+
+// =====================================================
+// WEBSOCKET - Publishing with acks, and subscriptions
+// =====================================================
+// Just enough of RFC 6455 for JSON text messages: no extensions, and
+// fragmented messages are reassembled, up to MAX_BODY_BYTES, before they are
+// read.
+
+function encodeFrame(opcode, payload) {
+  const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload, 'utf8');
+  let header;
+  if (data.length < 126) {
+    header = Buffer.from([0x80 | opcode, data.length]);
+  } else if (data.length < 65536) {
+    header = Buffer.alloc(4);
+    header[0] = 0x80 | opcode;
+    header[1] = 126;
+    header.writeUInt16BE(data.length, 2);
+  } else {
+    header = Buffer.alloc(10);
+    header[0] = 0x80 | opcode;
+    header[1] = 127;
+    header.writeBigUInt64BE(BigInt(data.length), 2);
+  }
+  return Buffer.concat([header, data]);
+}
+
+/**
+ * Read complete frames from the front of `buffer`; returns the frames and
+ * the bytes left over for the next chunk
+ */
+function decodeFrames(buffer) {
+  const frames = [];
+  let offset = 0;
+  while (buffer.length - offset >= 2) {
+    const first = buffer[offset];
+    const second = buffer[offset + 1];
+    let length = second & 0x7f;
+    let cursor = offset + 2;
+    if (length === 126) {
+      if (buffer.length - cursor < 2) break;
+      length = buffer.readUInt16BE(cursor);
+      cursor += 2;
+    } else if (length === 127) {
+      if (buffer.length - cursor < 8) break;
+      length = Number(buffer.readBigUInt64BE(cursor));
+      cursor += 8;
+    }
+    const masked = Boolean(second & 0x80);
+    const mask = masked ? buffer.subarray(cursor, cursor + 4) : null;
+    if (masked) cursor += 4;
+    if (buffer.length - cursor < length) break;
+    const payload = Buffer.from(buffer.subarray(cursor, cursor + length));
+    if (mask) {
+      for (let i = 0; i < payload.length; i += 1) payload[i] ^= mask[i % 4];
+    }
+    frames.push({ fin: Boolean(first & 0x80), opcode: first & 0x0f, payload });
+    offset = cursor + length;
+  }
+  return { frames, rest: buffer.subarray(offset) };
+}
+
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, 'http://relay');
+  const key = req.headers['sec-websocket-key'];
+  if (url.pathname !== '/ws' || !key) {
+    socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+    return;
+  }
+  const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+  socket.write([
+    'HTTP/1.1 101 Switching Protocols',
+    'Upgrade: websocket',
+    'Connection: Upgrade',
+    `Sec-WebSocket-Accept: ${accept}`,
+    '', ''
+  ].join('\r\n'));
+
+  const canPublish = isAuthorized(url);
+  let pending = Buffer.alloc(0);
+  let fragments = null; // Payloads of the text message being received
+  let fragmentBytes = 0;
+  let unsubscribe = null;
+  const sendJsonFrame = (body) => {
+    if (!socket.destroyed) socket.write(encodeFrame(0x1, JSON.stringify(body)));
+  };
+  // 1002: protocol error, 1009: message too big
+  const closeWith = (code) => {
+    const status = Buffer.alloc(2);
+    status.writeUInt16BE(code, 0);
+    socket.end(encodeFrame(0x8, status));
+  };
+
+  const handleText = (text) => {
+    let message;
+    try {
+      message = JSON.parse(text);
+    } catch (error) {
+      sendJsonFrame({ type: 'error', error: 'Messages must be JSON.' });
+      return;
+    }
+    if (message && message.type === 'subscribe') {
+      if (unsubscribe) unsubscribe();
+      unsubscribe = log.subscribe(parseSince(message.since), sendJsonFrame, {
+        matchId: typeof message.matchId === 'string' ? message.matchId : '',
+        type: typeof message.messageType === 'string' ? message.messageType : ''
+      });
+      return;
+    }
+    if (!canPublish) {
+      sendJsonFrame({ type: 'error', error: 'A valid key is required to publish.' });
+      return;
+    }
+    const result = publish([message]);
+    if (result.acks.length) {
+      sendJsonFrame(result.acks[0]);
+    } else {
+      sendJsonFrame({ type: 'error', error: result.rejected[0].error });
+    }
+  };
+
+  socket.on('data', (chunk) => {
+    if (socket.writableEnded) return; // Closing
+    const { frames, rest } = decodeFrames(Buffer.concat([pending, chunk]));
+    pending = rest;
+    if (pending.length > MAX_BODY_BYTES) {
+      socket.destroy();
+      return;
+    }
+    for (const { fin, opcode, payload } of frames) {
+      if (opcode === 0x8) {
+        socket.end(encodeFrame(0x8, Buffer.alloc(0)));
+        return;
+      }
+      if (opcode === 0x9) {
+        socket.write(encodeFrame(0xa, payload));
+      } else if (opcode === 0x1 || opcode === 0x0) {
+        // A continuation frame must follow a text frame, and a text frame
+        // cannot start while another message is still being received
+        if ((opcode === 0x0) !== Boolean(fragments)) {
+          closeWith(1002);
+          return;
+        }
+        fragments = fragments || [];
+        fragments.push(payload);
+        fragmentBytes += payload.length;
+        if (fragmentBytes > MAX_BODY_BYTES) {
+          closeWith(1009);
+          return;
+        }
+        if (fin) {
+          const text = Buffer.concat(fragments).toString('utf8');
+          fragments = null;
+          fragmentBytes = 0;
+          handleText(text);
+        }
+      }
+    }
+  });
+  socket.on('close', () => {
+    if (unsubscribe) unsubscribe();
+  });
+  socket.on('error', () => socket.destroy());
+});
+
+server.listen(PORT, () => {
+  console.log(`Live relay listening on http://localhost:${PORT}/`);
+  if (RELAY_KEY) console.log('Publishing requires ?key=... in the live feed address.');
+});
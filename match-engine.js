@@ -0,0 +1,2151 @@
+// =====================================================
+// MATCH ENGINE - Headless match state and commands
+// =====================================================
+// The engine owns everything that describes a match (teams, rosters,
+// settings, score logs, timeouts, halftime and stoppage flags) and never
+// touches the DOM. The UI issues commands and re-renders from the change
+// events it emits, which also makes the engine usable from Node scripts.
+//
+// The score log is the single source of truth: scores, the score line of
+// every row, remaining timeouts, halftime status and the cap are derived by
+// replaying the log in order (see replay()), so editing or deleting an
+// early event yields consistent results for everything after it.
+//
+// Every command also pushes a snapshot of the log, settings and match flags
+// onto an undo stack (see withHistory()). Team names and rosters are not
+// part of the snapshots, so undoing a score never reverts a team selection.
+
+const MATCH_ENGINE_DEFAULTS = {
+  rulesProfile: 'custom',
+  matchDuration: 100,
+  halftimeDuration: 55,
+  halftimeBreakDuration: 7,
+  timeoutDuration: 75,
+  timeoutsTotal: 2,
+  timeoutsPerHalf: 0,
+  abbaStart: 'NONE',
+  ratioRule: 'prescribed',
+  ratioEndzoneTeam: 'A',
+  abbaHalftime: 'continue',
+  halftimeScoreTarget: 8,
+  gameTo: 15,
+  winBy: 1,
+  scoreCap: 15,
+  softCapMinutes: null,
+  hardCapMinutes: null,
+  softCapIncrement: 1,
+  betweenPointSeconds: 0,
+  lineTracking: false,
+  lineSize: 7,
+  teamAColor: '#4fa0e6', // Team colors on the scoreboard display
+  teamBColor: '#5f3fa3'
+};
+
+// Rules profiles bundle everything a competition format decides. A null
+// value switches the rule off (e.g. no point target for a timed game).
+// Cap times are minutes of elapsed match time on the main clock.
+const RULES_PROFILES = {
+  wfdf: {
+    label: 'WFDF',
+    settings: {
+      gameTo: 15,
+      winBy: 1,
+      scoreCap: 15,
+      softCapMinutes: 100,
+      hardCapMinutes: null,
+      softCapIncrement: 1,
+      halftimeScoreTarget: 8,
+      matchDuration: 100,
+      halftimeDuration: 55,
+      timeoutsTotal: 2,
+      timeoutsPerHalf: 0,
+      timeoutDuration: 75,
+      betweenPointSeconds: 75
+    }
+  },
+  usau: {
+    label: 'USA Ultimate',
+    settings: {
+      gameTo: 15,
+      winBy: 2,
+      scoreCap: 17,
+      softCapMinutes: 75,
+      hardCapMinutes: 90,
+      softCapIncrement: 1,
+      halftimeScoreTarget: 8,
+      matchDuration: 90,
+      halftimeDuration: 45,
+      timeoutsTotal: 4,
+      timeoutsPerHalf: 2,
+      timeoutDuration: 70,
+      betweenPointSeconds: 75
+    }
+  },
+  audl: {
+    label: 'AUDL-style (timed)',
+    settings: {
+      gameTo: null,
+      winBy: 1,
+      scoreCap: null,
+      softCapMinutes: null,
+      hardCapMinutes: null,
+      softCapIncrement: 1,
+      halftimeScoreTarget: null,
+      matchDuration: 48,
+      halftimeDuration: 24,
+      timeoutsTotal: 3,
+      timeoutsPerHalf: 0,
+      timeoutDuration: 75,
+      betweenPointSeconds: 70
+    }
+  },
+  custom: {
+    label: 'Custom',
+    settings: null
+  }
+};
+
+const RULES_SETTING_KEYS = Object.keys(RULES_PROFILES.wfdf.settings);
+
+const MATCH_END_REASONS = {
+  target: 'Score target reached',
+  cap: 'Cap reached',
+  forfeit: 'Forfeit',
+  weather: 'Weather',
+  manual: 'Ended manually'
+};
+
+// Possession stats logged next to the goals; they never change the score
+const STAT_EVENT_TYPES = {
+  turnover: 'Turnover',
+  block: 'Block',
+  pull: 'Pull'
+};
+
+const TURNOVER_KINDS = {
+  throwaway: 'Throwaway',
+  drop: 'Drop',
+  stall: 'Stall',
+  out: 'Out of bounds'
+};
+
+// Mixed-division gender ratio rules. With the prescribed pattern the ratio
+// of every point follows from the first one (A, BB, AA, ...); with end zone
+// choice the team defending the designated end zone picks it each point.
+const RATIO_RULES = {
+  prescribed: 'Prescribed ratio (ABBA, USA Ultimate)',
+  endzone: 'WFDF Ratio Rule A (end zone choice)'
+};
+
+// What the prescribed pattern does at halftime: carry on, or start over
+// from a single point of the first-half ratio or of the other one
+const ABBA_HALFTIME_MODES = {
+  continue: 'Continue the pattern',
+  restart: 'Restart with the starting ratio',
+  switch: 'Restart with the other ratio'
+};
+
+// Spirit of the Game categories, each scored 0-4 (WFDF scoring sheet)
+const SPIRIT_CATEGORIES = {
+  rules: 'Rules Knowledge',
+  fouls: 'Fouls and Body Contact',
+  fairMindedness: 'Fair-Mindedness',
+  attitude: 'Positive Attitude',
+  communication: 'Communication'
+};
+
+// Roster suffixes that carry a gender-matching designation, e.g. "Sam (WMP)"
+const DESIGNATION_PATTERN = /\s*[([](m|f|mmp|wmp|fmp|open|women)[)\]]\s*$/i;
+
+const MATCH_HISTORY_LIMIT = 50;
+
+class MatchEngine {
+  constructor(options = {}) {
+    this.listeners = {};
+    this.now = typeof options.now === 'function' ? options.now : () => Date.now();
+    // Optional reader of the match timers: () => ({ remainingSeconds, secondsTimer })
+    this.clock = typeof options.clock === 'function' ? options.clock : null;
+    this.defaultSettings = { ...MATCH_ENGINE_DEFAULTS, ...(options.settings || {}) };
+    this.defaultSettings.rulesProfile = MatchEngine.detectRulesProfile(this.defaultSettings);
+    this.lastScoreID = 0;
+    this.historyLimit = Number.isInteger(options.historyLimit) ? options.historyLimit : MATCH_HISTORY_LIMIT;
+    this.history = { undo: [], redo: [] };
+    this.recording = false;
+    this.state = this.createInitialState();
+    this.derived = null;
+    this.replay();
+  }
+
+  /**
+   * Build a fresh match state using the engine defaults
+   */
+  createInitialState(settings = this.defaultSettings) {
+    const state = {
+      teams: {
+        A: { name: '', players: [], genders: {} },
+        B: { name: '', players: [], genders: {} }
+      },
+      settings: { ...settings },
+      // Stable ID of this match, assigned at match start; exports use it so
+      // resubmitting the same match updates its rows instead of duplicating them
+      matchId: null,
+      scoreLogs: [],
+      matchStarted: false,
+      stoppageActive: false,
+      // Players picked for the point in progress; stored on the next goal
+      currentLine: MatchEngine.normalizeLine(),
+      // Spirit scores received by each team, entered after the match
+      spirit: MatchEngine.normalizeSpirit(),
+      // Transient halftime hints that cannot be derived from the log
+      halftime: {
+        pendingReason: null,
+        autoSuppressed: false
+      },
+      // Time caps already fired on this pass of the clock (saved with the
+      // game state but not rolled back by undo, so an undone cap is not
+      // re-recorded on the next tick, nor after a reload)
+      timeCapsFired: {
+        softcap: false,
+        hardcap: false
+      },
+      gameTime: ''
+    };
+    return state;
+  }
+
+  // ---------------------------------------------------
+  // Events
+  // ---------------------------------------------------
+
+  /**
+   * Subscribe to an engine event; returns an unsubscribe function
+   */
+  on(eventName, handler) {
+    if (typeof handler !== 'function') return () => {};
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Remove a previously registered handler
+   */
+  off(eventName, handler) {
+    const handlers = this.listeners[eventName];
+    if (!handlers) return;
+    this.listeners[eventName] = handlers.filter((fn) => fn !== handler);
+  }
+
+  /**
+   * Emit a specific event followed by the generic 'change' event
+   */
+  emit(eventName, detail = {}) {
+    const payload = { type: eventName, ...detail };
+    const dispatch = (name) => {
+      (this.listeners[name] || []).slice().forEach((handler) => {
+        try {
+          handler(payload, this);
+        } catch (error) {
+          console.error(`MatchEngine listener for "${name}" failed:`, error);
+        }
+      });
+    };
+    dispatch(eventName);
+    if (eventName !== 'change' && eventName !== 'notice') {
+      dispatch('change');
+    }
+  }
+
+  /**
+   * Emit a user-facing message without changing state
+   */
+  notice(message, level = 'info') {
+    this.emit('notice', { message, level });
+  }
+
+  // ---------------------------------------------------
+  // Queries
+  // ---------------------------------------------------
+
+  /**
+   * Read-only view of the stored state merged with the replayed values
+   */
+  getState() {
+    const { score, timeoutState, hardCapReached, halftimeLog, result } = this.derived;
+    return {
+      ...this.state,
+      score: { ...score },
+      timeoutState: this.getTimeoutStateSnapshot(),
+      hardCapReached,
+      matchEnded: Boolean(result),
+      result: result ? { ...result, score: { ...result.score } } : null,
+      halftime: {
+        ...this.state.halftime,
+        triggered: Boolean(halftimeLog),
+        reasonResolved: halftimeLog ? (halftimeLog.HalftimeReason || 'restored') : null
+      }
+    };
+  }
+
+  getSettings() {
+    return this.state.settings;
+  }
+
+  getScoreLogs() {
+    return this.state.scoreLogs;
+  }
+
+  getScoreLog(scoreID) {
+    return this.state.scoreLogs.find((log) => log.scoreID === scoreID);
+  }
+
+  getScore() {
+    return { ...this.derived.score };
+  }
+
+  /**
+   * Replayed values as of a given row: score line, ABBA index, half, timeouts
+   */
+  getRowState(scoreID) {
+    return this.derived.rows[scoreID] || null;
+  }
+
+  getTeamName(teamLetter) {
+    return this.state.teams[teamLetter]?.name || '';
+  }
+
+  /**
+   * Team name with a "Team A"/"Team B" fallback for messages
+   */
+  getTeamLabel(teamLetter) {
+    return this.getTeamName(teamLetter) || `Team ${teamLetter}`;
+  }
+
+  getPlayerGender(teamLetter, player) {
+    return this.state.teams[teamLetter]?.genders?.[player] || '';
+  }
+
+  getRoster(teamLetter) {
+    return (this.state.teams[teamLetter]?.players || []).slice();
+  }
+
+  getGameID() {
+    return `${this.getTeamName('A')} vs ${this.getTeamName('B')}`;
+  }
+
+  getMatchId() {
+    return this.state.matchId;
+  }
+
+  getLogType(logEntry) {
+    if (!logEntry) return '';
+    const rawType = logEntry.Type;
+    if (typeof rawType === 'string' && rawType.trim().length > 0) {
+      return rawType.trim().toLowerCase();
+    }
+    return 'score';
+  }
+
+  isScoreLog(logEntry) {
+    return this.getLogType(logEntry) === 'score';
+  }
+
+  /**
+   * The most recent goal, or null before the first one
+   */
+  getLastScoreLog() {
+    const logs = this.state.scoreLogs;
+    for (let i = logs.length - 1; i >= 0; i--) {
+      if (this.isScoreLog(logs[i])) return logs[i];
+    }
+    return null;
+  }
+
+  isStatLog(logEntry) {
+    return Boolean(STAT_EVENT_TYPES[this.getLogType(logEntry)]);
+  }
+
+  /**
+   * Readable turnover kind of a log ('' for blocks, pulls and other rows)
+   */
+  getTurnoverLabel(logEntry) {
+    return (logEntry && TURNOVER_KINDS[logEntry.TurnoverType]) || '';
+  }
+
+  /**
+   * Resolve the team letter of a log, falling back to its team name
+   */
+  getTeamLetterFromLog(logEntry) {
+    if (!logEntry) return '';
+    if (logEntry.TeamLetter) return logEntry.TeamLetter;
+
+    const candidate = logEntry.TeamName || logEntry.Team || '';
+    if (candidate && candidate === this.getTeamName('A')) return 'A';
+    if (candidate && candidate === this.getTeamName('B')) return 'B';
+    return '';
+  }
+
+  getEventTypeLabel(type) {
+    switch (type) {
+      case 'matchstart':
+        return 'Start';
+      case 'timeout':
+        return 'TimeOut';
+      case 'stoppage':
+        return 'Stoppage';
+      case 'halftime':
+        return 'HalfTime';
+      case 'softcap':
+        return 'SoftCap';
+      case 'hardcap':
+        return 'HardCap';
+      case 'matchend':
+        return 'MatchEnd';
+      case 'turnover':
+        return 'Turnover';
+      case 'block':
+        return 'Block';
+      case 'pull':
+        return 'Pull';
+      default:
+        return 'Score';
+    }
+  }
+
+  /**
+   * Position of a score log among score logs (used for ABBA)
+   */
+  getAbbaIndexForLog(logEntry) {
+    if (!logEntry || !this.isScoreLog(logEntry)) {
+      return null;
+    }
+    const row = this.getRowState(logEntry.scoreID);
+    return row ? row.abbaIndex : null;
+  }
+
+  /**
+   * Compute ABBA value (M/F) for given point index of a pattern that starts
+   * with `startRatio` (the configured ABBA start by default)
+   * Pattern: start,other,other,start,start,repeat
+   */
+  computeAbbaForIndex(index, startRatio = null) {
+    const abbaStart = this.state.settings.abbaStart;
+    if (abbaStart === 'NONE') return '';
+    const start = (startRatio || abbaStart) === 'F' ? 'F' : 'M';
+    const other = start === 'M' ? 'F' : 'M';
+    // First point is a single occurrence of start (index 0)
+    if (index === 0) return start;
+    // Thereafter alternate in pairs: other, other, start, start, ...
+    const adjusted = index - 1;
+    const block = Math.floor(adjusted / 2);
+    return block % 2 === 0 ? other : start;
+  }
+
+  /**
+   * Ratio the point in progress must be played with ('M', 'F' or '' when
+   * unknown or ratio tracking is off)
+   */
+  getRequiredRatio() {
+    const settings = this.state.settings;
+    if (settings.abbaStart === 'NONE') return '';
+    if (settings.ratioRule === 'endzone') return this.state.currentLine.ratio || '';
+    return this.derived.nextRatio;
+  }
+
+  /**
+   * Team that chooses the ratio of the point in progress under end zone choice
+   */
+  getRatioChooser() {
+    return this.derived.nextRatioChooser;
+  }
+
+  /**
+   * Team defending the designated end zone: it starts each half with the
+   * team given in the settings (the other one after halftime) and changes
+   * every point because the teams swap ends after each goal
+   */
+  getEndzoneTeam(half, pointInHalf) {
+    const first = this.state.settings.ratioEndzoneTeam === 'B' ? 'B' : 'A';
+    const other = (teamLetter) => (teamLetter === 'A' ? 'B' : 'A');
+    const halfStart = half === 1 ? first : other(first);
+    return pointInHalf % 2 === 0 ? halfStart : other(halfStart);
+  }
+
+  /**
+   * "4M/3F" style label for a ratio at the configured line size
+   */
+  getRatioLabel(ratio) {
+    if (ratio !== 'M' && ratio !== 'F') return '';
+    const { M, F } = this.getRatioLimits(ratio);
+    return `${M}M/${F}F`;
+  }
+
+  getRatioLimits(ratio) {
+    const size = this.state.settings.lineSize || 7;
+    const majority = Math.ceil(size / 2);
+    return ratio === 'F'
+      ? { M: size - majority, F: majority }
+      : { M: majority, F: size - majority };
+  }
+
+  /**
+   * Warnings for players that do not fit the point's ratio. Players are
+   * counted by their designation; undesignated players are skipped.
+   */
+  getRatioWarnings(playersByTeam, ratio) {
+    if (ratio !== 'M' && ratio !== 'F') return [];
+    const limits = this.getRatioLimits(ratio);
+    const warnings = [];
+    ['A', 'B'].forEach((teamLetter) => {
+      const counts = { M: 0, F: 0 };
+      new Set(playersByTeam[teamLetter] || []).forEach((player) => {
+        const gender = this.getPlayerGender(teamLetter, player);
+        if (gender) counts[gender]++;
+      });
+      ['M', 'F'].forEach((gender) => {
+        if (counts[gender] > limits[gender]) {
+          const kind = gender === 'M' ? 'male' : 'female';
+          warnings.push(`${this.getTeamLabel(teamLetter)} has ${counts[gender]} ${kind}-matching players on a ${this.getRatioLabel(ratio)} point.`);
+        }
+      });
+    });
+    return warnings;
+  }
+
+  /**
+   * Ratio rules selectable in setup as [{ id, label }]
+   */
+  static getRatioRules() {
+    return Object.keys(RATIO_RULES).map((id) => ({ id, label: RATIO_RULES[id] }));
+  }
+
+  /**
+   * Halftime behaviours of the prescribed pattern as [{ id, label }]
+   */
+  static getAbbaHalftimeModes() {
+    return Object.keys(ABBA_HALFTIME_MODES).map((id) => ({ id, label: ABBA_HALFTIME_MODES[id] }));
+  }
+
+  /**
+   * Profiles selectable in setup as [{ id, label }]
+   */
+  static getRulesProfiles() {
+    return Object.keys(RULES_PROFILES).map((id) => ({ id, label: RULES_PROFILES[id].label }));
+  }
+
+  /**
+   * Copy of the settings a profile prescribes (null for custom/unknown)
+   */
+  static getRulesProfileSettings(profileId) {
+    const profile = RULES_PROFILES[profileId];
+    return profile && profile.settings ? { ...profile.settings } : null;
+  }
+
+  /**
+   * The profile whose rules all match the given settings, else 'custom'
+   */
+  static detectRulesProfile(settings) {
+    const match = Object.keys(RULES_PROFILES).find((id) => {
+      const profileSettings = RULES_PROFILES[id].settings;
+      return profileSettings && RULES_SETTING_KEYS.every((key) => settings[key] === profileSettings[key]);
+    });
+    return match || 'custom';
+  }
+
+  /**
+   * Why no more points can be scored at this score line and cap state:
+   * 'cap', 'hardcap', 'softcap', 'target' or null
+   */
+  getScoreLimitReason(score, capState) {
+    const { scoreCap } = this.state.settings;
+    const { phase, target, winBy, goalsSinceHardCap } = capState;
+    const leading = Math.max(score.A, score.B);
+    const margin = Math.abs(score.A - score.B);
+    const targetReached = typeof target === 'number' && leading >= target && margin >= (winBy || 1);
+    // A game won on the target is not a cap, even when the cap equals it
+    if (typeof scoreCap === 'number' && leading >= scoreCap && !targetReached) {
+      return 'cap';
+    }
+    if (phase === 'hard' && goalsSinceHardCap > 0 && margin > 0) {
+      return 'hardcap';
+    }
+    if (targetReached) {
+      return phase === 'soft' || phase === 'hard' ? 'softcap' : 'target';
+    }
+    return null;
+  }
+
+  /**
+   * End reasons selectable in the End Match dialog as [{ id, label }]
+   */
+  static getEndReasons() {
+    return Object.keys(MATCH_END_REASONS).map((id) => ({ id, label: MATCH_END_REASONS[id] }));
+  }
+
+  /**
+   * Line picked for the point in progress, with the receiving team defaulting
+   * to the team that conceded the last goal
+   */
+  getCurrentLine() {
+    const line = MatchEngine.normalizeLine(this.state.currentLine);
+    if (!line.offense) line.offense = this.derived.nextOffense;
+    return line;
+  }
+
+  /**
+   * Players of the most recent point a team's line was recorded for,
+   * optionally looking only at points before a given entry
+   */
+  getLastLine(teamLetter, beforeScoreID = null) {
+    const key = `Line${teamLetter}`;
+    const logs = this.state.scoreLogs;
+    const beforeIndex = beforeScoreID ? logs.findIndex((log) => log.scoreID === beforeScoreID) : -1;
+    for (let i = (beforeIndex === -1 ? logs.length : beforeIndex) - 1; i >= 0; i--) {
+      const line = logs[i][key];
+      if (Array.isArray(line) && line.length) return [...line];
+    }
+    return [];
+  }
+
+  /**
+   * Points played, O-line and D-line points per player as
+   * { A: [{ player, points, oPoints, dPoints }], B: [...] }, roster order first
+   */
+  getLineStats() {
+    const stats = {};
+    ['A', 'B'].forEach((teamLetter) => {
+      const byPlayer = this.derived.lineStats[teamLetter];
+      const roster = this.getRoster(teamLetter);
+      const names = roster.filter((player) => byPlayer[player])
+        .concat(Object.keys(byPlayer).filter((player) => !roster.includes(player)));
+      stats[teamLetter] = names.map((player) => ({ player, ...byPlayer[player] }));
+    });
+    return stats;
+  }
+
+  /**
+   * Holds, breaks and points started on offense/defense per team as
+   * { A: { holds, breaks, oPoints, dPoints }, B: {...} }. Points whose
+   * receiving team is unknown are not counted.
+   */
+  getTeamStats() {
+    return {
+      A: { ...this.derived.teamStats.A },
+      B: { ...this.derived.teamStats.B }
+    };
+  }
+
+  /**
+   * Team that received the first pull ('A', 'B' or null when not recorded)
+   */
+  getFirstReceiver() {
+    return this.derived.firstReceiver;
+  }
+
+  /**
+   * Spirit categories for the spirit form as [{ id, label }]
+   */
+  static getSpiritCategories() {
+    return Object.keys(SPIRIT_CATEGORIES).map((id) => ({ id, label: SPIRIT_CATEGORIES[id] }));
+  }
+
+  /**
+   * Stat types and turnover kinds for the stat dialog as [{ id, label }]
+   */
+  static getStatTypes() {
+    return Object.keys(STAT_EVENT_TYPES).map((id) => ({ id, label: STAT_EVENT_TYPES[id] }));
+  }
+
+  static getTurnoverKinds() {
+    return Object.keys(TURNOVER_KINDS).map((id) => ({ id, label: TURNOVER_KINDS[id] }));
+  }
+
+  /**
+   * Final result once the match has ended: { reason, reasonLabel, winner, winnerName, score }
+   */
+  getResult() {
+    const { result } = this.derived;
+    return result ? { ...result, score: { ...result.score } } : null;
+  }
+
+  /**
+   * Current time-cap phase (null, 'soft' or 'hard') and the effective game-to target
+   */
+  getCapStatus() {
+    const { phase, target, winBy } = this.derived.capState;
+    return { phase, target, winBy };
+  }
+
+  usesPerHalfTimeouts(settings = this.state.settings) {
+    return Number.isFinite(settings.timeoutsPerHalf) && settings.timeoutsPerHalf > 0;
+  }
+
+  /**
+   * Snapshot helper to avoid direct references when saving
+   */
+  getTimeoutStateSnapshot() {
+    const { timeoutState } = this.derived;
+    return {
+      A: { ...timeoutState.A },
+      B: { ...timeoutState.B }
+    };
+  }
+
+  // ---------------------------------------------------
+  // Setup
+  // ---------------------------------------------------
+
+  /**
+   * Assign a team name and (optionally) its roster
+   */
+  setTeam(teamLetter, name, players = null) {
+    const team = this.state.teams[teamLetter];
+    if (!team) return false;
+    team.name = (name || '').toString().trim();
+    if (players !== null) {
+      Object.assign(team, MatchEngine.parseRoster(players));
+    }
+    this.applyChange('teams', { teamLetter }, { silent: true });
+    return true;
+  }
+
+  /**
+   * Replace a team's roster (array or newline separated text)
+   */
+  setRoster(teamLetter, players) {
+    const team = this.state.teams[teamLetter];
+    if (!team) return false;
+    Object.assign(team, MatchEngine.parseRoster(players));
+    this.applyChange('teams', { teamLetter }, { silent: true });
+    return true;
+  }
+
+  /**
+   * Set a player's gender-matching designation ('M', 'F' or '' to clear)
+   */
+  setPlayerGender(teamLetter, player, gender) {
+    const team = this.state.teams[teamLetter];
+    if (!team || !team.players.includes(player)) return false;
+    if (gender === 'M' || gender === 'F') {
+      team.genders[player] = gender;
+    } else {
+      delete team.genders[player];
+    }
+    this.applyChange('teams', { teamLetter }, { silent: true });
+    return true;
+  }
+
+  /**
+   * Merge new settings and replay the log against them. The rules profile
+   * label follows the values: any deviation from a profile makes it custom.
+   */
+  updateSettings(updates = {}) {
+    return this.withHistory('Setup', () => {
+      const merged = { ...this.state.settings, ...updates };
+      merged.rulesProfile = MatchEngine.detectRulesProfile(merged);
+      this.state.settings = merged;
+      this.applyChange('settings', { settings: this.state.settings }, { silent: true });
+      this.maybeTriggerHalftimeByScore();
+      return this.state.settings;
+    });
+  }
+
+  /**
+   * Apply every rule of a profile on top of the current settings
+   */
+  applyRulesProfile(profileId) {
+    const profileSettings = MatchEngine.getRulesProfileSettings(profileId);
+    if (!profileSettings) {
+      return { ok: false, message: 'Unknown rules profile.', level: 'error' };
+    }
+    this.updateSettings(profileSettings);
+    return { ok: true, settings: this.state.settings };
+  }
+
+  setGameTime(value) {
+    this.state.gameTime = value || '';
+  }
+
+  // ---------------------------------------------------
+  // Commands
+  // ---------------------------------------------------
+
+  /**
+   * Start the match. options.receiving is the team on offense for the first
+   * pull; the other team receives to start the second half.
+   * options.minutes is what the main clock starts from, kept on the start
+   * event so time caps and halftime follow the clock actually run.
+   */
+  startMatch(options = {}) {
+    return this.withHistory('Match start', () => {
+      const { receiving = null, minutes = null } = options;
+      if (this.state.matchStarted) {
+        return { ok: false, message: 'The match has already started.', level: 'warning' };
+      }
+      if (!this.getTeamName('A') || !this.getTeamName('B')) {
+        return { ok: false, message: 'Select both Team A and Team B before starting the match.', level: 'error' };
+      }
+      if (this.state.stoppageActive) {
+        return { ok: false, message: 'Resolve game stoppage before starting the match.', level: 'warning' };
+      }
+
+      this.state.halftime = { pendingReason: null, autoSuppressed: false };
+      this.state.matchStarted = true;
+      if (!this.state.matchId) {
+        this.state.matchId = this.createMatchId();
+      }
+      const fields = {};
+      if (receiving === 'A' || receiving === 'B') fields.ReceivingTeam = receiving;
+      if (typeof minutes === 'number' && minutes > 0) fields.MatchDuration = minutes;
+      const log = this.appendEvent('matchstart', null, fields);
+      this.emit('match:started', { log });
+      return { ok: true, log };
+    });
+  }
+
+  /**
+   * Log a goal. options.ratio records the ratio chosen for the point under
+   * end zone choice when it was not set with the line.
+   */
+  addScore(teamLetter, scorer, assist, options = {}) {
+    return this.withHistory('Score', () => {
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before adding scores.', level: 'error' };
+      }
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+      if (this.derived.hardCapReached) {
+        const message = this.derived.scoreLimitReason === 'cap'
+          ? 'Score cap reached. No further scores can be added.'
+          : 'Game target reached. No further scores can be added.';
+        return { ok: false, message, level: 'warning' };
+      }
+      if (teamLetter !== 'A' && teamLetter !== 'B') {
+        return { ok: false, message: 'Unknown team.', level: 'error' };
+      }
+      if (!scorer || !assist) {
+        return { ok: false, message: 'Please select both scorer and assist.', level: 'error' };
+      }
+
+      // The point is over: its line moves onto the goal and the next point starts empty
+      const line = this.state.currentLine;
+      const ratio = (options.ratio === 'M' || options.ratio === 'F') ? options.ratio : line.ratio;
+      const lineFields = {};
+      if (line.A.length) lineFields.LineA = [...line.A];
+      if (line.B.length) lineFields.LineB = [...line.B];
+      if (line.offense) lineFields.Offense = line.offense;
+      if (ratio) lineFields.Ratio = ratio;
+      const warnings = this.getScoreRatioWarnings(teamLetter, [scorer, assist], { ...line, ratio });
+      const log = this.createLogObject(this.nextScoreID(), teamLetter, scorer, assist, lineFields);
+      this.state.scoreLogs.push(log);
+      this.state.currentLine = MatchEngine.normalizeLine();
+      this.applyChange('log:added', { log });
+      warnings.forEach((warning) => this.notice(warning, 'warning'));
+      if (this.derived.scoreLimitReason) {
+        // The goal decided the game (target, point cap or time cap)
+        this.endMatch({ reason: this.derived.scoreLimitReason === 'target' ? 'target' : 'cap' });
+        return { ok: true, log };
+      }
+      this.maybeTriggerHalftimeByScore();
+      this.attemptPendingHalftime();
+      return { ok: true, log };
+    });
+  }
+
+  callTimeout(teamLetter) {
+    return this.withHistory('Timeout', () => {
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before logging a timeout.', level: 'error' };
+      }
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+      if (this.state.stoppageActive) {
+        return { ok: false, message: 'Resolve game stoppage before recording a timeout.', level: 'warning' };
+      }
+      const teamState = this.derived.timeoutState[teamLetter];
+      if (!teamState) {
+        return { ok: false, message: 'Unknown team.', level: 'error' };
+      }
+
+      const teamName = this.getTeamLabel(teamLetter);
+      const perHalfEnabled = this.usesPerHalfTimeouts();
+      if (teamState.totalRemaining <= 0) {
+        return { ok: false, message: `${teamName} has no timeouts remaining.`, level: 'error' };
+      }
+      if (perHalfEnabled && teamState.halfRemaining <= 0) {
+        return { ok: false, message: `${teamName} has no timeouts remaining for this half.`, level: 'error' };
+      }
+
+      const log = this.appendEvent('timeout', teamLetter);
+      this.emit('timeout', { log, teamLetter });
+      return { ok: true, log };
+    });
+  }
+
+  recordHalftime(options = {}) {
+    return this.withHistory('Halftime', () => {
+      const { reason = 'manual' } = options;
+      if (this.derived.halftimeLog) {
+        return { ok: false, message: 'Halftime has already been recorded.', level: 'warning' };
+      }
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before recording halftime.', level: 'error' };
+      }
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+
+      const triggerReason = (reason && typeof reason === 'string') ? reason : 'manual';
+      this.state.halftime = { pendingReason: null, autoSuppressed: false };
+      const log = this.appendEvent('halftime', null, { HalftimeReason: triggerReason });
+      this.emit('halftime', { log, reason: triggerReason });
+      return { ok: true, log };
+    });
+  }
+
+  toggleStoppage() {
+    return this.withHistory('Stoppage', () => {
+      if (this.derived.result && !this.state.stoppageActive) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+      this.state.stoppageActive = !this.state.stoppageActive;
+      let log = null;
+      if (this.state.stoppageActive) {
+        log = this.appendEvent('stoppage');
+      }
+      this.emit('stoppage', { active: this.state.stoppageActive, log });
+      return { ok: true, active: this.state.stoppageActive, log };
+    });
+  }
+
+  /**
+   * Pick the players on the field for the point in progress. Either team's
+   * line may be left empty; a given line must match the configured size.
+   * offense is the receiving team, or null to fall back to the team that
+   * conceded the last goal; ratio is the ratio chosen under end zone choice.
+   */
+  setLine(line = {}) {
+    return this.withHistory('Line', () => {
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+      const checked = this.validateLine(line);
+      if (!checked.ok) {
+        return checked;
+      }
+      this.state.currentLine = checked.line;
+      const current = this.getCurrentLine();
+      const warnings = this.getRatioWarnings(current, this.getRequiredRatio());
+      this.emit('line', { line: current, warnings });
+      warnings.forEach((warning) => this.notice(warning, 'warning'));
+      return { ok: true, line: current, warnings };
+    });
+  }
+
+  /**
+   * Record the Spirit of the Game scores received by each team: 0-4 per
+   * category (blank allowed), comments and MVP/MSP picks from that team's
+   * roster
+   */
+  setSpirit(spirit = {}) {
+    return this.withHistory('Spirit', () => {
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before entering spirit scores.', level: 'error' };
+      }
+      const normalized = MatchEngine.normalizeSpirit(spirit);
+      for (const teamLetter of ['A', 'B']) {
+        const entry = spirit?.[teamLetter] || {};
+        const invalid = Object.keys(SPIRIT_CATEGORIES).find((key) => {
+          const value = entry.scores?.[key];
+          return value !== undefined && value !== null && value !== '' && normalized[teamLetter].scores[key] === null;
+        });
+        if (invalid) {
+          return { ok: false, message: `${SPIRIT_CATEGORIES[invalid]} scores run from 0 to 4.`, level: 'error' };
+        }
+        const roster = this.getRoster(teamLetter);
+        const unknown = ['mvp', 'msp'].map((key) => normalized[teamLetter][key])
+          .find((player) => player && !roster.includes(player));
+        if (unknown) {
+          return { ok: false, message: `${unknown} is not on the ${this.getTeamLabel(teamLetter)} roster.`, level: 'error' };
+        }
+      }
+      this.state.spirit = normalized;
+      this.emit('spirit', { spirit: this.getSpirit() });
+      return { ok: true, spirit: this.getSpirit() };
+    });
+  }
+
+  getSpirit() {
+    return JSON.parse(JSON.stringify(this.state.spirit));
+  }
+
+  /**
+   * Sum of a team's spirit scores, or null when none were entered
+   */
+  getSpiritTotal(teamLetter) {
+    const values = Object.values(this.state.spirit[teamLetter]?.scores || {})
+      .filter((value) => value !== null);
+    return values.length ? values.reduce((sum, value) => sum + value, 0) : null;
+  }
+
+  /**
+   * Check a line against the rosters and the line size
+   */
+  validateLine(line) {
+    const normalized = MatchEngine.normalizeLine(line);
+    const size = this.state.settings.lineSize;
+    for (const teamLetter of ['A', 'B']) {
+      const players = normalized[teamLetter];
+      if (players.length === 0) continue;
+      const teamName = this.getTeamLabel(teamLetter);
+      if (new Set(players).size !== players.length) {
+        return { ok: false, message: `${teamName} line lists a player twice.`, level: 'error' };
+      }
+      const roster = this.getRoster(teamLetter);
+      const unknown = players.find((player) => !roster.includes(player));
+      if (unknown) {
+        return { ok: false, message: `${unknown} is not on the ${teamName} roster.`, level: 'error' };
+      }
+      if (size && players.length !== size) {
+        return {
+          ok: false,
+          message: `${teamName} line needs ${size} players (${players.length} selected).`,
+          level: 'error'
+        };
+      }
+    }
+    return { ok: true, line: normalized };
+  }
+
+  /**
+   * Ratio warnings for a goal: the scorer and assist have to be on the
+   * recorded line and, together with it, fit the point's ratio
+   */
+  getScoreRatioWarnings(teamLetter, players, line) {
+    const settings = this.state.settings;
+    if (settings.abbaStart === 'NONE') return [];
+    const roster = this.getRoster(teamLetter);
+    const picked = players.filter((player) => roster.includes(player));
+    const warnings = [];
+    if (line[teamLetter].length) {
+      picked.filter((player) => !line[teamLetter].includes(player)).forEach((player) => {
+        warnings.push(`${player} is not on the recorded ${this.getTeamLabel(teamLetter)} line.`);
+      });
+    }
+    const ratio = settings.ratioRule === 'endzone'
+      ? line.ratio
+      : this.derived.nextRatio;
+    const playersByTeam = { A: [...line.A], B: [...line.B] };
+    playersByTeam[teamLetter].push(...picked);
+    return warnings.concat(this.getRatioWarnings(playersByTeam, ratio));
+  }
+
+  /**
+   * Log a turnover, block or pull for a player. The team is the one that
+   * lost the disc, got the D or pulled; turnovers also need their kind and
+   * pulls can carry a hang time in seconds.
+   */
+  recordStat(type, teamLetter, options = {}) {
+    return this.withHistory(STAT_EVENT_TYPES[type] || 'Stat', () => {
+      const { player = '', turnoverType = '', hangTime = null } = options;
+      if (!STAT_EVENT_TYPES[type]) {
+        return { ok: false, message: 'Unknown stat type.', level: 'error' };
+      }
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before logging stats.', level: 'error' };
+      }
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has ended. Delete the end entry to reopen it.', level: 'warning' };
+      }
+      if (teamLetter !== 'A' && teamLetter !== 'B') {
+        return { ok: false, message: 'Unknown team.', level: 'error' };
+      }
+      if (!player) {
+        return { ok: false, message: 'Please select a player.', level: 'error' };
+      }
+      if (type === 'turnover' && !TURNOVER_KINDS[turnoverType]) {
+        return { ok: false, message: 'Choose the kind of turnover.', level: 'error' };
+      }
+      const parsedHangTime = MatchEngine.parseHangTime(hangTime);
+      if (type === 'pull' && parsedHangTime === false) {
+        return { ok: false, message: 'Hang time must be a number of seconds.', level: 'error' };
+      }
+
+      const extra = { Player: player };
+      if (type === 'turnover') {
+        extra.TurnoverType = turnoverType;
+      }
+      if (type === 'pull' && parsedHangTime !== null) {
+        extra.HangTime = parsedHangTime;
+      }
+      const log = this.appendEvent(type, teamLetter, extra);
+      this.emit('stat', { log, type, teamLetter });
+      return { ok: true, log };
+    });
+  }
+
+  /**
+   * Record the end of the match. The winner and final score are derived
+   * from the log, so corrections made afterwards still update the result.
+   * A forfeit needs the forfeiting team; the other team wins.
+   */
+  endMatch(options = {}) {
+    return this.withHistory('Match end', () => {
+      const { reason = 'manual', forfeitTeam = null } = options;
+      if (!this.state.matchStarted) {
+        return { ok: false, message: 'Start the match before ending it.', level: 'error' };
+      }
+      if (this.derived.result) {
+        return { ok: false, message: 'The match has already ended.', level: 'warning' };
+      }
+      if (!MATCH_END_REASONS[reason]) {
+        return { ok: false, message: 'Choose why the match ended.', level: 'error' };
+      }
+      if (reason === 'forfeit' && forfeitTeam !== 'A' && forfeitTeam !== 'B') {
+        return { ok: false, message: 'Select the team that forfeited.', level: 'error' };
+      }
+
+      if (this.state.stoppageActive) {
+        // e.g. a weather stoppage that turns into an abandoned game
+        this.state.stoppageActive = false;
+        this.emit('stoppage', { active: false, log: null });
+      }
+
+      const extra = { EndReason: reason };
+      if (reason === 'forfeit') {
+        extra.ForfeitTeam = forfeitTeam;
+      }
+      const log = this.appendEvent('matchend', null, extra);
+      const result = this.getResult();
+      this.emit('match:ended', { log, result });
+      return { ok: true, log, result };
+    });
+  }
+
+  /**
+   * Update fields of an existing event (scorer/assist, stat player or team)
+   */
+  editEvent(scoreID, updates = {}) {
+    return this.withHistory('Edit', () => {
+      const log = this.getScoreLog(scoreID);
+      if (!log) {
+        return { ok: false, message: 'Could not find the selected entry.', level: 'error' };
+      }
+
+      const type = this.getLogType(log);
+      const changes = {};
+      if (type === 'score') {
+        if ('Score' in updates) changes.Score = updates.Score;
+        if ('Assist' in updates) changes.Assist = updates.Assist;
+        if ('Ratio' in updates) {
+          if (updates.Ratio === 'M' || updates.Ratio === 'F') {
+            changes.Ratio = updates.Ratio;
+          } else {
+            delete log.Ratio;
+          }
+        }
+        if ('LineA' in updates || 'LineB' in updates || 'Offense' in updates) {
+          const checked = this.validateLine({
+            A: 'LineA' in updates ? updates.LineA : log.LineA,
+            B: 'LineB' in updates ? updates.LineB : log.LineB,
+            offense: 'Offense' in updates ? updates.Offense : log.Offense
+          });
+          if (!checked.ok) {
+            return checked;
+          }
+          // Empty lines and an unknown offense are removed rather than stored blank
+          ['A', 'B'].forEach((teamLetter) => {
+            if (checked.line[teamLetter].length) {
+              changes[`Line${teamLetter}`] = checked.line[teamLetter];
+            } else {
+              delete log[`Line${teamLetter}`];
+            }
+          });
+          if (checked.line.offense) {
+            changes.Offense = checked.line.offense;
+          } else {
+            delete log.Offense;
+          }
+        }
+      } else if (STAT_EVENT_TYPES[type]) {
+        if ('Player' in updates) changes.Player = updates.Player;
+        if (type === 'turnover' && 'TurnoverType' in updates) {
+          if (!TURNOVER_KINDS[updates.TurnoverType]) {
+            return { ok: false, message: 'Choose the kind of turnover.', level: 'error' };
+          }
+          changes.TurnoverType = updates.TurnoverType;
+        }
+        if (type === 'pull' && 'HangTime' in updates) {
+          const parsedHangTime = MatchEngine.parseHangTime(updates.HangTime);
+          if (parsedHangTime === false) {
+            return { ok: false, message: 'Hang time must be a number of seconds.', level: 'error' };
+          }
+          if (parsedHangTime === null) {
+            delete log.HangTime;
+          } else {
+            changes.HangTime = parsedHangTime;
+          }
+        }
+      }
+
+      if ((type === 'timeout' || STAT_EVENT_TYPES[type]) && updates.TeamLetter) {
+        const teamLetter = updates.TeamLetter;
+        const teamName = this.getTeamName(teamLetter);
+        if (!teamName) {
+          return { ok: false, message: `Assign Team A and Team B before editing the ${type}.`, level: 'error' };
+        }
+        Object.assign(changes, { TeamLetter: teamLetter, Team: teamName, TeamName: teamName });
+      }
+
+      Object.assign(log, changes);
+      this.applyChange('log:updated', { log, changes }, { silent: true });
+      return { ok: true, log };
+    });
+  }
+
+  /**
+   * Remove an event; everything after it is re-derived by the replay
+   */
+  deleteEvent(scoreID) {
+    return this.withHistory('Delete', () => {
+      const index = this.state.scoreLogs.findIndex((log) => log.scoreID === scoreID);
+      if (index === -1) {
+        return { ok: false, message: 'Could not find the selected entry.', level: 'error' };
+      }
+      const [removed] = this.state.scoreLogs.splice(index, 1);
+      const type = this.getLogType(removed);
+
+      if (type === 'halftime') {
+        this.state.halftime = { pendingReason: null, autoSuppressed: true };
+      }
+
+      this.applyChange('log:removed', { log: removed }, { silent: true });
+      this.maybeTriggerHalftimeByScore();
+      return { ok: true, log: removed };
+    });
+  }
+
+  /**
+   * Feed the main clock into the engine (remaining milliseconds)
+   */
+  notifyClock(remainingMs) {
+    this.maybeTriggerHalftimeByTime(remainingMs);
+    this.maybeRecordTimeCaps(remainingMs);
+  }
+
+  /**
+   * Clear the match (logs, scores, flags) but keep teams and settings
+   */
+  resetMatch() {
+    const { teams, settings } = this.state;
+    this.state = this.createInitialState(settings);
+    this.state.teams = teams;
+    this.applyChange('reset', {}, { silent: true });
+    this.clearHistory();
+  }
+
+  // ---------------------------------------------------
+  // Undo / redo
+  // ---------------------------------------------------
+
+  /**
+   * Run a command and push an undo entry when it changed the match.
+   * Nested commands (e.g. the automatic halftime after a score) share the
+   * entry of the outermost one, so a single undo reverts the whole action.
+   */
+  withHistory(label, command) {
+    if (this.recording) {
+      return command();
+    }
+    const before = this.snapshot();
+    const beforeJson = JSON.stringify(before);
+    let result;
+    this.recording = true;
+    try {
+      result = command();
+    } finally {
+      this.recording = false;
+    }
+    if (result && result.ok === false) {
+      return result;
+    }
+    if (JSON.stringify(this.snapshot()) !== beforeJson) {
+      this.history.undo.push({ label, state: before });
+      if (this.history.undo.length > this.historyLimit) {
+        this.history.undo.splice(0, this.history.undo.length - this.historyLimit);
+      }
+      this.history.redo = [];
+      this.emit('history', this.getHistorySummary());
+    }
+    return result;
+  }
+
+  undo() {
+    return this.stepHistory('undo', 'redo');
+  }
+
+  redo() {
+    return this.stepHistory('redo', 'undo');
+  }
+
+  canUndo() {
+    return this.history.undo.length > 0;
+  }
+
+  canRedo() {
+    return this.history.redo.length > 0;
+  }
+
+  /**
+   * Labels of the next undo/redo steps for button captions
+   */
+  getHistorySummary() {
+    const last = (list) => (list.length ? list[list.length - 1].label : null);
+    return {
+      undoLabel: last(this.history.undo),
+      redoLabel: last(this.history.redo),
+      undoCount: this.history.undo.length,
+      redoCount: this.history.redo.length
+    };
+  }
+
+  /**
+   * Undo and redo stacks in a JSON-safe shape for persistence
+   */
+  getHistory() {
+    return { undo: this.history.undo, redo: this.history.redo };
+  }
+
+  /**
+   * Restore previously persisted stacks, dropping malformed entries
+   */
+  loadHistory(history) {
+    const isEntry = (entry) => Boolean(entry && typeof entry.label === 'string'
+      && entry.state && Array.isArray(entry.state.scoreLogs));
+    const pick = (list) => (Array.isArray(list) ? list.filter(isEntry).slice(-this.historyLimit) : []);
+    this.history = { undo: pick(history?.undo), redo: pick(history?.redo) };
+    this.emit('history', this.getHistorySummary());
+  }
+
+  clearHistory() {
+    this.history = { undo: [], redo: [] };
+    this.emit('history', this.getHistorySummary());
+  }
+
+  /**
+   * Pop an entry from one stack, push the current state onto the other
+   */
+  stepHistory(from, to) {
+    const entry = this.history[from].pop();
+    if (!entry) {
+      return { ok: false, message: from === 'undo' ? 'Nothing to undo.' : 'Nothing to redo.', level: 'info' };
+    }
+    this.history[to].push({ label: entry.label, state: this.snapshot() });
+    this.restoreSnapshot(entry.state);
+    this.applyChange('restored', { action: from, label: entry.label }, { silent: true });
+    this.emit('history', this.getHistorySummary());
+    return { ok: true, action: from, label: entry.label };
+  }
+
+  /**
+   * Deep copy of the parts of the state that undo/redo rolls back
+   */
+  snapshot() {
+    const { settings, scoreLogs, matchStarted, stoppageActive, halftime, currentLine, spirit } = this.state;
+    return JSON.parse(JSON.stringify({ settings, scoreLogs, matchStarted, stoppageActive, halftime, currentLine, spirit }));
+  }
+
+  restoreSnapshot(snapshot) {
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    this.state = {
+      ...this.state,
+      settings: { ...this.state.settings, ...(copy.settings || {}) },
+      scoreLogs: copy.scoreLogs,
+      matchStarted: Boolean(copy.matchStarted),
+      stoppageActive: Boolean(copy.stoppageActive),
+      halftime: { pendingReason: null, autoSuppressed: false, ...(copy.halftime || {}) },
+      currentLine: MatchEngine.normalizeLine(copy.currentLine),
+      spirit: MatchEngine.normalizeSpirit(copy.spirit)
+    };
+  }
+
+  // ---------------------------------------------------
+  // Rules
+  // ---------------------------------------------------
+
+  /**
+   * Replay the log from the start and derive every counter from it
+   */
+  replay() {
+    const settings = this.state.settings;
+    const perHalfEnabled = this.usesPerHalfTimeouts();
+    const totalAllowance = Math.max(0, settings.timeoutsTotal);
+    const halfAllowance = (totalRemaining) => (perHalfEnabled
+      ? Math.min(settings.timeoutsPerHalf, totalRemaining)
+      : totalRemaining);
+
+    const score = { A: 0, B: 0 };
+    const timeoutState = {
+      A: { totalRemaining: totalAllowance, halfRemaining: halfAllowance(totalAllowance) },
+      B: { totalRemaining: totalAllowance, halfRemaining: halfAllowance(totalAllowance) }
+    };
+    const rows = {};
+    let half = 1;
+    let scoringIndex = 0;
+    let halftimeLog = null;
+    let endLog = null;
+    // The team that conceded receives the next pull. The first half starts with
+    // the receiving team chosen at match start, the second with the other one.
+    let nextOffense = null;
+    let firstReceiver = null;
+    // A pull recorded during the point settles who is on offense
+    let pullOffense = null;
+    const teamStats = {
+      A: { holds: 0, breaks: 0, oPoints: 0, dPoints: 0 },
+      B: { holds: 0, breaks: 0, oPoints: 0, dPoints: 0 }
+    };
+    const lineStats = { A: {}, B: {} };
+    const ratioEnabled = settings.abbaStart !== 'NONE';
+    const endzoneRatio = settings.ratioRule === 'endzone';
+    let pointInHalf = 0;
+    // Prescribed pattern in progress: its starting ratio and the next position
+    // in it. A ratio recorded on a goal overrides the pattern, which then
+    // continues as if it had started with that point.
+    const pattern = { start: settings.abbaStart, index: 0 };
+    const capState = {
+      phase: null,
+      target: settings.gameTo,
+      winBy: settings.winBy,
+      goalsSinceHardCap: 0
+    };
+
+    this.state.scoreLogs.forEach((log) => {
+      const type = this.getLogType(log);
+      const teamLetter = this.getTeamLetterFromLog(log);
+      let abbaIndex = null;
+      let offense = null;
+      let pointResult = null;
+      let ratio = '';
+      let ratioOverride = false;
+      let ratioChooser = null;
+
+      if (type === 'score') {
+        if (score[teamLetter] !== undefined) score[teamLetter]++;
+        abbaIndex = scoringIndex;
+        scoringIndex++;
+        if (endzoneRatio) {
+          ratioChooser = this.getEndzoneTeam(half, pointInHalf);
+          ratio = ratioEnabled && (log.Ratio === 'M' || log.Ratio === 'F') ? log.Ratio : '';
+        } else if (ratioEnabled && (log.Ratio === 'M' || log.Ratio === 'F')) {
+          ratio = log.Ratio;
+          ratioOverride = true;
+          pattern.start = log.Ratio;
+          pattern.index = 1;
+        } else if (ratioEnabled) {
+          ratio = this.computeAbbaForIndex(pattern.index, pattern.start);
+          pattern.index++;
+        }
+        pointInHalf++;
+        if (capState.phase === 'hard') capState.goalsSinceHardCap++;
+        offense = (log.Offense === 'A' || log.Offense === 'B') ? log.Offense : (pullOffense || nextOffense);
+        if (offense && (teamLetter === 'A' || teamLetter === 'B')) {
+          const defense = offense === 'A' ? 'B' : 'A';
+          pointResult = teamLetter === offense ? 'hold' : 'break';
+          teamStats[offense].oPoints++;
+          teamStats[defense].dPoints++;
+          teamStats[teamLetter][pointResult === 'hold' ? 'holds' : 'breaks']++;
+        }
+        pullOffense = null;
+        ['A', 'B'].forEach((lineTeam) => {
+          const line = log[`Line${lineTeam}`];
+          if (!Array.isArray(line)) return;
+          line.forEach((player) => {
+            const entry = lineStats[lineTeam][player] || { points: 0, oPoints: 0, dPoints: 0 };
+            entry.points++;
+            if (offense === lineTeam) entry.oPoints++;
+            else if (offense) entry.dPoints++;
+            lineStats[lineTeam][player] = entry;
+          });
+        });
+        if (teamLetter === 'A' || teamLetter === 'B') {
+          nextOffense = teamLetter === 'A' ? 'B' : 'A';
+        }
+      } else if (type === 'matchstart') {
+        firstReceiver = (log.ReceivingTeam === 'A' || log.ReceivingTeam === 'B') ? log.ReceivingTeam : null;
+        nextOffense = firstReceiver;
+      } else if (type === 'pull' && (teamLetter === 'A' || teamLetter === 'B')) {
+        pullOffense = teamLetter === 'A' ? 'B' : 'A';
+        offense = pullOffense;
+      } else if (type === 'softcap' && !capState.phase) {
+        // Game goes to the higher score plus the increment, never above the original target
+        const capped = Math.max(score.A, score.B) + (settings.softCapIncrement || 1);
+        capState.phase = 'soft';
+        capState.target = typeof capState.target === 'number' ? Math.min(capState.target, capped) : capped;
+        capState.winBy = 1;
+      } else if (type === 'hardcap' && capState.phase !== 'hard') {
+        // The point in progress finishes; the game ends on the first goal that leaves it untied
+        capState.phase = 'hard';
+        capState.winBy = 1;
+      } else if (type === 'timeout' && timeoutState[teamLetter]) {
+        const teamState = timeoutState[teamLetter];
+        teamState.totalRemaining = Math.max(0, teamState.totalRemaining - 1);
+        teamState.halfRemaining = perHalfEnabled
+          ? Math.max(0, teamState.halfRemaining - 1)
+          : teamState.totalRemaining;
+      } else if (type === 'matchend' && !endLog) {
+        endLog = log;
+      } else if (type === 'halftime' && !halftimeLog) {
+        halftimeLog = log;
+        half = 2;
+        nextOffense = firstReceiver ? (firstReceiver === 'A' ? 'B' : 'A') : null;
+        pullOffense = null;
+        pointInHalf = 0;
+        if (settings.abbaHalftime === 'restart' || settings.abbaHalftime === 'switch') {
+          const other = settings.abbaStart === 'F' ? 'M' : 'F';
+          pattern.start = settings.abbaHalftime === 'switch' ? other : settings.abbaStart;
+          pattern.index = 0;
+        }
+        ['A', 'B'].forEach((teamKey) => {
+          const teamState = timeoutState[teamKey];
+          teamState.halfRemaining = halfAllowance(teamState.totalRemaining);
+        });
+      }
+
+      rows[log.scoreID] = {
+        score: { ...score },
+        abbaIndex,
+        ratio,
+        ratioOverride,
+        ratioChooser,
+        offense,
+        pointResult,
+        half,
+        capPhase: capState.phase,
+        target: capState.target,
+        timeoutState: {
+          A: { ...timeoutState.A },
+          B: { ...timeoutState.B }
+        }
+      };
+    });
+
+    const scoreLimitReason = this.getScoreLimitReason(score, capState);
+    const result = endLog ? this.buildResult(endLog, rows[endLog.scoreID].score) : null;
+    this.derived = {
+      score,
+      rows,
+      timeoutState,
+      half,
+      halftimeLog,
+      capState,
+      nextOffense: pullOffense || nextOffense,
+      firstReceiver,
+      teamStats,
+      lineStats,
+      nextAbbaIndex: scoringIndex,
+      nextRatio: ratioEnabled && !endzoneRatio ? this.computeAbbaForIndex(pattern.index, pattern.start) : '',
+      nextRatioChooser: endzoneRatio ? this.getEndzoneTeam(half, pointInHalf) : null,
+      result,
+      scoreLimitReason,
+      hardCapReached: Boolean(scoreLimitReason)
+    };
+    return this.derived;
+  }
+
+  /**
+   * Winner and final score for a match end entry
+   */
+  buildResult(endLog, score) {
+    const reason = MATCH_END_REASONS[endLog.EndReason] ? endLog.EndReason : 'manual';
+    let winner = null;
+    if (reason === 'forfeit' && (endLog.ForfeitTeam === 'A' || endLog.ForfeitTeam === 'B')) {
+      winner = endLog.ForfeitTeam === 'A' ? 'B' : 'A';
+    } else if (score.A !== score.B) {
+      winner = score.A > score.B ? 'A' : 'B';
+    }
+    return {
+      reason,
+      reasonLabel: MATCH_END_REASONS[reason],
+      winner,
+      winnerName: winner ? this.getTeamLabel(winner) : '',
+      forfeitTeam: reason === 'forfeit' ? endLog.ForfeitTeam : null,
+      score: { ...score },
+      scoreID: endLog.scoreID
+    };
+  }
+
+  /**
+   * Re-derive state from the log, then notify listeners
+   */
+  applyChange(eventName, detail = {}, options = {}) {
+    const wasCapped = Boolean(this.derived?.hardCapReached);
+    this.replay();
+    this.emit(eventName, detail);
+    if (this.derived.hardCapReached !== wasCapped) {
+      this.emit('cap', {
+        reached: this.derived.hardCapReached,
+        reason: this.derived.scoreLimitReason,
+        silent: Boolean(options.silent)
+      });
+    }
+  }
+
+  maybeTriggerHalftimeByScore() {
+    const halftime = this.state.halftime;
+    if (!this.state.matchStarted || this.derived.halftimeLog || this.derived.result) {
+      return;
+    }
+
+    const target = this.state.settings.halftimeScoreTarget;
+    if (typeof target !== 'number' || target <= 0) {
+      return;
+    }
+    const leadingScore = Math.max(this.derived.score.A, this.derived.score.B);
+    if (halftime.autoSuppressed) {
+      if (leadingScore < target) {
+        halftime.autoSuppressed = false;
+      } else {
+        return;
+      }
+    }
+
+    if (leadingScore >= target) {
+      const result = this.recordHalftime({ reason: 'score' });
+      if (result.ok) {
+        this.notice(`Halftime reached once a team scored ${target} points.`);
+      }
+    }
+  }
+
+  maybeTriggerHalftimeByTime(remainingMs) {
+    const halftime = this.state.halftime;
+    if (!this.state.matchStarted || this.derived.halftimeLog || this.derived.result) {
+      return;
+    }
+    if (typeof remainingMs !== 'number' || Number.isNaN(remainingMs)) {
+      return;
+    }
+    const settings = this.state.settings;
+    const thresholdMinutes = Math.max(0, this.getMatchMinutes() - settings.halftimeDuration);
+    if (thresholdMinutes <= 0) {
+      return;
+    }
+    const thresholdMs = thresholdMinutes * 60 * 1000;
+    const remaining = Math.max(0, remainingMs);
+    if (halftime.autoSuppressed) {
+      if (remaining > thresholdMs) {
+        halftime.autoSuppressed = false;
+      } else {
+        return;
+      }
+    }
+    if (remaining <= thresholdMs && halftime.pendingReason !== 'clock') {
+      halftime.pendingReason = 'clock';
+      this.notice('Halftime reached on the game clock. The break will start after the next point.');
+    }
+  }
+
+  /**
+   * Minutes the main clock started from: as recorded when the match
+   * started, else the configured match duration
+   */
+  getMatchMinutes() {
+    const start = this.state.scoreLogs.find((log) => this.getLogType(log) === 'matchstart');
+    return typeof start?.MatchDuration === 'number' && start.MatchDuration > 0
+      ? start.MatchDuration
+      : this.state.settings.matchDuration;
+  }
+
+  /**
+   * Record soft/hard cap events once the elapsed match time passes them
+   */
+  maybeRecordTimeCaps(remainingMs) {
+    if (!this.state.matchStarted || this.derived.hardCapReached || this.derived.result) {
+      return;
+    }
+    if (typeof remainingMs !== 'number' || Number.isNaN(remainingMs)) {
+      return;
+    }
+    const settings = this.state.settings;
+    const elapsedMs = (this.getMatchMinutes() * 60 * 1000) - remainingMs;
+    const caps = [
+      { type: 'softcap', minutes: settings.softCapMinutes },
+      { type: 'hardcap', minutes: settings.hardCapMinutes }
+    ];
+    caps.forEach(({ type, minutes }) => {
+      if (typeof minutes !== 'number' || this.derived.hardCapReached) return;
+      if (elapsedMs < minutes * 60 * 1000) {
+        this.state.timeCapsFired[type] = false;
+        return;
+      }
+      const alreadyLogged = this.state.scoreLogs.some((log) => this.getLogType(log) === type);
+      if (this.state.timeCapsFired[type] || alreadyLogged) return;
+      this.state.timeCapsFired[type] = true;
+      this.recordTimeCap(type);
+    });
+  }
+
+  /**
+   * Append a soft or hard cap event and announce the new target
+   */
+  recordTimeCap(type) {
+    return this.withHistory(type === 'hardcap' ? 'Hard cap' : 'Soft cap', () => {
+      if (type !== 'softcap' && type !== 'hardcap') {
+        return { ok: false, message: 'Unknown cap type.', level: 'error' };
+      }
+      const log = this.appendEvent(type);
+      const { phase, target } = this.derived.capState;
+      this.emit('timecap', { log, phase, target });
+      if (type === 'softcap') {
+        this.notice(typeof target === 'number'
+          ? `Soft cap reached. Game to ${target}.`
+          : 'Soft cap reached.', 'warning');
+      } else {
+        this.notice('Hard cap reached. The game ends after the current point (play on if tied).', 'warning');
+      }
+      return { ok: true, log };
+    });
+  }
+
+  attemptPendingHalftime() {
+    const halftime = this.state.halftime;
+    if (!this.state.matchStarted || this.derived.halftimeLog) return;
+    if (halftime.pendingReason !== 'clock') return;
+
+    const result = this.recordHalftime({ reason: 'clock' });
+    if (result.ok) {
+      this.notice('Halftime break started after the latest point.');
+    }
+  }
+
+  // ---------------------------------------------------
+  // Internals
+  // ---------------------------------------------------
+
+  /**
+   * Generate a time-based score ID that is unique within this engine
+   */
+  nextScoreID() {
+    const id = Math.max(this.now(), this.lastScoreID + 1);
+    this.lastScoreID = id;
+    return id.toString();
+  }
+
+  /**
+   * Generate an ID for a new match: start time plus a random suffix, so
+   * matches started on different devices do not collide
+   */
+  createMatchId() {
+    return `${this.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+  }
+
+  /**
+   * Game-clock fields for a new event: elapsed and remaining main-clock
+   * seconds (the clock stops at zero, so remaining is never negative), plus
+   * the seconds timer when it is running. Empty without a clock reader.
+   */
+  readClock() {
+    const reading = this.clock ? this.clock() : null;
+    if (!reading || typeof reading.remainingSeconds !== 'number' || Number.isNaN(reading.remainingSeconds)) {
+      return {};
+    }
+    const fields = {
+      ElapsedSeconds: this.getMatchMinutes() * 60 - reading.remainingSeconds,
+      RemainingSeconds: reading.remainingSeconds
+    };
+    if (typeof reading.secondsTimer === 'number') {
+      fields.SecondsTimer = reading.secondsTimer;
+    }
+    return fields;
+  }
+
+  /**
+   * Create log object
+   */
+  createLogObject(scoreID, teamLetter, scorer, assist, overrides = {}) {
+    const teamName = (teamLetter === 'A' || teamLetter === 'B') ? this.getTeamName(teamLetter) : '';
+
+    const createdAt = new Date(this.now());
+
+    const baseLog = {
+      scoreID,
+      GameID: this.getGameID(),
+      Time: createdAt.toLocaleString(),
+      // UTC timestamp for tools that cannot parse the locale Time
+      Timestamp: createdAt.toISOString(),
+      ...this.readClock(),
+      Team: teamName,
+      TeamName: teamName,
+      TeamLetter: teamLetter || '',
+      Score: scorer,
+      Assist: assist,
+      Type: 'score',
+      Event: '',
+      EventType: this.getEventTypeLabel('score')
+    };
+
+    const mergedLog = { ...baseLog, ...overrides };
+
+    mergedLog.EventType = overrides.EventType ?? this.getEventTypeLabel(mergedLog.Type);
+
+    return mergedLog;
+  }
+
+  /**
+   * Append a non-score event (start, timeout, halftime, stoppage, time caps, end, stats)
+   */
+  appendEvent(type, teamLetter = null, extra = {}) {
+    let displayLabel;
+    switch (type) {
+      case 'timeout':
+        displayLabel = 'Time out';
+        break;
+      case 'halftime':
+        displayLabel = 'HT';
+        break;
+      case 'matchstart':
+        displayLabel = 'MatchStart';
+        break;
+      case 'stoppage':
+        displayLabel = 'STOP';
+        break;
+      case 'softcap':
+        displayLabel = 'Soft cap';
+        break;
+      case 'hardcap':
+        displayLabel = 'Hard cap';
+        break;
+      case 'matchend':
+        displayLabel = 'END';
+        break;
+      case 'turnover':
+      case 'block':
+      case 'pull':
+        displayLabel = STAT_EVENT_TYPES[type];
+        break;
+      default:
+        displayLabel = (type || '').toString().toUpperCase();
+        break;
+    }
+
+    const overrides = {
+      Type: type,
+      Event: displayLabel,
+      Score: '',
+      Assist: '',
+      EventType: this.getEventTypeLabel(type),
+      ...extra
+    };
+    if (!teamLetter) {
+      overrides.Team = '';
+      overrides.TeamName = '';
+      overrides.TeamLetter = '';
+    }
+    const log = this.createLogObject(this.nextScoreID(), teamLetter, '', '', overrides);
+    this.state.scoreLogs.push(log);
+    this.applyChange('log:added', { log });
+    return log;
+  }
+
+  // ---------------------------------------------------
+  // Serialization
+  // ---------------------------------------------------
+
+  /**
+   * Flatten the match into the persisted gameState shape
+   */
+  toGameState() {
+    const { teams, settings } = this.state;
+    const { score, halftimeLog } = this.derived;
+    return {
+      teamAScore: score.A,
+      teamBScore: score.B,
+      teamAName: teams.A.name,
+      teamBName: teams.B.name,
+      teamAPlayers: teams.A.players.join('\n'),
+      teamBPlayers: teams.B.players.join('\n'),
+      teamAGenders: { ...teams.A.genders },
+      teamBGenders: { ...teams.B.genders },
+      gameTime: this.state.gameTime,
+      matchId: this.state.matchId,
+      scoreLogs: this.state.scoreLogs,
+      abbaStart: settings.abbaStart,
+      ratioRule: settings.ratioRule,
+      ratioEndzoneTeam: settings.ratioEndzoneTeam,
+      abbaHalftime: settings.abbaHalftime,
+      stoppageActive: this.state.stoppageActive,
+      matchDuration: settings.matchDuration,
+      halftimeDuration: settings.halftimeDuration,
+      halftimeBreakDuration: settings.halftimeBreakDuration,
+      timeoutDuration: settings.timeoutDuration,
+      timeoutsTotal: settings.timeoutsTotal,
+      timeoutsPerHalf: settings.timeoutsPerHalf,
+      rulesProfile: settings.rulesProfile,
+      gameTo: settings.gameTo,
+      winBy: settings.winBy,
+      scoreCap: settings.scoreCap,
+      softCapMinutes: settings.softCapMinutes,
+      hardCapMinutes: settings.hardCapMinutes,
+      softCapIncrement: settings.softCapIncrement,
+      halftimeScoreTarget: settings.halftimeScoreTarget,
+      betweenPointSeconds: settings.betweenPointSeconds,
+      lineTracking: settings.lineTracking,
+      lineSize: settings.lineSize,
+      teamAColor: settings.teamAColor,
+      teamBColor: settings.teamBColor,
+      currentLine: MatchEngine.normalizeLine(this.state.currentLine),
+      spirit: this.getSpirit(),
+      timeoutState: this.getTimeoutStateSnapshot(),
+      matchStarted: this.state.matchStarted,
+      timeCapsFired: { ...this.state.timeCapsFired },
+      matchEnded: Boolean(this.derived.result),
+      matchResult: this.getResult(),
+      halftimeReasonResolved: halftimeLog ? (halftimeLog.HalftimeReason || 'restored') : null
+    };
+  }
+
+  /**
+   * Restore the match from a persisted gameState object. With
+   * `rebaseHistory` the undo and redo stacks are kept and rebased onto the
+   * loaded state (see rebaseSnapshot); otherwise they are cleared.
+   */
+  loadGameState(gameState = {}, { rebaseHistory = false } = {}) {
+    const previous = rebaseHistory ? { state: this.snapshot(), history: this.history } : null;
+    const numberOr = (value, fallback) => (typeof value === 'number' && !Number.isNaN(value) ? value : fallback);
+    // Rules that can be switched off are stored as null
+    const optionalNumberOr = (key, fallback) => (gameState[key] === null ? null : numberOr(gameState[key], fallback));
+    const colorOr = (value, fallback) => (MatchEngine.isColor(value) ? value.toLowerCase() : fallback);
+    const defaults = this.defaultSettings;
+    const storedAbba = gameState.abbaStart;
+    const settings = {
+      ...defaults,
+      matchDuration: numberOr(gameState.matchDuration, defaults.matchDuration),
+      halftimeDuration: numberOr(gameState.halftimeDuration, defaults.halftimeDuration),
+      halftimeBreakDuration: numberOr(gameState.halftimeBreakDuration, defaults.halftimeBreakDuration),
+      timeoutDuration: numberOr(gameState.timeoutDuration, defaults.timeoutDuration),
+      timeoutsTotal: numberOr(gameState.timeoutsTotal, defaults.timeoutsTotal),
+      timeoutsPerHalf: numberOr(gameState.timeoutsPerHalf, defaults.timeoutsPerHalf),
+      abbaStart: (storedAbba === 'M' || storedAbba === 'F') ? storedAbba : 'NONE',
+      ratioRule: RATIO_RULES[gameState.ratioRule] ? gameState.ratioRule : defaults.ratioRule,
+      ratioEndzoneTeam: gameState.ratioEndzoneTeam === 'B' ? 'B' : 'A',
+      abbaHalftime: ABBA_HALFTIME_MODES[gameState.abbaHalftime] ? gameState.abbaHalftime : defaults.abbaHalftime,
+      gameTo: optionalNumberOr('gameTo', defaults.gameTo),
+      winBy: numberOr(gameState.winBy, defaults.winBy),
+      scoreCap: optionalNumberOr('scoreCap', defaults.scoreCap),
+      softCapMinutes: optionalNumberOr('softCapMinutes', defaults.softCapMinutes),
+      hardCapMinutes: optionalNumberOr('hardCapMinutes', defaults.hardCapMinutes),
+      softCapIncrement: numberOr(gameState.softCapIncrement, defaults.softCapIncrement),
+      halftimeScoreTarget: optionalNumberOr('halftimeScoreTarget', defaults.halftimeScoreTarget),
+      betweenPointSeconds: numberOr(gameState.betweenPointSeconds, defaults.betweenPointSeconds),
+      lineTracking: typeof gameState.lineTracking === 'boolean' ? gameState.lineTracking : defaults.lineTracking,
+      lineSize: numberOr(gameState.lineSize, defaults.lineSize),
+      teamAColor: colorOr(gameState.teamAColor, defaults.teamAColor),
+      teamBColor: colorOr(gameState.teamBColor, defaults.teamBColor)
+    };
+    settings.rulesProfile = MatchEngine.detectRulesProfile(settings);
+
+    const state = this.createInitialState(settings);
+    ['A', 'B'].forEach((teamLetter) => {
+      const roster = MatchEngine.parseRoster(gameState[`team${teamLetter}Players`]);
+      const stored = gameState[`team${teamLetter}Genders`] || {};
+      roster.players.forEach((player) => {
+        if (stored[player] === 'M' || stored[player] === 'F') roster.genders[player] = stored[player];
+      });
+      state.teams[teamLetter] = { name: gameState[`team${teamLetter}Name`] || '', ...roster };
+    });
+    state.scoreLogs = Array.isArray(gameState.scoreLogs) ? gameState.scoreLogs : [];
+    state.gameTime = gameState.gameTime || '';
+    // Matches saved before match IDs existed take theirs from the first log entry
+    const firstLog = state.scoreLogs[0];
+    state.matchId = typeof gameState.matchId === 'string' && gameState.matchId
+      ? gameState.matchId
+      : (firstLog?.scoreID ? `m${firstLog.scoreID}` : null);
+    state.currentLine = MatchEngine.normalizeLine(gameState.currentLine);
+    state.spirit = MatchEngine.normalizeSpirit(gameState.spirit);
+    state.stoppageActive = Boolean(gameState.stoppageActive);
+    state.matchStarted = typeof gameState.matchStarted === 'boolean'
+      ? gameState.matchStarted
+      : state.scoreLogs.length > 0;
+    // Older saved states have no flags, only the logged caps
+    const firedCaps = gameState.timeCapsFired || {};
+    Object.keys(state.timeCapsFired).forEach((type) => {
+      state.timeCapsFired[type] = firedCaps[type] === true
+        || state.scoreLogs.some((log) => (log?.Type || '').toLowerCase() === type);
+    });
+
+    this.state = state;
+    this.lastScoreID = state.scoreLogs.reduce((max, log) => {
+      const numeric = parseInt(log?.scoreID, 10);
+      return Number.isFinite(numeric) ? Math.max(max, numeric) : max;
+    }, 0);
+    this.derived = null;
+    this.history = { undo: [], redo: [] };
+    this.applyChange('loaded', {}, { silent: true });
+    if (previous) {
+      const after = this.snapshot();
+      const rebase = (list) => list.map((entry) => ({
+        label: entry.label,
+        state: MatchEngine.rebaseSnapshot(entry.state, previous.state, after)
+      }));
+      // Drop steps the loaded changes made empty
+      const prune = (list) => list.filter((entry, index) => JSON.stringify(entry.state)
+        !== JSON.stringify(index + 1 < list.length ? list[index + 1].state : after));
+      this.history = {
+        undo: prune(rebase(previous.history.undo)),
+        redo: prune(rebase(previous.history.redo))
+      };
+    }
+    this.emit('history', this.getHistorySummary());
+    return this.state;
+  }
+
+  /**
+   * Apply the difference between two snapshots to a third (an undo or redo
+   * step), so that stepping back keeps changes loaded from elsewhere. Parts
+   * of the state, settings and log row fields that differ take the `after`
+   * value; rows gone from `after` are dropped and rows new in it are placed
+   * after the row they follow there.
+   */
+  static rebaseSnapshot(snapshot, before, after) {
+    const copy = JSON.parse(JSON.stringify(snapshot));
+    const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+    const carry = (target, from, to) => {
+      new Set([...Object.keys(from), ...Object.keys(to)]).forEach((key) => {
+        if (same(from[key], to[key])) return;
+        if (key in to) {
+          target[key] = JSON.parse(JSON.stringify(to[key]));
+        } else {
+          delete target[key];
+        }
+      });
+    };
+
+    Object.keys(after).forEach((key) => {
+      if (key === 'scoreLogs') return;
+      if (key === 'settings') {
+        copy.settings = copy.settings || {};
+        carry(copy.settings, before.settings || {}, after.settings || {});
+      } else if (!same(before[key], after[key])) {
+        copy[key] = JSON.parse(JSON.stringify(after[key]));
+      }
+    });
+
+    const beforeRows = new Map(before.scoreLogs.map((log) => [log.scoreID, log]));
+    const afterRows = new Map(after.scoreLogs.map((log) => [log.scoreID, log]));
+    const logs = copy.scoreLogs.filter((log) => !beforeRows.has(log.scoreID) || afterRows.has(log.scoreID));
+    logs.forEach((log) => {
+      if (beforeRows.has(log.scoreID)) carry(log, beforeRows.get(log.scoreID), afterRows.get(log.scoreID));
+    });
+    after.scoreLogs.forEach((log, index) => {
+      if (beforeRows.has(log.scoreID) || logs.some((entry) => entry.scoreID === log.scoreID)) return;
+      let position = 0;
+      for (let i = index - 1; i >= 0 && position === 0; i--) {
+        position = logs.findIndex((entry) => entry.scoreID === after.scoreLogs[i].scoreID) + 1;
+      }
+      logs.splice(position, 0, JSON.parse(JSON.stringify(log)));
+    });
+    copy.scoreLogs = logs;
+    return copy;
+  }
+
+  /**
+   * Normalize a roster given as an array or newline separated text
+   */
+  static normalizeRoster(players) {
+    const list = Array.isArray(players)
+      ? players
+      : (players || '').toString().split('\n');
+    return list.map((player) => (player || '').toString().trim()).filter(Boolean);
+  }
+
+  /**
+   * Split roster entries into names and designations: "Sam (F)" or
+   * "Sam [WMP]" becomes Sam with designation F
+   */
+  static parseRoster(players) {
+    const genders = {};
+    const names = MatchEngine.normalizeRoster(players).map((entry) => {
+      const match = entry.match(DESIGNATION_PATTERN);
+      if (!match) return entry;
+      const name = entry.slice(0, match.index).trim();
+      const tag = match[1].toUpperCase();
+      genders[name] = (tag === 'M' || tag === 'MMP' || tag === 'OPEN') ? 'M' : 'F';
+      return name;
+    }).filter(Boolean);
+    return { players: names, genders };
+  }
+
+  /**
+   * Hang time in seconds rounded to tenths; null when blank and false when
+   * it is not a usable number
+   */
+  static parseHangTime(value) {
+    if (value === null || value === undefined || value.toString().trim() === '') return null;
+    const seconds = Number(value);
+    if (!Number.isFinite(seconds) || seconds <= 0 || seconds > 60) return false;
+    return Math.round(seconds * 10) / 10;
+  }
+
+  /**
+   * Team colors are stored as #rrggbb
+   */
+  static isColor(value) {
+    return typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+  }
+
+  /**
+   * Spirit entries for both teams; scores outside 0-4 become null (not given)
+   */
+  static normalizeSpirit(spirit = null) {
+    const normalizeEntry = (entry) => {
+      const scores = {};
+      Object.keys(SPIRIT_CATEGORIES).forEach((key) => {
+        const raw = entry?.scores?.[key];
+        const value = (raw === null || raw === undefined || raw === '') ? NaN : Number(raw);
+        scores[key] = Number.isInteger(value) && value >= 0 && value <= 4 ? value : null;
+      });
+      const text = (value) => (typeof value === 'string' ? value.trim() : '');
+      return {
+        scores,
+        comments: text(entry?.comments),
+        mvp: text(entry?.mvp),
+        msp: text(entry?.msp)
+      };
+    };
+    return { A: normalizeEntry(spirit?.A), B: normalizeEntry(spirit?.B) };
+  }
+
+  /**
+   * Normalize a line to { A: [players], B: [players], offense, ratio }
+   * where offense is 'A'|'B'|null and ratio 'M'|'F'|null
+   */
+  static normalizeLine(line = null) {
+    const offense = line && (line.offense === 'A' || line.offense === 'B') ? line.offense : null;
+    const ratio = line && (line.ratio === 'M' || line.ratio === 'F') ? line.ratio : null;
+    return {
+      A: MatchEngine.normalizeRoster(Array.isArray(line?.A) ? line.A : []),
+      B: MatchEngine.normalizeRoster(Array.isArray(line?.B) ? line.B : []),
+      offense,
+      ratio
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = {
+    MatchEngine,
+    MATCH_ENGINE_DEFAULTS,
+    MATCH_HISTORY_LIMIT,
+    RULES_PROFILES,
+    MATCH_END_REASONS,
+    STAT_EVENT_TYPES,
+    TURNOVER_KINDS,
+    RATIO_RULES,
+    ABBA_HALFTIME_MODES,
+    SPIRIT_CATEGORIES
+  };
+}
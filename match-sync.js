@@ -0,0 +1,286 @@
+// =====================================================
+// MATCH SYNC - One match scored on two devices
+// =====================================================
+// Each device keeps a replica of the shared match and sends what it changed
+// as operations. An operation is stamped with the device ID and a Lamport
+// clock (one more than the highest value the device has seen), and stamps
+// are ordered by clock, then device ID, so every device ranks them alike.
+//
+// Merging is done per field: every field of every log row, and every synced
+// part of the game state (team names, rosters, each setting, spirit, the
+// clocks), keeps the value of the latest stamp. Two devices editing the same
+// row therefore keep both edits when they touched different fields, and the
+// edit with the later stamp when they touched the same one. A deleted row
+// stays deleted, even if the other device edited it concurrently. Applying
+// the same operations in any order, or twice, gives the same match.
+//
+// Rows are identified by scoreID and sorted by it (IDs are creation times).
+// Events a match can have only once (start, halftime, time caps, end) may be
+// logged automatically on both devices; only the earliest is shown.
+//
+// MatchSync never touches the DOM or the network: the app reads the match
+// into { rows, registers } for commit() and loads view() back into the engine.
+
+// gameState keys that are not synced: derived from the log, identifying the
+// match, or kept per device (gameTime follows the local clock display)
+const SYNC_LOCAL_KEYS = [
+  'teamAScore', 'teamBScore', 'matchId', 'scoreLogs', 'timeoutState', 'matchEnded',
+  'matchResult', 'halftimeReasonResolved', 'gameTime', 'timestamp', 'schemaVersion'
+];
+const SYNC_SINGLE_EVENT_TYPES = ['matchstart', 'halftime', 'softcap', 'hardcap', 'matchend'];
+
+class MatchSync {
+  /**
+   * `data` is a previous toJSON() of the same match, if any
+   */
+  constructor(deviceId, matchId, data = null) {
+    const stored = data || {};
+    this.deviceId = deviceId;
+    this.matchId = matchId;
+    this.lamport = stored.lamport || 0;
+    this.seq = stored.seq || 0; // Operations sent by this device
+    this.relaySeq = stored.relaySeq || 0; // Last relay sequence number read
+    // scoreID -> { fields: { [name]: { value, stamp, first, removed } }, origin, changed, deleted },
+    // with origin the stamp that created the row and changed the last one that won a field
+    this.rows = stored.rows || {};
+    this.registers = stored.registers || {}; // key -> { value, stamp }
+    this.observed = stored.observed || null; // Local match at the last commit or observe
+    this.needsReload = false; // Set when commit() renamed a local row; load view() back
+  }
+
+  /**
+   * -1, 0 or 1 as stamp `a` ([lamport, deviceId]) is earlier, equal or later than `b`
+   */
+  static compareStamps(a, b) {
+    if (a[0] !== b[0]) return a[0] < b[0] ? -1 : 1;
+    if (a[1] === b[1]) return 0;
+    return a[1] < b[1] ? -1 : 1;
+  }
+
+  static compareFieldOrder(a, b) {
+    return MatchSync.compareStamps(a, b) || a[2] - b[2];
+  }
+
+  static compareScoreIds(a, b) {
+    const numericA = Number(a);
+    const numericB = Number(b);
+    if (Number.isFinite(numericA) && Number.isFinite(numericB) && numericA !== numericB) {
+      return numericA - numericB;
+    }
+    if (a === b) return 0;
+    return a < b ? -1 : 1;
+  }
+
+  static same(a, b) {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+
+  /**
+   * Compare the local match ({ rows, registers }) with what was last seen
+   * and turn the differences into an operation. Returns the operation to
+   * send, or null when nothing changed.
+   *
+   * A new row whose scoreID the sync already knows is a deleted row brought
+   * back by undo, or took the ID of a row from another device (IDs can tie
+   * when the device clocks differ). It is sent under a free ID that sorts
+   * right after the old one ("1700000000000" becomes "1700000000000.1"), so
+   * it keeps its place in the log, and needsReload is set, since the engine
+   * still has the old ID.
+   */
+  commit(local) {
+    const previous = this.observed || { rows: [], registers: {} };
+    const before = new Map(previous.rows.map((row) => [row.scoreID, row]));
+    const changes = [];
+    const used = new Set([...Object.keys(this.rows), ...local.rows.map((row) => row.scoreID)]);
+
+    local.rows.forEach((row) => {
+      const old = before.get(row.scoreID);
+      before.delete(row.scoreID);
+      if (!old && this.rows[row.scoreID]) {
+        const base = row.scoreID.includes('.') ? row.scoreID : `${row.scoreID}.`;
+        let suffix = 1;
+        while (used.has(`${base}${suffix}`)) suffix += 1;
+        const scoreID = `${base}${suffix}`;
+        used.add(scoreID);
+        changes.push({ scoreID, set: { ...row, scoreID } });
+        this.needsReload = true;
+        return;
+      }
+      const set = {};
+      Object.keys(row).forEach((field) => {
+        if (!old || !MatchSync.same(old[field], row[field])) set[field] = row[field];
+      });
+      const unset = old ? Object.keys(old).filter((field) => !(field in row)) : [];
+      if (Object.keys(set).length > 0 || unset.length > 0) {
+        changes.push(unset.length > 0 ? { scoreID: row.scoreID, set, unset } : { scoreID: row.scoreID, set });
+      }
+    });
+    before.forEach((row, scoreID) => changes.push({ scoreID, deleted: true }));
+
+    Object.keys(local.registers).forEach((key) => {
+      if (!MatchSync.same(previous.registers[key], local.registers[key])) {
+        changes.push({ register: key, value: local.registers[key] });
+      }
+    });
+
+    this.observe(local);
+    if (changes.length === 0) return null;
+
+    this.lamport += 1;
+    this.seq += 1;
+    const operation = JSON.parse(JSON.stringify({
+      type: 'sync-op',
+      deviceId: this.deviceId,
+      matchId: this.matchId,
+      seq: this.seq,
+      lamport: this.lamport,
+      sentAt: new Date().toISOString(),
+      changes
+    }));
+    this.apply(operation);
+    return operation;
+  }
+
+  /**
+   * Take the local match as the state changes are measured from, e.g. after
+   * the merged match was loaded into the engine
+   */
+  observe(local) {
+    this.observed = JSON.parse(JSON.stringify(local));
+  }
+
+  /**
+   * Merge an operation from any device; returns whether the match changed
+   */
+  receive(operation) {
+    if (!operation || operation.matchId !== this.matchId || !Array.isArray(operation.changes)) return false;
+    this.lamport = Math.max(this.lamport, operation.lamport);
+    return this.apply(operation);
+  }
+
+  apply(operation) {
+    const stamp = [operation.lamport, operation.deviceId];
+    const wins = (current) => !current || MatchSync.compareStamps(stamp, current) > 0;
+    let changed = false;
+
+    operation.changes.forEach((change) => {
+      if (typeof change.register === 'string') {
+        const current = this.registers[change.register];
+        if (wins(current && current.stamp)) {
+          this.registers[change.register] = { value: change.value, stamp };
+          changed = true;
+        }
+        return;
+      }
+
+      if (change.scoreID === undefined || change.scoreID === null) return;
+      const scoreID = String(change.scoreID);
+      const row = this.rows[scoreID] || { fields: {}, origin: null, changed: null, deleted: null };
+      this.rows[scoreID] = row;
+      if (change.deleted) {
+        if (wins(row.deleted)) {
+          changed = changed || !row.deleted;
+          row.deleted = stamp;
+        }
+        return;
+      }
+
+      if (!row.origin || MatchSync.compareStamps(stamp, row.origin) < 0) row.origin = stamp;
+      let won = false;
+      // Fields are listed in the order they were first written, whichever
+      // operation arrives first
+      const write = (field, index, entry) => {
+        const current = row.fields[field];
+        const first = [stamp[0], stamp[1], index];
+        const earliest = current && MatchSync.compareFieldOrder(current.first, first) < 0 ? current.first : first;
+        if (wins(current && current.stamp)) {
+          row.fields[field] = { ...entry, stamp, first: earliest };
+          won = true;
+        } else {
+          current.first = earliest;
+        }
+      };
+      Object.entries(change.set || {}).forEach(([field, value], index) => write(field, index, { value }));
+      (change.unset || []).forEach((field, index) => write(field, -1 - index, { value: null, removed: true }));
+      if (won && wins(row.changed)) row.changed = stamp;
+      changed = changed || won;
+    });
+    return changed;
+  }
+
+  /**
+   * The merged match: visible log rows in order and register values
+   */
+  view() {
+    const seenTypes = new Set();
+    const rows = Object.keys(this.rows)
+      .filter((scoreID) => !this.rows[scoreID].deleted && this.rows[scoreID].origin)
+      .sort((a, b) => MatchSync.compareScoreIds(a, b)
+        || MatchSync.compareStamps(this.rows[a].origin, this.rows[b].origin))
+      .map((scoreID) => {
+        const { fields } = this.rows[scoreID];
+        const log = {};
+        Object.keys(fields)
+          .sort((a, b) => MatchSync.compareFieldOrder(fields[a].first, fields[b].first))
+          .forEach((field) => {
+            if (!fields[field].removed) log[field] = fields[field].value;
+          });
+        return log;
+      })
+      .filter((log) => {
+        const type = (log.Type || '').toString().toLowerCase();
+        if (!SYNC_SINGLE_EVENT_TYPES.includes(type)) return true;
+        if (seenTypes.has(type)) return false;
+        seenTypes.add(type);
+        return true;
+      });
+
+    const registers = {};
+    Object.keys(this.registers).sort().forEach((key) => {
+      registers[key] = this.registers[key].value;
+    });
+    return { rows, registers };
+  }
+
+  /**
+   * Who last changed a row: { deviceId, added } where `added` means that
+   * change created it, or null for rows not known to the sync
+   */
+  getRowChange(scoreID) {
+    const row = this.rows[scoreID];
+    if (!row || !row.changed) return null;
+    return {
+      deviceId: row.changed[1],
+      added: MatchSync.compareStamps(row.changed, row.origin) === 0
+    };
+  }
+
+  /**
+   * IDs of the devices whose changes show in the merged match
+   */
+  getDevices() {
+    const devices = new Set();
+    Object.values(this.rows).forEach((row) => {
+      [row.origin, row.changed, row.deleted].forEach((stamp) => {
+        if (stamp) devices.add(stamp[1]);
+      });
+    });
+    Object.values(this.registers).forEach((entry) => devices.add(entry.stamp[1]));
+    return [...devices];
+  }
+
+  toJSON() {
+    return {
+      lamport: this.lamport,
+      seq: this.seq,
+      relaySeq: this.relaySeq,
+      rows: this.rows,
+      registers: this.registers,
+      observed: this.observed
+    };
+  }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { MatchSync, SYNC_LOCAL_KEYS, SYNC_SINGLE_EVENT_TYPES };
+}
@@ -0,0 +1,380 @@
+// =====================================================
+// QR CODE - Self-contained QR Code Model 2 encoder
+// =====================================================
+// Encodes a byte string into a QR symbol (ISO/IEC 18004) so the app can show
+// match transfer links without a third-party library or network access. Only
+// byte mode is implemented because transfer links are URLs. The encoder picks
+// the smallest version (1-40) that fits at the requested error correction
+// level, adds Reed-Solomon codewords, and chooses the mask with the lowest
+// penalty score. The result is a plain matrix of booleans (true = dark) that
+// the UI renders as a single SVG path.
+
+const QR_ERROR_CORRECTION = {
+  L: { ordinal: 0, formatBits: 1 },
+  M: { ordinal: 1, formatBits: 0 },
+  Q: { ordinal: 2, formatBits: 3 },
+  H: { ordinal: 3, formatBits: 2 }
+};
+
+// Indexed by error correction ordinal, then version (index 0 is unused).
+const QR_ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const QR_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const QR_MIN_VERSION = 1;
+const QR_MAX_VERSION = 40;
+
+const QrCode = {
+  /**
+   * Encode text (as UTF-8) or a byte array into a QR symbol.
+   * @param {string|Uint8Array|number[]} input
+   * @param {{errorCorrection?: 'L'|'M'|'Q'|'H'}} [options]
+   * @returns {{version: number, size: number, errorCorrection: string, modules: boolean[][]}}
+   * @throws {RangeError} when the data does not fit in a version 40 symbol
+   */
+  encode(input, options = {}) {
+    const bytes = typeof input === 'string'
+      ? Array.from(new TextEncoder().encode(input))
+      : Array.from(input);
+    const level = options.errorCorrection || 'M';
+    const ecl = QR_ERROR_CORRECTION[level];
+    if (!ecl) throw new RangeError(`Unknown error correction level "${level}"`);
+
+    let version = QR_MIN_VERSION;
+    for (; version <= QR_MAX_VERSION; version++) {
+      if (this.dataBitsNeeded(bytes.length, version) <= this.getNumDataCodewords(version, ecl) * 8) break;
+    }
+    if (version > QR_MAX_VERSION) {
+      throw new RangeError(`Data is too long for a QR code (${bytes.length} bytes)`);
+    }
+
+    const capacityBits = this.getNumDataCodewords(version, ecl) * 8;
+    const bits = [];
+    const appendBits = (value, length) => {
+      for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+    };
+    appendBits(0x4, 4); // byte mode
+    appendBits(bytes.length, version < 10 ? 8 : 16);
+    bytes.forEach(b => appendBits(b, 8));
+    appendBits(0, Math.min(4, capacityBits - bits.length));
+    appendBits(0, (8 - bits.length % 8) % 8);
+    for (let pad = 0xEC; bits.length < capacityBits; pad ^= 0xEC ^ 0x11) appendBits(pad, 8);
+
+    const dataCodewords = [];
+    for (let i = 0; i < bits.length; i += 8) {
+      dataCodewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+    }
+
+    const symbol = this.createSymbol(version);
+    this.drawFunctionPatterns(symbol, ecl);
+    this.drawCodewords(symbol, this.addEccAndInterleave(dataCodewords, version, ecl));
+
+    let bestMask = 0;
+    let bestPenalty = Infinity;
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(symbol, mask);
+      this.drawFormatBits(symbol, ecl, mask);
+      const penalty = this.getPenaltyScore(symbol);
+      if (penalty < bestPenalty) {
+        bestMask = mask;
+        bestPenalty = penalty;
+      }
+      this.applyMask(symbol, mask); // XOR again to undo
+    }
+    this.applyMask(symbol, bestMask);
+    this.drawFormatBits(symbol, ecl, bestMask);
+
+    return {
+      version,
+      size: symbol.size,
+      errorCorrection: level,
+      modules: symbol.modules
+    };
+  },
+
+  /**
+   * Build the "d" attribute of an SVG path that draws every dark module,
+   * offset by a quiet zone of `border` modules.
+   */
+  toSvgPath(qr, border = 4) {
+    const parts = [];
+    qr.modules.forEach((row, y) => {
+      row.forEach((dark, x) => {
+        if (dark) parts.push(`M${x + border},${y + border}h1v1h-1z`);
+      });
+    });
+    return parts.join('');
+  },
+
+  dataBitsNeeded(byteCount, version) {
+    const countBits = version < 10 ? 8 : 16;
+    if (byteCount >= (1 << countBits)) return Infinity;
+    return 4 + countBits + byteCount * 8;
+  },
+
+  getNumRawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+    if (version >= 2) {
+      const numAlign = Math.floor(version / 7) + 2;
+      result -= (25 * numAlign - 10) * numAlign - 55;
+      if (version >= 7) result -= 36;
+    }
+    return result;
+  },
+
+  getNumDataCodewords(version, ecl) {
+    return Math.floor(this.getNumRawDataModules(version) / 8)
+      - QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version] * QR_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+  },
+
+  getAlignmentPatternPositions(version, size) {
+    if (version === 1) return [];
+    const numAlign = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + numAlign * 3 + 5) / (numAlign * 4 - 4)) * 2;
+    const positions = [6];
+    for (let pos = size - 7; positions.length < numAlign; pos -= step) positions.splice(1, 0, pos);
+    return positions;
+  },
+
+  createSymbol(version) {
+    const size = version * 4 + 17;
+    const grid = () => Array.from({ length: size }, () => new Array(size).fill(false));
+    return { version, size, modules: grid(), isFunction: grid() };
+  },
+
+  setFunctionModule(symbol, x, y, dark) {
+    symbol.modules[y][x] = dark;
+    symbol.isFunction[y][x] = true;
+  },
+
+  drawFunctionPatterns(symbol, ecl) {
+    const { size, version } = symbol;
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(symbol, 6, i, i % 2 === 0);
+      this.setFunctionModule(symbol, i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          if (x < 0 || x >= size || y < 0 || y >= size) continue;
+          const dist = Math.max(Math.abs(dx), Math.abs(dy));
+          this.setFunctionModule(symbol, x, y, dist !== 2 && dist !== 4);
+        }
+      }
+    });
+
+    const positions = this.getAlignmentPatternPositions(version, size);
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // Skip the three corners occupied by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunctionModule(symbol, cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    // Reserve the format areas now; the real bits are drawn per mask
+    this.drawFormatBits(symbol, ecl, 0);
+
+    if (version >= 7) {
+      let rem = version;
+      for (let i = 0; i < 12; i++) rem = (rem << 1) ^ ((rem >>> 11) * 0x1F25);
+      const bits = (version << 12) | rem;
+      for (let i = 0; i < 18; i++) {
+        const dark = ((bits >>> i) & 1) !== 0;
+        const a = size - 11 + (i % 3);
+        const b = Math.floor(i / 3);
+        this.setFunctionModule(symbol, a, b, dark);
+        this.setFunctionModule(symbol, b, a, dark);
+      }
+    }
+  },
+
+  drawFormatBits(symbol, ecl, mask) {
+    const { size } = symbol;
+    const data = (ecl.formatBits << 3) | mask;
+    let rem = data;
+    for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+    const bits = ((data << 10) | rem) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) !== 0;
+
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(symbol, 8, i, bit(i));
+    this.setFunctionModule(symbol, 8, 7, bit(6));
+    this.setFunctionModule(symbol, 8, 8, bit(7));
+    this.setFunctionModule(symbol, 7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(symbol, 14 - i, 8, bit(i));
+
+    for (let i = 0; i < 8; i++) this.setFunctionModule(symbol, size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(symbol, 8, size - 15 + i, bit(i));
+    this.setFunctionModule(symbol, 8, size - 8, true); // always-dark module
+  },
+
+  addEccAndInterleave(data, version, ecl) {
+    const numBlocks = QR_ERROR_CORRECTION_BLOCKS[ecl.ordinal][version];
+    const blockEccLen = QR_ECC_CODEWORDS_PER_BLOCK[ecl.ordinal][version];
+    const rawCodewords = Math.floor(this.getNumRawDataModules(version) / 8);
+    const numShortBlocks = numBlocks - rawCodewords % numBlocks;
+    const shortBlockLen = Math.floor(rawCodewords / numBlocks);
+    const divisor = this.reedSolomonDivisor(blockEccLen);
+
+    const blocks = [];
+    for (let i = 0, k = 0; i < numBlocks; i++) {
+      const dat = data.slice(k, k + shortBlockLen - blockEccLen + (i < numShortBlocks ? 0 : 1));
+      k += dat.length;
+      const ecc = this.reedSolomonRemainder(dat, divisor);
+      if (i < numShortBlocks) dat.push(0);
+      blocks.push(dat.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        // Short blocks carry a padding byte that is not transmitted
+        if (i !== shortBlockLen - blockEccLen || j >= numShortBlocks) result.push(block[i]);
+      });
+    }
+    return result;
+  },
+
+  drawCodewords(symbol, codewords) {
+    const { size, modules, isFunction } = symbol;
+    let i = 0;
+    for (let right = size - 1; right >= 1; right -= 2) {
+      if (right === 6) right = 5; // skip the vertical timing column
+      const upward = ((right + 1) & 2) === 0;
+      for (let vert = 0; vert < size; vert++) {
+        const y = upward ? size - 1 - vert : vert;
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          if (!isFunction[y][x] && i < codewords.length * 8) {
+            modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) !== 0;
+            i++;
+          }
+        }
+      }
+    }
+  },
+
+  applyMask(symbol, mask) {
+    const { size, modules, isFunction } = symbol;
+    const tests = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x, y) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+    const invert = tests[mask];
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (!isFunction[y][x] && invert(x, y)) modules[y][x] = !modules[y][x];
+      }
+    }
+  },
+
+  getPenaltyScore(symbol) {
+    const { size, modules } = symbol;
+    const finderLike = [
+      [true, false, true, true, true, false, true, false, false, false, false],
+      [false, false, false, false, true, false, true, true, true, false, true]
+    ];
+    let result = 0;
+
+    const scoreLine = line => {
+      let runColor = line[0];
+      let runLength = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === runColor) {
+          runLength++;
+          continue;
+        }
+        if (runLength >= 5) result += 3 + (runLength - 5);
+        if (i < size) {
+          runColor = line[i];
+          runLength = 1;
+        }
+      }
+      for (let i = 0; i + 11 <= size; i++) {
+        if (finderLike.some(pattern => pattern.every((dark, k) => line[i + k] === dark))) result += 40;
+      }
+    };
+
+    for (let y = 0; y < size; y++) scoreLine(modules[y]);
+    for (let x = 0; x < size; x++) scoreLine(modules.map(row => row[x]));
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            result += 3;
+          }
+        }
+      }
+    }
+    const total = size * size;
+    result += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+    return result;
+  },
+
+  reedSolomonMultiply(x, y) {
+    let z = 0;
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+    return z;
+  },
+
+  reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < result.length; j++) {
+        result[j] = this.reedSolomonMultiply(result[j], root);
+        if (j + 1 < result.length) result[j] ^= result[j + 1];
+      }
+      root = this.reedSolomonMultiply(root, 0x02);
+    }
+    return result;
+  },
+
+  reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+    data.forEach(b => {
+      const factor = b ^ result.shift();
+      result.push(0);
+      divisor.forEach((coef, i) => {
+        result[i] ^= this.reedSolomonMultiply(coef, factor);
+      });
+    });
+    return result;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { QrCode, QR_ERROR_CORRECTION };
+}
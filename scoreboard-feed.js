@@ -0,0 +1,126 @@
+// =====================================================
+// SCOREBOARD FEED - Live match snapshots for the scoreboard display
+// =====================================================
+// The scorekeeping tab publishes a small snapshot of the match on screen
+// (teams, colors, score, timeouts, last goal, status and both clocks) every
+// time something changes. Snapshots go out on a BroadcastChannel and the
+// latest one per match slot is also kept in localStorage, so a scoreboard
+// opened later starts from current data and browsers without
+// BroadcastChannel still get updates through the storage event.
+//
+// Clocks are not sent every second. A running clock travels as its end time
+// and a paused one as its remaining milliseconds; readClock() turns either
+// into the time shown with the same arithmetic as TimerManager and
+// SecondsTimerManager, so the scoreboard cannot drift from the scorekeeper.
+
+const SCOREBOARD_CHANNEL = 'scoresheet-scoreboard';
+const SCOREBOARD_STORAGE_KEY = 'scoreboard';
+
+const ScoreboardFeed = {
+  channel: null,
+
+  getChannel() {
+    if (!this.channel && typeof BroadcastChannel === 'function') {
+      this.channel = new BroadcastChannel(SCOREBOARD_CHANNEL);
+    }
+    return this.channel;
+  },
+
+  /**
+   * Latest snapshots as { activeSlot, slots: { [slotId]: snapshot } }
+   */
+  read() {
+    try {
+      const data = JSON.parse(localStorage.getItem(SCOREBOARD_STORAGE_KEY));
+      if (data && typeof data === 'object' && data.slots && typeof data.slots === 'object') {
+        return { activeSlot: data.activeSlot || null, slots: data.slots };
+      }
+    } catch (error) {
+      console.error('Failed to read scoreboard data:', error);
+    }
+    return { activeSlot: null, slots: {} };
+  },
+
+  /**
+   * Publish the snapshot of the match on screen. Snapshots of slots not in
+   * `slotIds` (removed matches) are dropped.
+   */
+  publish(snapshot, slotIds = null) {
+    const data = this.read();
+    data.activeSlot = snapshot.slotId;
+    data.slots[snapshot.slotId] = snapshot;
+    if (Array.isArray(slotIds)) {
+      Object.keys(data.slots).forEach((slotId) => {
+        if (!slotIds.includes(slotId)) delete data.slots[slotId];
+      });
+    }
+
+    try {
+      localStorage.setItem(SCOREBOARD_STORAGE_KEY, JSON.stringify(data));
+    } catch (error) {
+      console.error('Failed to save scoreboard data:', error);
+    }
+    const channel = this.getChannel();
+    if (channel) channel.postMessage(data);
+  },
+
+  /**
+   * Call `callback(data)` with every update from another tab. Returns a
+   * function that stops listening.
+   */
+  subscribe(callback) {
+    const channel = this.getChannel();
+    if (channel) {
+      const onMessage = (event) => callback(event.data);
+      channel.addEventListener('message', onMessage);
+      return () => channel.removeEventListener('message', onMessage);
+    }
+    const onStorage = (event) => {
+      if (event.key === SCOREBOARD_STORAGE_KEY) callback(this.read());
+    };
+    window.addEventListener('storage', onStorage);
+    return () => window.removeEventListener('storage', onStorage);
+  },
+
+  /**
+   * Time left on a published clock ({ isRunning, endTime, remainingTimeMs },
+   * end time in epoch ms) as { total, minutes, seconds }, or null. "Now" is
+   * taken to the whole second like the timers' getTimeRemaining(), so both
+   * screens turn over at the same moment. A running clock stops at zero, as
+   * the timers do.
+   */
+  readClock(clock, now = Date.parse(new Date())) {
+    if (!clock) return null;
+    const total = clock.isRunning && clock.endTime ? Math.max(0, clock.endTime - now) : clock.remainingTimeMs;
+    if (typeof total !== 'number' || !Number.isFinite(total)) return null;
+    return {
+      total,
+      minutes: Math.floor(total / 1000 / 60),
+      seconds: Math.floor((total / 1000) % 60)
+    };
+  },
+
+  /**
+   * Main clock text as TimerManager shows it, with a minus sign in overtime
+   */
+  formatMainClock(reading) {
+    if (!reading) return '--:--';
+    const mins = Math.abs(reading.minutes).toString().padStart(2, '0');
+    const secs = Math.abs(reading.seconds).toString().padStart(2, '0');
+    return `${reading.total < 0 ? '-' : ''}${mins}:${secs}`;
+  },
+
+  /**
+   * Seconds timer text as SecondsTimerManager shows it (never below zero)
+   */
+  formatSecondsClock(reading) {
+    if (!reading) return '--:--';
+    const mins = Math.max(0, reading.minutes).toString().padStart(2, '0');
+    const secs = Math.max(0, reading.seconds).toString().padStart(2, '0');
+    return `${mins}:${secs}`;
+  }
+};
+
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ScoreboardFeed, SCOREBOARD_CHANNEL, SCOREBOARD_STORAGE_KEY };
+}
@@ -0,0 +1,108 @@
+// =====================================================
+// SCOREBOARD DISPLAY - Read-only view for a second screen
+// =====================================================
+// Renders the snapshots published by the scorekeeping tab (see
+// scoreboard-feed.js). It follows the match shown in the scorekeeping tab,
+// or one match slot when opened as scoreboard.html?slot=<id>. The clocks are
+// redrawn from the snapshot five times a second, so no ticks need to be
+// sent. Clicking the board toggles full screen.
+
+class ScoreboardDisplay {
+  constructor(slotId = null) {
+    this.slotId = slotId; // Pinned match slot, or null to follow the scorekeeper
+    this.snapshot = null;
+    this.clockInterval = null;
+    this.render = this.render.bind(this);
+    this.toggleFullscreen = this.toggleFullscreen.bind(this);
+  }
+
+  start() {
+    this.render(ScoreboardFeed.read());
+    ScoreboardFeed.subscribe(this.render);
+    this.clockInterval = setInterval(() => this.updateClocks(), 200);
+    const board = document.getElementById('scoreboard');
+    if (board) board.addEventListener('click', this.toggleFullscreen);
+  }
+
+  /**
+   * Show the right snapshot from a feed update
+   */
+  render(data) {
+    const slots = (data && data.slots) || {};
+    this.snapshot = slots[this.slotId || data.activeSlot] || null;
+    const snapshot = this.snapshot;
+
+    const waiting = document.getElementById('scoreboardWaiting');
+    if (waiting) waiting.classList.toggle('hidden', Boolean(snapshot));
+    if (!snapshot) {
+      this.updateClocks();
+      return;
+    }
+
+    this.setText('scoreboardSlot', Object.keys(slots).length > 1 ? snapshot.slotName : '');
+    this.setText('scoreboardStatus', snapshot.status);
+    ['A', 'B'].forEach((letter) => {
+      const team = snapshot.teams[letter];
+      this.setText(`scoreboardName${letter}`, team.name);
+      this.setText(`scoreboardScore${letter}`, String(team.score));
+      this.setText(`scoreboardTimeouts${letter}`, snapshot.timeoutsPer === 'half' ? `${team.timeoutsLeft} this half` : String(team.timeoutsLeft));
+      const section = document.getElementById(`scoreboardTeam${letter}`);
+      if (section) {
+        section.style.setProperty('--team-color', team.color);
+        section.style.setProperty('--team-text', this.getTextColor(team.color));
+      }
+    });
+
+    const last = snapshot.lastScore;
+    let lastText = '';
+    if (last) {
+      const teamName = snapshot.teams[last.team].name;
+      if (last.scorer && last.assist) lastText = `Last goal: ${last.scorer} from ${last.assist} (${teamName})`;
+      else if (last.scorer) lastText = `Last goal: ${last.scorer} (${teamName})`;
+      else lastText = `Last goal: ${teamName}`;
+    }
+    this.setText('scoreboardLast', lastText);
+    this.updateClocks();
+  }
+
+  updateClocks() {
+    const snapshot = this.snapshot;
+    const main = snapshot ? ScoreboardFeed.readClock(snapshot.mainClock) : null;
+    const seconds = snapshot ? ScoreboardFeed.readClock(snapshot.secondsTimer) : null;
+    this.setText('scoreboardClock', ScoreboardFeed.formatMainClock(main));
+    this.setText('scoreboardSeconds', ScoreboardFeed.formatSecondsClock(seconds));
+
+    const clock = document.getElementById('scoreboardClock');
+    if (clock) clock.classList.toggle('running', Boolean(snapshot && snapshot.mainClock.isRunning));
+    const secondsEl = document.getElementById('scoreboardSeconds');
+    if (secondsEl) secondsEl.classList.toggle('running', Boolean(snapshot && snapshot.secondsTimer.isRunning));
+  }
+
+  setText(id, text) {
+    const el = document.getElementById(id);
+    if (el && el.textContent !== text) el.textContent = text;
+  }
+
+  /**
+   * Black or white, whichever reads better on the team color
+   */
+  getTextColor(color) {
+    const match = /^#([0-9a-f]{2})([0-9a-f]{2})([0-9a-f]{2})$/i.exec(color || '');
+    if (!match) return '#fff';
+    const [r, g, b] = match.slice(1).map((hex) => parseInt(hex, 16));
+    return (r * 299 + g * 587 + b * 114) / 1000 > 150 ? '#000' : '#fff';
+  }
+
+  toggleFullscreen() {
+    if (document.fullscreenElement) {
+      document.exitFullscreen().catch(() => {});
+    } else if (document.documentElement.requestFullscreen) {
+      document.documentElement.requestFullscreen().catch(() => {});
+    }
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  const slotId = new URLSearchParams(window.location.search).get('slot');
+  new ScoreboardDisplay(slotId).start();
+});
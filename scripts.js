@@ -9,13 +9,41 @@ const CONFIG = {
   DEFAULT_TIMER_MINUTES: 100,
   LOADING_ANIMATION_INTERVAL: 500,
   AUTO_SAVE_INTERVAL: 2000, // Auto-save every 2 seconds
+  OUTBOX_RETRY_BASE_MS: 5000, // First upload retry after 5 seconds, doubling per failure
+  OUTBOX_RETRY_MAX_MS: 5 * 60 * 1000, // ...up to 5 minutes between retries
+  OUTBOX_DELIVERED_KEEP: 10, // Delivered uploads listed in the panel
+  LIVE_FEED_URL: '', // Default live feed endpoint (http(s):// or ws(s)://); each device can change it in setup
+  LIVE_FEED_BATCH_SIZE: 50, // Messages per POST
+  LIVE_FEED_QUEUE_LIMIT: 1000, // Oldest unsent messages are dropped beyond this
+  LIVE_FEED_MATCHES_KEEP: 20, // Matches whose sequence numbers are remembered
+  LIVE_FEED_RETRY_BASE_MS: 2000, // First live feed retry after 2 seconds, doubling per failure
+  LIVE_FEED_RETRY_MAX_MS: 30 * 1000, // ...up to 30 seconds between retries
+  CO_SCORING_URL: '', // Default co-scoring relay (ws(s)://.../ws); each device can change it in setup
+  CO_SCORING_MATCHES_KEEP: 10, // Shared matches whose sync state is kept on the device
+  HISTORY_DB_NAME: 'scorekeeperHistory', // IndexedDB database of archived matches
+  HISTORY_RETENTION_DAYS: 365, // Archived matches older than this are pruned (0 keeps them all)
+  BACKUP_VERSION: 1, // Layout of backup files; newer files are refused
+  TRANSFER_VERSION: 1, // Layout of match transfer links; newer links are refused
+  DEFAULT_SLOT_ID: 'main', // Match slot whose data keeps the storage keys above unchanged
   HALFTIME_SCORE_TARGET: 8, // Trigger halftime once a single team reaches this score
+  DEFAULT_RULES_PROFILE: 'custom', // 'wfdf', 'usau', 'audl' or 'custom' (uses the values above)
   STORAGE_KEYS: {
     SCORE_LOGS: 'scoreLogs',
-    TIMER_END_TIME: 'timerEndTime',
+    TIMER_STATE: 'timerState',
+    TIMER_END_TIME: 'timerEndTime', // Timer keys before timerState, read once to migrate
     TIMER_RUNNING: 'timerRunning',
+    TIMER_REMAINING: 'timerRemainingTime',
     GAME_STATE: 'gameState',
     TEAMS_DATA: 'teamsData',
+    UNDO_HISTORY: 'undoHistory',
+    LINE_PRESETS: 'linePresets',
+    UPLOAD_OUTBOX: 'uploadOutbox',
+    LIVE_FEED: 'liveFeed',
+    CO_SCORING: 'coScoring',
+    DEVICE_ID: 'deviceId',
+    HISTORY_RETENTION: 'historyRetentionDays',
+    MATCH_SLOTS: 'matchSlots',
+    SCOREBOARD: SCOREBOARD_STORAGE_KEY, // Latest scoreboard snapshots (scoreboard-feed.js)
     LAST_SAVE: 'lastSave'
   }
 };
@@ -65,15 +93,16 @@ const Utils = {
       alert(`Error: ${message}`);
     } else {
       console.log(message);
-      if (type === 'success') {
-        const successEl = document.getElementById('successMessage');
-        if (successEl) {
-          successEl.textContent = message;
-          successEl.style.display = 'block';
-          setTimeout(() => {
-            successEl.style.display = 'none';
-          }, 5000);
-        }
+      // Successes and warnings (e.g. ratio rule breaches) show in a banner for a few seconds
+      const bannerId = { success: 'successMessage', warning: 'warningMessage' }[type];
+      const bannerEl = bannerId ? document.getElementById(bannerId) : null;
+      if (bannerEl) {
+        bannerEl.textContent = message;
+        bannerEl.style.display = 'block';
+        clearTimeout(bannerEl.hideTimer);
+        bannerEl.hideTimer = setTimeout(() => {
+          bannerEl.style.display = 'none';
+        }, 5000);
       }
     }
   },
@@ -90,6 +119,14 @@ const Utils = {
     return element;
   },
 
+  /**
+   * Escape text for use in HTML markup
+   */
+  escapeHtml: (text) => {
+    const replacements = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return (text === null || text === undefined ? '' : String(text)).replace(/[&<>"']/g, (char) => replacements[char]);
+  },
+
   /**
    * Generate unique ID
    */
@@ -106,6 +143,17 @@ const Utils = {
     return base.replace(/[<>:"/\\|?*\u0000-\u001F]/g, '_').slice(0, 120);
   },
 
+  /**
+   * Format seconds as a clock reading, e.g. 754 -> "12:34", -5 -> "-00:05"
+   */
+  formatClock: (totalSeconds) => {
+    if (typeof totalSeconds !== 'number' || Number.isNaN(totalSeconds)) return '';
+    const abs = Math.abs(Math.trunc(totalSeconds));
+    const mins = Math.floor(abs / 60).toString().padStart(2, '0');
+    const secs = (abs % 60).toString().padStart(2, '0');
+    return `${totalSeconds < 0 ? '-' : ''}${mins}:${secs}`;
+  },
+
   /**
    * Convert array of fields to a CSV line with proper escaping
    */
@@ -197,6 +245,144 @@ const Utils = {
   }
 };
 
+// =====================================================
+// STATE SCHEMA - Versioned snapshots and their migrations
+// =====================================================
+// Every persisted snapshot carries a schemaVersion; snapshots saved before
+// versioning count as version 1. On load, older snapshots are stepped up one
+// version at a time through MIGRATIONS and then validated. Anything that is
+// not an object, was saved by a newer app, or fails validation is rejected
+// with a readable reason instead of being patched over.
+const StateSchema = {
+  VERSIONS: {
+    gameState: 2,
+    timerState: 2,
+    teamsData: 2
+  },
+
+  LABELS: {
+    gameState: 'Match state',
+    timerState: 'Match timer',
+    teamsData: 'Team list cache'
+  },
+
+  // MIGRATIONS[kind][n] upgrades a version n snapshot to version n + 1
+  MIGRATIONS: {
+    gameState: {
+      // v1 -> v2: sessions saved before match IDs and the explicit matchStarted
+      // flag, with a missing log list, or with setup numbers kept as text
+      1: (state) => {
+        const scoreLogs = Array.isArray(state.scoreLogs) ? state.scoreLogs : [];
+        const firstLog = scoreLogs[0];
+        const numbers = {};
+        ['teamAScore', 'teamBScore', 'matchDuration', 'halftimeDuration', 'halftimeBreakDuration',
+          'timeoutDuration', 'timeoutsTotal', 'timeoutsPerHalf'].forEach((key) => {
+          if (typeof state[key] === 'string' && state[key].trim() !== '' && !Number.isNaN(Number(state[key]))) {
+            numbers[key] = Number(state[key]);
+          }
+        });
+        return {
+          ...state,
+          ...numbers,
+          scoreLogs,
+          matchId: typeof state.matchId === 'string' && state.matchId
+            ? state.matchId
+            : (firstLog && firstLog.scoreID ? `m${firstLog.scoreID}` : null),
+          matchStarted: typeof state.matchStarted === 'boolean' ? state.matchStarted : scoreLogs.length > 0
+        };
+      }
+    },
+    timerState: {
+      // v1 -> v2: the three loose timer keys (read together by
+      // PersistenceManager) become one record with proper types
+      1: (timer) => {
+        const remaining = parseInt(timer.remainingTimeMs, 10);
+        return {
+          endTime: timer.endTime || null,
+          isRunning: timer.isRunning === true || timer.isRunning === 'true',
+          remainingTimeMs: Number.isFinite(remaining) ? remaining : null
+        };
+      }
+    },
+    teamsData: {
+      // v1 -> v2: rosters become trimmed lists of names
+      1: (cache) => {
+        const data = {};
+        Object.entries(cache.data || {}).forEach(([team, players]) => {
+          data[team] = (Array.isArray(players) ? players : String(players || '').split(/\r?\n|,/))
+            .map((player) => String(player).trim())
+            .filter(Boolean);
+        });
+        return { ...cache, data };
+      }
+    }
+  },
+
+  /**
+   * Upgrade a stored snapshot to the current version and validate it.
+   * Returns { data, migrated }; throws when the snapshot cannot be used.
+   */
+  upgrade(kind, snapshot) {
+    if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+      throw new Error('the saved data is not an object');
+    }
+    const current = StateSchema.VERSIONS[kind];
+    const version = snapshot.schemaVersion === undefined ? 1 : snapshot.schemaVersion;
+    if (!Number.isInteger(version) || version < 1) {
+      throw new Error(`unknown schema version ${JSON.stringify(snapshot.schemaVersion)}`);
+    }
+    if (version > current) {
+      throw new Error(`it was saved by a newer version of the app (schema ${version}, this app reads up to ${current})`);
+    }
+
+    let data = snapshot;
+    for (let step = version; step < current; step++) {
+      data = StateSchema.MIGRATIONS[kind][step](data);
+    }
+    data = { ...data, schemaVersion: current };
+
+    const problem = StateSchema.validate(kind, data);
+    if (problem) {
+      throw new Error(problem);
+    }
+    return { data, migrated: version !== current };
+  },
+
+  /**
+   * Describe the first problem with a current-version snapshot, or return null
+   */
+  validate(kind, data) {
+    const isCount = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+    if (kind === 'gameState') {
+      if (!Array.isArray(data.scoreLogs)) return 'the score log is not a list';
+      const badLog = data.scoreLogs.findIndex((log) => !log || typeof log !== 'object' || Array.isArray(log));
+      if (badLog !== -1) return `score log entry ${badLog + 1} is not an event`;
+      const badText = ['teamAName', 'teamBName', 'teamAPlayers', 'teamBPlayers']
+        .find((key) => data[key] !== undefined && data[key] !== null && typeof data[key] !== 'string');
+      if (badText) return `${badText} is not text`;
+      const badNumber = ['teamAScore', 'teamBScore', 'matchDuration', 'timeoutsTotal']
+        .find((key) => data[key] !== undefined && !isCount(data[key]));
+      if (badNumber) return `${badNumber} is not a valid number`;
+      return null;
+    }
+    if (kind === 'timerState') {
+      if (typeof data.isRunning !== 'boolean') return 'the running flag is missing';
+      if (data.endTime !== null && Number.isNaN(Date.parse(data.endTime))) return 'the end time is not a date';
+      if (data.isRunning && data.endTime === null) return 'a running timer has no end time';
+      if (data.remainingTimeMs !== null && typeof data.remainingTimeMs !== 'number') return 'the remaining time is not a number';
+      return null;
+    }
+    if (kind === 'teamsData') {
+      if (!data.data || typeof data.data !== 'object' || Array.isArray(data.data)) return 'the team list is missing';
+      const badTeam = Object.keys(data.data).find((team) => !Array.isArray(data.data[team]));
+      if (badTeam) return `the roster of ${badTeam} is not a list`;
+      if (!isCount(data.expiresAt)) return 'the expiry time is missing';
+      return null;
+    }
+    return null;
+  }
+};
+
 // =====================================================
 // PERSISTENCE MANAGER - Handles all data persistence
 // =====================================================
@@ -204,12 +390,42 @@ class PersistenceManager {
   constructor() {
     this.autoSaveInterval = null;
     this.lastSaveTime = 0;
+    // Stored snapshots that failed to load, by storage key: { key, kind, reason, raw }
+    this.rejected = {};
+    // Match slot whose game state, undo history and timer are read and written
+    this.slotId = this.loadMatchSlots().active;
+  }
+
+  /**
+   * Keys holding a single match's data; every match slot keeps its own copy
+   */
+  isSlotKey(key) {
+    const keys = CONFIG.STORAGE_KEYS;
+    return [keys.GAME_STATE, keys.SCORE_LOGS, keys.UNDO_HISTORY, keys.TIMER_STATE,
+      keys.TIMER_END_TIME, keys.TIMER_RUNNING, keys.TIMER_REMAINING].includes(key);
+  }
+
+  /**
+   * localStorage key for a slot. The default slot uses the plain key, so data
+   * saved before match slots existed loads unchanged.
+   */
+  resolveKey(key, slotId = this.slotId) {
+    if (!this.isSlotKey(key) || slotId === CONFIG.DEFAULT_SLOT_ID) return key;
+    return `${key}:${slotId}`;
+  }
+
+  /**
+   * Switch the slot used by the per-match keys
+   */
+  setSlot(slotId) {
+    this.slotId = slotId || CONFIG.DEFAULT_SLOT_ID;
   }
 
   /**
    * Save data to localStorage with error handling
    */
-  saveToStorage(key, data) {
+  saveToStorage(key, data, slotId = this.slotId) {
+    key = this.resolveKey(key, slotId);
     try {
       const serializedData = JSON.stringify(data);
       localStorage.setItem(key, serializedData);
@@ -234,7 +450,8 @@ class PersistenceManager {
   /**
    * Load data from localStorage
    */
-  loadFromStorage(key, fallback = null) {
+  loadFromStorage(key, fallback = null, slotId = this.slotId) {
+    key = this.resolveKey(key, slotId);
     try {
       const data = localStorage.getItem(key);
       return data ? JSON.parse(data) : fallback;
@@ -244,20 +461,60 @@ class PersistenceManager {
     }
   }
 
+  /**
+   * Load a versioned snapshot (see StateSchema), saving it back when it was
+   * migrated. A snapshot that cannot be used is recorded in `rejected` and
+   * the fallback is returned.
+   */
+  loadVersioned(key, kind, fallback = null, slotId = this.slotId) {
+    const storageKey = this.resolveKey(key, slotId);
+    const raw = localStorage.getItem(storageKey);
+    if (raw === null) return fallback;
+    try {
+      const { data, migrated } = StateSchema.upgrade(kind, JSON.parse(raw));
+      if (migrated) {
+        this.saveToStorage(key, data, slotId);
+      }
+      return data;
+    } catch (error) {
+      if (!this.rejected[storageKey]) {
+        console.error(`Rejected stored ${storageKey}:`, error);
+        this.rejected[storageKey] = { key: storageKey, kind, reason: error.message, raw };
+      }
+      return fallback;
+    }
+  }
+
+  /**
+   * Snapshots rejected since the last discardRejected()
+   */
+  getRejected() {
+    return Object.values(this.rejected);
+  }
+
+  /**
+   * Remove the rejected snapshots from storage, so they are not reported again
+   */
+  discardRejected() {
+    Object.keys(this.rejected).forEach((key) => localStorage.removeItem(key));
+    this.rejected = {};
+  }
+
   /**
    * Save complete game state
    */
-  saveGameState(gameState) {
+  saveGameState(gameState, slotId = this.slotId) {
     return this.saveToStorage(CONFIG.STORAGE_KEYS.GAME_STATE, {
       ...gameState,
+      schemaVersion: StateSchema.VERSIONS.gameState,
       timestamp: Date.now()
-    });
+    }, slotId);
   }
 
   /**
    * Load complete game state
    */
-  loadGameState() {
+  loadGameState(slotId = this.slotId) {
     const defaultState = {
       teamAScore: 0,
       teamBScore: 0,
@@ -284,7 +541,179 @@ class PersistenceManager {
       timestamp: Date.now()
     };
 
-    return this.loadFromStorage(CONFIG.STORAGE_KEYS.GAME_STATE, defaultState);
+    return this.loadVersioned(CONFIG.STORAGE_KEYS.GAME_STATE, 'gameState', defaultState, slotId);
+  }
+
+  /**
+   * Save the main timer as { endTime, isRunning, remainingTimeMs }
+   */
+  saveTimerState(timer, slotId = this.slotId) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.TIMER_STATE, {
+      endTime: timer.endTime,
+      isRunning: timer.isRunning,
+      remainingTimeMs: timer.remainingTimeMs,
+      schemaVersion: StateSchema.VERSIONS.timerState
+    }, slotId);
+  }
+
+  /**
+   * Load a slot's main timer, or null when it has none. Timers saved as
+   * separate keys are combined into a version 1 record and migrated.
+   */
+  loadTimerState(slotId = this.slotId) {
+    const keys = CONFIG.STORAGE_KEYS;
+    if (localStorage.getItem(this.resolveKey(keys.TIMER_STATE, slotId)) === null) {
+      const legacyKeys = [keys.TIMER_END_TIME, keys.TIMER_RUNNING, keys.TIMER_REMAINING];
+      if (legacyKeys.every((key) => localStorage.getItem(this.resolveKey(key, slotId)) === null)) {
+        return null;
+      }
+      localStorage.setItem(this.resolveKey(keys.TIMER_STATE, slotId), JSON.stringify({
+        endTime: this.loadFromStorage(keys.TIMER_END_TIME, null, slotId),
+        isRunning: this.loadFromStorage(keys.TIMER_RUNNING, false, slotId),
+        remainingTimeMs: this.loadFromStorage(keys.TIMER_REMAINING, null, slotId)
+      }));
+      legacyKeys.forEach((key) => localStorage.removeItem(this.resolveKey(key, slotId)));
+    }
+    return this.loadVersioned(keys.TIMER_STATE, 'timerState', null, slotId);
+  }
+
+  /**
+   * Save the engine's undo/redo stacks so a restored session can roll back
+   */
+  saveUndoHistory(history) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.UNDO_HISTORY, {
+      undo: history?.undo || [],
+      redo: history?.redo || []
+    });
+  }
+
+  /**
+   * Load undo/redo stacks
+   */
+  loadUndoHistory() {
+    return this.loadFromStorage(CONFIG.STORAGE_KEYS.UNDO_HISTORY, { undo: [], redo: [] });
+  }
+
+  /**
+   * Save line presets as { [teamName]: { [presetName]: [players] } }.
+   * Presets are kept per team across matches.
+   */
+  saveLinePresets(presets) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.LINE_PRESETS, presets || {});
+  }
+
+  loadLinePresets() {
+    const presets = this.loadFromStorage(CONFIG.STORAGE_KEYS.LINE_PRESETS, {});
+    return presets && typeof presets === 'object' ? presets : {};
+  }
+
+  /**
+   * Save the upload outbox (queued Google Sheets submissions)
+   */
+  saveOutbox(items) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.UPLOAD_OUTBOX, Array.isArray(items) ? items : []);
+  }
+
+  loadOutbox() {
+    const items = this.loadFromStorage(CONFIG.STORAGE_KEYS.UPLOAD_OUTBOX, []);
+    return Array.isArray(items) ? items.filter((item) => item && item.id && item.payload) : [];
+  }
+
+  /**
+   * ID this device sends its live feed and co-scoring messages under,
+   * created on first use
+   */
+  loadDeviceId() {
+    let deviceId = this.loadFromStorage(CONFIG.STORAGE_KEYS.DEVICE_ID, null);
+    if (typeof deviceId !== 'string' || !deviceId) {
+      deviceId = Utils.generateId();
+      this.saveToStorage(CONFIG.STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  }
+
+  /**
+   * Save the live feed as { url, queue, seqs }: the endpoint, unsent
+   * messages and the last sequence number per match ID
+   */
+  saveLiveFeed(feed) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.LIVE_FEED, feed);
+  }
+
+  loadLiveFeed() {
+    const feed = this.loadFromStorage(CONFIG.STORAGE_KEYS.LIVE_FEED, null);
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(feed)) {
+      return { url: CONFIG.LIVE_FEED_URL, queue: [], seqs: {} };
+    }
+    return {
+      url: typeof feed.url === 'string' ? feed.url : CONFIG.LIVE_FEED_URL,
+      queue: Array.isArray(feed.queue) ? feed.queue.filter((message) => isObject(message) && message.matchId && message.seq) : [],
+      seqs: isObject(feed.seqs) ? feed.seqs : {}
+    };
+  }
+
+  /**
+   * Save co-scoring as { url, queue, matches }: the relay, operations the
+   * relay has not acknowledged yet and the sync state per shared match ID
+   */
+  saveCoScoring(coScoring) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.CO_SCORING, coScoring);
+  }
+
+  loadCoScoring() {
+    const stored = this.loadFromStorage(CONFIG.STORAGE_KEYS.CO_SCORING, null);
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+    if (!isObject(stored)) {
+      return { url: CONFIG.CO_SCORING_URL, queue: [], matches: {} };
+    }
+    return {
+      url: typeof stored.url === 'string' ? stored.url : CONFIG.CO_SCORING_URL,
+      queue: Array.isArray(stored.queue) ? stored.queue.filter((operation) => isObject(operation) && operation.matchId && operation.seq) : [],
+      matches: isObject(stored.matches) ? stored.matches : {}
+    };
+  }
+
+  /**
+   * Save how many days archived matches are kept (0 = forever)
+   */
+  saveHistoryRetention(days) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.HISTORY_RETENTION, days);
+  }
+  loadHistoryRetention() {
+    const days = this.loadFromStorage(CONFIG.STORAGE_KEYS.HISTORY_RETENTION, CONFIG.HISTORY_RETENTION_DAYS);
+    return Number.isInteger(days) && days >= 0 ? days : CONFIG.HISTORY_RETENTION_DAYS;
+  }
+
+  /**
+   * Save the match slots as { active, slots: [{ id, name }] }
+   */
+  saveMatchSlots(registry) {
+    return this.saveToStorage(CONFIG.STORAGE_KEYS.MATCH_SLOTS, registry);
+  }
+
+  /**
+   * Load the match slots; there is always at least the default one
+   */
+  loadMatchSlots() {
+    const stored = this.loadFromStorage(CONFIG.STORAGE_KEYS.MATCH_SLOTS, {});
+    const slots = (Array.isArray(stored.slots) ? stored.slots : [])
+      .filter((slot) => slot && typeof slot.id === 'string' && slot.id)
+      .map((slot) => ({ id: slot.id, name: String(slot.name || '') }));
+    if (slots.length === 0) {
+      slots.push({ id: CONFIG.DEFAULT_SLOT_ID, name: 'Field 1' });
+    }
+    const active = slots.some((slot) => slot.id === stored.active) ? stored.active : slots[0].id;
+    return { active, slots };
+  }
+
+  /**
+   * Remove everything stored for one match slot
+   */
+  removeSlotData(slotId) {
+    Object.values(CONFIG.STORAGE_KEYS).forEach((key) => {
+      if (this.isSlotKey(key)) localStorage.removeItem(this.resolveKey(key, slotId));
+    });
   }
 
   /**
@@ -294,7 +723,8 @@ class PersistenceManager {
     const dataWithExpiry = {
       data: teamsData,
       timestamp: Date.now(),
-      expiresAt: Date.now() + (24 * 60 * 60 * 1000) // 24 hours
+      expiresAt: Date.now() + (24 * 60 * 60 * 1000), // 24 hours
+      schemaVersion: StateSchema.VERSIONS.teamsData
     };
     return this.saveToStorage(CONFIG.STORAGE_KEYS.TEAMS_DATA, dataWithExpiry);
   }
@@ -303,7 +733,7 @@ class PersistenceManager {
    * Load teams data (check expiration)
    */
   loadTeamsData() {
-    const storedData = this.loadFromStorage(CONFIG.STORAGE_KEYS.TEAMS_DATA);
+    const storedData = this.loadVersioned(CONFIG.STORAGE_KEYS.TEAMS_DATA, 'teamsData');
     
     if (!storedData) return null;
     
@@ -355,7 +785,8 @@ class PersistenceManager {
       // Remove very old game states (older than 7 days)
       const gameState = this.loadFromStorage(CONFIG.STORAGE_KEYS.GAME_STATE);
       if (gameState && gameState.timestamp && (Date.now() - gameState.timestamp) > (7 * 24 * 60 * 60 * 1000)) {
-        localStorage.removeItem(CONFIG.STORAGE_KEYS.GAME_STATE);
+        localStorage.removeItem(this.resolveKey(CONFIG.STORAGE_KEYS.GAME_STATE));
+        localStorage.removeItem(this.resolveKey(CONFIG.STORAGE_KEYS.UNDO_HISTORY));
       }
     } catch (error) {
       console.error('Cleanup failed:', error);
@@ -387,6 +818,7 @@ class PersistenceManager {
    * Clear all app data
    */
   clearAllData() {
+    this.loadMatchSlots().slots.forEach((slot) => this.removeSlotData(slot.id));
     Object.values(CONFIG.STORAGE_KEYS).forEach(key => {
       localStorage.removeItem(key);
     });
@@ -452,44 +884,14 @@ class DataManager {
   }
 
   /**
-   * Add new score log
+   * Replace the score logs with the engine's current list (the source of truth)
    */
-  addScoreLog(logEntry) {
-    this.scoreLogs.push(logEntry);
+  setScoreLogs(logs) {
+    this.scoreLogs = Array.isArray(logs) ? logs : [];
     this.gameState.scoreLogs = this.scoreLogs;
     this.markDirty();
   }
 
-  /**
-   * Update existing score log
-   */
-  updateScoreLog(scoreID, updates) {
-    const index = this.scoreLogs.findIndex(log => log.scoreID === scoreID);
-    if (index !== -1) {
-      Object.assign(this.scoreLogs[index], updates);
-      this.gameState.scoreLogs = this.scoreLogs;
-      this.markDirty();
-      return true;
-    }
-    return false;
-  }
-
-  /**
-   * Get score log by ID
-   */
-  getScoreLog(scoreID) {
-    return this.scoreLogs.find(log => log.scoreID === scoreID);
-  }
-
-  /**
-   * Clear all score logs
-   */
-  clearScoreLogs() {
-    this.scoreLogs = [];
-    this.gameState.scoreLogs = [];
-    this.markDirty();
-  }
-
   /**
    * Get teams data
    */
@@ -505,18 +907,6 @@ class DataManager {
     this.persistenceManager.saveTeamsData(this.teamsData);
   }
 
-  /**
-   * Remove a score log by ID
-   */
-  removeScoreLog(scoreID) {
-    const index = this.scoreLogs.findIndex(log => log.scoreID === scoreID);
-    if (index === -1) return null;
-    const [removed] = this.scoreLogs.splice(index, 1);
-    this.gameState.scoreLogs = this.scoreLogs;
-    this.markDirty();
-    return removed;
-  }
-
   /**
    * Get current game state
    */
@@ -594,6 +984,12 @@ class ApiManager {
     }
   }
 
+  /**
+   * POST a match payload to the Apps Script backend and return its receipt
+   * ({ sheetName, rowCount, ... }). The JSON goes in a text/plain body so the
+   * request stays CORS-simple (no preflight, which Apps Script cannot answer)
+   * and the response can be read. Backend errors reject like network errors.
+   */
   async submitScores(dataToSend) {
     try {
       if (!this.submitUrl) {
@@ -603,15 +999,25 @@ class ApiManager {
 
       const response = await fetch(this.submitUrl, {
         method: 'POST',
-        mode: 'no-cors',
+        redirect: 'follow',
         headers: {
-          'Content-Type': 'application/json'
+          'Content-Type': 'text/plain;charset=utf-8'
         },
         body: JSON.stringify(dataToSend)
       });
+      if (!response.ok) {
+        throw new Error(`HTTP error! Status: ${response.status}`);
+      }
 
-      // With no-cors we can't read response; assume success
-      return true;
+      const text = await response.text();
+      const result = Utils.safeJsonParse(text, null);
+      if (!result || typeof result !== 'object') {
+        throw new Error('Unexpected response from the server.');
+      }
+      if (result.status !== 'Success') {
+        throw new Error(result.message || 'The server reported an error.');
+      }
+      return result;
     } catch (error) {
       console.error("Error submitting scores:", error);
       throw new Error(`Failed to submit scores: ${error.message}`);
@@ -620,732 +1026,3249 @@ class ApiManager {
 }
 
 // =====================================================
-// REVAMPED TIMER MANAGER - Simple countdown from future date
+// UPLOAD OUTBOX - Persistent queue of match submissions
 // =====================================================
-class TimerManager {
-  constructor(persistenceManager) {
+// Every submitted match payload is stored before it is sent and stays
+// pending until the backend confirms it with a receipt. Failed
+// attempts are retried with exponential backoff, straight away when the
+// browser comes back online, and on the next app start.
+class UploadOutbox {
+  constructor(apiManager, persistenceManager) {
+    this.apiManager = apiManager;
     this.persistenceManager = persistenceManager;
-    this.timerInterval = null;
-    this.isRunning = false;
-    this.endTime = null;
-    this.remainingTimeMs = null; // Store remaining time when paused
-    this.defaultMinutes = CONFIG.DEFAULT_TIMER_MINUTES;
-    this.tickCallback = null;
-    
-    this.loadTimerState();
+    this.items = this.persistenceManager.loadOutbox();
+    this.flushing = null;
+    this.retryTimer = null;
+    this.changeCallback = null;
+    this.deliveredCallback = null;
   }
 
+  onChange(callback) {
+    this.changeCallback = callback;
+  }
+
+  onDelivered(callback) {
+    this.deliveredCallback = callback;
+  }
+
+  getItems() {
+    return this.items.map((item) => ({ ...item }));
+  }
+
+  getPending() {
+    return this.items.filter((item) => item.status === 'pending');
+  }
 
   /**
-   * Get time remaining until endTime
+   * Queue a payload. A pending upload of the same match is replaced, so
+   * resubmitting after corrections only sends the latest data.
    */
-  getTimeRemaining(endtime) {
-    const total = Date.parse(endtime) - Date.parse(new Date());
-    const seconds = Math.floor((total / 1000) % 60);
-    const minutes = Math.floor(total / 1000 / 60);
-    
-    return {
-      total,
-      minutes,
-      seconds
+  enqueue(payload) {
+    const key = payload.MatchID || `${payload.GameID || 'Game'}|${payload.Date || ''}`;
+    this.items = this.items.filter((item) => !(item.key === key && item.status === 'pending'));
+    const item = {
+      id: Utils.generateId(),
+      key,
+      label: `${payload.GameID || 'Game'}, ${payload.Date || ''}`,
+      payload,
+      status: 'pending',
+      createdAt: Date.now(),
+      attempts: 0,
+      nextAttemptAt: Date.now(),
+      lastError: ''
     };
+    this.items.push(item);
+    this.save();
+    return item;
   }
 
   /**
-   * Load saved timer state
+   * Drop an upload from the queue (e.g. a match that will never be sent)
    */
-  loadTimerState() {
-    const storedEndTime = this.persistenceManager.loadFromStorage('timerEndTime');
-    const storedIsRunning = this.persistenceManager.loadFromStorage(CONFIG.STORAGE_KEYS.TIMER_RUNNING);
-    const storedRemainingTime = this.persistenceManager.loadFromStorage('timerRemainingTime');
+  remove(id) {
+    this.items = this.items.filter((item) => item.id !== id);
+    this.save();
+  }
 
-    if (storedEndTime) {
-      this.endTime = new Date(storedEndTime);
+  /**
+   * Try every pending upload whose retry time has come (all of them when
+   * force is set). Resolves to the uploads delivered by this run.
+   */
+  flush(force = false) {
+    if (this.flushing) {
+      return this.flushing;
     }
+    this.flushing = this.sendDue(force).finally(() => {
+      this.flushing = null;
+      this.scheduleRetry();
+    });
+    return this.flushing;
+  }
 
-    if (storedRemainingTime) {
-      this.remainingTimeMs = parseInt(storedRemainingTime, 10);
+  async sendDue(force) {
+    const delivered = [];
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+      return delivered;
     }
-
-    this.isRunning = (storedIsRunning === true || storedIsRunning === 'true');
-
-    // Check if timer should still be running
-    if (this.isRunning && this.endTime) {
-      const timeRemaining = this.getTimeRemaining(this.endTime);
-      if (timeRemaining.total <= 0) {
-        // Timer expired while away
-        this.stop();
-        this.updateDisplay();
-      } else {
-        // Resume timer
-        this.start();
+    const now = Date.now();
+    const due = this.getPending().filter((item) => force || item.nextAttemptAt <= now);
+    for (const item of due) {
+      item.attempts += 1;
+      item.lastAttemptAt = Date.now();
+      try {
+        const receipt = await this.apiManager.submitScores(item.payload);
+        if (!receipt) {
+          throw new Error('Upload was not confirmed.');
+        }
+        item.status = 'delivered';
+        item.deliveredAt = Date.now();
+        item.receipt = typeof receipt === 'object' ? receipt : null;
+        item.lastError = '';
+        delivered.push({ ...item });
+        if (this.deliveredCallback) this.deliveredCallback({ ...item });
+      } catch (error) {
+        item.lastError = error.message;
+        item.nextAttemptAt = Date.now() + this.getBackoff(item.attempts);
       }
-    } else if (this.remainingTimeMs !== null) {
-      // Timer was paused, restore remaining time
-      this.setRemainingTime(this.remainingTimeMs);
-      this.updateDisplay();
-    } else {
-      // Initialize with default time if no saved state
-      this.reset(this.defaultMinutes);
+      this.save();
     }
+    return delivered;
   }
 
-  /**
-   * Save timer state to storage
-   */
-  saveTimerState() {
-    this.persistenceManager.saveToStorage('timerEndTime', this.endTime ? this.endTime.toISOString() : null);
-    this.persistenceManager.saveToStorage(CONFIG.STORAGE_KEYS.TIMER_RUNNING, this.isRunning);
-    this.persistenceManager.saveToStorage('timerRemainingTime', this.remainingTimeMs);
+  getBackoff(attempts) {
+    const delay = CONFIG.OUTBOX_RETRY_BASE_MS * (2 ** Math.max(0, attempts - 1));
+    return Math.min(delay, CONFIG.OUTBOX_RETRY_MAX_MS);
   }
 
   /**
-   * Set remaining time from milliseconds
+   * Wake up for the earliest pending retry
    */
-  setRemainingTime(milliseconds) {
-    this.remainingTimeMs = milliseconds;
-    // Set endTime to null when paused to indicate we're using remainingTimeMs
-    this.endTime = null;
+  scheduleRetry() {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    const pending = this.getPending();
+    if (pending.length === 0) return;
+    const nextAt = Math.min(...pending.map((item) => item.nextAttemptAt));
+    this.retryTimer = setTimeout(() => this.flush(), Math.max(1000, nextAt - Date.now()));
   }
 
   /**
-   * Update the timer display
+   * Persist the queue, keeping only the most recent delivered uploads
    */
-  updateDisplay() {
-    const timerDisplay = document.getElementById('timerDisplay');
-    
-    if (!timerDisplay) return;
+  save() {
+    const delivered = this.items.filter((item) => item.status === 'delivered');
+    const dropped = new Set(delivered.slice(0, Math.max(0, delivered.length - CONFIG.OUTBOX_DELIVERED_KEEP)));
+    this.items = this.items.filter((item) => !dropped.has(item));
+    this.persistenceManager.saveOutbox(this.items);
+    if (this.changeCallback) this.changeCallback(this.getItems());
+  }
+}
 
-    let timeRemaining;
-    
-    if (this.isRunning && this.endTime) {
-      // Timer is running, calculate from endTime
-      timeRemaining = this.getTimeRemaining(this.endTime);
-    } else if (this.remainingTimeMs !== null) {
-      // Timer is paused, use stored remaining time
-      const total = this.remainingTimeMs;
-      const seconds = Math.floor((total / 1000) % 60);
-      const minutes = Math.floor(total / 1000 / 60);
-      timeRemaining = { total, minutes, seconds };
-    } else {
-      // Fallback to default time
-      const total = this.defaultMinutes * 60 * 1000;
-      const seconds = 0;
-      const minutes = this.defaultMinutes;
-      timeRemaining = { total, minutes, seconds };
+// =====================================================
+// LIVE FEED - Match events pushed to a webhook or relay as they happen
+// =====================================================
+// Optional. With an endpoint set, every event added, edited or removed is
+// queued as a JSON message and sent straight away: to http(s):// endpoints
+// as POSTed arrays of messages, to ws(s):// endpoints one frame per message.
+// Each message carries the device ID, the match ID and a sequence number that
+// counts up per match on this device, so receivers can order messages, drop
+// duplicates and notice gaps.
+// Messages stay queued (and survive reloads) until a POST succeeds or the
+// relay acknowledges them over the socket ({ type: 'ack', matchId, seq });
+// failures are retried with exponential backoff. See live-relay.js
+// for a reference receiver.
+class LiveFeed {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+    const stored = this.persistenceManager.loadLiveFeed();
+    this.url = stored.url;
+    this.deviceId = this.persistenceManager.loadDeviceId();
+    this.queue = stored.queue;
+    this.seqs = stored.seqs;
+    this.socket = null;
+    this.socketSent = new Set(); // Messages sent on the open socket, by "matchId:seq"
+    this.sending = false;
+    this.retryTimer = null;
+    this.failures = 0;
+    this.lastError = '';
+    this.changeCallback = null;
+  }
+
+  onChange(callback) {
+    this.changeCallback = callback;
+  }
+
+  isEnabled() {
+    return Boolean(this.url);
+  }
+
+  isSocketUrl(url = this.url) {
+    return /^wss?:\/\//i.test(url);
+  }
+
+  /**
+   * Problem with an endpoint URL, or null when it can be used ('' is off)
+   */
+  static validateUrl(url) {
+    if (!url) return null;
+    if (!/^(https?|wss?):\/\/[^\s/]+/i.test(url)) {
+      return 'The live feed address must start with http://, https://, ws:// or wss://.';
     }
+    return null;
+  }
 
-    const absMinutes = Math.abs(timeRemaining.minutes);
-    const absSeconds = Math.abs(timeRemaining.seconds);
-    
-    const mins = absMinutes.toString().padStart(2, '0');
-    const secs = absSeconds.toString().padStart(2, '0');
+  /**
+   * Switch to another endpoint ('' turns the feed off and drops the queue)
+   */
+  configure(url) {
+    const next = (url || '').trim();
+    const problem = LiveFeed.validateUrl(next);
+    if (problem) throw new Error(problem);
+    if (next === this.url) return false;
+
+    this.closeSocket();
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.failures = 0;
+    this.lastError = '';
+    this.url = next;
+    if (!next) this.queue = [];
+    this.save();
+    this.flush();
+    return true;
+  }
 
-    let timeString = `${mins}:${secs}`;
+  /**
+   * Queue a message for a match and send it. Does nothing while the feed is
+   * off, so sequence numbers only count messages that were queued.
+   */
+  push(matchId, fields) {
+    if (!this.url || !matchId) return null;
+    const seq = (this.seqs[matchId] || 0) + 1;
+    delete this.seqs[matchId]; // Re-insert so the most recent matches are kept
+    this.seqs[matchId] = seq;
+    const matchIds = Object.keys(this.seqs);
+    matchIds.slice(0, Math.max(0, matchIds.length - CONFIG.LIVE_FEED_MATCHES_KEEP))
+      .forEach((id) => delete this.seqs[id]);
+
+    // A copy, so later edits to the match do not change queued messages
+    const message = JSON.parse(JSON.stringify({
+      type: 'match-event',
+      deviceId: this.deviceId,
+      matchId,
+      seq,
+      sentAt: new Date().toISOString(),
+      ...fields
+    }));
+    this.queue.push(message);
+    if (this.queue.length > CONFIG.LIVE_FEED_QUEUE_LIMIT) {
+      this.queue.splice(0, this.queue.length - CONFIG.LIVE_FEED_QUEUE_LIMIT);
+    }
+    this.save();
+    this.flush();
+    return message;
+  }
 
-    if (timeRemaining.total < 0) {
-      timeString = `-${timeString}`;
-      timerDisplay.classList.add('timer-negative');
+  /**
+   * Send what is queued, unless a retry is already scheduled
+   */
+  flush() {
+    if (!this.url || this.queue.length === 0 || this.retryTimer) return;
+    if (typeof navigator !== 'undefined' && navigator.onLine === false) return;
+    if (this.isSocketUrl()) {
+      this.flushSocket();
     } else {
-      timerDisplay.classList.remove('timer-negative');
+      this.flushHttp();
     }
+  }
 
-    timerDisplay.textContent = timeString;
-    
-    // Update game time field if it exists
-    const timeInput = document.getElementById('time');
-    if (timeInput) {
-      timeInput.value = new Date().toLocaleString();
+  async flushHttp() {
+    if (this.sending) return;
+    this.sending = true;
+    const url = this.url;
+    const batch = this.queue.slice(0, CONFIG.LIVE_FEED_BATCH_SIZE);
+    try {
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(batch)
+      });
+      if (!response.ok) {
+        throw new Error(`The live feed endpoint answered ${response.status}.`);
+      }
+      this.acknowledge(batch);
+      this.failures = 0;
+      this.lastError = '';
+      this.save();
+    } catch (error) {
+      if (url === this.url) this.scheduleRetry(error);
+    } finally {
+      this.sending = false;
     }
+    this.flush();
   }
 
-  /**
-   * Start the timer
-   */
-  start() {
-    if (this.isRunning) return;
-    
-    // If we have remaining time (from pause), set new end time based on it
-    if (this.remainingTimeMs !== null) {
-      this.endTime = new Date(Date.now() + this.remainingTimeMs);
-      this.remainingTimeMs = null; // Clear since we're now running
+  flushSocket() {
+    if (typeof WebSocket === 'undefined') {
+      this.lastError = 'This browser cannot open WebSocket connections.';
+      this.notify();
+      return;
     }
-    
-    // If we still don't have an end time, set default
-    if (!this.endTime) {
-      this.endTime = new Date(Date.now() + (this.defaultMinutes * 60 * 1000));
+    if (!this.socket) {
+      this.openSocket();
+      return;
     }
-    
-    this.isRunning = true;
-    this.updateUI();
-    this.saveTimerState();
+    if (this.socket.readyState !== WebSocket.OPEN) return;
+    this.queue.forEach((message) => {
+      const key = `${message.matchId}:${message.seq}`;
+      if (this.socketSent.has(key)) return;
+      this.socket.send(JSON.stringify(message));
+      this.socketSent.add(key);
+    });
+  }
 
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
+  openSocket() {
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      this.scheduleRetry(error);
+      return;
     }
+    this.socket = socket;
+    this.socketSent = new Set();
 
-    this.timerInterval = setInterval(() => {
-      this.updateDisplay();
-      
-      const timeRemaining = this.getTimeRemaining(this.endTime);
-      if (typeof this.tickCallback === 'function') {
-        try {
-          this.tickCallback({ ...timeRemaining });
-        } catch (err) {
-          console.error('Timer tick callback error:', err);
-        }
+    socket.addEventListener('open', () => {
+      if (socket !== this.socket) return;
+      this.failures = 0;
+      this.lastError = '';
+      this.notify();
+      this.flushSocket();
+    });
+    socket.addEventListener('message', (event) => {
+      if (socket !== this.socket) return;
+      let reply;
+      try {
+        reply = JSON.parse(event.data);
+      } catch (error) {
+        return; // Not an acknowledgement
       }
-      if (timeRemaining.total <= 0 && this.isRunning) {
-        this.stop();
+      if (reply && reply.type === 'ack') {
+        this.acknowledge([reply]);
+        this.save();
       }
-    }, 1000);
-
-    // Initial update
-    this.updateDisplay();
-    if (typeof this.tickCallback === 'function' && this.endTime) {
-      try {
-        const initialRemaining = this.getTimeRemaining(this.endTime);
-        this.tickCallback({ ...initialRemaining });
-      } catch (err) {
-        console.error('Timer tick callback error:', err);
+    });
+    socket.addEventListener('close', () => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      this.socketSent = new Set();
+      if (this.queue.length > 0) {
+        this.scheduleRetry(new Error('The live feed connection closed.'));
+      } else {
+        this.notify();
       }
-    }
+    });
   }
 
-  /**
-   * Stop/Pause the timer
-   */
-  stop() {
-    if (!this.isRunning) return;
-    
-    // Store remaining time when pausing
-    if (this.endTime) {
-      const timeRemaining = this.getTimeRemaining(this.endTime);
-      this.remainingTimeMs = Math.max(0, timeRemaining.total); // Don't store negative time
-    }
-    
-    this.isRunning = false;
-    this.endTime = null; // Clear endTime when paused
-    
-    if (this.timerInterval) {
-      clearInterval(this.timerInterval);
-      this.timerInterval = null;
+  closeSocket() {
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    this.socketSent = new Set();
+    try {
+      socket.close();
+    } catch (error) {
+      // Already closed
     }
-    
-    this.updateUI();
-    this.saveTimerState();
-    this.updateDisplay(); // Update display to show paused time
   }
 
   /**
-   * Toggle timer play/pause
+   * Remove delivered messages ({ matchId, seq }) from the queue
    */
-  toggle() {
-    if (this.isRunning) {
-      this.stop();
-    } else {
-      this.start();
-    }
+  acknowledge(messages) {
+    const keys = new Set(messages.map((message) => `${message.matchId}:${message.seq}`));
+    this.queue = this.queue.filter((message) => !keys.has(`${message.matchId}:${message.seq}`));
   }
 
-  setTickCallback(callback) {
-    this.tickCallback = (typeof callback === 'function') ? callback : null;
+  scheduleRetry(error) {
+    this.failures += 1;
+    this.lastError = error.message;
+    const delay = Math.min(
+      CONFIG.LIVE_FEED_RETRY_BASE_MS * (2 ** (this.failures - 1)),
+      CONFIG.LIVE_FEED_RETRY_MAX_MS
+    );
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.flush();
+    }, delay);
+    this.notify();
   }
 
   /**
-   * Reset timer to specified minutes
+   * Try again now, e.g. when the browser comes back online
    */
-  reset(minutes = this.defaultMinutes) {
-    this.stop();
-    
-    // Set remaining time and clear endTime
-    this.remainingTimeMs = minutes * 60 * 1000;
-    this.endTime = null;
-    
-    this.saveTimerState();
-    this.updateDisplay();
-    this.updateUI();
+  retryNow() {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.flush();
   }
 
   /**
-   * Update UI elements
+   * Short status line for the setup modal
    */
-  updateUI() {
-    const playPauseBtn = document.getElementById('playPauseBtn');
-    const timerColumn = document.getElementById('timerColumn');
-    
-    if (playPauseBtn) {
-      playPauseBtn.textContent = this.isRunning ? "Pause" : "Play";
-    }
-    
-    if (timerColumn) {
-      timerColumn.classList.toggle('timer-running', this.isRunning);
-      timerColumn.classList.toggle('timer-paused', !this.isRunning);
+  describeStatus() {
+    if (!this.url) return 'Off';
+    const pending = this.queue.length;
+    const waiting = pending > 0 ? `${pending} message${pending === 1 ? '' : 's'} waiting` : 'Up to date';
+    if (this.lastError) return `${waiting}. Last error: ${this.lastError}`;
+    if (this.isSocketUrl() && !(this.socket && this.socket.readyState === WebSocket.OPEN)) {
+      return `${waiting}, connecting…`;
     }
+    return waiting;
   }
 
-  /**
-   * Get remaining time in seconds (for debugging/external use)
-   */
-  getRemainingSeconds() {
-    if (this.isRunning && this.endTime) {
-      const timeRemaining = this.getTimeRemaining(this.endTime);
-      return Math.floor(timeRemaining.total / 1000);
-    } else if (this.remainingTimeMs !== null) {
-      return Math.floor(this.remainingTimeMs / 1000);
-    }
-    return 0;
+  save() {
+    this.persistenceManager.saveLiveFeed({ url: this.url, queue: this.queue, seqs: this.seqs });
+    this.notify();
+  }
+
+  notify() {
+    if (this.changeCallback) this.changeCallback();
   }
 }
 
 // =====================================================
-// SECONDS TIMER MANAGER - Simple second-based countdown
+// CO-SCORING - One match scored on two devices through the relay
 // =====================================================
-class SecondsTimerManager {
-  constructor() {
-    this.timerInterval = null;
-    this.isRunning = false;
-    this.endTime = null;
-    this.remainingTimeMs = null;
-    this.defaultSeconds = 75;
-    this.updateDisplay();
+// With a relay address set (ws:// or wss://, see live-relay.js), the match on
+// screen is shared under its match ID once it has started. Every change made
+// on this device goes to the relay as a MatchSync operation, and operations
+// from other devices scoring the same match are merged into it (see
+// match-sync.js for the rules). Operations stay queued until the relay
+// acknowledges them and are resent after a reconnect; on connecting, the
+// relay replays what this device has not read yet, so a device that was
+// offline catches up.
+class CoScoring {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+    const stored = this.persistenceManager.loadCoScoring();
+    this.url = stored.url;
+    this.queue = stored.queue;
+    this.matches = stored.matches; // Sync state per match ID, oldest first
+    this.deviceId = this.persistenceManager.loadDeviceId();
+    this.sync = null; // MatchSync of the match on screen
+    this.socket = null;
+    this.connected = false;
+    this.retryTimer = null;
+    this.failures = 0;
+    this.lastError = '';
+    this.applying = false; // Set while merged changes are loaded into the app
+    this.remoteTimer = null;
+    this.localReader = null;
+    this.remoteCallback = null;
+    this.changeCallback = null;
+  }
+
+  onChange(callback) {
+    this.changeCallback = callback;
   }
 
-  // Start countdown using current remaining or default
-  start() {
-    if (this.isRunning) return;
-    if (this.remainingTimeMs === null) {
-      const secondsInput = document.getElementById('countdownTimeSec');
-      const secs = parseInt(secondsInput?.value, 10) || this.defaultSeconds;
-      this.remainingTimeMs = secs * 1000;
-    }
-    this.endTime = new Date(Date.now() + this.remainingTimeMs);
-    this.isRunning = true;
-    this.timerInterval = setInterval(() => this.tick(), 200);
-    this.updateUI();
+  /**
+   * `callback(view)` loads a merged match ({ rows, registers }) into the app
+   */
+  onRemoteChange(callback) {
+    this.remoteCallback = callback;
   }
 
-  // Stop countdown and keep remaining time
-  stop() {
-    if (!this.isRunning) return;
-    this.isRunning = false;
-    if (this.timerInterval) clearInterval(this.timerInterval);
-    this.timerInterval = null;
-    const timeRemaining = this.getTimeRemaining(this.endTime);
-    this.remainingTimeMs = Math.max(0, timeRemaining.total);
-    this.endTime = null;
-    this.updateUI();
+  /**
+   * `reader()` returns the match on screen as { matchId, rows, registers }
+   */
+  setLocalReader(reader) {
+    this.localReader = reader;
   }
 
-  toggle() { this.isRunning ? this.stop() : this.start(); }
+  isEnabled() {
+    return Boolean(this.url);
+  }
 
-  reset(seconds = this.defaultSeconds) {
-    this.stop();
-    const secs = Math.max(1, parseInt(seconds, 10) || this.defaultSeconds);
-    this.remainingTimeMs = secs * 1000;
-    this.updateDisplay();
+  /**
+   * Problem with a relay address, or null when it can be used ('' is off)
+   */
+  static validateUrl(url) {
+    if (!url) return null;
+    if (!/^wss?:\/\/[^\s/]+/i.test(url)) {
+      return 'The co-scoring relay address must start with ws:// or wss://.';
+    }
+    return null;
   }
 
-  getTimeRemaining(endtime) {
-    const total = Date.parse(endtime) - Date.parse(new Date());
-    const seconds = Math.floor((total / 1000) % 60);
-    const minutes = Math.floor(total / 1000 / 60);
-    return { total, minutes, seconds };
+  /**
+   * Switch to another relay ('' turns co-scoring off). Sharing starts afresh:
+   * the new relay has none of the operations sent to the old one. Each
+   * match keeps its operation counters, since a relay drops an operation
+   * whose sequence number it already has from this device.
+   */
+  configure(url) {
+    const next = (url || '').trim();
+    const problem = CoScoring.validateUrl(next);
+    if (problem) throw new Error(problem);
+    if (next === this.url) return false;
+
+    this.disconnect();
+    if (this.sync) this.matches[this.sync.matchId] = this.sync.toJSON();
+    Object.keys(this.matches).forEach((matchId) => {
+      const { seq, lamport } = this.matches[matchId];
+      this.matches[matchId] = { seq, lamport };
+    });
+    this.url = next;
+    this.queue = [];
+    this.sync = null;
+    this.failures = 0;
+    this.lastError = '';
+    this.save();
+    this.commit();
+    return true;
   }
 
-  tick() {
-    const timeRemaining = this.getTimeRemaining(this.endTime);
-    this.updateDisplay(timeRemaining);
-    if (timeRemaining.total <= 0) {
-      this.stop();
-      this.remainingTimeMs = 0;
+  /**
+   * Send what changed in the match on screen since the last commit. Also
+   * starts following another match when the one on screen changed.
+   */
+  commit() {
+    if (!this.url || this.applying || !this.localReader) return;
+    const local = this.localReader();
+    if (!this.follow(local.matchId)) return;
+    const operation = this.sync.commit({ rows: local.rows, registers: local.registers });
+    if (this.sync.needsReload && !this.remoteTimer) {
+      this.remoteTimer = setTimeout(() => this.applyRemote(), 0);
     }
+    if (!operation) return;
+    this.queue.push(operation);
+    this.send(operation);
+    this.save();
   }
 
-  updateUI() {
-    const playPauseBtn = document.getElementById('playPauseSecBtn');
-    const timerColumn = document.getElementById('timerColumnSec');
-    if (playPauseBtn) playPauseBtn.textContent = this.isRunning ? 'Pause' : 'Play';
-    if (timerColumn) {
-      timerColumn.classList.toggle('timer-running', this.isRunning);
-      timerColumn.classList.toggle('timer-paused', !this.isRunning);
+  /**
+   * Make `matchId` the shared match; returns false when there is none yet
+   */
+  follow(matchId) {
+    if (this.sync && this.sync.matchId === matchId) return true;
+    if (this.sync) this.matches[this.sync.matchId] = this.sync.toJSON();
+    if (this.remoteTimer) clearTimeout(this.remoteTimer);
+    this.remoteTimer = null;
+    this.sync = matchId ? new MatchSync(this.deviceId, matchId, this.matches[matchId]) : null;
+    if (!this.sync) {
+      this.notify();
+      return false;
+    }
+    if (this.connected) {
+      this.subscribe();
+    } else {
+      this.connect();
     }
+    this.notify();
+    return true;
   }
 
-  updateDisplay(existing) {
-    const timerDisplay = document.getElementById('timerDisplaySec');
-    if (!timerDisplay) return;
+  connect() {
+    if (!this.url || !this.sync || this.socket || this.retryTimer) return;
+    if (typeof WebSocket === 'undefined') {
+      this.lastError = 'This browser cannot open WebSocket connections.';
+      this.notify();
+      return;
+    }
+    let socket;
+    try {
+      socket = new WebSocket(this.url);
+    } catch (error) {
+      this.scheduleRetry(error);
+      return;
+    }
+    this.socket = socket;
 
-    let timeRemaining = existing;
-    if (!timeRemaining) {
-      if (this.isRunning && this.endTime) {
-        timeRemaining = this.getTimeRemaining(this.endTime);
-      } else if (this.remainingTimeMs !== null) {
-        const total = this.remainingTimeMs;
-        const seconds = Math.floor((total / 1000) % 60);
-        const minutes = Math.floor(total / 1000 / 60);
-        timeRemaining = { total, minutes, seconds };
-      } else {
-        const total = this.defaultSeconds * 1000;
-        const minutes = Math.floor(this.defaultSeconds / 60);
-        const seconds = this.defaultSeconds % 60;
-        timeRemaining = { total, minutes, seconds };
-      }
+    socket.addEventListener('open', () => {
+      if (socket !== this.socket) return;
+      this.connected = true;
+      this.failures = 0;
+      this.lastError = '';
+      this.subscribe();
+      this.queue.forEach((operation) => this.send(operation));
+      this.notify();
+    });
+    socket.addEventListener('message', (event) => {
+      if (socket === this.socket) this.handleMessage(event.data);
+    });
+    socket.addEventListener('close', () => {
+      if (socket !== this.socket) return;
+      this.socket = null;
+      this.connected = false;
+      this.scheduleRetry(new Error('The connection to the relay closed.'));
+    });
+  }
+
+  disconnect() {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    if (this.remoteTimer) clearTimeout(this.remoteTimer);
+    this.retryTimer = null;
+    this.remoteTimer = null;
+    if (!this.socket) return;
+    const socket = this.socket;
+    this.socket = null;
+    this.connected = false;
+    try {
+      socket.close();
+    } catch (error) {
+      // Already closed
     }
+  }
 
-    const mins = Math.max(0, timeRemaining.minutes).toString().padStart(2, '0');
-    const secs = Math.max(0, timeRemaining.seconds).toString().padStart(2, '0');
-    timerDisplay.textContent = `${mins}:${secs}`;
+  /**
+   * Ask for the shared match's operations this device has not read yet
+   */
+  subscribe() {
+    if (!this.connected || !this.sync) return;
+    this.socket.send(JSON.stringify({
+      type: 'subscribe',
+      since: this.sync.relaySeq,
+      matchId: this.sync.matchId,
+      messageType: 'sync-op'
+    }));
+  }
+
+  send(operation) {
+    if (this.connected) this.socket.send(JSON.stringify(operation));
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      return; // Not from the relay
+    }
+    if (!message) return;
+    if (message.type === 'ack') {
+      this.queue = this.queue.filter((operation) => operation.matchId !== message.matchId || operation.seq !== message.seq);
+      this.save();
+      return;
+    }
+    if (message.type === 'error') {
+      this.lastError = message.error;
+      this.notify();
+      return;
+    }
+    if (message.type !== 'sync-op' || !this.sync || message.matchId !== this.sync.matchId) return;
+
+    // Changes made here are sent before anything is merged into them
+    this.commit();
+    if (!this.sync || message.matchId !== this.sync.matchId) return;
+    if (Number.isInteger(message.relaySeq)) {
+      this.sync.relaySeq = Math.max(this.sync.relaySeq, message.relaySeq);
+    }
+    if (message.deviceId !== this.deviceId && this.sync.receive(message) && !this.remoteTimer) {
+      // A catch-up replay arrives as a burst; load the merged match once
+      this.remoteTimer = setTimeout(() => this.applyRemote(), 0);
+    }
+  }
+
+  /**
+   * Load the merged match into the app, then take what the app shows as the
+   * state later changes are measured from
+   */
+  applyRemote() {
+    this.remoteTimer = null;
+    this.commit();
+    if (!this.sync || !this.remoteCallback) return;
+    this.sync.needsReload = false;
+    this.applying = true;
+    try {
+      this.remoteCallback(this.sync.view());
+    } finally {
+      this.applying = false;
+    }
+    const local = this.localReader();
+    if (this.sync && local.matchId === this.sync.matchId) {
+      this.sync.observe({ rows: local.rows, registers: local.registers });
+    }
+    this.save();
+  }
+
+  scheduleRetry(error) {
+    this.failures += 1;
+    this.lastError = error.message;
+    const delay = Math.min(
+      CONFIG.LIVE_FEED_RETRY_BASE_MS * (2 ** (this.failures - 1)),
+      CONFIG.LIVE_FEED_RETRY_MAX_MS
+    );
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = setTimeout(() => {
+      this.retryTimer = null;
+      this.connect();
+    }, delay);
+    this.notify();
+  }
+
+  /**
+   * Reconnect now, e.g. when the browser comes back online
+   */
+  retryNow() {
+    if (this.retryTimer) clearTimeout(this.retryTimer);
+    this.retryTimer = null;
+    this.connect();
+  }
+
+  /**
+   * Who last changed a row when that was another device:
+   * { deviceId, added }, or null
+   */
+  getRowChange(scoreID) {
+    if (!this.sync) return null;
+    const change = this.sync.getRowChange(scoreID);
+    return change && change.deviceId !== this.deviceId ? change : null;
+  }
+
+  /**
+   * Short status line for the setup modal
+   */
+  describeStatus() {
+    if (!this.url) return 'Off';
+    if (!this.sync) return 'The match is shared once it has started.';
+    let status = this.connected ? 'Connected' : 'Not connected';
+    if (!this.connected && !this.lastError) status = 'Connecting…';
+    const others = this.sync.getDevices().filter((deviceId) => deviceId !== this.deviceId).length;
+    if (others > 0) status += `, scoring with ${others} other device${others === 1 ? '' : 's'}`;
+    const pending = this.queue.length;
+    if (pending > 0) status += `. ${pending} change${pending === 1 ? '' : 's'} waiting`;
+    if (this.lastError && !this.connected) return `${status}. Last error: ${this.lastError}`;
+    return `${status}.`;
+  }
+
+  /**
+   * Store the queue and sync states; only the most recent matches are kept
+   * in full, older ones keep just their operation counters
+   */
+  save() {
+    if (this.sync) {
+      delete this.matches[this.sync.matchId]; // Re-insert so the match on screen is the newest
+      this.matches[this.sync.matchId] = this.sync.toJSON();
+    }
+    const matchIds = Object.keys(this.matches).filter((matchId) => this.matches[matchId].rows);
+    matchIds.slice(0, Math.max(0, matchIds.length - CONFIG.CO_SCORING_MATCHES_KEEP)).forEach((matchId) => {
+      const { seq, lamport } = this.matches[matchId];
+      this.matches[matchId] = { seq, lamport };
+      this.queue = this.queue.filter((operation) => operation.matchId !== matchId);
+    });
+    this.persistenceManager.saveCoScoring({ url: this.url, queue: this.queue, matches: this.matches });
+    this.notify();
+  }
+
+  notify() {
+    if (this.changeCallback) this.changeCallback();
   }
 }
 
 // =====================================================
-// LOADING MANAGER - Same as before
+// MATCH ARCHIVE - Finished matches kept in IndexedDB
 // =====================================================
-class LoadingManager {
-  constructor() {
-    this.loadingInterval = null;
+// One record per match, keyed by its match ID: the full gameState (settings,
+// rosters, log, spirit), a short summary for the History list and the export
+// status. localStorage only holds the match in progress, so this is what
+// keeps a match around after New Match.
+class MatchArchive {
+  constructor(dbName = CONFIG.HISTORY_DB_NAME) {
+    this.dbName = dbName;
+    this.storeName = 'matches';
+    this.dbPromise = null;
   }
 
-  start() {
-    const loadingAnimation = document.getElementById('loadingAnimation');
-    const dots = document.getElementById('dots');
-    
-    if (!loadingAnimation || !dots) return;
-
-    let dotCount = 0;
-    loadingAnimation.style.display = 'block';
-    
-    this.loadingInterval = setInterval(() => {
-      dotCount = (dotCount + 1) % 4;
-      dots.textContent = '.'.repeat(dotCount);
-    }, CONFIG.LOADING_ANIMATION_INTERVAL);
+  isAvailable() {
+    return typeof indexedDB !== 'undefined';
   }
 
-  stop() {
-    const loadingAnimation = document.getElementById('loadingAnimation');
-    const dots = document.getElementById('dots');
-    
-    if (this.loadingInterval) {
-      clearInterval(this.loadingInterval);
-      this.loadingInterval = null;
+  /**
+   * Open (and on first use create) the database
+   */
+  open() {
+    if (!this.isAvailable()) {
+      return Promise.reject(new Error('IndexedDB is not available in this browser.'));
+    }
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, 1);
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'matchId' });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
     }
-    
-    if (loadingAnimation) loadingAnimation.style.display = 'none';
-    if (dots) dots.textContent = '';
+    return this.dbPromise;
+  }
+
+  /**
+   * Run one store operation in its own transaction and resolve with its
+   * result once the transaction has committed
+   */
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(this.storeName, mode);
+      const request = operation(transaction.objectStore(this.storeName));
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+
+  put(record) {
+    return this.run('readwrite', (store) => store.put(record));
+  }
+
+  get(matchId) {
+    return this.run('readonly', (store) => store.get(matchId));
+  }
+
+  remove(matchId) {
+    return this.run('readwrite', (store) => store.delete(matchId));
+  }
+
+  clear() {
+    return this.run('readwrite', (store) => store.clear());
+  }
+
+  /**
+   * All archived matches, most recently saved first
+   */
+  async list() {
+    const records = await this.run('readonly', (store) => store.getAll());
+    return (records || []).sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Merge changes into an archived match (no-op when it is not archived).
+   * `changes` may be a function of the stored record.
+   */
+  async update(matchId, changes) {
+    const record = await this.get(matchId);
+    if (!record) return null;
+    const updated = { ...record, ...(typeof changes === 'function' ? changes(record) : changes) };
+    await this.put(updated);
+    return updated;
+  }
+
+  /**
+   * Delete matches saved more than `days` days ago; 0 keeps everything
+   */
+  async prune(days) {
+    if (!days) return 0;
+    const cutoff = Date.now() - days * 24 * 60 * 60 * 1000;
+    const stale = (await this.list()).filter((record) => record.savedAt < cutoff);
+    await Promise.all(stale.map((record) => this.remove(record.matchId)));
+    return stale.length;
   }
 }
 
 // =====================================================
-// MAIN APPLICATION CLASS - Enhanced with state restoration
+// BACKUP MANAGER - The device's app data as one JSON file
 // =====================================================
-class ScorekeeperApp {
-  constructor() {
-    // Initialize managers
-    this.persistenceManager = new PersistenceManager();
-    this.dataManager = new DataManager(this.persistenceManager);
-    this.apiManager = new ApiManager();
-    this.loadingManager = new LoadingManager();
-    this.timerManager = new TimerManager(this.persistenceManager);
-    this.secondsTimer = new SecondsTimerManager();
+// A backup holds every match slot (game state, timer and undo history), the
+// cached team lists, line presets, the history retention setting and the
+// archived matches. Pending uploads stay on the device that queued them.
+// Imports are validated and compared with the device before anything is
+// written, then either merged in or used to replace the device's data.
+class BackupManager {
+  constructor(persistenceManager, archive) {
+    this.persistenceManager = persistenceManager;
+    this.archive = archive;
+  }
 
-    this.gameSettings = {
-      matchDuration: CONFIG.DEFAULT_TIMER_MINUTES,
-      halftimeDuration: 55,
-      halftimeBreakDuration: 7,
-      timeoutDuration: 75,
-      timeoutsTotal: 2,
-      timeoutsPerHalf: 0
+  /**
+   * Collect the backup. Save the match on screen first, so it is included.
+   */
+  async create() {
+    const pm = this.persistenceManager;
+    const registry = pm.loadMatchSlots();
+    return {
+      format: 'scoresheet-backup',
+      backupVersion: CONFIG.BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      schemaVersions: StateSchema.VERSIONS,
+      activeSlot: registry.active,
+      slots: registry.slots.map((slot) => ({
+        id: slot.id,
+        name: slot.name,
+        gameState: pm.loadGameState(slot.id),
+        timerState: pm.loadTimerState(slot.id),
+        undoHistory: pm.loadFromStorage(CONFIG.STORAGE_KEYS.UNDO_HISTORY, null, slot.id)
+      })),
+      teamsData: pm.loadTeamsData() || {},
+      linePresets: pm.loadLinePresets(),
+      historyRetentionDays: pm.loadHistoryRetention(),
+      archive: this.archive.isAvailable() ? await this.archive.list() : []
     };
+  }
 
-    this.timeoutState = {
-      A: {
-        totalRemaining: this.gameSettings.timeoutsTotal,
-        halfRemaining: this.gameSettings.timeoutsPerHalf || this.gameSettings.timeoutsTotal
-      },
-      B: {
-        totalRemaining: this.gameSettings.timeoutsTotal,
-        halfRemaining: this.gameSettings.timeoutsPerHalf || this.gameSettings.timeoutsTotal
+  /**
+   * Read and validate a backup file. Snapshots from older app versions are
+   * migrated; anything unusable throws with a message for the user.
+   */
+  parse(text) {
+    const backup = Utils.safeJsonParse(text, null);
+    if (!backup || typeof backup !== 'object' || backup.format !== 'scoresheet-backup') {
+      throw new Error('This file is not a Score Sheet backup.');
+    }
+    if (!Number.isInteger(backup.backupVersion) || backup.backupVersion < 1) {
+      throw new Error('The backup has no valid version.');
+    }
+    if (backup.backupVersion > CONFIG.BACKUP_VERSION) {
+      throw new Error(`The backup was made by a newer version of the app (backup version ${backup.backupVersion}).`);
+    }
+    if (!Array.isArray(backup.slots) || backup.slots.length === 0) {
+      throw new Error('The backup contains no matches.');
+    }
+
+    const read = (kind, snapshot, what) => {
+      try {
+        return StateSchema.upgrade(kind, snapshot).data;
+      } catch (error) {
+        throw new Error(`${what} in the backup cannot be read: ${error.message}.`);
       }
     };
-    
-    // Application state
-    this.teamAScore = 0;
-    this.teamBScore = 0;
-    this.currentEditID = null;
-    this.currentTimeoutEditID = null;
-    this.currentHalftimeEditID = null;
-    this.halftimeTriggered = false;
-    this.halftimeAutoSuppressed = false;
-    this.halftimePendingReason = null;
-    this.halftimeReasonResolved = null;
-    this.isRestoring = false;
-    this.abbaStart = 'NONE';
-    this.matchStarted = false;
-    this.gameStoppageActive = false;
-    this.hardCapReached = false;
-    this.stoppagePausedMainTimer = false;
-    this.stoppagePausedSecondsTimer = false;
-    this.tableResizeFrame = null;
+    const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
 
-    this.timerManager.defaultMinutes = this.gameSettings.matchDuration;
-    this.secondsTimer.defaultSeconds = this.gameSettings.timeoutDuration;
-    
-    // Bind methods
-    this.handleTeamChange = this.handleTeamChange.bind(this);
-    this.handleSaveScore = this.handleSaveScore.bind(this);
-    this.handleSubmitScore = this.handleSubmitScore.bind(this);
-    this.handleDeleteScore = this.handleDeleteScore.bind(this);
-    this.handleTimerToggle = this.handleTimerToggle.bind(this);
-    this.handleTimerReset = this.handleTimerReset.bind(this);
-    this.handleSecTimerToggle = this.handleSecTimerToggle.bind(this);
-    this.handleSecTimerReset = this.handleSecTimerReset.bind(this);
-    this.openPopup = this.openPopup.bind(this);
-    this.closePopup = this.closePopup.bind(this);
-    this.openSetupPopup = this.openSetupPopup.bind(this);
-    this.closeSetupPopup = this.closeSetupPopup.bind(this);
-    this.openTimePopup = this.openTimePopup.bind(this);
-    this.closeTimePopup = this.closeTimePopup.bind(this);
-    this.handleStoppageToggle = this.handleStoppageToggle.bind(this);
-    this.handleSetupSave = this.handleSetupSave.bind(this);
-    this.autoSave = this.autoSave.bind(this);
-    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
-    this.handleAbbaChange = this.handleAbbaChange.bind(this);
-    this.startMatch = this.startMatch.bind(this);
-    this.handleHalftime = this.handleHalftime.bind(this);
-    this.openTimeoutEditPopup = this.openTimeoutEditPopup.bind(this);
-    this.closeTimeoutEditPopup = this.closeTimeoutEditPopup.bind(this);
-    this.handleTimeoutEditSave = this.handleTimeoutEditSave.bind(this);
-    this.openHalftimeEditPopup = this.openHalftimeEditPopup.bind(this);
-    this.closeHalftimeEditPopup = this.closeHalftimeEditPopup.bind(this);
-    this.handleHalftimeDelete = this.handleHalftimeDelete.bind(this);
-    this.handleMainTimerTick = this.handleMainTimerTick.bind(this);
-    this.adjustScoringTableSizing = this.adjustScoringTableSizing.bind(this);
-    this.handleResize = Utils.debounce(() => this.adjustScoringTableSizing(), 150);
+    const slots = backup.slots.map((slot, index) => {
+      if (!isObject(slot) || typeof slot.id !== 'string' || !slot.id) {
+        throw new Error(`Match ${index + 1} in the backup has no ID.`);
+      }
+      const name = String(slot.name || `Field ${index + 1}`);
+      const undoHistory = isObject(slot.undoHistory) && Array.isArray(slot.undoHistory.undo)
+        && Array.isArray(slot.undoHistory.redo) ? slot.undoHistory : { undo: [], redo: [] };
+      return {
+        id: slot.id,
+        name,
+        gameState: read('gameState', slot.gameState, `The match on ${name}`),
+        timerState: slot.timerState ? read('timerState', slot.timerState, `The timer of ${name}`) : null,
+        undoHistory
+      };
+    });
+    if (new Set(slots.map((slot) => slot.id)).size !== slots.length) {
+      throw new Error('The backup lists the same match slot twice.');
+    }
 
-    this.timerManager.setTickCallback(this.handleMainTimerTick);
+    const teamsData = isObject(backup.teamsData) ? backup.teamsData : {};
+    const badTeam = Object.keys(teamsData).find((team) => !Array.isArray(teamsData[team]));
+    if (badTeam) {
+      throw new Error(`The roster of ${badTeam} in the backup is not a list.`);
+    }
+
+    const archive = (Array.isArray(backup.archive) ? backup.archive : []).map((record, index) => {
+      if (!isObject(record) || typeof record.matchId !== 'string' || !record.matchId) {
+        throw new Error(`Archived match ${index + 1} in the backup has no match ID.`);
+      }
+      return {
+        ...record,
+        savedAt: typeof record.savedAt === 'number' ? record.savedAt : 0,
+        gameState: read('gameState', record.gameState, `Archived match ${record.gameID || record.matchId}`)
+      };
+    });
+
+    return {
+      exportedAt: backup.exportedAt || '',
+      activeSlot: slots.some((slot) => slot.id === backup.activeSlot) ? backup.activeSlot : slots[0].id,
+      slots,
+      teamsData,
+      linePresets: isObject(backup.linePresets) ? backup.linePresets : {},
+      historyRetentionDays: Number.isInteger(backup.historyRetentionDays) && backup.historyRetentionDays >= 0
+        ? backup.historyRetentionDays
+        : null,
+      archive
+    };
   }
 
   /**
-   * Initialize the application with state restoration
+   * Compare a parsed backup with the device. Match slots are paired by match
+   * ID (or slot ID when no match has started) and archived matches by match
+   * ID; the more recently saved copy counts as newer. Each section lists
+   * what is only in the backup (added), newer in the backup (newer), the
+   * same or older (kept) and only on the device (localOnly).
    */
-  async init() {
-    try {
-      // Set up before unload handler
-      window.addEventListener('beforeunload', this.handleBeforeUnload);
-      
-      // Start auto-save
-      this.persistenceManager.startAutoSave(this.autoSave);
-      
-      // Show initial popups while data loads
-      this.showLoadingPopup();
+  async compare(backup) {
+    const pm = this.persistenceManager;
+    const localSlots = pm.loadMatchSlots().slots.map((slot) => ({ ...slot, gameState: pm.loadGameState(slot.id) }));
+    const slotKey = (slot) => slot.gameState.matchId || `slot:${slot.id}`;
+    const localArchive = this.archive.isAvailable() ? await this.archive.list() : [];
+
+    const pair = (incoming, existing, keyOf, savedAt) => {
+      const byKey = new Map(existing.map((item) => [keyOf(item), item]));
+      const result = { added: [], newer: [], kept: [], localOnly: [] };
+      incoming.forEach((item) => {
+        const match = byKey.get(keyOf(item));
+        byKey.delete(keyOf(item));
+        if (!match) {
+          result.added.push({ item });
+        } else if (savedAt(item) > savedAt(match)) {
+          result.newer.push({ item, match });
+        } else {
+          result.kept.push({ item, match });
+        }
+      });
+      result.localOnly = Array.from(byKey.values());
+      return result;
+    };
 
-      let initializationError = null;
-      try {
-        // Check if we need to restore state
-        await this.checkAndRestoreState();
-        
-        // Load teams data (from cache or API)
-        await this.loadTeams();
-      } catch (error) {
-        initializationError = error;
+    const localTeams = pm.loadTeamsData() || {};
+    const localPresets = pm.loadLinePresets();
+    const presetNames = (presets) => Object.entries(presets)
+      .flatMap(([team, named]) => Object.keys(named || {}).map((name) => `${team}|${name}`));
+    const localPresetNames = presetNames(localPresets);
+
+    return {
+      slots: pair(backup.slots, localSlots, slotKey, (slot) => slot.gameState.timestamp || 0),
+      archive: pair(backup.archive, localArchive, (record) => record.matchId, (record) => record.savedAt || 0),
+      archiveAvailable: this.archive.isAvailable(),
+      teams: {
+        total: Object.keys(backup.teamsData).length,
+        added: Object.keys(backup.teamsData).filter((team) => !localTeams[team]).length
+      },
+      presets: {
+        total: presetNames(backup.linePresets).length,
+        added: presetNames(backup.linePresets).filter((name) => !localPresetNames.includes(name)).length
+      }
+    };
+  }
+
+  /**
+   * Write a parsed backup to the device. 'merge' adds what is new and takes
+   * newer copies of matches found on both sides, keeping the device's team
+   * lists, presets and settings where both have one. 'replace' removes the
+   * device's app data first. Returns the match slot to show.
+   */
+  async apply(backup, diff, mode) {
+    const pm = this.persistenceManager;
+    const keys = CONFIG.STORAGE_KEYS;
+
+    // IndexedDB first: everything after it is synchronous, so nothing can
+    // save the match on screen over the imported one in between
+    if (this.archive.isAvailable()) {
+      if (mode === 'replace') {
+        await this.archive.clear();
+        for (const record of backup.archive) {
+          await this.archive.put(record);
+        }
+      } else {
+        for (const { item } of [...diff.archive.added, ...diff.archive.newer]) {
+          await this.archive.put(item);
+        }
+      }
+    }
+
+    const writeSlot = (slotId, slot) => {
+      pm.removeSlotData(slotId);
+      pm.saveToStorage(keys.GAME_STATE, slot.gameState, slotId);
+      if (slot.timerState) {
+        pm.saveToStorage(keys.TIMER_STATE, slot.timerState, slotId);
+      }
+      pm.saveToStorage(keys.UNDO_HISTORY, slot.undoHistory, slotId);
+    };
+
+    if (mode === 'replace') {
+      pm.loadMatchSlots().slots.forEach((slot) => pm.removeSlotData(slot.id));
+      backup.slots.forEach((slot) => writeSlot(slot.id, slot));
+      pm.saveMatchSlots({
+        active: backup.activeSlot,
+        slots: backup.slots.map(({ id, name }) => ({ id, name }))
+      });
+      if (Object.keys(backup.teamsData).length > 0) {
+        pm.saveTeamsData(backup.teamsData);
+      } else {
+        localStorage.removeItem(keys.TEAMS_DATA);
+      }
+      pm.saveLinePresets(backup.linePresets);
+      if (backup.historyRetentionDays !== null) {
+        pm.saveHistoryRetention(backup.historyRetentionDays);
+      }
+      pm.setSlot(backup.activeSlot);
+      return backup.activeSlot;
+    }
+
+    const registry = pm.loadMatchSlots();
+    diff.slots.newer.forEach(({ item, match }) => writeSlot(match.id, item));
+    diff.slots.added.forEach(({ item }) => {
+      const gameState = item.gameState;
+      // Empty slots in the backup add nothing
+      if (gameState.scoreLogs.length === 0 && !gameState.teamAName && !gameState.teamBName) return;
+      const id = registry.slots.some((slot) => slot.id === item.id) ? Utils.generateId() : item.id;
+      const name = registry.slots.some((slot) => slot.name === item.name) ? `${item.name} (imported)` : item.name;
+      writeSlot(id, item);
+      registry.slots.push({ id, name });
+    });
+    pm.saveMatchSlots(registry);
+
+    if (Object.keys(backup.teamsData).length > 0) {
+      pm.saveTeamsData({ ...backup.teamsData, ...(pm.loadTeamsData() || {}) });
+    }
+    const presets = pm.loadLinePresets();
+    Object.entries(backup.linePresets).forEach(([team, named]) => {
+      presets[team] = { ...(named || {}), ...(presets[team] || {}) };
+    });
+    pm.saveLinePresets(presets);
+    return registry.active;
+  }
+}
+
+// =====================================================
+// MATCH TRANSFER - Hand a live match to another device
+// =====================================================
+// A transfer carries one match slot (game state with rosters, settings and
+// timeouts, the main timer and the seconds timer) inside a link fragment, so
+// nothing passes through a server. The JSON is deflated when the browser
+// supports it and written as base64url behind "#transfer=": a leading "z"
+// marks deflated data, "j" plain JSON. A running main clock travels as its
+// end time, so it reads the same on both devices as long as their clocks
+// agree; a paused one travels as its remaining milliseconds. With co-scoring
+// on, the link also carries the relay address, and the receiving device
+// joins the match rather than taking it over.
+class MatchTransfer {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+  }
+
+  /**
+   * Collect a match slot for transfer. Save the match on screen first.
+   */
+  create(secondsTimer, slotId = this.persistenceManager.slotId) {
+    const pm = this.persistenceManager;
+    const slot = pm.loadMatchSlots().slots.find((entry) => entry.id === slotId);
+    const timerState = pm.loadTimerState(slotId);
+    return {
+      format: 'scoresheet-transfer',
+      transferVersion: CONFIG.TRANSFER_VERSION,
+      sentAt: new Date().toISOString(),
+      name: slot ? slot.name : '',
+      gameState: { ...pm.loadGameState(slotId), schemaVersion: StateSchema.VERSIONS.gameState },
+      timerState: timerState ? { ...timerState, schemaVersion: StateSchema.VERSIONS.timerState } : null,
+      secondsTimer: secondsTimer || null
+    };
+  }
+
+  /**
+   * Turn a transfer into the text that follows "#transfer="
+   */
+  async encode(transfer) {
+    const bytes = new TextEncoder().encode(JSON.stringify(transfer));
+    if (typeof CompressionStream === 'function') {
+      const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+      const deflated = new Uint8Array(await new Response(stream).arrayBuffer());
+      return `z${this.toBase64Url(deflated)}`;
+    }
+    return `j${this.toBase64Url(bytes)}`;
+  }
+
+  /**
+   * Read a "#transfer=" token back into a validated, migrated transfer.
+   * Errors are worded for the scorekeeper.
+   */
+  async decode(token) {
+    const deflated = token[0] === 'z';
+    if (!deflated && token[0] !== 'j') {
+      throw new Error('The transfer link is not in a known format.');
+    }
+    if (deflated && typeof DecompressionStream !== 'function') {
+      throw new Error('This browser cannot unpack transfer links. Update it or try another browser.');
+    }
+
+    let transfer;
+    try {
+      let bytes = this.fromBase64Url(token.slice(1));
+      if (deflated) {
+        const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+      transfer = JSON.parse(new TextDecoder().decode(bytes));
+    } catch (error) {
+      throw new Error('The transfer link is damaged or incomplete.');
+    }
+
+    if (!transfer || typeof transfer !== 'object' || transfer.format !== 'scoresheet-transfer') {
+      throw new Error('The link does not contain a match.');
+    }
+    if (!Number.isInteger(transfer.transferVersion) || transfer.transferVersion < 1) {
+      throw new Error('The transfer link has no valid version.');
+    }
+    if (transfer.transferVersion > CONFIG.TRANSFER_VERSION) {
+      throw new Error(`The link was made by a newer version of the app (transfer version ${transfer.transferVersion}).`);
+    }
+
+    const read = (kind, snapshot, what) => {
+      try {
+        return StateSchema.upgrade(kind, snapshot).data;
+      } catch (error) {
+        throw new Error(`${what} in the link cannot be read: ${error.message}.`);
+      }
+    };
+    const seconds = transfer.secondsTimer;
+    return {
+      sentAt: transfer.sentAt || '',
+      name: String(transfer.name || ''),
+      gameState: read('gameState', transfer.gameState, 'The match'),
+      timerState: transfer.timerState ? read('timerState', transfer.timerState, 'The match clock') : null,
+      secondsTimer: seconds && typeof seconds === 'object' && !Array.isArray(seconds) ? seconds : null,
+      coScoring: typeof transfer.coScoring === 'string' && !CoScoring.validateUrl(transfer.coScoring) ? transfer.coScoring : ''
+    };
+  }
+
+  /**
+   * Link that opens the app at `href` with the transfer token
+   */
+  buildLink(token, href = window.location.href) {
+    return `${href.split('#')[0]}#transfer=${token}`;
+  }
+
+  /**
+   * Token from a location hash, or null when it holds no transfer
+   */
+  readLinkToken(hash = window.location.hash) {
+    const match = /^#transfer=([A-Za-z0-9_-]+)$/.exec(hash || '');
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Store a received match and make its slot active: the slot shown when it
+   * has no events yet, otherwise a new one. Returns the slot ID.
+   */
+  apply(transfer, reuseActive) {
+    const pm = this.persistenceManager;
+    const registry = pm.loadMatchSlots();
+    let slotId = registry.active;
+
+    if (reuseActive) {
+      pm.saveUndoHistory(null);
+    } else {
+      const names = registry.slots.map((slot) => slot.name);
+      let name = transfer.name || 'Transferred match';
+      if (names.includes(name)) name = `${name} (transferred)`;
+      slotId = Utils.generateId();
+      registry.slots = [...registry.slots, { id: slotId, name }];
+    }
+
+    pm.saveGameState({ ...transfer.gameState, timestamp: Date.now() }, slotId);
+    if (transfer.timerState) {
+      pm.saveTimerState(transfer.timerState, slotId);
+    }
+    pm.saveMatchSlots({ ...registry, active: slotId });
+    return slotId;
+  }
+
+  toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+  }
+}
+
+// =====================================================
+// EXPORT BUILDER - One table for the CSV and the Sheets upload
+// =====================================================
+// Flattens the match log into rows with a single column order: the base
+// columns, computed columns (running score, half, ratio, offense, lines) and
+// then every other key found on the logs, so nothing stored on an event is
+// dropped from the export.
+class ExportBuilder {
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Base and computed columns. `value` reads a log and its replay row; columns
+   * with a `when` test only appear when it passes for the current match.
+   */
+  getColumns(logs) {
+    const engine = this.engine;
+    const gameID = engine.getGameID();
+    const rowState = (log) => engine.getRowState(log.scoreID);
+    const pointState = (log) => (engine.isScoreLog(log) ? rowState(log) : null);
+    const formatLine = (line) => (Array.isArray(line) ? line.join('; ') : '');
+    const pointLabels = { hold: 'Hold', break: 'Break' };
+    // Line columns only appear once a line has been recorded
+    const hasLines = logs.some((log) => Array.isArray(log.LineA) || Array.isArray(log.LineB));
+    return [
+      { key: 'GameID', value: (log) => log.GameID || gameID },
+      { key: 'Time', value: (log) => log.Time },
+      // Clock stamps; events logged before they existed leave them blank
+      { key: 'Timestamp', value: (log) => log.Timestamp, when: () => logs.some((log) => log.Timestamp) },
+      {
+        key: 'GameClock',
+        value: (log) => Utils.formatClock(log.RemainingSeconds),
+        when: () => logs.some((log) => typeof log.RemainingSeconds === 'number')
+      },
+      {
+        key: 'Elapsed',
+        value: (log) => Utils.formatClock(log.ElapsedSeconds),
+        when: () => logs.some((log) => typeof log.ElapsedSeconds === 'number')
+      },
+      { key: 'Event', value: (log) => log.EventType || engine.getEventTypeLabel(log.Type) },
+      { key: 'Team', value: (log) => log.Team },
+      { key: 'Score', value: (log) => log.Score },
+      { key: 'Assist', value: (log) => log.Assist },
+      { key: 'Player', value: (log) => log.Player },
+      { key: 'Turnover', value: (log) => engine.getTurnoverLabel(log) },
+      // Running score after each event
+      { key: 'ScoreA', value: (log) => rowState(log)?.score.A },
+      { key: 'ScoreB', value: (log) => rowState(log)?.score.B },
+      { key: 'Half', value: (log) => rowState(log)?.half },
+      // Ratio of each point, when mixed ratio is tracked
+      { key: 'Ratio', value: (log) => pointState(log)?.ratio, when: () => logs.some((log) => pointState(log)?.ratio) },
+      // Receiving team and hold/break of each point, once the offense is known
+      {
+        key: 'Offense',
+        value: (log) => (pointState(log)?.offense ? engine.getTeamLabel(pointState(log).offense) : ''),
+        when: () => hasLines || logs.some((log) => pointState(log)?.pointResult)
+      },
+      {
+        key: 'Point',
+        value: (log) => pointLabels[pointState(log)?.pointResult],
+        when: () => hasLines || logs.some((log) => pointState(log)?.pointResult)
+      },
+      { key: 'LineA', value: (log) => formatLine(log.LineA), when: () => hasLines },
+      { key: 'LineB', value: (log) => formatLine(log.LineB), when: () => hasLines },
+      { key: 'HangTime', value: (log) => log.HangTime, when: () => logs.some((log) => typeof log.HangTime === 'number') }
+    ];
+  }
+
+  /**
+   * Build the log table: { columns, rows } with one object per event whose
+   * keys follow the column order
+   */
+  build() {
+    const logs = this.engine.getScoreLogs();
+    const columns = [];
+    const values = {};
+    this.getColumns(logs).forEach(({ key, value, when }) => {
+      if (when && !when()) return;
+      columns.push(key);
+      values[key] = logs.map((log) => ExportBuilder.formatValue(value(log)));
+    });
+    // Every other field stored on the logs, in order of first appearance.
+    // Raw keys already covered by a column above (e.g. a ratio override or
+    // the Event display label) are represented by that column.
+    logs.forEach((log) => {
+      Object.keys(log).forEach((key) => {
+        if (columns.includes(key)) return;
+        columns.push(key);
+        values[key] = logs.map((entry) => ExportBuilder.formatValue(entry[key]));
+      });
+    });
+    const rows = logs.map((log, index) => {
+      const row = {};
+      columns.forEach((key) => {
+        row[key] = values[key][index];
+      });
+      return row;
+    });
+    return { columns, rows };
+  }
+
+  /**
+   * CSV of the log table followed by the per-player, per-team and spirit tables
+   */
+  toCSV(table) {
+    const lines = [Utils.toCSVLine(table.columns)];
+    table.rows.forEach((row) => {
+      lines.push(Utils.toCSVLine(table.columns.map((key) => row[key])));
+    });
+
+    // Points played per player, appended below the log
+    const playerStats = this.buildPlayerStats();
+    if (playerStats.length) {
+      lines.push('');
+      lines.push(Utils.toCSVLine(['Team', 'Player', 'Points played', 'O-line points', 'D-line points']));
+      playerStats.forEach((entry) => {
+        lines.push(Utils.toCSVLine([entry.Team, entry.Player, entry.PointsPlayed, entry.OPoints, entry.DPoints]));
+      });
+    }
+
+    // Holds and breaks per team
+    const teamStats = this.buildTeamStats();
+    if (teamStats.length) {
+      lines.push('');
+      lines.push(Utils.toCSVLine(['Team', 'O points', 'Holds', 'D points', 'Breaks']));
+      teamStats.forEach((entry) => {
+        lines.push(Utils.toCSVLine([entry.Team, entry.OPoints, entry.Holds, entry.DPoints, entry.Breaks]));
+      });
+    }
+
+    // Spirit of the Game scores received by each team
+    const spiritStats = this.buildSpiritStats();
+    if (spiritStats.length) {
+      const spiritLabels = MatchEngine.getSpiritCategories().map(({ label }) => label);
+      lines.push('');
+      lines.push(Utils.toCSVLine(['Spirit for', 'Given by', ...spiritLabels, 'Total', 'MVP', 'MSP', 'Comments']));
+      spiritStats.forEach((entry) => {
+        lines.push(Utils.toCSVLine(Object.values(entry)));
+      });
+    }
+
+    return lines.join('\r\n');
+  }
+
+  /**
+   * Payload for the Apps Script doPost; Columns gives the sheet its header order
+   */
+  toPayload(table, dateStr) {
+    const matchResult = this.engine.getResult();
+    return {
+      MatchID: this.engine.getMatchId(),
+      GameID: this.engine.getGameID(),
+      Date: dateStr,
+      Result: matchResult ? {
+        Reason: matchResult.reason,
+        Winner: matchResult.winnerName || 'Draw',
+        FinalScoreA: matchResult.score.A,
+        FinalScoreB: matchResult.score.B
+      } : null,
+      PlayerStats: this.buildPlayerStats(),
+      TeamStats: this.buildTeamStats(),
+      Spirit: this.buildSpiritStats(),
+      Columns: table.columns,
+      logs: table.rows
+    };
+  }
+
+  /**
+   * Flatten the engine's line stats into export rows
+   */
+  buildPlayerStats() {
+    const lineStats = this.engine.getLineStats();
+    return ['A', 'B'].flatMap((team) => lineStats[team].map((entry) => ({
+      Team: this.engine.getTeamLabel(team),
+      Player: entry.player,
+      PointsPlayed: entry.points,
+      OPoints: entry.oPoints,
+      DPoints: entry.dPoints
+    })));
+  }
+
+  /**
+   * Holds and breaks per team for export; empty until a receiving team is known
+   */
+  buildTeamStats() {
+    const teamStats = this.engine.getTeamStats();
+    if (!['A', 'B'].some((team) => teamStats[team].oPoints > 0)) return [];
+    return ['A', 'B'].map((team) => ({
+      Team: this.engine.getTeamLabel(team),
+      OPoints: teamStats[team].oPoints,
+      Holds: teamStats[team].holds,
+      DPoints: teamStats[team].dPoints,
+      Breaks: teamStats[team].breaks
+    }));
+  }
+
+  /**
+   * Spirit scores per team for export; empty until something was entered.
+   * Category columns are the labels in PascalCase, e.g. FoulsAndBodyContact.
+   */
+  buildSpiritStats() {
+    const spirit = this.engine.getSpirit();
+    const entered = ['A', 'B'].some((team) => {
+      const entry = spirit[team];
+      return this.engine.getSpiritTotal(team) !== null || entry.comments || entry.mvp || entry.msp;
+    });
+    if (!entered) return [];
+    const columnKey = (label) => label.split(/[^A-Za-z]+/).filter(Boolean)
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+    return ['A', 'B'].map((team) => {
+      const entry = spirit[team];
+      const row = {
+        Team: this.engine.getTeamLabel(team),
+        GivenBy: this.engine.getTeamLabel(team === 'A' ? 'B' : 'A')
+      };
+      MatchEngine.getSpiritCategories().forEach(({ id, label }) => {
+        row[columnKey(label)] = entry.scores[id] === null ? '' : entry.scores[id];
+      });
+      const total = this.engine.getSpiritTotal(team);
+      return {
+        ...row,
+        Total: total === null ? '' : total,
+        MVP: entry.mvp,
+        MSP: entry.msp,
+        Comments: entry.comments
+      };
+    });
+  }
+
+  /**
+   * Flatten a log value into a cell: lists are joined, objects become JSON
+   */
+  static formatValue(value) {
+    if (value === undefined || value === null) return '';
+    if (Array.isArray(value)) return value.join('; ');
+    if (typeof value === 'object') return JSON.stringify(value);
+    return value;
+  }
+}
+
+// =====================================================
+// REVAMPED TIMER MANAGER - Simple countdown from future date
+// =====================================================
+class TimerManager {
+  constructor(persistenceManager) {
+    this.persistenceManager = persistenceManager;
+    this.timerInterval = null;
+    this.isRunning = false;
+    this.endTime = null;
+    this.remainingTimeMs = null; // Store remaining time when paused
+    this.defaultMinutes = CONFIG.DEFAULT_TIMER_MINUTES;
+    this.tickCallback = null;
+    this.changeCallback = null; // Called when the timer starts, pauses or resets
+    
+    this.loadTimerState();
+  }
+
+
+  /**
+   * Get time remaining until endTime
+   */
+  getTimeRemaining(endtime) {
+    const total = Date.parse(endtime) - Date.parse(new Date());
+    const seconds = Math.floor((total / 1000) % 60);
+    const minutes = Math.floor(total / 1000 / 60);
+    
+    return {
+      total,
+      minutes,
+      seconds
+    };
+  }
+
+  /**
+   * Load saved timer state
+   */
+  loadTimerState() {
+    const stored = this.persistenceManager.loadTimerState() || {};
+
+    if (stored.endTime) {
+      this.endTime = new Date(stored.endTime);
+    }
+
+    if (stored.remainingTimeMs) {
+      this.remainingTimeMs = stored.remainingTimeMs;
+    }
+
+    this.isRunning = stored.isRunning === true;
+
+    // Check if timer should still be running
+    if (this.isRunning && this.endTime) {
+      const timeRemaining = this.getTimeRemaining(this.endTime);
+      if (timeRemaining.total <= 0) {
+        // Timer expired while away
+        this.stop();
+        this.updateDisplay();
+      } else {
+        // Resume timer
+        this.start();
+      }
+    } else if (this.remainingTimeMs !== null) {
+      // Timer was paused, restore remaining time
+      this.setRemainingTime(this.remainingTimeMs);
+      this.updateDisplay();
+    } else {
+      // Initialize with default time if no saved state
+      this.reset(this.defaultMinutes);
+    }
+  }
+
+  /**
+   * Save timer state to storage
+   */
+  saveTimerState() {
+    this.persistenceManager.saveTimerState({
+      endTime: this.endTime ? this.endTime.toISOString() : null,
+      isRunning: this.isRunning,
+      remainingTimeMs: this.remainingTimeMs
+    });
+  }
+
+  /**
+   * Stop ticking without pausing, e.g. when another match slot is shown. A
+   * running countdown keeps its saved end time and resumes from it on the
+   * next loadTimerState().
+   */
+  detach() {
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+    this.isRunning = false;
+    this.endTime = null;
+    this.remainingTimeMs = null;
+  }
+
+  /**
+   * Read a match slot's saved countdown: { seconds, isRunning }, with seconds
+   * null when the slot has no timer yet
+   */
+  readSlotClock(slotId) {
+    const stored = this.persistenceManager.loadTimerState(slotId) || {};
+
+    if (stored.isRunning && stored.endTime) {
+      const total = this.getTimeRemaining(new Date(stored.endTime)).total;
+      return { seconds: Math.max(0, Math.floor(total / 1000)), isRunning: total > 0 };
+    }
+    if (typeof stored.remainingTimeMs === 'number') {
+      return { seconds: Math.floor(stored.remainingTimeMs / 1000), isRunning: false };
+    }
+    return { seconds: null, isRunning: false };
+  }
+
+  /**
+   * Countdown as { isRunning, endTime, remainingTimeMs } with the end time
+   * in epoch ms, as SecondsTimerManager.getState() reports it
+   */
+  getState() {
+    const running = Boolean(this.isRunning && this.endTime);
+    return {
+      isRunning: running,
+      endTime: running ? this.endTime.getTime() : null,
+      remainingTimeMs: running ? null : this.remainingTimeMs
+    };
+  }
+
+  /**
+   * Take over a countdown from getState(), e.g. the clock of a co-scoring
+   * device. A running one carries on from its end time.
+   */
+  setState(state) {
+    if (this.timerInterval) clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.isRunning = false;
+    this.endTime = null;
+    this.remainingTimeMs = null;
+    if (state && state.isRunning && state.endTime) {
+      this.endTime = new Date(state.endTime);
+      this.start();
+      return;
+    }
+    this.setRemainingTime(state && typeof state.remainingTimeMs === 'number'
+      ? state.remainingTimeMs
+      : this.defaultMinutes * 60 * 1000);
+    this.updateUI();
+    this.saveTimerState();
+    this.updateDisplay();
+    this.notifyChange();
+  }
+
+  /**
+   * Set remaining time from milliseconds
+   */
+  setRemainingTime(milliseconds) {
+    this.remainingTimeMs = milliseconds;
+    // Set endTime to null when paused to indicate we're using remainingTimeMs
+    this.endTime = null;
+  }
+
+  /**
+   * Update the timer display
+   */
+  updateDisplay() {
+    const timerDisplay = document.getElementById('timerDisplay');
+    
+    if (!timerDisplay) return;
+
+    let timeRemaining;
+    
+    if (this.isRunning && this.endTime) {
+      // Timer is running, calculate from endTime
+      timeRemaining = this.getTimeRemaining(this.endTime);
+    } else if (this.remainingTimeMs !== null) {
+      // Timer is paused, use stored remaining time
+      const total = this.remainingTimeMs;
+      const seconds = Math.floor((total / 1000) % 60);
+      const minutes = Math.floor(total / 1000 / 60);
+      timeRemaining = { total, minutes, seconds };
+    } else {
+      // Fallback to default time
+      const total = this.defaultMinutes * 60 * 1000;
+      const seconds = 0;
+      const minutes = this.defaultMinutes;
+      timeRemaining = { total, minutes, seconds };
+    }
+
+    const absMinutes = Math.abs(timeRemaining.minutes);
+    const absSeconds = Math.abs(timeRemaining.seconds);
+    
+    const mins = absMinutes.toString().padStart(2, '0');
+    const secs = absSeconds.toString().padStart(2, '0');
+
+    let timeString = `${mins}:${secs}`;
+
+    if (timeRemaining.total < 0) {
+      timeString = `-${timeString}`;
+      timerDisplay.classList.add('timer-negative');
+    } else {
+      timerDisplay.classList.remove('timer-negative');
+    }
+
+    timerDisplay.textContent = timeString;
+    
+    // Update game time field if it exists
+    const timeInput = document.getElementById('time');
+    if (timeInput) {
+      timeInput.value = new Date().toLocaleString();
+    }
+  }
+
+  /**
+   * Start the timer
+   */
+  start() {
+    if (this.isRunning) return;
+    
+    // If we have remaining time (from pause), set new end time based on it
+    if (this.remainingTimeMs !== null) {
+      this.endTime = new Date(Date.now() + this.remainingTimeMs);
+      this.remainingTimeMs = null; // Clear since we're now running
+    }
+    
+    // If we still don't have an end time, set default
+    if (!this.endTime) {
+      this.endTime = new Date(Date.now() + (this.defaultMinutes * 60 * 1000));
+    }
+    
+    this.isRunning = true;
+    this.updateUI();
+    this.saveTimerState();
+    this.notifyChange();
+
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+    }
+
+    this.timerInterval = setInterval(() => {
+      this.updateDisplay();
+      
+      const timeRemaining = this.getTimeRemaining(this.endTime);
+      if (typeof this.tickCallback === 'function') {
+        try {
+          this.tickCallback({ ...timeRemaining });
+        } catch (err) {
+          console.error('Timer tick callback error:', err);
+        }
+      }
+      if (timeRemaining.total <= 0 && this.isRunning) {
+        this.stop();
+      }
+    }, 1000);
+
+    // Initial update
+    this.updateDisplay();
+    if (typeof this.tickCallback === 'function' && this.endTime) {
+      try {
+        const initialRemaining = this.getTimeRemaining(this.endTime);
+        this.tickCallback({ ...initialRemaining });
+      } catch (err) {
+        console.error('Timer tick callback error:', err);
+      }
+    }
+  }
+
+  /**
+   * Stop/Pause the timer
+   */
+  stop() {
+    if (!this.isRunning) return;
+    
+    // Store remaining time when pausing
+    if (this.endTime) {
+      const timeRemaining = this.getTimeRemaining(this.endTime);
+      this.remainingTimeMs = Math.max(0, timeRemaining.total); // Don't store negative time
+    }
+    
+    this.isRunning = false;
+    this.endTime = null; // Clear endTime when paused
+    
+    if (this.timerInterval) {
+      clearInterval(this.timerInterval);
+      this.timerInterval = null;
+    }
+    
+    this.updateUI();
+    this.saveTimerState();
+    this.updateDisplay(); // Update display to show paused time
+    this.notifyChange();
+  }
+
+  /**
+   * Toggle timer play/pause
+   */
+  toggle() {
+    if (this.isRunning) {
+      this.stop();
+    } else {
+      this.start();
+    }
+  }
+
+  setTickCallback(callback) {
+    this.tickCallback = (typeof callback === 'function') ? callback : null;
+  }
+
+  setChangeCallback(callback) {
+    this.changeCallback = (typeof callback === 'function') ? callback : null;
+  }
+
+  notifyChange() {
+    if (this.changeCallback) this.changeCallback();
+  }
+
+  /**
+   * Reset timer to specified minutes
+   */
+  reset(minutes = this.defaultMinutes) {
+    this.stop();
+    
+    // Set remaining time and clear endTime
+    this.remainingTimeMs = minutes * 60 * 1000;
+    this.endTime = null;
+    
+    this.saveTimerState();
+    this.updateDisplay();
+    this.updateUI();
+    this.notifyChange();
+  }
+
+  /**
+   * Update UI elements
+   */
+  updateUI() {
+    const playPauseBtn = document.getElementById('playPauseBtn');
+    const timerColumn = document.getElementById('timerColumn');
+    
+    if (playPauseBtn) {
+      playPauseBtn.textContent = this.isRunning ? "Pause" : "Play";
+    }
+    
+    if (timerColumn) {
+      timerColumn.classList.toggle('timer-running', this.isRunning);
+      timerColumn.classList.toggle('timer-paused', !this.isRunning);
+    }
+  }
+
+  /**
+   * Get remaining time in seconds, as shown on the display (the clock stops
+   * at zero, so never negative)
+   */
+  getRemainingSeconds() {
+    if (this.isRunning && this.endTime) {
+      const timeRemaining = this.getTimeRemaining(this.endTime);
+      return Math.max(0, Math.floor(timeRemaining.total / 1000));
+    } else if (this.remainingTimeMs !== null) {
+      return Math.floor(this.remainingTimeMs / 1000);
+    }
+    return this.defaultMinutes * 60;
+  }
+}
+
+// =====================================================
+// SECONDS TIMER MANAGER - Simple second-based countdown
+// =====================================================
+class SecondsTimerManager {
+  constructor() {
+    this.timerInterval = null;
+    this.isRunning = false;
+    this.endTime = null;
+    this.remainingTimeMs = null;
+    this.defaultSeconds = 75;
+    this.changeCallback = null; // Called when the countdown starts, stops or resets
+    this.updateDisplay();
+  }
+
+  // Start countdown using current remaining or default
+  start() {
+    if (this.isRunning) return;
+    if (this.remainingTimeMs === null) {
+      const secondsInput = document.getElementById('countdownTimeSec');
+      const secs = parseInt(secondsInput?.value, 10) || this.defaultSeconds;
+      this.remainingTimeMs = secs * 1000;
+    }
+    this.endTime = new Date(Date.now() + this.remainingTimeMs);
+    this.isRunning = true;
+    this.timerInterval = setInterval(() => this.tick(), 200);
+    this.updateUI();
+    this.notifyChange();
+  }
+
+  // Stop countdown and keep remaining time
+  stop() {
+    if (!this.isRunning) return;
+    this.isRunning = false;
+    if (this.timerInterval) clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    const timeRemaining = this.getTimeRemaining(this.endTime);
+    this.remainingTimeMs = Math.max(0, timeRemaining.total);
+    this.endTime = null;
+    this.updateUI();
+    this.notifyChange();
+  }
+
+  toggle() { this.isRunning ? this.stop() : this.start(); }
+
+  reset(seconds = this.defaultSeconds) {
+    this.stop();
+    const secs = Math.max(1, parseInt(seconds, 10) || this.defaultSeconds);
+    this.remainingTimeMs = secs * 1000;
+    this.updateDisplay();
+    this.notifyChange();
+  }
+
+  setChangeCallback(callback) {
+    this.changeCallback = (typeof callback === 'function') ? callback : null;
+  }
+
+  notifyChange() {
+    if (this.changeCallback) this.changeCallback();
+  }
+
+  getTimeRemaining(endtime) {
+    const total = Date.parse(endtime) - Date.parse(new Date());
+    const seconds = Math.floor((total / 1000) % 60);
+    const minutes = Math.floor(total / 1000 / 60);
+    return { total, minutes, seconds };
+  }
+
+  // Snapshot of the countdown, kept while another match slot is shown
+  getState() {
+    return {
+      isRunning: this.isRunning,
+      endTime: this.endTime ? this.endTime.getTime() : null,
+      remainingTimeMs: this.remainingTimeMs
+    };
+  }
+
+  // Show a snapshot from getState() (null for a fresh countdown). One that
+  // was running carries on from its end time.
+  setState(state) {
+    if (this.timerInterval) clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.isRunning = false;
+    this.endTime = null;
+    this.remainingTimeMs = state ? state.remainingTimeMs : null;
+    if (state && state.isRunning && state.endTime) {
+      this.remainingTimeMs = Math.max(0, state.endTime - Date.now());
+      if (this.remainingTimeMs > 0) {
+        this.start();
+        return;
+      }
+    }
+    this.updateUI();
+    this.updateDisplay();
+    this.notifyChange();
+  }
+
+  // Seconds left while the countdown runs, null when it is stopped
+  getRunningSeconds() {
+    if (!this.isRunning || !this.endTime) return null;
+    return Math.max(0, Math.floor(this.getTimeRemaining(this.endTime).total / 1000));
+  }
+
+  tick() {
+    const timeRemaining = this.getTimeRemaining(this.endTime);
+    this.updateDisplay(timeRemaining);
+    if (timeRemaining.total <= 0) {
+      this.stop();
+      this.remainingTimeMs = 0;
+    }
+  }
+
+  updateUI() {
+    const playPauseBtn = document.getElementById('playPauseSecBtn');
+    const timerColumn = document.getElementById('timerColumnSec');
+    if (playPauseBtn) playPauseBtn.textContent = this.isRunning ? 'Pause' : 'Play';
+    if (timerColumn) {
+      timerColumn.classList.toggle('timer-running', this.isRunning);
+      timerColumn.classList.toggle('timer-paused', !this.isRunning);
+    }
+  }
+
+  updateDisplay(existing) {
+    const timerDisplay = document.getElementById('timerDisplaySec');
+    if (!timerDisplay) return;
+
+    let timeRemaining = existing;
+    if (!timeRemaining) {
+      if (this.isRunning && this.endTime) {
+        timeRemaining = this.getTimeRemaining(this.endTime);
+      } else if (this.remainingTimeMs !== null) {
+        const total = this.remainingTimeMs;
+        const seconds = Math.floor((total / 1000) % 60);
+        const minutes = Math.floor(total / 1000 / 60);
+        timeRemaining = { total, minutes, seconds };
+      } else {
+        const total = this.defaultSeconds * 1000;
+        const minutes = Math.floor(this.defaultSeconds / 60);
+        const seconds = this.defaultSeconds % 60;
+        timeRemaining = { total, minutes, seconds };
+      }
+    }
+
+    const mins = Math.max(0, timeRemaining.minutes).toString().padStart(2, '0');
+    const secs = Math.max(0, timeRemaining.seconds).toString().padStart(2, '0');
+    timerDisplay.textContent = `${mins}:${secs}`;
+  }
+}
+
+// =====================================================
+// HANG TIME STOPWATCH - Times a pull in the stat popup
+// =====================================================
+class HangTimeStopwatch {
+  constructor() {
+    this.timerInterval = null;
+    this.isRunning = false;
+    this.startTime = null;
+  }
+
+  // Start counting up from zero
+  start() {
+    if (this.isRunning) return;
+    this.startTime = Date.now();
+    this.isRunning = true;
+    this.timerInterval = setInterval(() => this.tick(), 100);
+    this.tick();
+    this.updateUI();
+  }
+
+  // Stop and leave the measured time in the input
+  stop() {
+    if (!this.isRunning) return;
+    this.tick();
+    this.isRunning = false;
+    if (this.timerInterval) clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.updateUI();
+  }
+
+  toggle() { this.isRunning ? this.stop() : this.start(); }
+
+  // Stop without touching the input, e.g. when the popup closes
+  cancel() {
+    this.isRunning = false;
+    if (this.timerInterval) clearInterval(this.timerInterval);
+    this.timerInterval = null;
+    this.updateUI();
+  }
+
+  tick() {
+    const hangTimeInput = document.getElementById('statHangTime');
+    if (!hangTimeInput || this.startTime === null) return;
+    hangTimeInput.value = ((Date.now() - this.startTime) / 1000).toFixed(1);
+  }
+
+  updateUI() {
+    const button = document.getElementById('statHangTimeBtn');
+    if (button) button.textContent = this.isRunning ? 'Stop' : 'Start';
+  }
+}
+
+// =====================================================
+// LOADING MANAGER - Same as before
+// =====================================================
+class LoadingManager {
+  constructor() {
+    this.loadingInterval = null;
+  }
+
+  start() {
+    const loadingAnimation = document.getElementById('loadingAnimation');
+    const dots = document.getElementById('dots');
+    
+    if (!loadingAnimation || !dots) return;
+
+    let dotCount = 0;
+    loadingAnimation.style.display = 'block';
+    
+    this.loadingInterval = setInterval(() => {
+      dotCount = (dotCount + 1) % 4;
+      dots.textContent = '.'.repeat(dotCount);
+    }, CONFIG.LOADING_ANIMATION_INTERVAL);
+  }
+
+  stop() {
+    const loadingAnimation = document.getElementById('loadingAnimation');
+    const dots = document.getElementById('dots');
+    
+    if (this.loadingInterval) {
+      clearInterval(this.loadingInterval);
+      this.loadingInterval = null;
+    }
+    
+    if (loadingAnimation) loadingAnimation.style.display = 'none';
+    if (dots) dots.textContent = '';
+  }
+}
+
+// =====================================================
+// MAIN APPLICATION CLASS - Enhanced with state restoration
+// =====================================================
+class ScorekeeperApp {
+  constructor() {
+    // Initialize managers
+    this.persistenceManager = new PersistenceManager();
+    this.dataManager = new DataManager(this.persistenceManager);
+    this.apiManager = new ApiManager();
+    this.loadingManager = new LoadingManager();
+    this.timerManager = new TimerManager(this.persistenceManager);
+    this.secondsTimer = new SecondsTimerManager();
+    this.hangTimeStopwatch = new HangTimeStopwatch();
+    this.outbox = new UploadOutbox(this.apiManager, this.persistenceManager);
+    this.outbox.onChange(() => this.renderOutbox());
+    this.outbox.onDelivered((item) => {
+      const receipt = this.describeReceipt(item.receipt);
+      Utils.showNotification(`Uploaded to Google Sheets: ${item.label}${receipt ? ` (${receipt})` : ''}`, 'success');
+      this.updateArchiveExportStatus(item.payload?.MatchID, {
+        upload: 'delivered',
+        uploadedAt: item.deliveredAt,
+        sheetName: item.receipt?.sheetName || ''
+      });
+    });
+    this.archive = new MatchArchive();
+    this.backupManager = new BackupManager(this.persistenceManager, this.archive);
+    this.pendingBackup = null; // Parsed backup and its comparison while the import popup is open
+    this.matchTransfer = new MatchTransfer(this.persistenceManager);
+    this.liveFeed = new LiveFeed(this.persistenceManager);
+    this.liveFeed.onChange(() => this.renderLiveFeedStatus());
+    this.coScoring = new CoScoring(this.persistenceManager);
+    this.coScoring.onChange(() => this.renderCoScoringStatus());
+    this.coScoring.setLocalReader(() => this.readCoScoringMatch());
+    this.coScoring.onRemoteChange((view) => this.applyCoScoringChange(view));
+
+    // Match state lives in the headless engine; the UI renders from its events
+    this.engine = new MatchEngine({
+      settings: {
+        matchDuration: CONFIG.DEFAULT_TIMER_MINUTES,
+        halftimeScoreTarget: CONFIG.HALFTIME_SCORE_TARGET,
+        ...(MatchEngine.getRulesProfileSettings(CONFIG.DEFAULT_RULES_PROFILE) || {})
+      },
+      // Timers stamped on every new event
+      clock: () => ({
+        remainingSeconds: this.timerManager.getRemainingSeconds(),
+        secondsTimer: this.secondsTimer.getRunningSeconds()
+      })
+    });
+    this.exportBuilder = new ExportBuilder(this.engine);
+    
+    // UI state
+    this.currentEditID = null;
+    this.currentTimeoutEditID = null;
+    this.currentHalftimeEditID = null;
+    this.currentStatEditID = null;
+    this.currentLineEditID = null;
+    this.isRestoring = false;
+    this.stoppagePausedMainTimer = false;
+    this.stoppagePausedSecondsTimer = false;
+    this.tableResizeFrame = null;
+    this.slotSwitcherInterval = null;
+    this.parkedSlots = {}; // Seconds timers of the match slots not shown, by slot ID
+
+    const settings = this.engine.getSettings();
+    this.timerManager.defaultMinutes = settings.matchDuration;
+    this.secondsTimer.defaultSeconds = settings.timeoutDuration;
+    
+    // Bind methods
+    this.handleTeamChange = this.handleTeamChange.bind(this);
+    this.handleSaveScore = this.handleSaveScore.bind(this);
+    this.handleSubmitScore = this.handleSubmitScore.bind(this);
+    this.handleDeleteScore = this.handleDeleteScore.bind(this);
+    this.handleTimerToggle = this.handleTimerToggle.bind(this);
+    this.handleTimerReset = this.handleTimerReset.bind(this);
+    this.handleSecTimerToggle = this.handleSecTimerToggle.bind(this);
+    this.handleSecTimerReset = this.handleSecTimerReset.bind(this);
+    this.openPopup = this.openPopup.bind(this);
+    this.closePopup = this.closePopup.bind(this);
+    this.openSetupPopup = this.openSetupPopup.bind(this);
+    this.closeSetupPopup = this.closeSetupPopup.bind(this);
+    this.openTimePopup = this.openTimePopup.bind(this);
+    this.closeTimePopup = this.closeTimePopup.bind(this);
+    this.handleStoppageToggle = this.handleStoppageToggle.bind(this);
+    this.handleSetupSave = this.handleSetupSave.bind(this);
+    this.autoSave = this.autoSave.bind(this);
+    this.handleBeforeUnload = this.handleBeforeUnload.bind(this);
+    this.handleAbbaChange = this.handleAbbaChange.bind(this);
+    this.startMatch = this.startMatch.bind(this);
+    this.openReceivePopup = this.openReceivePopup.bind(this);
+    this.closeReceivePopup = this.closeReceivePopup.bind(this);
+    this.handleHalftime = this.handleHalftime.bind(this);
+    this.openTimeoutEditPopup = this.openTimeoutEditPopup.bind(this);
+    this.closeTimeoutEditPopup = this.closeTimeoutEditPopup.bind(this);
+    this.handleTimeoutEditSave = this.handleTimeoutEditSave.bind(this);
+    this.openHalftimeEditPopup = this.openHalftimeEditPopup.bind(this);
+    this.closeHalftimeEditPopup = this.closeHalftimeEditPopup.bind(this);
+    this.handleHalftimeDelete = this.handleHalftimeDelete.bind(this);
+    this.closeStatPopup = this.closeStatPopup.bind(this);
+    this.handleStatTypeChange = this.handleStatTypeChange.bind(this);
+    this.handleStatSave = this.handleStatSave.bind(this);
+    this.handleStatDelete = this.handleStatDelete.bind(this);
+    this.closeLinePopup = this.closeLinePopup.bind(this);
+    this.openHistoryPopup = this.openHistoryPopup.bind(this);
+    this.closeHistoryPopup = this.closeHistoryPopup.bind(this);
+    this.handleHistoryRetentionChange = this.handleHistoryRetentionChange.bind(this);
+    this.openSpiritPopup = this.openSpiritPopup.bind(this);
+    this.closeSpiritPopup = this.closeSpiritPopup.bind(this);
+    this.handleSpiritSave = this.handleSpiritSave.bind(this);
+    this.openDesignationPopup = this.openDesignationPopup.bind(this);
+    this.closeDesignationPopup = this.closeDesignationPopup.bind(this);
+    this.handleDesignationsSave = this.handleDesignationsSave.bind(this);
+    this.handleLineSave = this.handleLineSave.bind(this);
+    this.openEndMatchPopup = this.openEndMatchPopup.bind(this);
+    this.closeEndMatchPopup = this.closeEndMatchPopup.bind(this);
+    this.handleEndMatchConfirm = this.handleEndMatchConfirm.bind(this);
+    this.handleNewMatch = this.handleNewMatch.bind(this);
+    this.handleUndo = this.handleUndo.bind(this);
+    this.handleRedo = this.handleRedo.bind(this);
+    this.handleMainTimerTick = this.handleMainTimerTick.bind(this);
+    this.handleSlotClick = this.handleSlotClick.bind(this);
+    this.addMatchSlot = this.addMatchSlot.bind(this);
+    this.removeMatchSlot = this.removeMatchSlot.bind(this);
+    this.exportDebugSnapshot = this.exportDebugSnapshot.bind(this);
+    this.exportBackup = this.exportBackup.bind(this);
+    this.handleBackupFile = this.handleBackupFile.bind(this);
+    this.closeBackupPopup = this.closeBackupPopup.bind(this);
+    this.openTransferPopup = this.openTransferPopup.bind(this);
+    this.closeTransferPopup = this.closeTransferPopup.bind(this);
+    this.copyTransferLink = this.copyTransferLink.bind(this);
+    this.shareTransferLink = this.shareTransferLink.bind(this);
+    this.receiveTransferLink = this.receiveTransferLink.bind(this);
+    this.openScoreboard = this.openScoreboard.bind(this);
+    this.queueScoreboardUpdate = Utils.debounce(() => this.publishScoreboard(), 0);
+    // Runs once the change is complete, so a reload is sent as one operation
+    this.queueCoScoringCommit = Utils.debounce(() => this.coScoring.commit(), 0);
+    this.adjustScoringTableSizing = this.adjustScoringTableSizing.bind(this);
+    this.handleResize = Utils.debounce(() => this.adjustScoringTableSizing(), 150);
+
+    this.timerManager.setTickCallback(this.handleMainTimerTick);
+    const handleTimerChange = () => {
+      this.queueScoreboardUpdate();
+      this.queueCoScoringCommit();
+    };
+    this.timerManager.setChangeCallback(handleTimerChange);
+    this.secondsTimer.setChangeCallback(handleTimerChange);
+    this.bindEngineEvents();
+  }
+
+  /**
+   * Subscribe the UI to match engine events
+   */
+  bindEngineEvents() {
+    const engine = this.engine;
+
+    engine.on('notice', ({ message, level }) => Utils.showNotification(message, level));
+
+    engine.on('log:added', ({ log }) => {
+      if (engine.getLogType(log) === 'matchstart') return;
+      this.addScoreToTable(log);
+      this.updateAbbaColumn();
+      this.adjustScoringTableSizing();
+      if (engine.isScoreLog(log)) {
+        this.startBetweenPointTimer();
+      }
+    });
+    engine.on('log:updated', () => this.rebuildScoreTable());
+    engine.on('log:removed', () => this.rebuildScoreTable());
+    engine.on('loaded', () => this.rebuildScoreTable());
+    engine.on('reset', () => this.rebuildScoreTable());
+
+    engine.on('teams', () => this.updateTeamsDisplay());
+    engine.on('line', () => this.updateAbbaDisplay());
+    engine.on('settings', () => this.applyGameSettingsToUI());
+    engine.on('match:started', () => this.updateMatchControls());
+    engine.on('timecap', () => this.updateTeamsDisplay());
+
+    engine.on('timeout', () => {
+      this.updateTimeoutUI();
+      if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
+        const defaultSeconds = engine.getSettings().timeoutDuration || this.secondsTimer.defaultSeconds;
+        this.secondsTimer.reset(defaultSeconds);
+        this.secondsTimer.start();
+      }
+    });
+
+    engine.on('halftime', () => {
+      this.updateTimeoutUI();
+      const halftimeBreakMinutes = engine.getSettings().halftimeBreakDuration || 7;
+      const halftimeBreakSeconds = Math.max(1, halftimeBreakMinutes * 60);
+      if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
+        this.secondsTimer.reset(halftimeBreakSeconds);
+        this.secondsTimer.start();
+      }
+    });
+
+    engine.on('stoppage', ({ active }) => {
+      if (active) {
+        this.pauseAllTimers();
+      } else {
+        const shouldRestartMain = engine.getState().matchStarted && !engine.getState().hardCapReached;
+        if (shouldRestartMain && this.timerManager && !this.timerManager.isRunning) {
+          this.timerManager.start();
+        }
+        if (this.secondsTimer && !this.secondsTimer.isRunning && this.stoppagePausedSecondsTimer) {
+          this.secondsTimer.start();
+        }
+        this.stoppagePausedMainTimer = false;
+        this.stoppagePausedSecondsTimer = false;
+      }
+      this.updateStoppageUI();
+    });
+
+    // A decided game is announced by the automatic match end that follows
+    engine.on('cap', ({ reached }) => {
+      if (reached) {
+        if (this.timerManager) this.timerManager.stop();
+        if (this.secondsTimer) this.secondsTimer.stop();
+      }
+      this.updateAddScoreButtonsState();
+    });
+
+    engine.on('match:ended', ({ result }) => {
+      if (this.timerManager) this.timerManager.stop();
+      if (this.secondsTimer) this.secondsTimer.stop();
+      this.closeTimePopup();
+      this.updateMatchControls();
+      this.updateTeamsDisplay();
+      Utils.showNotification(`Match ended (${result.reasonLabel}): ${this.describeResult(result)}. Review the log and enter spirit scores, then Submit.`, 'success');
+      this.archiveMatch();
+    });
+
+    engine.on('restored', () => this.handleHistoryRestored());
+    engine.on('history', () => {
+      this.persistenceManager.saveUndoHistory(engine.getHistory());
+      this.updateUndoControls();
+    });
+
+    engine.on('change', () => {
+      this.autoSave();
+      this.queueScoreboardUpdate();
+      this.queueCoScoringCommit();
+    });
+
+    // Live feed: every change to the log goes out as it happens; undo and
+    // redo can change several rows at once, so they send the whole log
+    engine.on('log:added', ({ log }) => this.pushLiveFeed('added', { event: log }));
+    engine.on('log:updated', ({ log }) => this.pushLiveFeed('updated', { event: log }));
+    engine.on('log:removed', ({ log }) => this.pushLiveFeed('removed', { event: { scoreID: log.scoreID } }));
+    engine.on('restored', () => this.pushLiveFeed('snapshot', { events: engine.getScoreLogs() }));
+  }
+
+  /**
+   * Initialize the application with state restoration
+   */
+  async init() {
+    try {
+      // Set up before unload handler
+      window.addEventListener('beforeunload', this.handleBeforeUnload);
+      
+      // Start auto-save
+      this.persistenceManager.startAutoSave(this.autoSave);
+      
+      // Show initial popups while data loads
+      this.showLoadingPopup();
+
+      let initializationError = null;
+      try {
+        // Saved data that failed validation is reported before anything is restored
+        this.reportRejectedData();
+
+        // Check if we need to restore state
+        await this.checkAndRestoreState();
+        
+        // Load teams data (from cache or API)
+        await this.loadTeams();
+      } catch (error) {
+        initializationError = error;
       } finally {
         this.finishInitialLoading();
       }
 
-      this.initializeTimeoutState(this.dataManager.getGameState()?.timeoutState);
+      this.updateTimeoutUI();
+      
+      // Setup event listeners
+      this.setupEventListeners();
+      this.updateTeamsDisplay();
+
+      this.applyGameSettingsToUI();
+      const { abbaStart } = this.engine.getSettings();
+      this.setAbbaVisibility(abbaStart !== 'NONE');
+      this.updateAbbaDisplay();
+      const setupAbbaSelect = document.getElementById('setupAbba');
+      if (setupAbbaSelect) setupAbbaSelect.value = abbaStart;
+      this.updateMatchControls();
+      this.updateStoppageUI();
+      this.updateUndoControls();
+      this.adjustScoringTableSizing();
+      window.addEventListener('resize', this.handleResize);
+
+      // Keep the scores and clocks of the other match slots current
+      this.renderSlotSwitcher();
+      this.slotSwitcherInterval = setInterval(() => this.updateSlotSwitcher(), 1000);
+
+      // Send uploads left over from earlier sessions, and again whenever the
+      // connection comes back
+      this.renderOutbox();
+      window.addEventListener('online', () => this.outbox.flush(true));
+      this.outbox.flush(true);
+      window.addEventListener('online', () => this.liveFeed.retryNow());
+      this.liveFeed.flush();
+      window.addEventListener('online', () => this.coScoring.retryNow());
+      this.queueCoScoringCommit();
+
+      // Drop archived matches past the retention period
+      if (this.archive.isAvailable()) {
+        this.archive.prune(this.persistenceManager.loadHistoryRetention())
+          .catch((error) => console.error('Failed to prune match history:', error));
+      }
+      
+      // Set up page visibility handler for mobile
+      document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+          this.autoSave();
+        }
+      });
+      
+      // Open a match handed over from another device
+      window.addEventListener('hashchange', this.receiveTransferLink);
+      await this.receiveTransferLink();
+
+      this.publishScoreboard();
+
+      if (initializationError) {
+        throw initializationError;
+      }
+
+      Utils.showNotification('Application initialized successfully', 'success');
+    } catch (error) {
+      Utils.showNotification(`Failed to initialize application: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Check and restore previous state
+   */
+  async checkAndRestoreState() {
+    const gameState = this.dataManager.getGameState();
+    
+    // If we have a recent state (less than 24 hours old), restore it
+    if (gameState.timestamp && (Date.now() - gameState.timestamp) < (24 * 60 * 60 * 1000)) {
+      this.isRestoring = true;
       
-      // Setup event listeners
-      this.setupEventListeners();
-      this.updateTeamsDisplay();
+      // Show restore notification
+      const shouldRestore = confirm(
+        'Previous game data found. Would you like to restore your previous session?'
+      );
+      
+      if (shouldRestore) {
+        await this.restoreGameState(gameState);
+        Utils.showNotification('Previous session restored successfully', 'success');
+      } else {
+        this.dataManager.resetGameState();
+        this.engine.loadGameState(this.dataManager.getGameState());
+        this.applyGameSettingsToUI();
+        this.handleAbbaChange('NONE', false);
+        this.updateStoppageUI();
+        this.updateTeamsDisplay();
+        this.updateMatchControls();
+      }
+      
+      this.isRestoring = false;
+    }
+  }
+
+  /**
+   * Restore complete game state
+   */
+  async restoreGameState(gameState) {
+    const undoHistory = this.persistenceManager.loadUndoHistory();
+    this.engine.loadGameState(gameState);
+    this.engine.loadHistory(undoHistory);
+    this.syncTeamInputsFromEngine();
+    
+    // Restore game time
+    const timeInput = document.getElementById('time');
+    if (timeInput && gameState.gameTime) {
+      timeInput.value = gameState.gameTime;
+    }
+
+    this.applyGameSettingsToUI();
+    this.handleAbbaChange(this.engine.getSettings().abbaStart, false);
+    this.updateStoppageUI();
+    if (this.engine.getState().stoppageActive) {
+      this.pauseAllTimers();
+    }
+
+    this.updateTeamsDisplay();
+    this.updateMatchControls();
+    this.engine.maybeTriggerHalftimeByScore();
+    this.engine.notifyClock(this.timerManager.getRemainingSeconds() * 1000);
+  }
+
+  /**
+   * Show another match slot. The current match is saved first and its main
+   * timer stays saved by end time, so a running clock keeps counting while
+   * the slot is in the background; its seconds timer is kept in memory.
+   */
+  async switchMatchSlot(slotId) {
+    const registry = this.persistenceManager.loadMatchSlots();
+    if (slotId === this.persistenceManager.slotId || !registry.slots.some((slot) => slot.id === slotId)) return;
+
+    this.parkMatchSlot();
+    this.persistenceManager.saveMatchSlots({ ...registry, active: slotId });
+    await this.loadMatchSlot(slotId);
+  }
+
+  /**
+   * Save the match shown, with its undo history and timers, and stop its
+   * timers from ticking on screen
+   */
+  parkMatchSlot() {
+    this.autoSave();
+    this.persistenceManager.saveUndoHistory(this.engine.getHistory());
+    this.timerManager.saveTimerState();
+    this.timerManager.detach();
+    this.parkedSlots[this.persistenceManager.slotId] = {
+      secondsTimer: this.secondsTimer.getState(),
+      stoppagePausedMainTimer: this.stoppagePausedMainTimer,
+      stoppagePausedSecondsTimer: this.stoppagePausedSecondsTimer
+    };
+  }
+
+  /**
+   * Show a match slot from storage after parkMatchSlot()
+   */
+  async loadMatchSlot(slotId) {
+    this.persistenceManager.setSlot(slotId);
+    this.dataManager.loadAllData();
+    const gameState = this.dataManager.getGameState();
+    const parked = this.parkedSlots[slotId] || {};
+    delete this.parkedSlots[slotId];
+
+    this.isRestoring = true;
+    this.currentEditID = null;
+    this.currentTimeoutEditID = null;
+    this.currentHalftimeEditID = null;
+
+    // Timers come first so the match is checked against its own clock. Ticks
+    // are held back until then: they would reach the outgoing match.
+    this.timerManager.defaultMinutes = gameState.matchDuration || CONFIG.DEFAULT_TIMER_MINUTES;
+    this.timerManager.setTickCallback(null);
+    this.timerManager.loadTimerState();
+    this.timerManager.setTickCallback(this.handleMainTimerTick);
+    this.secondsTimer.setState(parked.secondsTimer || null);
+
+    await this.restoreGameState(gameState);
+    this.stoppagePausedMainTimer = Boolean(parked.stoppagePausedMainTimer);
+    this.stoppagePausedSecondsTimer = Boolean(parked.stoppagePausedSecondsTimer);
+    this.isRestoring = false;
+
+    this.updateAbbaDisplay();
+    this.updateUndoControls();
+    this.renderSlotSwitcher();
+    this.reportRejectedData();
+  }
+
+  /**
+   * Open another match slot, with this match's settings but no teams or events
+   */
+  async addMatchSlot() {
+    const registry = this.persistenceManager.loadMatchSlots();
+    const names = registry.slots.map((slot) => slot.name);
+    let number = registry.slots.length + 1;
+    while (names.includes(`Field ${number}`)) number++;
+
+    const input = prompt('Name for the new match (e.g. its field):', `Field ${number}`);
+    if (input === null) return;
+    const slot = { id: Utils.generateId(), name: input.trim() || `Field ${number}` };
+
+    const blank = new MatchEngine({ settings: this.engine.getSettings() });
+    this.persistenceManager.saveGameState(blank.toGameState(), slot.id);
+    this.persistenceManager.saveMatchSlots({ ...registry, slots: [...registry.slots, slot] });
+
+    await this.switchMatchSlot(slot.id);
+    Utils.showNotification(`Scoring ${slot.name}. Switch between matches at the top of the page.`, 'success');
+  }
+
+  /**
+   * Rename the match slot shown
+   */
+  renameMatchSlot() {
+    const registry = this.persistenceManager.loadMatchSlots();
+    const slot = registry.slots.find((entry) => entry.id === registry.active);
+    if (!slot) return;
+    const input = prompt('Rename this match:', slot.name);
+    if (input === null || !input.trim()) return;
+    slot.name = input.trim();
+    this.persistenceManager.saveMatchSlots(registry);
+    this.renderSlotSwitcher();
+    this.queueScoreboardUpdate();
+  }
+
+  /**
+   * Close the match slot shown and switch to the next one. A match with
+   * events goes to the history archive first.
+   */
+  async removeMatchSlot() {
+    const registry = this.persistenceManager.loadMatchSlots();
+    const current = registry.slots.find((slot) => slot.id === registry.active);
+    if (!current || registry.slots.length < 2) return;
+
+    const message = this.engine.getScoreLogs().length > 0
+      ? `Remove ${current.name}? Make sure its match has been submitted.`
+      : `Remove ${current.name}?`;
+    if (!confirm(message)) return;
+
+    this.archiveMatch();
+    const next = registry.slots.find((slot) => slot.id !== current.id);
+    await this.switchMatchSlot(next.id);
+
+    this.persistenceManager.removeSlotData(current.id);
+    delete this.parkedSlots[current.id];
+    const remaining = this.persistenceManager.loadMatchSlots();
+    remaining.slots = remaining.slots.filter((slot) => slot.id !== current.id);
+    this.persistenceManager.saveMatchSlots(remaining);
+    this.renderSlotSwitcher();
+    this.publishScoreboard();
+    Utils.showNotification(`${current.name} removed.`, 'success');
+  }
+
+  handleSlotClick(event) {
+    const button = event.target.closest('.slot-button');
+    if (!button) return;
+    if (button.dataset.slotId === this.persistenceManager.slotId) {
+      this.renameMatchSlot();
+    } else {
+      this.switchMatchSlot(button.dataset.slotId);
+    }
+  }
+
+  /**
+   * Draw the match slot buttons in the header. A single slot only shows the
+   * add button.
+   */
+  renderSlotSwitcher() {
+    const list = document.getElementById('slotList');
+    if (!list) return;
+    const { active, slots } = this.persistenceManager.loadMatchSlots();
+
+    list.innerHTML = '';
+    if (slots.length > 1) {
+      slots.forEach((slot) => {
+        const button = Utils.createElement('button', {
+          type: 'button',
+          class: `slot-button${slot.id === active ? ' active' : ''}`,
+          'data-slot-id': slot.id
+        });
+        button.appendChild(Utils.createElement('span', { class: 'slot-name' }, slot.name));
+        button.appendChild(Utils.createElement('span', { class: 'slot-score' }));
+        button.appendChild(Utils.createElement('span', { class: 'slot-clock' }));
+        list.appendChild(button);
+      });
+    }
+
+    const removeSlotBtn = document.getElementById('removeSlotBtn');
+    if (removeSlotBtn) removeSlotBtn.classList.toggle('hidden', slots.length < 2);
+    this.updateSlotSwitcher();
+  }
+
+  /**
+   * Refresh the score and game clock on each slot button
+   */
+  updateSlotSwitcher() {
+    const list = document.getElementById('slotList');
+    if (!list) return;
+    list.querySelectorAll('.slot-button').forEach((button) => {
+      const summary = this.getSlotSummary(button.dataset.slotId);
+      button.title = button.classList.contains('active') ? `${summary.teams} (tap to rename)` : summary.teams;
+      button.querySelector('.slot-score').textContent = summary.score;
+      const clock = button.querySelector('.slot-clock');
+      clock.textContent = summary.clock;
+      clock.classList.toggle('running', summary.isRunning);
+    });
+  }
+
+  /**
+   * Teams, score and game clock of a match slot. The slot shown reads the
+   * engine and timer; the others read what they saved.
+   */
+  getSlotSummary(slotId) {
+    let teamA;
+    let teamB;
+    let score;
+    let clock;
+    if (slotId === this.persistenceManager.slotId) {
+      teamA = this.engine.getTeamName('A');
+      teamB = this.engine.getTeamName('B');
+      score = this.engine.getScore();
+      clock = { seconds: this.timerManager.getRemainingSeconds(), isRunning: this.timerManager.isRunning };
+    } else {
+      const gameState = this.persistenceManager.loadGameState(slotId);
+      teamA = gameState.teamAName;
+      teamB = gameState.teamBName;
+      score = { A: gameState.teamAScore || 0, B: gameState.teamBScore || 0 };
+      clock = this.timerManager.readSlotClock(slotId);
+      if (clock.seconds === null) {
+        clock.seconds = (gameState.matchDuration || CONFIG.DEFAULT_TIMER_MINUTES) * 60;
+      }
+    }
+    return {
+      teams: `${teamA || 'Team A'} vs ${teamB || 'Team B'}`,
+      score: `${score.A}–${score.B}`,
+      clock: Utils.formatClock(clock.seconds),
+      isRunning: clock.isRunning
+    };
+  }
+
+  /**
+   * Tell the scorekeeper about saved data that failed to load, offer it as a
+   * download for a bug report, then clear it so the app starts clean
+   */
+  reportRejectedData() {
+    const rejected = this.persistenceManager.getRejected();
+    if (rejected.length === 0) return;
+
+    const lines = rejected.map((item) => `- ${StateSchema.LABELS[item.kind] || item.key}: ${item.reason}`);
+    const download = confirm(
+      `Some saved data could not be loaded and will be reset:\n${lines.join('\n')}\n\n`
+      + 'Press OK to download it for a bug report first, or Cancel to continue without it.'
+    );
+    if (download) {
+      this.exportDebugSnapshot();
+    }
+    this.persistenceManager.discardRejected();
+  }
+
+  /**
+   * Download the raw saved data as JSON for a bug report: every app key in
+   * localStorage (all match slots) and anything rejected on load
+   */
+  exportDebugSnapshot() {
+    const appKeys = Object.values(CONFIG.STORAGE_KEYS);
+    const storage = {};
+    Object.keys(localStorage).forEach((key) => {
+      if (appKeys.includes(key.split(':')[0])) {
+        storage[key] = localStorage.getItem(key);
+      }
+    });
+
+    const snapshot = {
+      exportedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      schemaVersions: StateSchema.VERSIONS,
+      activeSlot: this.persistenceManager.slotId,
+      storage,
+      rejected: this.persistenceManager.getRejected()
+    };
+    const filename = `scoresheet-data-${new Date().toISOString().slice(0, 10)}.json`;
+    Utils.downloadTextFile(filename, JSON.stringify(snapshot, null, 2), 'application/json;charset=utf-8;');
+    Utils.showNotification(`Saved data downloaded: ${filename}`, 'success');
+  }
+
+  /**
+   * Download all of the device's app data as one backup file
+   */
+  async exportBackup() {
+    try {
+      this.autoSave();
+      this.persistenceManager.saveUndoHistory(this.engine.getHistory());
+      this.timerManager.saveTimerState();
+      const backup = await this.backupManager.create();
+      const filename = `scoresheet-backup-${new Date().toISOString().slice(0, 10)}.json`;
+      Utils.downloadTextFile(filename, JSON.stringify(backup), 'application/json;charset=utf-8;');
+      Utils.showNotification(`Backup downloaded: ${filename} (${backup.slots.length} match slot(s), ${backup.archive.length} archived match(es))`, 'success');
+    } catch (error) {
+      Utils.showNotification(`Backup failed: ${error.message}`, 'error');
+    }
+  }
+
+  /**
+   * Read the chosen backup file and show what importing it would change
+   */
+  async handleBackupFile(event) {
+    const input = event.target;
+    const file = input.files && input.files[0];
+    input.value = '';
+    if (!file) return;
+
+    try {
+      const backup = this.backupManager.parse(await file.text());
+      this.autoSave();
+      const diff = await this.backupManager.compare(backup);
+      this.pendingBackup = { backup, diff };
+      this.closeSetupPopup();
+      this.openBackupPopup(file.name);
+    } catch (error) {
+      Utils.showNotification(`Import failed: ${error.message}`, 'error');
+    }
+  }
+
+  openBackupPopup(filename) {
+    const overlay = document.getElementById('backupOverlay');
+    const popup = document.getElementById('backupPopup');
+    if (!overlay || !popup || !this.pendingBackup) return;
+
+    const { backup } = this.pendingBackup;
+    const source = document.getElementById('backupSource');
+    if (source) {
+      const made = backup.exportedAt ? `, made ${new Date(backup.exportedAt).toLocaleString()}` : '';
+      source.textContent = `${filename}${made}`;
+    }
+    const list = document.getElementById('backupSummary');
+    if (list) {
+      list.innerHTML = '';
+      this.describeBackupDiff(this.pendingBackup.diff).forEach((line) => {
+        list.appendChild(Utils.createElement('li', {}, line));
+      });
+    }
+
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  closeBackupPopup() {
+    const overlay = document.getElementById('backupOverlay');
+    const popup = document.getElementById('backupPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+    this.pendingBackup = null;
+  }
+
+  /**
+   * Summary lines for the import popup
+   */
+  describeBackupDiff(diff) {
+    const count = (section) => section.added.length + section.newer.length + section.kept.length;
+    const parts = (section) => [
+      section.added.length ? `${section.added.length} new` : '',
+      section.newer.length ? `${section.newer.length} newer than on this device` : '',
+      section.kept.length ? `${section.kept.length} already up to date here` : ''
+    ].filter(Boolean).join(', ') || 'none';
+
+    const lines = [
+      `Matches in progress: ${count(diff.slots)} in the backup (${parts(diff.slots)})`,
+      diff.archiveAvailable
+        ? `Archived matches: ${count(diff.archive)} in the backup (${parts(diff.archive)})`
+        : `Archived matches: ${count(diff.archive)} in the backup, not imported (match history is not available in this browser)`,
+      `Teams: ${diff.teams.total} in the backup (${diff.teams.added} new)`,
+      `Line presets: ${diff.presets.total} in the backup (${diff.presets.added} new)`
+    ];
+    if (diff.slots.localOnly.length || diff.archive.localOnly.length) {
+      lines.push(`Only on this device (removed by Replace): ${diff.slots.localOnly.length} match(es) in progress, ${diff.archive.localOnly.length} archived match(es)`);
+    }
+    return lines;
+  }
+
+  /**
+   * Merge the pending backup into the device or replace the device's data
+   * with it, then show the active match slot from the imported data
+   */
+  async applyBackup(mode) {
+    if (!this.pendingBackup) return;
+    const { backup, diff } = this.pendingBackup;
+    if (mode === 'replace' && !confirm('Replace all app data on this device with the backup? Data only on this device will be lost.')) {
+      return;
+    }
+
+    this.closeBackupPopup();
+    try {
+      this.loadingManager.start();
+      this.parkMatchSlot();
+      if (mode === 'replace') {
+        this.parkedSlots = {};
+      }
+      const activeSlot = await this.backupManager.apply(backup, diff, mode);
+      await this.loadMatchSlot(activeSlot);
+
+      const teams = this.dataManager.getTeamsData();
+      if (teams && Object.keys(teams).length > 0) {
+        this.populateTeamOptions(teams);
+        this.syncTeamInputsFromEngine();
+      }
+      Utils.showNotification(mode === 'replace' ? 'Backup restored.' : 'Backup merged.', 'success');
+    } catch (error) {
+      // The match on screen was saved before the import started
+      await this.loadMatchSlot(this.persistenceManager.slotId);
+      Utils.showNotification(`Import failed: ${error.message}`, 'error');
+    } finally {
+      this.loadingManager.stop();
+    }
+  }
+
+  /**
+   * Snapshot of the match on screen for the scoreboard display (see
+   * ScoreboardFeed). Clocks without a saved state show their defaults.
+   */
+  buildScoreboardSnapshot() {
+    const engine = this.engine;
+    const state = engine.getState();
+    const settings = engine.getSettings();
+    const perHalf = engine.usesPerHalfTimeouts();
+    const slot = this.persistenceManager.loadMatchSlots().slots
+      .find((entry) => entry.id === this.persistenceManager.slotId);
+
+    const team = (letter) => ({
+      name: engine.getTeamLabel(letter),
+      color: settings[`team${letter}Color`],
+      score: state.score[letter],
+      timeoutsLeft: perHalf ? state.timeoutState[letter].halfRemaining : state.timeoutState[letter].totalRemaining
+    });
+    const clock = (timer, defaultMs) => ({
+      isRunning: Boolean(timer.isRunning && timer.endTime),
+      endTime: timer.isRunning && timer.endTime ? timer.endTime.getTime() : null,
+      remainingTimeMs: timer.remainingTimeMs !== null ? timer.remainingTimeMs : defaultMs
+    });
+
+    let status = state.halftime.triggered ? 'Second half' : 'First half';
+    if (state.matchEnded) status = 'Final';
+    else if (state.stoppageActive) status = 'Game stoppage';
+    else if (!state.matchStarted) status = 'Not started';
+
+    const lastScore = engine.getLastScoreLog();
+    return {
+      slotId: this.persistenceManager.slotId,
+      slotName: slot ? slot.name : '',
+      teams: { A: team('A'), B: team('B') },
+      timeoutsPer: perHalf ? 'half' : 'game',
+      lastScore: lastScore ? {
+        team: lastScore.TeamLetter === 'B' ? 'B' : 'A',
+        scorer: lastScore.Score === SPECIAL_OPTIONS.NA ? '' : (lastScore.Score || ''),
+        assist: lastScore.Assist === SPECIAL_OPTIONS.NA ? '' : (lastScore.Assist || '')
+      } : null,
+      status,
+      mainClock: clock(this.timerManager, this.timerManager.defaultMinutes * 60 * 1000),
+      secondsTimer: clock(this.secondsTimer, this.secondsTimer.defaultSeconds * 1000),
+      updatedAt: Date.now()
+    };
+  }
+
+  /**
+   * Send the match on screen to open scoreboard displays
+   */
+  publishScoreboard() {
+    try {
+      const slotIds = this.persistenceManager.loadMatchSlots().slots.map((slot) => slot.id);
+      ScoreboardFeed.publish(this.buildScoreboardSnapshot(), slotIds);
+    } catch (error) {
+      console.error('Failed to publish scoreboard:', error);
+    }
+  }
+
+  /**
+   * Open the scoreboard display in its own window. With several match slots
+   * it stays on the match shown now.
+   */
+  openScoreboard() {
+    this.publishScoreboard();
+    const { slots } = this.persistenceManager.loadMatchSlots();
+    const url = slots.length > 1
+      ? `scoreboard.html?slot=${encodeURIComponent(this.persistenceManager.slotId)}`
+      : 'scoreboard.html';
+    this.closeSetupPopup();
+    window.open(url, 'scoresheet-scoreboard');
+  }
+
+  /**
+   * Queue a live feed message for the match on screen. Besides the action
+   * and its payload, every message carries the teams and the score after
+   * the change, so a receiver can show the score from any single message.
+   */
+  pushLiveFeed(action, payload = {}) {
+    if (!this.liveFeed.isEnabled()) return;
+    const engine = this.engine;
+    const state = engine.getState();
+    this.liveFeed.push(engine.getMatchId(), {
+      action,
+      gameId: engine.getGameID(),
+      teams: { A: engine.getTeamName('A'), B: engine.getTeamName('B') },
+      score: state.score,
+      ended: state.matchEnded,
+      ...payload
+    });
+  }
+
+  renderLiveFeedStatus() {
+    const status = document.getElementById('liveFeedStatus');
+    if (status) status.textContent = this.liveFeed.describeStatus();
+  }
+
+  /**
+   * The match on screen as MatchSync reads it: the log rows, and as
+   * registers the synced game state keys and both clocks
+   */
+  readCoScoringMatch() {
+    const gameState = this.engine.toGameState();
+    const registers = {};
+    Object.keys(gameState).forEach((key) => {
+      if (!SYNC_LOCAL_KEYS.includes(key)) registers[key] = gameState[key];
+    });
+    registers.mainClock = this.timerManager.getState();
+    registers.secondsTimer = this.secondsTimer.getState();
+    return { matchId: gameState.matchId, rows: gameState.scoreLogs, registers };
+  }
+
+  /**
+   * Load a match merged with another device's changes. The undo history is
+   * rebased onto it, so undo still reverts this device's own actions and
+   * keeps the other device's changes.
+   */
+  applyCoScoringChange(view) {
+    const { mainClock, secondsTimer, ...registers } = view.registers;
+    const wasEnded = this.engine.getState().matchEnded;
+
+    // A running clock is defined by its end time alone
+    const sameClock = (a, b) => (a.isRunning
+      ? Boolean(b.isRunning) && a.endTime === b.endTime
+      : !b.isRunning && a.remainingTimeMs === b.remainingTimeMs);
+
+    this.isRestoring = true;
+    this.engine.loadGameState(
+      { ...this.engine.toGameState(), ...registers, scoreLogs: view.rows },
+      { rebaseHistory: true }
+    );
+    if (mainClock && !sameClock(mainClock, this.timerManager.getState())) {
+      this.timerManager.setState(mainClock);
+    }
+    if (secondsTimer && !sameClock(secondsTimer, this.secondsTimer.getState())) {
+      this.secondsTimer.setState(secondsTimer);
+    }
+    this.syncTeamInputsFromEngine();
+    this.applyGameSettingsToUI();
+    this.handleAbbaChange(this.engine.getSettings().abbaStart, false);
+    this.updateAbbaDisplay();
+    this.updateStoppageUI();
+    this.updateTeamsDisplay();
+    this.updateMatchControls();
+    this.updateUndoControls();
+    this.isRestoring = false;
+
+    this.autoSave();
+    this.pushLiveFeed('snapshot', { events: this.engine.getScoreLogs() });
+    const { matchEnded, result } = this.engine.getState();
+    if (matchEnded && !wasEnded) {
+      Utils.showNotification(`Match ended on the other device (${result.reasonLabel}): ${this.describeResult(result)}.`, 'success');
+      this.archiveMatch();
+    }
+  }
+
+  renderCoScoringStatus() {
+    const status = document.getElementById('coScoringStatus');
+    if (status) status.textContent = this.coScoring.describeStatus();
+  }
+
+  /**
+   * Show the transfer link and QR code for the match on screen
+   */
+  async openTransferPopup() {
+    const overlay = document.getElementById('transferOverlay');
+    const popup = document.getElementById('transferPopup');
+    if (!overlay || !popup) return;
+
+    this.closeSetupPopup();
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+    const shareBtn = document.getElementById('shareTransferLinkBtn');
+    if (shareBtn) shareBtn.classList.toggle('hidden', typeof navigator.share !== 'function');
+    await this.updateTransferPopup();
+  }
+
+  closeTransferPopup() {
+    const overlay = document.getElementById('transferOverlay');
+    const popup = document.getElementById('transferPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
 
-      this.applyGameSettingsToUI();
-      this.setAbbaVisibility(this.abbaStart !== 'NONE');
-      this.updateAbbaDisplay();
-      const setupAbbaSelect = document.getElementById('setupAbba');
-      if (setupAbbaSelect) setupAbbaSelect.value = this.abbaStart;
-      this.updateMatchControls();
-      this.updateStoppageUI();
-      this.adjustScoringTableSizing();
-      window.addEventListener('resize', this.handleResize);
-      
-      // Set up page visibility handler for mobile
-      document.addEventListener('visibilitychange', () => {
-        if (document.hidden) {
-          this.autoSave();
+  /**
+   * Build the link and QR code from the match on screen, saved first
+   */
+  async updateTransferPopup() {
+    const status = document.getElementById('transferStatus');
+    const qrBox = document.getElementById('transferQr');
+    const linkInput = document.getElementById('transferLink');
+    try {
+      this.autoSave();
+      this.timerManager.saveTimerState();
+      const transfer = this.matchTransfer.create(this.secondsTimer.getState());
+      // The receiving device joins a started match instead of taking it over
+      if (this.coScoring.isEnabled() && this.engine.getMatchId()) transfer.coScoring = this.coScoring.url;
+      const link = this.matchTransfer.buildLink(await this.matchTransfer.encode(transfer));
+      if (linkInput) linkInput.value = link;
+
+      let qr = null;
+      for (const errorCorrection of ['M', 'L']) {
+        try {
+          qr = QrCode.encode(link, { errorCorrection });
+          break;
+        } catch (error) {
+          // Too long at this level; try the next
         }
-      });
-      
-      if (initializationError) {
-        throw initializationError;
+      }
+      if (qrBox) {
+        qrBox.innerHTML = '';
+        if (qr) qrBox.appendChild(this.createQrSvg(qr));
       }
 
-      Utils.showNotification('Application initialized successfully', 'success');
+      const summary = this.getSlotSummary(this.persistenceManager.slotId);
+      const events = transfer.gameState.scoreLogs.length;
+      if (status) {
+        status.textContent = qr
+          ? `${summary.teams}, ${summary.score} (${events} event${events === 1 ? '' : 's'}).`
+          : `${summary.teams}, ${summary.score}: the match is too long for a QR code (${link.length} characters). Copy or share the link instead.`;
+        if (transfer.coScoring) status.textContent += ' Co-scoring is on: both devices keep scoring this match.';
+      }
     } catch (error) {
-      Utils.showNotification(`Failed to initialize application: ${error.message}`, 'error');
+      if (qrBox) qrBox.innerHTML = '';
+      if (linkInput) linkInput.value = '';
+      if (status) status.textContent = `The transfer link could not be made: ${error.message}`;
     }
   }
 
   /**
-   * Check and restore previous state
+   * Draw a QrCode.encode() result as a scalable SVG with a quiet zone
    */
-  async checkAndRestoreState() {
-    const gameState = this.dataManager.getGameState();
-    
-    // If we have a recent state (less than 24 hours old), restore it
-    if (gameState.timestamp && (Date.now() - gameState.timestamp) < (24 * 60 * 60 * 1000)) {
-      this.isRestoring = true;
-      
-      // Show restore notification
-      const shouldRestore = confirm(
-        'Previous game data found. Would you like to restore your previous session?'
-      );
-      
-      if (shouldRestore) {
-        await this.restoreGameState(gameState);
-        Utils.showNotification('Previous session restored successfully', 'success');
-      } else {
-        this.dataManager.resetGameState();
-        this.gameSettings = {
-          matchDuration: CONFIG.DEFAULT_TIMER_MINUTES,
-          halftimeDuration: 55,
-          halftimeBreakDuration: 7,
-          timeoutDuration: 75,
-          timeoutsTotal: 2,
-          timeoutsPerHalf: 0
-        };
-        this.applyGameSettingsToUI();
-        this.abbaStart = 'NONE';
-        this.setAbbaVisibility(this.abbaStart !== 'NONE');
-        this.updateAbbaDisplay();
-        this.clearAbbaCells();
-        this.gameStoppageActive = false;
-        this.updateStoppageUI();
-        this.updateTeamsDisplay();
-        this.matchStarted = false;
-        this.hardCapReached = false;
-        this.updateMatchControls();
+  createQrSvg(qr) {
+    const border = 4;
+    const size = qr.size + border * 2;
+    const ns = 'http://www.w3.org/2000/svg';
+    const svg = document.createElementNS(ns, 'svg');
+    svg.setAttribute('viewBox', `0 0 ${size} ${size}`);
+    svg.setAttribute('shape-rendering', 'crispEdges');
+    svg.setAttribute('role', 'img');
+    svg.setAttribute('aria-label', 'QR code of the transfer link');
+    const background = document.createElementNS(ns, 'rect');
+    background.setAttribute('width', String(size));
+    background.setAttribute('height', String(size));
+    background.setAttribute('fill', '#fff');
+    const path = document.createElementNS(ns, 'path');
+    path.setAttribute('d', QrCode.toSvgPath(qr, border));
+    path.setAttribute('fill', '#000');
+    svg.appendChild(background);
+    svg.appendChild(path);
+    return svg;
+  }
+
+  async copyTransferLink() {
+    const linkInput = document.getElementById('transferLink');
+    if (!linkInput || !linkInput.value) return;
+    try {
+      await navigator.clipboard.writeText(linkInput.value);
+    } catch (error) {
+      // Clipboard API unavailable (e.g. not a secure context)
+      linkInput.select();
+      document.execCommand('copy');
+    }
+    Utils.showNotification('Transfer link copied.', 'success');
+  }
+
+  async shareTransferLink() {
+    const linkInput = document.getElementById('transferLink');
+    if (!linkInput || !linkInput.value || typeof navigator.share !== 'function') return;
+    try {
+      await navigator.share({ title: 'Score Sheet match', url: linkInput.value });
+    } catch (error) {
+      if (error.name !== 'AbortError') {
+        Utils.showNotification(`Sharing failed: ${error.message}`, 'error');
       }
-      
-      this.isRestoring = false;
     }
   }
 
   /**
-   * Restore complete game state
+   * Open a match sent with a transfer link. It goes into the slot shown when
+   * that has no events yet, otherwise into a new slot, so nothing on this
+   * device is overwritten.
    */
-  async restoreGameState(gameState) {
-    // Restore scores
-    this.teamAScore = gameState.teamAScore || 0;
-    this.teamBScore = gameState.teamBScore || 0;
-    const storedMatchStarted = typeof gameState.matchStarted === 'boolean' ? gameState.matchStarted : null;
-    this.matchStarted = storedMatchStarted !== null
-      ? storedMatchStarted
-      : Array.isArray(gameState.scoreLogs) && gameState.scoreLogs.length > 0;
-    this.halftimeAutoSuppressed = false;
-    const hasHalftimeLog = Array.isArray(gameState.scoreLogs)
-      ? gameState.scoreLogs.some((log) => (log?.Type || '').toLowerCase() === 'halftime')
-      : false;
-    this.halftimeReasonResolved = hasHalftimeLog
-      ? (gameState.halftimeReasonResolved || null)
-      : null;
-    
-    // Restore team selections
-    const teamASelect = document.getElementById('teamA');
-    const teamBSelect = document.getElementById('teamB');
-    
-    if (teamASelect && gameState.teamAName) {
-      teamASelect.value = gameState.teamAName;
-    }
-    if (teamBSelect && gameState.teamBName) {
-      teamBSelect.value = gameState.teamBName;
-    }
-    
-    // Restore player lists
-    const teamAList = document.getElementById('teamAList');
-    const teamBList = document.getElementById('teamBList');
-    
-    if (teamAList && gameState.teamAPlayers) {
-      teamAList.value = gameState.teamAPlayers;
-    }
-    if (teamBList && gameState.teamBPlayers) {
-      teamBList.value = gameState.teamBPlayers;
-    }
-    
-    // Restore game time
-    const timeInput = document.getElementById('time');
-    if (timeInput && gameState.gameTime) {
-      timeInput.value = gameState.gameTime;
-    }
-    
-    // Restore score logs and rebuild table
-    if (gameState.scoreLogs && gameState.scoreLogs.length > 0) {
-      this.rebuildScoreTable(gameState.scoreLogs);
-    }
-
-    const numberOr = (value, fallback) => (typeof value === 'number' && !Number.isNaN(value) ? value : fallback);
-    this.gameSettings.matchDuration = numberOr(gameState.matchDuration, CONFIG.DEFAULT_TIMER_MINUTES);
-    this.gameSettings.halftimeDuration = numberOr(gameState.halftimeDuration, 55);
-    this.gameSettings.halftimeBreakDuration = numberOr(gameState.halftimeBreakDuration, 7);
-    this.gameSettings.timeoutDuration = numberOr(gameState.timeoutDuration, 75);
-    this.gameSettings.timeoutsTotal = numberOr(gameState.timeoutsTotal, 2);
-    this.gameSettings.timeoutsPerHalf = numberOr(gameState.timeoutsPerHalf, 0);
-    this.applyGameSettingsToUI();
+  async receiveTransferLink() {
+    const token = this.matchTransfer.readLinkToken(window.location.hash);
+    if (!token) return;
+    // Drop the fragment so reloading the page does not offer the match again
+    history.replaceState(null, '', window.location.href.split('#')[0]);
 
-    // Restore ABBA start if present
-    const storedAbba = gameState.abbaStart;
-    if (storedAbba === 'M' || storedAbba === 'F' || storedAbba === 'NONE') {
-      this.abbaStart = storedAbba;
-    } else {
-      this.abbaStart = 'NONE';
-    }
-    this.setAbbaVisibility(this.abbaStart !== 'NONE');
-    this.updateAbbaDisplay();
-    this.gameStoppageActive = Boolean(gameState.stoppageActive);
-    this.updateStoppageUI();
-    if (this.gameStoppageActive) {
-      this.pauseAllTimers();
+    let transfer;
+    try {
+      transfer = await this.matchTransfer.decode(token);
+    } catch (error) {
+      Utils.showNotification(`Transfer failed: ${error.message}`, 'error');
+      return;
     }
-    if (this.abbaStart !== 'NONE') {
-      this.updateAbbaColumn();
-    } else {
-      this.clearAbbaCells();
+
+    const { gameState } = transfer;
+    const teams = `${gameState.teamAName || 'Team A'} vs ${gameState.teamBName || 'Team B'}`;
+    const score = `${gameState.teamAScore || 0}–${gameState.teamBScore || 0}`;
+    const sent = transfer.sentAt ? ` at ${new Date(transfer.sentAt).toLocaleTimeString()}` : '';
+    const question = transfer.coScoring
+      ? `Score ${teams} (${score}) together with the device that sent it${sent}? Both devices will share the match through ${transfer.coScoring}.`
+      : `Continue ${teams} (${score}) on this device? It was sent from another device${sent}.`;
+    if (!confirm(question)) return;
+
+    const reuseActive = this.engine.getScoreLogs().length === 0 && !this.engine.getState().matchStarted;
+    try {
+      this.loadingManager.start();
+      this.parkMatchSlot();
+      const slotId = this.matchTransfer.apply(transfer, reuseActive);
+      this.parkedSlots[slotId] = { secondsTimer: transfer.secondsTimer };
+      await this.loadMatchSlot(slotId);
+      if (transfer.coScoring) {
+        this.coScoring.configure(transfer.coScoring);
+        Utils.showNotification(`${teams} is now scored on both devices.`, 'success');
+      } else {
+        Utils.showNotification(`${teams} is now scored on this device.`, 'success');
+      }
+    } catch (error) {
+      // The match on screen was saved before the transfer was stored
+      await this.loadMatchSlot(this.persistenceManager.slotId);
+      Utils.showNotification(`Transfer failed: ${error.message}`, 'error');
+    } finally {
+      this.loadingManager.stop();
     }
+  }
 
-    this.updateTeamsDisplay();
-    this.updateMatchControls();
-    this.checkForScoreCap({ silent: true });
-    this.updateHalftimeTracking();
-    this.halftimePendingReason = null;
-    this.maybeTriggerHalftimeByScore();
-    this.maybeTriggerHalftimeByTime();
+  /**
+   * Mirror engine team names and rosters into the setup selects and lists
+   */
+  syncTeamInputsFromEngine() {
+    ['A', 'B'].forEach((teamLetter) => {
+      const select = document.getElementById(`team${teamLetter}`);
+      const name = this.engine.getTeamName(teamLetter);
+      if (select) {
+        if (name && !Array.from(select.options).some((option) => option.value === name)) {
+          select.appendChild(Utils.createElement('option', { value: name }, name));
+        }
+        select.value = name || '';
+      }
+      const list = document.getElementById(`team${teamLetter}List`);
+      if (list) {
+        list.value = this.formatRoster(teamLetter);
+      }
+    });
   }
 
   /**
-   * Rebuild score table from logs
+   * Rebuild score table from the engine's logs
    */
-  rebuildScoreTable(scoreLogs) {
+  rebuildScoreTable() {
     const scoringTableBody = document.getElementById('scoringTableBody');
     if (!scoringTableBody) return;
 
-    this.teamAScore = 0;
-    this.teamBScore = 0;
     scoringTableBody.innerHTML = '';
 
-    const logs = Array.isArray(scoreLogs) ? scoreLogs : this.dataManager.scoreLogs;
-    let scoringIndex = 0;
-
-    logs.forEach((logEntry) => {
-      const isScore = this.isScoreLog(logEntry);
-      let abbaIndex = null;
-      if (isScore) {
-        const teamLetter = this.getTeamLetterFromLog(logEntry);
-        if (teamLetter === 'A') this.teamAScore++;
-        else if (teamLetter === 'B') this.teamBScore++;
-        abbaIndex = scoringIndex;
-        scoringIndex++;
-      }
-      const row = this.createScoreRow(logEntry, abbaIndex);
+    this.engine.getScoreLogs().forEach((logEntry) => {
+      const row = this.createScoreRow(logEntry);
       if (row) {
         if (scoringTableBody.firstChild) {
           scoringTableBody.insertBefore(row, scoringTableBody.firstChild);
@@ -1356,10 +4279,10 @@ class ScorekeeperApp {
     });
 
     this.updateAbbaColumn();
-    this.setAbbaVisibility(this.abbaStart !== 'NONE');
-    this.checkForScoreCap({ silent: true });
-    this.updateHalftimeTracking();
-    this.maybeTriggerHalftimeByScore();
+    this.setAbbaVisibility(this.engine.getSettings().abbaStart !== 'NONE');
+    this.updateTeamsDisplay();
+    this.updateTimeoutUI();
+    this.updateMatchControls();
     this.adjustScoringTableSizing();
   }
 
@@ -1368,32 +4291,15 @@ class ScorekeeperApp {
    */
   autoSave() {
     if (this.isRestoring) return;
-    
-    // Capture current UI state
+
+    this.engine.setGameTime(document.getElementById('time')?.value || '');
     const currentState = {
-      teamAScore: this.teamAScore,
-      teamBScore: this.teamBScore,
-      teamAName: document.getElementById('teamA')?.value || '',
-      teamBName: document.getElementById('teamB')?.value || '',
-      teamAPlayers: document.getElementById('teamAList')?.value || '',
-      teamBPlayers: document.getElementById('teamBList')?.value || '',
-      gameTime: document.getElementById('time')?.value || '',
-      scoreLogs: this.dataManager.scoreLogs,
-      abbaStart: this.abbaStart,
-      stoppageActive: this.gameStoppageActive,
-      matchDuration: this.gameSettings.matchDuration,
-      halftimeDuration: this.gameSettings.halftimeDuration,
-      halftimeBreakDuration: this.gameSettings.halftimeBreakDuration,
-      timeoutDuration: this.gameSettings.timeoutDuration,
-      timeoutsTotal: this.gameSettings.timeoutsTotal,
-      timeoutsPerHalf: this.gameSettings.timeoutsPerHalf,
-      timeoutState: this.getTimeoutStateSnapshot(),
-      matchStarted: this.matchStarted,
-      halftimeReasonResolved: this.halftimeReasonResolved,
+      ...this.engine.toGameState(),
       timestamp: Date.now()
     };
     
     this.dataManager.updateGameState(currentState);
+    this.dataManager.setScoreLogs(currentState.scoreLogs);
     this.dataManager.saveCurrentState();
   }
 
@@ -1458,8 +4364,8 @@ class ScorekeeperApp {
     if (!teamASelect || !teamBSelect) return;
 
     // Store current selections
-    const currentTeamA = teamASelect.value;
-    const currentTeamB = teamBSelect.value;
+    const currentTeamA = this.engine.getTeamName('A') || teamASelect.value;
+    const currentTeamB = this.engine.getTeamName('B') || teamBSelect.value;
 
     // Clear existing options except the first one
     teamASelect.innerHTML = '<option value="">Select Team A</option>';
@@ -1480,6 +4386,7 @@ class ScorekeeperApp {
     if (currentTeamA) teamASelect.value = currentTeamA;
     if (currentTeamB) teamBSelect.value = currentTeamB;
 
+    this.syncTeamInputsFromEngine();
     this.updateTeamsDisplay();
   }
 
@@ -1523,8 +4430,22 @@ class ScorekeeperApp {
 
     const startMatchBtn = document.getElementById('startMatchBtn');
     if (startMatchBtn) {
-      startMatchBtn.addEventListener('click', this.startMatch);
+      startMatchBtn.addEventListener('click', this.openReceivePopup);
+    }
+    const receiveOverlay = document.getElementById('receiveOverlay');
+    if (receiveOverlay) {
+      receiveOverlay.addEventListener('click', this.closeReceivePopup);
     }
+    const closeReceivePopupBtn = document.getElementById('closeReceivePopupBtn');
+    if (closeReceivePopupBtn) {
+      closeReceivePopupBtn.addEventListener('click', this.closeReceivePopup);
+    }
+    [['receiveFirstA', 'A'], ['receiveFirstB', 'B'], ['receiveFirstSkip', null]].forEach(([id, receiving]) => {
+      document.getElementById(id)?.addEventListener('click', () => {
+        this.closeReceivePopup();
+        this.startMatch(receiving);
+      });
+    });
 
     // Timeout controls
     const timeoutBtnA = document.getElementById('timeoutTeamA');
@@ -1546,23 +4467,101 @@ class ScorekeeperApp {
     const addScoreTeamB = document.getElementById('addScoreTeamB');
     
     if (addScoreTeamA) {
-      addScoreTeamA.addEventListener('click', () => {
-        if (!this.matchStarted) {
-          Utils.showNotification('Start the match before adding scores.', 'error');
-          return;
-        }
-        this.openPopup('A');
-      });
+      addScoreTeamA.addEventListener('click', () => this.openPopup('A'));
     }
     if (addScoreTeamB) {
-      addScoreTeamB.addEventListener('click', () => {
-        if (!this.matchStarted) {
-          Utils.showNotification('Start the match before adding scores.', 'error');
-          return;
-        }
-        this.openPopup('B');
+      addScoreTeamB.addEventListener('click', () => this.openPopup('B'));
+    }
+
+    // Stat buttons and popup
+    const addStatTeamA = document.getElementById('addStatTeamA');
+    const addStatTeamB = document.getElementById('addStatTeamB');
+    if (addStatTeamA) {
+      addStatTeamA.addEventListener('click', () => this.openStatPopup('A'));
+    }
+    if (addStatTeamB) {
+      addStatTeamB.addEventListener('click', () => this.openStatPopup('B'));
+    }
+    const statOverlay = document.getElementById('statOverlay');
+    if (statOverlay) {
+      statOverlay.addEventListener('click', this.closeStatPopup);
+    }
+    const closeStatPopupBtn = document.getElementById('closeStatPopupBtn');
+    if (closeStatPopupBtn) {
+      closeStatPopupBtn.addEventListener('click', this.closeStatPopup);
+    }
+    const statType = document.getElementById('statType');
+    if (statType) {
+      statType.addEventListener('change', this.handleStatTypeChange);
+    }
+    const statHangTimeBtn = document.getElementById('statHangTimeBtn');
+    if (statHangTimeBtn) {
+      statHangTimeBtn.addEventListener('click', () => this.hangTimeStopwatch.toggle());
+    }
+    const saveStatBtn = document.getElementById('saveStatBtn');
+    if (saveStatBtn) {
+      saveStatBtn.addEventListener('click', this.handleStatSave);
+    }
+    const deleteStatBtn = document.getElementById('deleteStatBtn');
+    if (deleteStatBtn) {
+      deleteStatBtn.addEventListener('click', this.handleStatDelete);
+    }
+
+    // Line popup controls
+    const openLinePopupBtn = document.getElementById('openLinePopupBtn');
+    if (openLinePopupBtn) {
+      openLinePopupBtn.addEventListener('click', () => this.openLinePopup());
+    }
+    const editLineBtn = document.getElementById('editLineBtn');
+    if (editLineBtn) {
+      editLineBtn.addEventListener('click', () => {
+        const scoreID = this.currentEditID;
+        this.closePopup();
+        this.openLinePopup(scoreID);
       });
     }
+    const lineOverlay = document.getElementById('lineOverlay');
+    if (lineOverlay) {
+      lineOverlay.addEventListener('click', this.closeLinePopup);
+    }
+    const closeLinePopupBtn = document.getElementById('closeLinePopupBtn');
+    if (closeLinePopupBtn) {
+      closeLinePopupBtn.addEventListener('click', this.closeLinePopup);
+    }
+    const saveLineBtn = document.getElementById('saveLineBtn');
+    if (saveLineBtn) {
+      saveLineBtn.addEventListener('click', this.handleLineSave);
+    }
+    const lineRatio = document.getElementById('lineRatio');
+    if (lineRatio) {
+      lineRatio.addEventListener('change', () => ['A', 'B'].forEach((team) => this.updateLineCount(team)));
+    }
+
+    // Player designation popup controls
+    const openDesignationsBtn = document.getElementById('openDesignationsBtn');
+    if (openDesignationsBtn) {
+      openDesignationsBtn.addEventListener('click', this.openDesignationPopup);
+    }
+    const designationOverlay = document.getElementById('designationOverlay');
+    if (designationOverlay) {
+      designationOverlay.addEventListener('click', this.closeDesignationPopup);
+    }
+    const closeDesignationPopupBtn = document.getElementById('closeDesignationPopupBtn');
+    if (closeDesignationPopupBtn) {
+      closeDesignationPopupBtn.addEventListener('click', this.closeDesignationPopup);
+    }
+    const saveDesignationsBtn = document.getElementById('saveDesignationsBtn');
+    if (saveDesignationsBtn) {
+      saveDesignationsBtn.addEventListener('click', this.handleDesignationsSave);
+    }
+
+    ['A', 'B'].forEach((team) => {
+      document.getElementById(`lineSame${team}`)?.addEventListener('click', () => this.handleLineSameAsLast(team));
+      document.getElementById(`lineClear${team}`)?.addEventListener('click', () => this.setLineSelection(team, []));
+      document.getElementById(`lineSavePreset${team}`)?.addEventListener('click', () => this.handleLinePresetSave(team));
+      document.getElementById(`linePreset${team}`)?.addEventListener('change', () => this.handleLinePresetSelect(team));
+      document.getElementById(`linePlayers${team}`)?.addEventListener('change', () => this.updateLineCount(team));
+    });
 
     // Submit button
     const submitBtn = document.getElementById('submitBtn');
@@ -1620,6 +4619,16 @@ class ScorekeeperApp {
       deleteHalftimeBtn.addEventListener('click', this.handleHalftimeDelete);
     }
 
+    // Undo / redo controls
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+      undoBtn.addEventListener('click', this.handleUndo);
+    }
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+      redoBtn.addEventListener('click', this.handleRedo);
+    }
+
     // Setup popup controls
     const openSetupBtn = document.getElementById('openSetupBtn');
     if (openSetupBtn) {
@@ -1636,6 +4645,11 @@ class ScorekeeperApp {
       saveSetupBtn.addEventListener('click', this.handleSetupSave);
     }
 
+    const rulesProfileSelect = document.getElementById('setupRulesProfile');
+    if (rulesProfileSelect) {
+      rulesProfileSelect.addEventListener('change', () => this.handleRulesProfileChange());
+    }
+
     const setupOverlay = document.getElementById('setupOverlay');
     if (setupOverlay) {
       setupOverlay.addEventListener('click', this.closeSetupPopup);
@@ -1661,6 +4675,163 @@ class ScorekeeperApp {
     if (stoppageBtn) {
       stoppageBtn.addEventListener('click', this.handleStoppageToggle);
     }
+
+    // End match popup controls
+    const endMatchBtn = document.getElementById('endMatchBtn');
+    if (endMatchBtn) {
+      endMatchBtn.addEventListener('click', this.openEndMatchPopup);
+    }
+    const closeEndMatchBtn = document.getElementById('closeEndMatchPopupBtn');
+    if (closeEndMatchBtn) {
+      closeEndMatchBtn.addEventListener('click', this.closeEndMatchPopup);
+    }
+    const endMatchOverlay = document.getElementById('endMatchOverlay');
+    if (endMatchOverlay) {
+      endMatchOverlay.addEventListener('click', this.closeEndMatchPopup);
+    }
+    const endMatchReason = document.getElementById('endMatchReason');
+    if (endMatchReason) {
+      endMatchReason.addEventListener('change', () => this.updateEndMatchForm());
+    }
+    const endMatchForfeitTeam = document.getElementById('endMatchForfeitTeam');
+    if (endMatchForfeitTeam) {
+      endMatchForfeitTeam.addEventListener('change', () => this.updateEndMatchForm());
+    }
+    const confirmEndMatchBtn = document.getElementById('confirmEndMatchBtn');
+    if (confirmEndMatchBtn) {
+      confirmEndMatchBtn.addEventListener('click', this.handleEndMatchConfirm);
+    }
+
+    const outboxRetryBtn = document.getElementById('outboxRetryBtn');
+    if (outboxRetryBtn) {
+      outboxRetryBtn.addEventListener('click', () => this.outbox.flush(true));
+    }
+
+    // Spirit of the Game popup controls
+    const openSpiritBtn = document.getElementById('openSpiritBtn');
+    if (openSpiritBtn) {
+      openSpiritBtn.addEventListener('click', this.openSpiritPopup);
+    }
+    const spiritOverlay = document.getElementById('spiritOverlay');
+    if (spiritOverlay) {
+      spiritOverlay.addEventListener('click', this.closeSpiritPopup);
+    }
+    const closeSpiritPopupBtn = document.getElementById('closeSpiritPopupBtn');
+    if (closeSpiritPopupBtn) {
+      closeSpiritPopupBtn.addEventListener('click', this.closeSpiritPopup);
+    }
+    const saveSpiritBtn = document.getElementById('saveSpiritBtn');
+    if (saveSpiritBtn) {
+      saveSpiritBtn.addEventListener('click', this.handleSpiritSave);
+    }
+    ['A', 'B'].forEach((team) => {
+      document.getElementById(`spiritScores${team}`)?.addEventListener('change', () => this.updateSpiritTotal(team));
+    });
+
+    const newMatchBtn = document.getElementById('newMatchBtn');
+    if (newMatchBtn) {
+      newMatchBtn.addEventListener('click', this.handleNewMatch);
+    }
+
+    // Match history popup controls
+    const openHistoryBtn = document.getElementById('openHistoryBtn');
+    if (openHistoryBtn) {
+      openHistoryBtn.addEventListener('click', this.openHistoryPopup);
+    }
+    const historyOverlay = document.getElementById('historyOverlay');
+    if (historyOverlay) {
+      historyOverlay.addEventListener('click', this.closeHistoryPopup);
+    }
+    const closeHistoryPopupBtn = document.getElementById('closeHistoryPopupBtn');
+    if (closeHistoryPopupBtn) {
+      closeHistoryPopupBtn.addEventListener('click', this.closeHistoryPopup);
+    }
+    const historySearch = document.getElementById('historySearch');
+    if (historySearch) {
+      historySearch.addEventListener('input', Utils.debounce(() => this.renderHistory(), 200));
+    }
+    const historyRetention = document.getElementById('historyRetention');
+    if (historyRetention) {
+      historyRetention.addEventListener('change', this.handleHistoryRetentionChange);
+    }
+    const historyBackBtn = document.getElementById('historyBackBtn');
+    if (historyBackBtn) {
+      historyBackBtn.addEventListener('click', () => this.showHistoryList());
+    }
+
+    const exportSnapshotBtn = document.getElementById('exportSnapshotBtn');
+    if (exportSnapshotBtn) {
+      exportSnapshotBtn.addEventListener('click', this.exportDebugSnapshot);
+    }
+
+    // Backup export and import
+    const exportBackupBtn = document.getElementById('exportBackupBtn');
+    if (exportBackupBtn) {
+      exportBackupBtn.addEventListener('click', this.exportBackup);
+    }
+    const importBackupBtn = document.getElementById('importBackupBtn');
+    const importBackupFile = document.getElementById('importBackupFile');
+    if (importBackupBtn && importBackupFile) {
+      importBackupBtn.addEventListener('click', () => importBackupFile.click());
+      importBackupFile.addEventListener('change', this.handleBackupFile);
+    }
+    const backupOverlay = document.getElementById('backupOverlay');
+    if (backupOverlay) {
+      backupOverlay.addEventListener('click', this.closeBackupPopup);
+    }
+    const closeBackupPopupBtn = document.getElementById('closeBackupPopupBtn');
+    if (closeBackupPopupBtn) {
+      closeBackupPopupBtn.addEventListener('click', this.closeBackupPopup);
+    }
+    const backupMergeBtn = document.getElementById('backupMergeBtn');
+    if (backupMergeBtn) {
+      backupMergeBtn.addEventListener('click', () => this.applyBackup('merge'));
+    }
+    const backupReplaceBtn = document.getElementById('backupReplaceBtn');
+    if (backupReplaceBtn) {
+      backupReplaceBtn.addEventListener('click', () => this.applyBackup('replace'));
+    }
+
+    const openScoreboardBtn = document.getElementById('openScoreboardBtn');
+    if (openScoreboardBtn) {
+      openScoreboardBtn.addEventListener('click', this.openScoreboard);
+    }
+
+    // Match transfer
+    const transferMatchBtn = document.getElementById('transferMatchBtn');
+    if (transferMatchBtn) {
+      transferMatchBtn.addEventListener('click', this.openTransferPopup);
+    }
+    const transferOverlay = document.getElementById('transferOverlay');
+    if (transferOverlay) {
+      transferOverlay.addEventListener('click', this.closeTransferPopup);
+    }
+    const closeTransferPopupBtn = document.getElementById('closeTransferPopupBtn');
+    if (closeTransferPopupBtn) {
+      closeTransferPopupBtn.addEventListener('click', this.closeTransferPopup);
+    }
+    const copyTransferLinkBtn = document.getElementById('copyTransferLinkBtn');
+    if (copyTransferLinkBtn) {
+      copyTransferLinkBtn.addEventListener('click', this.copyTransferLink);
+    }
+    const shareTransferLinkBtn = document.getElementById('shareTransferLinkBtn');
+    if (shareTransferLinkBtn) {
+      shareTransferLinkBtn.addEventListener('click', this.shareTransferLink);
+    }
+
+    // Match slot switcher in the header
+    const slotList = document.getElementById('slotList');
+    if (slotList) {
+      slotList.addEventListener('click', this.handleSlotClick);
+    }
+    const addSlotBtn = document.getElementById('addSlotBtn');
+    if (addSlotBtn) {
+      addSlotBtn.addEventListener('click', this.addMatchSlot);
+    }
+    const removeSlotBtn = document.getElementById('removeSlotBtn');
+    if (removeSlotBtn) {
+      removeSlotBtn.addEventListener('click', this.removeMatchSlot);
+    }
   }
 
   setupTimerButton(button, toggleCallback, resetCallback) {
@@ -1735,347 +4906,228 @@ class ScorekeeperApp {
   }
 
   updateMatchControls() {
+    const { matchStarted, matchEnded } = this.engine.getState();
     const startBtn = document.getElementById('startMatchBtn');
     const addButtons = document.querySelectorAll('.add-score-button .add-score');
+    const statButtons = document.querySelectorAll('.add-stat-button .add-stat');
     const timeOptionsBtn = document.getElementById('openTimePopupBtn');
-    if (this.matchStarted) {
+    if (matchStarted) {
       if (startBtn) startBtn.classList.add('hidden');
       addButtons.forEach((btn) => btn.classList.remove('hidden'));
+      statButtons.forEach((btn) => btn.classList.remove('hidden'));
     } else {
       if (startBtn) startBtn.classList.remove('hidden');
       addButtons.forEach((btn) => btn.classList.add('hidden'));
+      statButtons.forEach((btn) => btn.classList.add('hidden'));
     }
     this.updateAddScoreButtonsState(addButtons);
+    statButtons.forEach((btn) => {
+      btn.disabled = Boolean(matchEnded);
+      if (matchEnded) {
+        btn.title = 'The match has ended.';
+      } else {
+        btn.removeAttribute('title');
+      }
+    });
+    const lineBtn = document.getElementById('openLinePopupBtn');
+    if (lineBtn) {
+      lineBtn.classList.toggle('hidden', !this.engine.getSettings().lineTracking);
+      lineBtn.disabled = Boolean(matchEnded);
+    }
+    // Spirit scores are entered once the match is over
+    const spiritBtn = document.getElementById('openSpiritBtn');
+    if (spiritBtn) spiritBtn.classList.toggle('hidden', !matchEnded);
     if (timeOptionsBtn) {
-      if (this.matchStarted) {
+      if (matchStarted && !matchEnded) {
         timeOptionsBtn.disabled = false;
         timeOptionsBtn.classList.remove('disabled');
         timeOptionsBtn.removeAttribute('title');
       } else {
         timeOptionsBtn.disabled = true;
         timeOptionsBtn.classList.add('disabled');
-        timeOptionsBtn.title = 'Start the match to access time options.';
+        timeOptionsBtn.title = matchEnded
+          ? 'The match has ended.'
+          : 'Start the match to access time options.';
       }
     }
   }
 
-  startMatch() {
-    if (this.matchStarted) {
-      return;
-    }
-    const teamAValue = (document.getElementById('teamA')?.value || '').trim();
-    const teamBValue = (document.getElementById('teamB')?.value || '').trim();
-
-    if (!teamAValue || !teamBValue) {
-      Utils.showNotification('Select both Team A and Team B before starting the match.', 'error');
-      return;
+  /**
+   * Reflect the engine's undo/redo stacks on the header buttons
+   */
+  updateUndoControls() {
+    const { undoLabel, redoLabel } = this.engine.getHistorySummary();
+    const undoBtn = document.getElementById('undoBtn');
+    if (undoBtn) {
+      undoBtn.disabled = !undoLabel;
+      undoBtn.title = undoLabel ? `Undo ${undoLabel.toLowerCase()}` : 'Nothing to undo';
     }
-    if (this.gameStoppageActive) {
-      Utils.showNotification('Resolve game stoppage before starting the match.', 'warning');
-      return;
+    const redoBtn = document.getElementById('redoBtn');
+    if (redoBtn) {
+      redoBtn.disabled = !redoLabel;
+      redoBtn.title = redoLabel ? `Redo ${redoLabel.toLowerCase()}` : 'Nothing to redo';
     }
-    const countdownInput = document.getElementById('countdownTime');
-    const configuredMinutes = parseInt(countdownInput?.value, 10);
-    const startMinutes = Number.isFinite(configuredMinutes) && configuredMinutes > 0
-      ? configuredMinutes
-      : this.gameSettings.matchDuration;
-
-    this.timerManager.defaultMinutes = startMinutes;
-    this.timerManager.reset(startMinutes);
-
-    this.halftimeTriggered = false;
-    this.currentHalftimeEditID = null;
-    this.halftimePendingReason = null;
-    this.halftimeAutoSuppressed = false;
-    this.halftimeReasonResolved = null;
-    this.hardCapReached = false;
-    this.matchStarted = true;
-    this.timerManager.start();
-    this.updateMatchControls();
-    this.recordSpecialEvent('matchstart');
-    Utils.showNotification('Match started. Score buttons unlocked.', 'info');
-    this.autoSave();
   }
 
-  handleHalftime(arg = null) {
-    let options = {};
-    if (arg && typeof arg === 'object') {
-      if (typeof arg.preventDefault === 'function') {
-        arg.preventDefault();
-      } else {
-        options = arg;
-      }
-    }
-    const { silent = false, reason = 'manual' } = options;
-
-    if (this.halftimeTriggered) {
-      if (!silent) {
-        Utils.showNotification('Halftime has already been recorded.', 'warning');
-      }
-      return false;
-    }
-
-    if (!this.matchStarted) {
-      if (!silent) {
-        Utils.showNotification('Start the match before recording halftime.', 'error');
-      }
-      return false;
-    }
-
-    if (this.usesPerHalfTimeouts()) {
-      const defaultHalf = Math.min(this.gameSettings.timeoutsPerHalf, this.gameSettings.timeoutsTotal);
-      ['A', 'B'].forEach((teamKey) => {
-        if (this.timeoutState?.[teamKey]) {
-          const totalRemaining = this.timeoutState[teamKey].totalRemaining;
-          this.timeoutState[teamKey].halfRemaining = Math.min(defaultHalf, totalRemaining);
-        }
-      });
-    } else {
-      ['A', 'B'].forEach((teamKey) => {
-        if (this.timeoutState?.[teamKey]) {
-          this.timeoutState[teamKey].halfRemaining = this.timeoutState[teamKey].totalRemaining;
-        }
-      });
+  handleUndo() {
+    const result = this.engine.undo();
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
     }
-    this.updateTimeoutUI();
+    Utils.showNotification(`Undone: ${result.label.toLowerCase()}.`, 'info');
+  }
 
-    const halftimeBreakMinutes = this.gameSettings.halftimeBreakDuration || 7;
-    const halftimeBreakSeconds = Math.max(1, halftimeBreakMinutes * 60);
-    if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
-      this.secondsTimer.reset(halftimeBreakSeconds);
-      this.secondsTimer.start();
+  handleRedo() {
+    const result = this.engine.redo();
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
     }
+    Utils.showNotification(`Redone: ${result.label.toLowerCase()}.`, 'info');
+  }
 
-    const triggerReason = (reason && typeof reason === 'string') ? reason : 'manual';
-    this.halftimeReasonResolved = triggerReason;
+  /**
+   * Re-render everything after the engine rolled back or replayed a snapshot
+   */
+  handleHistoryRestored() {
+    this.currentEditID = null;
+    this.currentTimeoutEditID = null;
+    this.currentHalftimeEditID = null;
 
-    const halftimeLog = this.recordSpecialEvent('halftime', null, { HalftimeReason: triggerReason });
-    this.halftimeTriggered = true;
-    if (halftimeLog && halftimeLog.scoreID) {
-      this.currentHalftimeEditID = halftimeLog.scoreID;
+    const { matchStarted, stoppageActive } = this.engine.getState();
+    if (!matchStarted && this.timerManager.isRunning) {
+      this.timerManager.stop();
     }
-    this.updateHalftimeTracking();
-    this.halftimePendingReason = null;
-    this.halftimeAutoSuppressed = false;
-
-    if (!silent) {
-      Utils.showNotification('Halftime recorded.', 'info');
+    if (stoppageActive) {
+      this.pauseAllTimers();
     }
-    this.autoSave();
-    return true;
+
+    this.rebuildScoreTable();
+    this.applyGameSettingsToUI();
+    this.handleAbbaChange(this.engine.getSettings().abbaStart, false);
+    this.populateSetupForm();
+    this.updateStoppageUI();
+    this.updateTeamsDisplay();
+    this.updateMatchControls();
   }
 
-  updateHalftimeTracking() {
-    const halftimeLogs = Array.isArray(this.dataManager.scoreLogs)
-      ? this.dataManager.scoreLogs.filter(log => (log?.Type || '') === 'halftime')
-      : [];
-    const latest = halftimeLogs.length > 0 ? halftimeLogs[halftimeLogs.length - 1] : null;
-    this.halftimeTriggered = Boolean(latest);
-    this.currentHalftimeEditID = latest ? latest.scoreID : null;
-    if (this.halftimeTriggered) {
-      this.halftimePendingReason = null;
-    }
-    if (!latest) {
-      this.halftimeReasonResolved = null;
-    } else if (!this.halftimeReasonResolved) {
-      this.halftimeReasonResolved = latest.HalftimeReason || 'restored';
+  /**
+   * Show the outcome of a rejected engine command
+   */
+  reportCommandFailure(result) {
+    if (result && !result.ok && result.message) {
+      Utils.showNotification(result.message, result.level || 'error');
     }
   }
 
-  maybeTriggerHalftimeByScore() {
-    if (!this.matchStarted || this.halftimeTriggered) {
+  /**
+   * Ask which team receives the first pull before starting the match
+   */
+  openReceivePopup() {
+    if (this.engine.getState().matchStarted) {
       return;
     }
-    if (this.halftimeReasonResolved) {
+    const overlay = document.getElementById('receiveOverlay');
+    const popup = document.getElementById('receivePopup');
+    if (!overlay || !popup) {
+      this.startMatch();
       return;
     }
-    if (this.halftimeReasonResolved && this.halftimeReasonResolved !== 'score') {
+    ['A', 'B'].forEach((team) => {
+      const button = document.getElementById(`receiveFirst${team}`);
+      if (button) button.textContent = this.engine.getTeamLabel(team);
+    });
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  closeReceivePopup() {
+    const overlay = document.getElementById('receiveOverlay');
+    const popup = document.getElementById('receivePopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  startMatch(receiving = null) {
+    if (this.engine.getState().matchStarted) {
       return;
     }
+    const countdownInput = document.getElementById('countdownTime');
+    const configuredMinutes = parseInt(countdownInput?.value, 10);
+    const startMinutes = Number.isFinite(configuredMinutes) && configuredMinutes > 0
+      ? configuredMinutes
+      : this.engine.getSettings().matchDuration;
 
-    const leadingScore = Math.max(this.teamAScore || 0, this.teamBScore || 0);
-    if (this.halftimeAutoSuppressed) {
-      if (leadingScore < CONFIG.HALFTIME_SCORE_TARGET) {
-        this.halftimeAutoSuppressed = false;
-      } else {
-        return;
-      }
+    const result = this.engine.startMatch({ receiving, minutes: startMinutes });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
     }
 
-    if (leadingScore >= CONFIG.HALFTIME_SCORE_TARGET) {
-      const triggered = this.handleHalftime({ silent: true, reason: 'score' });
-      if (triggered) {
-        Utils.showNotification(`Halftime reached once a team scored ${CONFIG.HALFTIME_SCORE_TARGET} points.`, 'info');
-      }
+    this.currentHalftimeEditID = null;
+    this.timerManager.defaultMinutes = startMinutes;
+    this.timerManager.reset(startMinutes);
+    this.timerManager.start();
+    this.updateMatchControls();
+    Utils.showNotification('Match started. Score buttons unlocked.', 'info');
+    this.promptForNextLine();
+  }
+
+  handleHalftime(arg = null) {
+    if (arg && typeof arg.preventDefault === 'function') {
+      arg.preventDefault();
     }
+    const result = this.engine.recordHalftime({ reason: 'manual' });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return false;
+    }
+    Utils.showNotification('Halftime recorded.', 'info');
+    return true;
   }
 
   updateAddScoreButtonsState(buttons = null) {
     const addButtons = buttons || document.querySelectorAll('.add-score-button .add-score');
-    const disable = Boolean(this.hardCapReached);
+    const { hardCapReached, matchEnded } = this.engine.getState();
+    const disable = Boolean(hardCapReached || matchEnded);
     addButtons.forEach((btn) => {
       if (!btn) return;
       btn.disabled = disable;
       if (disable) {
-        btn.title = 'Score cap reached.';
+        btn.title = matchEnded ? 'The match has ended.' : 'Score cap reached.';
       } else {
         btn.removeAttribute('title');
       }
     });
   }
 
-  maybeTriggerHalftimeByTime(timeRemaining = null) {
-    if (!this.matchStarted || this.halftimeTriggered) {
-      return;
-    }
-    const thresholdMinutes = Math.max(0, this.gameSettings.matchDuration - this.gameSettings.halftimeDuration);
-    if (thresholdMinutes <= 0) {
-      return;
-    }
-    const thresholdMs = thresholdMinutes * 60 * 1000;
-    let remainingMs = null;
-    if (timeRemaining && typeof timeRemaining.total === 'number') {
-      remainingMs = Math.max(0, timeRemaining.total);
-    } else if (this.timerManager && typeof this.timerManager.getRemainingSeconds === 'function') {
-      remainingMs = Math.max(0, this.timerManager.getRemainingSeconds() * 1000);
-    }
-    if (remainingMs === null) {
-      return;
-    }
-    if (this.halftimeAutoSuppressed) {
-      if (remainingMs > thresholdMs) {
-        this.halftimeAutoSuppressed = false;
-      } else {
-        return;
-      }
-    }
-    if (remainingMs <= thresholdMs) {
-      if (this.halftimePendingReason !== 'clock') {
-        this.halftimePendingReason = 'clock';
-        Utils.showNotification('Halftime reached on the game clock. The break will start after the next point.', 'info');
-      }
-    }
-  }
-
-  attemptPendingHalftime() {
-    if (!this.matchStarted || this.halftimeTriggered) return;
-    if (this.halftimeReasonResolved) return;
-    if (this.halftimePendingReason !== 'clock') return;
-
-    const reason = this.halftimePendingReason;
-    const triggered = this.handleHalftime({ silent: true, reason });
-    if (!triggered) {
-      this.halftimePendingReason = reason;
-      return;
+  /**
+   * Count down the between-point time from the rules profile after a goal
+   */
+  startBetweenPointTimer() {
+    const seconds = this.engine.getSettings().betweenPointSeconds;
+    if (!seconds || seconds <= 0 || this.engine.getState().hardCapReached) return;
+    if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
+      this.secondsTimer.reset(seconds);
+      this.secondsTimer.start();
     }
-    Utils.showNotification('Halftime break started after the latest point.', 'info');
   }
 
   handleMainTimerTick(timeRemaining) {
-    this.maybeTriggerHalftimeByTime(timeRemaining);
-  }
-
-  getEventTypeLabel(type) {
-    switch (type) {
-      case 'matchstart':
-        return 'Start';
-      case 'timeout':
-        return 'TimeOut';
-      case 'stoppage':
-        return 'Stoppage';
-      case 'halftime':
-        return 'HalfTime';
-      default:
-        return 'Score';
-    }
-  }
-
-  recordSpecialEvent(type, teamLetter = null, extra = {}) {
-    let displayLabel;
-    switch (type) {
-      case 'timeout':
-        displayLabel = 'Time out';
-        break;
-      case 'halftime':
-        displayLabel = 'HT';
-        break;
-      case 'matchstart':
-        displayLabel = 'MatchStart';
-        break;
-      case 'stoppage':
-        displayLabel = 'STOP';
-        break;
-      default:
-        displayLabel = (type || '').toString().toUpperCase();
-        break;
-    }
-
-    const scoreID = Date.now().toString();
-    const overrides = {
-      Type: type,
-      Event: displayLabel,
-      Score: '',
-      Assist: '',
-      EventType: this.getEventTypeLabel(type),
-      ...extra
-    };
-    if (!teamLetter) {
-      overrides.Team = '';
-      overrides.TeamName = '';
-      overrides.TeamLetter = '';
-    }
-    const logEntry = this.createLogObject(scoreID, teamLetter, '', '', overrides);
-
-    this.dataManager.addScoreLog(logEntry);
-    if (type !== 'matchstart') {
-      this.addScoreToTable(logEntry);
-      this.updateAbbaColumn();
-      this.adjustScoringTableSizing();
-    }
-    this.autoSave();
-    return logEntry;
-  }
-
-  checkForScoreCap(options = {}) {
-    const { silent = false } = options;
-    const CAP = 15;
-    const reached = (this.teamAScore >= CAP) || (this.teamBScore >= CAP);
-    const wasHardCap = this.hardCapReached;
-    if (reached && !this.hardCapReached) {
-      this.hardCapReached = true;
-      if (this.timerManager) this.timerManager.stop();
-      if (this.secondsTimer) this.secondsTimer.stop();
-      if (!silent) {
-        Utils.showNotification('Score cap reached. Timers paused.', 'info');
-      }
-    } else if (!reached && this.hardCapReached) {
-      this.hardCapReached = false;
-    }
-    if (wasHardCap !== this.hardCapReached || !wasHardCap) {
-      this.updateAddScoreButtonsState();
+    if (timeRemaining && typeof timeRemaining.total === 'number') {
+      this.engine.notifyClock(timeRemaining.total);
     }
   }
 
   handleStoppageToggle() {
-    this.gameStoppageActive = !this.gameStoppageActive;
-    if (this.gameStoppageActive) {
-      this.pauseAllTimers();
-      this.recordSpecialEvent('stoppage');
+    const { active } = this.engine.toggleStoppage();
+    if (active) {
       Utils.showNotification('Game stoppage recorded. Timers paused.', 'warning');
     } else {
       Utils.showNotification('Game stoppage cleared.', 'info');
-      const shouldRestartMain = this.matchStarted && !this.hardCapReached;
-      if (shouldRestartMain && this.timerManager && !this.timerManager.isRunning) {
-        this.timerManager.start();
-      }
-      if (this.secondsTimer && !this.secondsTimer.isRunning && this.stoppagePausedSecondsTimer) {
-        this.secondsTimer.start();
-      }
-      this.stoppagePausedMainTimer = false;
-      this.stoppagePausedSecondsTimer = false;
     }
-    this.updateStoppageUI();
-    this.autoSave();
   }
 
   pauseAllTimers() {
@@ -2091,7 +5143,7 @@ class ScorekeeperApp {
   }
 
   openTimeoutEditPopup(scoreID) {
-    const logEntry = this.dataManager.getScoreLog(scoreID);
+    const logEntry = this.engine.getScoreLog(scoreID);
     if (!logEntry || (logEntry.Type || '') !== 'timeout') {
       Utils.showNotification('Selected entry is not a timeout.', 'error');
       return;
@@ -2106,12 +5158,10 @@ class ScorekeeperApp {
       return;
     }
 
-    const teamAName = (document.getElementById('teamA')?.value || '').trim();
-    const teamBName = (document.getElementById('teamB')?.value || '').trim();
     const optionA = teamSelect.querySelector('option[value="A"]');
     const optionB = teamSelect.querySelector('option[value="B"]');
-    if (optionA) optionA.textContent = teamAName || 'Team A';
-    if (optionB) optionB.textContent = teamBName || 'Team B';
+    if (optionA) optionA.textContent = this.engine.getTeamLabel('A');
+    if (optionB) optionB.textContent = this.engine.getTeamLabel('B');
 
     teamSelect.value = logEntry.TeamLetter || '';
     this.currentTimeoutEditID = scoreID;
@@ -2138,7 +5188,7 @@ class ScorekeeperApp {
       return;
     }
 
-    const existingLog = this.dataManager.getScoreLog(this.currentTimeoutEditID);
+    const existingLog = this.engine.getScoreLog(this.currentTimeoutEditID);
     if (!existingLog || (existingLog.Type || '') !== 'timeout') {
       Utils.showNotification('Selected entry is not a timeout.', 'error');
       return;
@@ -2151,41 +5201,20 @@ class ScorekeeperApp {
       return;
     }
 
-    const teamAName = (document.getElementById('teamA')?.value || '').trim();
-    const teamBName = (document.getElementById('teamB')?.value || '').trim();
-    const teamName = teamLetter === 'A' ? teamAName : teamBName;
-
-    if (!teamName) {
-      Utils.showNotification('Assign Team A and Team B before editing the timeout.', 'error');
-      return;
-    }
-
-    const oldTeamLetter = existingLog.TeamLetter || '';
-
-    const updated = this.dataManager.updateScoreLog(this.currentTimeoutEditID, {
-      TeamLetter: teamLetter,
-      Team: teamName,
-      TeamName: teamName
-    });
-
-    if (!updated) {
-      Utils.showNotification('Failed to update timeout entry.', 'error');
+    const result = this.engine.editEvent(this.currentTimeoutEditID, { TeamLetter: teamLetter });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
       return;
     }
 
-    if (oldTeamLetter !== teamLetter) {
-      this.adjustTimeoutCountsForEdit(oldTeamLetter, teamLetter);
-    }
-
     this.closeTimeoutEditPopup();
-    this.rebuildTableAndCounters();
-    this.autoSave();
     Utils.showNotification('Timeout updated.', 'success');
   }
 
   openHalftimeEditPopup(scoreID) {
-    const logEntry = this.dataManager.getScoreLog(scoreID);
-    if (!logEntry || (logEntry.Type || '') !== 'halftime') {
+    const logEntry = this.engine.getScoreLog(scoreID);
+    const type = this.engine.getLogType(logEntry);
+    if (!logEntry || (type !== 'halftime' && type !== 'matchend')) {
       Utils.showNotification('Selected entry is not a halftime log.', 'error');
       return;
     }
@@ -2198,6 +5227,18 @@ class ScorekeeperApp {
       return;
     }
 
+    // The same popup removes match end entries, which reopens the match
+    const title = document.getElementById('halftimeEditTitle');
+    if (title) {
+      title.textContent = type === 'matchend' ? 'Edit Match End Entry' : 'Edit Halftime Entry';
+    }
+    const text = document.getElementById('halftimeEditText');
+    if (text) {
+      text.textContent = type === 'matchend'
+        ? 'Delete this entry to reopen the match for more scoring.'
+        : 'Use the delete option below to remove this halftime log.';
+    }
+
     this.currentHalftimeEditID = scoreID;
     overlay.style.display = 'block';
     popup.style.display = 'block';
@@ -2219,116 +5260,68 @@ class ScorekeeperApp {
       return;
     }
 
-    const scoreID = this.currentHalftimeEditID;
-    const removed = this.dataManager.removeScoreLog(scoreID);
-    if (!removed) {
+    const result = this.engine.deleteEvent(this.currentHalftimeEditID);
+    if (!result.ok) {
       Utils.showNotification('Failed to delete halftime entry.', 'error');
       return;
     }
 
-    this.halftimeAutoSuppressed = true;
-    this.halftimePendingReason = null;
-    this.halftimeTriggered = false;
-    this.halftimeReasonResolved = null;
     this.closeHalftimeEditPopup();
 
-    const row = document.querySelector(`tr[data-score-id="${scoreID}"]`);
-    if (row && row.parentElement) {
-      row.parentElement.removeChild(row);
+    if (this.engine.getLogType(result.log) === 'matchend') {
+      this.updateTeamsDisplay();
+      Utils.showNotification('Match end removed. The match is open again.', 'success');
+      return;
     }
 
     if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
-      this.secondsTimer.reset(this.gameSettings.timeoutDuration || this.secondsTimer.defaultSeconds);
+      this.secondsTimer.reset(this.engine.getSettings().timeoutDuration || this.secondsTimer.defaultSeconds);
     }
 
-    this.rebuildTableAndCounters();
-    this.autoSave();
     Utils.showNotification('Halftime entry deleted.', 'success');
   }
   updateStoppageUI() {
+    const { stoppageActive } = this.engine.getState();
     const stoppageBtn = document.getElementById('stoppageToggleBtn');
     if (stoppageBtn) {
-      stoppageBtn.classList.toggle('active', this.gameStoppageActive);
-      stoppageBtn.textContent = this.gameStoppageActive ? 'GAME STOPPAGE ACTIVE' : 'GAME STOPPAGE';
-      stoppageBtn.setAttribute('aria-pressed', this.gameStoppageActive ? 'true' : 'false');
+      stoppageBtn.classList.toggle('active', stoppageActive);
+      stoppageBtn.textContent = stoppageActive ? 'GAME STOPPAGE ACTIVE' : 'GAME STOPPAGE';
+      stoppageBtn.setAttribute('aria-pressed', stoppageActive ? 'true' : 'false');
     }
     const closeBtn = document.getElementById('closeTimePopupBtn');
     if (closeBtn) {
-      closeBtn.disabled = this.gameStoppageActive;
-      closeBtn.style.opacity = this.gameStoppageActive ? '0.4' : '';
-      closeBtn.style.cursor = this.gameStoppageActive ? 'not-allowed' : 'pointer';
+      closeBtn.disabled = stoppageActive;
+      closeBtn.style.opacity = stoppageActive ? '0.4' : '';
+      closeBtn.style.cursor = stoppageActive ? 'not-allowed' : 'pointer';
     }
     ['timeoutTeamA', 'timeoutTeamB'].forEach((id) => {
       const btn = document.getElementById(id);
       if (btn) {
-        btn.disabled = this.gameStoppageActive;
+        btn.disabled = stoppageActive;
       }
     });
   }
 
-  getLogType(logEntry) {
-    if (!logEntry) return '';
-    const rawType = logEntry.Type;
-    if (typeof rawType === 'string' && rawType.trim().length > 0) {
-      return rawType.trim().toLowerCase();
-    }
-    return 'score';
-  }
-
-  isScoreLog(logEntry) {
-    return this.getLogType(logEntry) === 'score';
-  }
-
-  getTeamLetterFromLog(logEntry) {
-    if (!logEntry) return '';
-    if (logEntry.TeamLetter) return logEntry.TeamLetter;
-
-    const candidate = logEntry.TeamName || logEntry.Team || '';
-    const teamAName = document.getElementById('teamA')?.value || '';
-    const teamBName = document.getElementById('teamB')?.value || '';
-
-    if (candidate === teamAName) return 'A';
-    if (candidate === teamBName) return 'B';
-    return '';
-  }
-
-  getAbbaIndexForLog(logEntry) {
-    if (!this.isScoreLog(logEntry)) {
-      return null;
-    }
-
-    let index = 0;
-    for (const entry of this.dataManager.scoreLogs) {
-      if (this.isScoreLog(entry)) {
-        if (entry.scoreID === logEntry.scoreID) {
-          return index;
-        }
-        index++;
-      }
-    }
-    return null;
-  }
-
   /**
    * ABBA selector changed
    */
   handleAbbaChange(newValue = null, shouldAutoSave = true) {
-    const selected = typeof newValue === 'string' ? newValue : this.abbaStart || 'NONE';
-    if (selected === 'M' || selected === 'F' || selected === 'NONE') {
-      this.abbaStart = selected;
-    } else {
-      this.abbaStart = 'NONE';
+    const current = this.engine.getSettings().abbaStart;
+    const selected = typeof newValue === 'string' ? newValue : current || 'NONE';
+    const abbaStart = (selected === 'M' || selected === 'F') ? selected : 'NONE';
+    if (abbaStart !== current) {
+      this.engine.updateSettings({ abbaStart });
     }
-    this.setAbbaVisibility(this.abbaStart !== 'NONE');
+    this.setAbbaVisibility(abbaStart !== 'NONE');
     this.updateAbbaDisplay();
-    if (this.abbaStart !== 'NONE') {
+    if (abbaStart !== 'NONE') {
       this.updateAbbaColumn();
     } else {
       this.clearAbbaCells();
     }
     const setupAbba = document.getElementById('setupAbba');
     if (setupAbba && typeof newValue === 'string') {
-      setupAbba.value = this.abbaStart;
+      setupAbba.value = abbaStart;
     }
     this.adjustScoringTableSizing();
     if (shouldAutoSave) {
@@ -2340,28 +5333,24 @@ class ScorekeeperApp {
    * Recompute ABBA column values for all rows
    */
   updateAbbaColumn() {
-    if (this.abbaStart === 'NONE') {
+    if (this.engine.getSettings().abbaStart === 'NONE') {
       this.clearAbbaCells();
       return;
     }
     this.setAbbaVisibility(true);
     const tbody = document.getElementById('scoringTableBody');
     if (!tbody) return;
-    const rows = Array.from(tbody.querySelectorAll('tr'));
-    let scoringIndex = 0;
-    for (let i = rows.length - 1; i >= 0; i -= 1) {
-      const row = rows[i];
+    tbody.querySelectorAll('tr').forEach((row) => {
       const abbaCell = row.cells?.[0];
       if (!abbaCell) return;
-      const scoreId = row.getAttribute('data-score-id');
-      const logEntry = this.dataManager.getScoreLog(scoreId);
-      if (this.isScoreLog(logEntry)) {
-        abbaCell.textContent = this.computeAbbaForIndex(scoringIndex);
-        scoringIndex++;
-      } else {
-        abbaCell.textContent = '';
-      }
-    }
+      const logEntry = this.engine.getScoreLog(row.getAttribute('data-score-id'));
+      const rowState = this.engine.isScoreLog(logEntry) ? this.engine.getRowState(logEntry.scoreID) : null;
+      abbaCell.textContent = rowState?.ratio || '';
+      // Manually set ratios are marked; the pattern continues from them
+      abbaCell.classList.toggle('abba-override', Boolean(rowState?.ratioOverride));
+      abbaCell.title = rowState?.ratioOverride ? 'Ratio set manually' : '';
+    });
+    this.updateAbbaDisplay();
   }
 
   /**
@@ -2455,10 +5444,12 @@ class ScorekeeperApp {
   updateAbbaDisplay() {
     const abbaDisplay = document.getElementById('abbaDisplay');
     if (!abbaDisplay) return;
-    if (this.abbaStart === 'NONE') {
+    const { abbaStart } = this.engine.getSettings();
+    if (abbaStart === 'NONE') {
       abbaDisplay.textContent = '-';
     } else {
-      abbaDisplay.textContent = this.abbaStart || '-';
+      // Ratio of the point in progress ('?' until chosen under end zone choice)
+      abbaDisplay.textContent = this.engine.getRequiredRatio() || '?';
     }
   }
 
@@ -2475,44 +5466,34 @@ class ScorekeeperApp {
     });
   }
 
-  /**
-   * Compute ABBA value (M/F) for given point index
-   * Pattern: start,start,other,other,repeat
-   */
-  computeAbbaForIndex(index) {
-    if (this.abbaStart === 'NONE') return '';
-    const start = this.abbaStart === 'F' ? 'F' : 'M';
-    const other = start === 'M' ? 'F' : 'M';
-    // First point is a single occurrence of start (index 0)
-    if (index === 0) return start;
-    // Thereafter alternate in pairs: other, other, start, start, ...
-    const adjusted = index - 1;
-    const block = Math.floor(adjusted / 2);
-    return block % 2 === 0 ? other : start;
-  }
-
   /**
    * Handle team selection change
    */
   handleTeamChange(teamID) {
+    const teamLetter = teamID === 'teamA' ? 'A' : 'B';
     const selectedTeam = document.getElementById(teamID)?.value || '';
+    const teamsData = this.dataManager.getTeamsData();
+    const players = selectedTeam ? (teamsData[selectedTeam] || []) : [];
+    this.engine.setTeam(teamLetter, selectedTeam, players);
+
     const playerListElement = document.getElementById(`${teamID}List`);
-    
     if (playerListElement) {
-      if (!selectedTeam) {
-        playerListElement.value = '';
-      } else {
-        const teamsData = this.dataManager.getTeamsData();
-        const players = teamsData[selectedTeam] || [];
-        playerListElement.value = players.join('\n');
-      }
+      playerListElement.value = this.formatRoster(teamLetter);
       
       // Auto-resize textarea
       playerListElement.style.height = 'auto';
       playerListElement.style.height = playerListElement.scrollHeight + 'px';
     }
+  }
 
-    this.updateTeamsDisplay();
+  /**
+   * Short text for a final result, e.g. "Hawks win" or "draw"
+   */
+  describeResult(result) {
+    if (!result) return '';
+    if (!result.winner) return 'draw';
+    const forfeit = result.reason === 'forfeit' ? ' by forfeit' : '';
+    return `${result.winnerName} win${forfeit}`;
   }
 
   /**
@@ -2520,96 +5501,42 @@ class ScorekeeperApp {
    */
   updateTeamsDisplay() {
     const display = document.getElementById('teamsDisplay');
-    const teamAName = (document.getElementById('teamA')?.value || '').trim();
-    const teamBName = (document.getElementById('teamB')?.value || '').trim();
+    const teamAName = this.engine.getTeamName('A');
+    const teamBName = this.engine.getTeamName('B');
 
     if (display) {
       const left = teamAName || 'A';
       const right = teamBName || 'B';
-      display.textContent = `${left} vs ${right}`;
+      let capText = '';
+      const { phase, target } = this.engine.getCapStatus();
+      if (phase === 'soft' && typeof target === 'number') {
+        capText = ` · Soft cap: game to ${target}`;
+      } else if (phase === 'hard') {
+        capText = ' · Hard cap: last point';
+      }
+      const result = this.engine.getResult();
+      if (result) {
+        capText = ` · Final ${result.score.A}–${result.score.B}, ${this.describeResult(result)}`;
+      }
+      display.textContent = `${left} vs ${right}${capText}`;
     }
 
     const labelA = document.getElementById('timeoutTeamLabelA');
     if (labelA) {
-      labelA.textContent = teamAName || 'Team A';
+      labelA.textContent = this.engine.getTeamLabel('A');
     }
     const labelB = document.getElementById('timeoutTeamLabelB');
     if (labelB) {
-      labelB.textContent = teamBName || 'Team B';
+      labelB.textContent = this.engine.getTeamLabel('B');
     }
   }
 
-  usesPerHalfTimeouts() {
-    return Number.isFinite(this.gameSettings.timeoutsPerHalf) && this.gameSettings.timeoutsPerHalf > 0;
-  }
-
-  /**
-   * Initialize or restore timeout counts
-   */
-  initializeTimeoutState(savedState = null) {
-    const defaultTotal = Math.max(0, this.gameSettings.timeoutsTotal);
-    const perHalfEnabled = this.usesPerHalfTimeouts();
-    const defaultHalf = perHalfEnabled
-      ? Math.min(this.gameSettings.timeoutsPerHalf, defaultTotal)
-      : defaultTotal;
-
-    const clampCount = (value, fallback, max) => {
-      if (typeof value !== 'number' || Number.isNaN(value) || value < 0) {
-        return fallback;
-      }
-      const upperBound = typeof max === 'number' ? Math.max(0, max) : fallback;
-      return Math.min(value, upperBound);
-    };
-
-    const createState = (teamKey) => {
-      const source = savedState?.[teamKey];
-      const totalRemaining = clampCount(source?.totalRemaining, defaultTotal, defaultTotal);
-      const halfRemaining = perHalfEnabled
-        ? clampCount(source?.halfRemaining, defaultHalf, defaultHalf)
-        : totalRemaining;
-      return {
-        totalRemaining,
-        halfRemaining
-      };
-    };
-
-    this.timeoutState = {
-      A: createState('A'),
-      B: createState('B')
-    };
-
-    this.updateTimeoutUI();
-  }
-
-  /**
-   * Snapshot helper to avoid direct references when saving
-   */
-  getTimeoutStateSnapshot() {
-    const perHalfEnabled = this.usesPerHalfTimeouts();
-    const makeCopy = (teamKey) => {
-      const source = this.timeoutState?.[teamKey] || {};
-      const total = source.totalRemaining ?? this.gameSettings.timeoutsTotal;
-      const half = perHalfEnabled
-        ? (source.halfRemaining ?? this.gameSettings.timeoutsPerHalf)
-        : total;
-      return {
-        totalRemaining: total,
-        halfRemaining: half
-      };
-    };
-
-    return {
-      A: makeCopy('A'),
-      B: makeCopy('B')
-    };
-  }
-
   /**
    * Update timeout counters in the UI
    */
   updateTimeoutUI() {
-    const state = this.getTimeoutStateSnapshot();
-    const perHalfEnabled = this.usesPerHalfTimeouts();
+    const state = this.engine.getTimeoutStateSnapshot();
+    const perHalfEnabled = this.engine.usesPerHalfTimeouts();
     const formatHalf = (teamState) => (perHalfEnabled ? teamState.halfRemaining : 'N/A');
     const setText = (id, value) => {
       const el = document.getElementById(id);
@@ -2626,90 +5553,24 @@ class ScorekeeperApp {
    * Handle timeout usage for a team
    */
   handleTimeout(team) {
-    if (!this.matchStarted) {
-      Utils.showNotification('Start the match before logging a timeout.', 'error');
-      return;
-    }
-    if (this.gameStoppageActive) {
-      Utils.showNotification('Resolve game stoppage before recording a timeout.', 'warning');
-      return;
-    }
-    if (!this.timeoutState?.[team]) return;
-
-    const teamNameInputId = team === 'A' ? 'teamA' : 'teamB';
-    const teamDisplayName = (document.getElementById(teamNameInputId)?.value || '').trim() || (team === 'A' ? 'Team A' : 'Team B');
-    const perHalfEnabled = this.usesPerHalfTimeouts();
-    const teamName = teamDisplayName;
-    const state = this.timeoutState[team];
-
-    if (state.totalRemaining <= 0) {
-      Utils.showNotification(`${teamName} has no timeouts remaining.`, 'error');
-      return;
-    }
-
-    if (perHalfEnabled && state.halfRemaining <= 0) {
-      Utils.showNotification(`${teamName} has no timeouts remaining for this half.`, 'error');
+    const result = this.engine.callTimeout(team);
+    if (!result.ok) {
+      this.reportCommandFailure(result);
       return;
     }
-
-    state.totalRemaining = Math.max(0, state.totalRemaining - 1);
-    if (perHalfEnabled) {
-      state.halfRemaining = Math.max(0, state.halfRemaining - 1);
-    } else {
-      state.halfRemaining = state.totalRemaining;
-    }
-
-    this.updateTimeoutUI();
-    if (this.secondsTimer && typeof this.secondsTimer.reset === 'function') {
-      const defaultSeconds = this.gameSettings.timeoutDuration || this.secondsTimer.defaultSeconds;
-      this.secondsTimer.reset(defaultSeconds);
-      if (typeof this.secondsTimer.start === 'function') {
-        this.secondsTimer.start();
-      }
-    }
-    this.recordSpecialEvent('timeout', team);
-    Utils.showNotification(`Timeout recorded for ${teamName}.`, 'info');
-  }
-
-  adjustTimeoutCountsForEdit(oldTeam, newTeam) {
-    const normalize = (value, max) => {
-      if (typeof value !== 'number' || Number.isNaN(value)) return 0;
-      const bounded = Math.max(0, value);
-      if (!Number.isFinite(max) || max <= 0) {
-        return bounded;
-      }
-      return Math.min(bounded, max);
-    };
-    const perHalfEnabled = this.usesPerHalfTimeouts();
-
-    if (oldTeam && this.timeoutState?.[oldTeam]) {
-      const state = this.timeoutState[oldTeam];
-      state.totalRemaining = normalize(state.totalRemaining + 1, this.gameSettings.timeoutsTotal);
-      state.halfRemaining = perHalfEnabled
-        ? normalize(state.halfRemaining + 1, this.gameSettings.timeoutsPerHalf)
-        : state.totalRemaining;
-    }
-
-    if (newTeam && this.timeoutState?.[newTeam]) {
-      const state = this.timeoutState[newTeam];
-      state.totalRemaining = normalize(state.totalRemaining - 1, this.gameSettings.timeoutsTotal);
-      state.halfRemaining = perHalfEnabled
-        ? normalize(state.halfRemaining - 1, this.gameSettings.timeoutsPerHalf)
-        : state.totalRemaining;
-    }
-
-    this.updateTimeoutUI();
+    Utils.showNotification(`Timeout recorded for ${this.engine.getTeamLabel(team)}.`, 'info');
   }
 
   /**
    * Open score popup
    */
   openPopup(team) {
-    if (!this.matchStarted) {
+    const { matchStarted, hardCapReached } = this.engine.getState();
+    if (!matchStarted) {
       Utils.showNotification('Start the match before adding scores.', 'error');
       return;
     }
-    if (this.hardCapReached) {
+    if (hardCapReached) {
       Utils.showNotification('Score cap reached. No further scores can be added.', 'warning');
       return;
     }
@@ -2731,13 +5592,54 @@ class ScorekeeperApp {
     if (popupTitle) popupTitle.textContent = 'Add Score';
     if (popupButton) popupButton.value = 'Add Score';
 
-    // Hide delete when adding new
+    // Hide delete and line editing when adding new
     const deleteBtn = document.getElementById('deleteBtn');
     if (deleteBtn) deleteBtn.classList.add('hidden');
+    const editLineBtn = document.getElementById('editLineBtn');
+    if (editLineBtn) editLineBtn.classList.add('hidden');
+    this.showScoreRatioField(this.engine.getCurrentLine().ratio);
 
     this.populatePlayerDropdowns(team);
   }
 
+  /**
+   * Player name with its designation, e.g. "Sam (F)"
+   */
+  formatPlayerLabel(team, player) {
+    const gender = this.engine.getPlayerGender(team, player);
+    return gender ? `${player} (${gender})` : player;
+  }
+
+  formatRoster(team) {
+    return this.engine.getRoster(team).map((player) => this.formatPlayerLabel(team, player)).join('\n');
+  }
+
+  /**
+   * Under end zone choice the ratio of each point is picked by a team, so the
+   * score popup asks for it unless it was already given with the line. With
+   * the prescribed pattern an existing goal's ratio can be overridden (e.g. a
+   * point replayed after a stoppage); the pattern continues from there.
+   */
+  showScoreRatioField(ratio, scoreID = null) {
+    const field = document.getElementById('scoreRatioField');
+    const select = document.getElementById('scoreRatio');
+    const { abbaStart, ratioRule } = this.engine.getSettings();
+    const endzone = ratioRule === 'endzone';
+    const show = abbaStart !== 'NONE' && (endzone || Boolean(scoreID));
+    if (field) field.classList.toggle('hidden', !show);
+    if (select) {
+      ['M', 'F'].forEach((value) => {
+        const option = select.querySelector(`option[value="${value}"]`);
+        if (option) option.textContent = this.engine.getRatioLabel(value);
+      });
+      const automatic = select.querySelector('option[value=""]');
+      if (automatic) {
+        automatic.textContent = endzone ? 'Not chosen' : 'Follow ABBA pattern';
+      }
+      select.value = ratio || '';
+    }
+  }
+
   /**
    * Populate player dropdowns in score popup
    */
@@ -2751,20 +5653,11 @@ class ScorekeeperApp {
     scorerDropdown.innerHTML = '<option value="">Select Scorer</option>';
     assistDropdown.innerHTML = '<option value="">Select Assist</option>';
 
-    // Get players for the selected team
-    const playersText = document.getElementById(
-      team === 'A' ? 'teamAList' : 'teamBList'
-    )?.value || '';
-    
-    const players = playersText ? playersText.split('\n').filter(p => p.trim()) : [];
-
     // Add player options
-    players.forEach(player => {
-      const trimmedPlayer = player.trim();
-      if (trimmedPlayer) {
-        scorerDropdown.appendChild(Utils.createElement('option', { value: trimmedPlayer }, trimmedPlayer));
-        assistDropdown.appendChild(Utils.createElement('option', { value: trimmedPlayer }, trimmedPlayer));
-      }
+    this.engine.getRoster(team).forEach(player => {
+      const label = this.formatPlayerLabel(team, player);
+      scorerDropdown.appendChild(Utils.createElement('option', { value: player }, label));
+      assistDropdown.appendChild(Utils.createElement('option', { value: player }, label));
     });
 
     // Add special options
@@ -2787,94 +5680,46 @@ class ScorekeeperApp {
       return;
     }
 
+    // null leaves the ratio untouched, '' clears a recorded one
+    const ratio = document.getElementById('scoreRatioField')?.classList.contains('hidden')
+      ? null
+      : (document.getElementById('scoreRatio')?.value || '');
+
     if (!this.currentEditID) {
-      this.addNewScore(team, scorer, assist);
+      this.addNewScore(team, scorer, assist, ratio);
     } else {
-      this.updateExistingScore(scorer, assist);
+      this.updateExistingScore(scorer, assist, ratio);
     }
   }
 
   /**
    * Add new score
    */
-  addNewScore(team, scorer, assist) {
-    // Update score
-    if (team === 'A') {
-      this.teamAScore++;
-    } else {
-      this.teamBScore++;
+  addNewScore(team, scorer, assist, ratio = null) {
+    const result = this.engine.addScore(team, scorer, assist, { ratio });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
     }
-
-    // Create log entry
-    const newScoreID = Date.now().toString();
-    const logEntry = this.createLogObject(newScoreID, team, scorer, assist);
-
-    // Save to data manager
-    this.dataManager.addScoreLog(logEntry);
-    this.checkForScoreCap();
-
-    // Add to table
-    this.addScoreToTable(logEntry);
-    this.updateAbbaColumn();
-    this.adjustScoringTableSizing();
-    this.maybeTriggerHalftimeByScore();
-    this.attemptPendingHalftime();
-    
     this.closePopup();
+    this.promptForNextLine();
   }
 
   /**
    * Update existing score
    */
-  updateExistingScore(scorer, assist) {
-    const updated = this.dataManager.updateScoreLog(this.currentEditID, {
-      Score: scorer,
-      Assist: assist
-    });
+  updateExistingScore(scorer, assist, ratio = null) {
+    const updates = { Score: scorer, Assist: assist };
+    if (ratio !== null) updates.Ratio = ratio;
+    const result = this.engine.editEvent(this.currentEditID, updates);
 
-    if (updated) {
-      this.updateScoreInTable(this.currentEditID, scorer, assist);
+    if (result.ok) {
       this.closePopup();
     } else {
       Utils.showNotification('Could not find score to update.', 'error');
     }
   }
 
-  /**
-   * Create log object
-   */
-  createLogObject(scoreID, teamLetter, scorer, assist, overrides = {}) {
-    const teamAName = document.getElementById('teamA')?.value || '';
-    const teamBName = document.getElementById('teamB')?.value || '';
-    const gameID = `${teamAName} vs ${teamBName}`;
-    let teamName = '';
-    if (teamLetter === 'A') {
-      teamName = teamAName;
-    } else if (teamLetter === 'B') {
-      teamName = teamBName;
-    }
-
-    const baseLog = {
-      scoreID,
-      GameID: gameID,
-      Time: new Date().toLocaleString(),
-      Team: teamName,
-      TeamName: teamName,
-      TeamLetter: teamLetter || '',
-      Score: scorer,
-      Assist: assist,
-      Type: 'score',
-      Event: '',
-      EventType: this.getEventTypeLabel('score')
-    };
-
-    const mergedLog = { ...baseLog, ...overrides };
-
-    mergedLog.EventType = overrides.EventType ?? this.getEventTypeLabel(mergedLog.Type);
-
-    return mergedLog;
-  }
-
   /**
    * Add score row to table
    */
@@ -2882,8 +5727,7 @@ class ScorekeeperApp {
     const scoringTableBody = document.getElementById('scoringTableBody');
     if (!scoringTableBody) return;
 
-    const abbaIndex = this.getAbbaIndexForLog(logEntry);
-    const row = this.createScoreRow(logEntry, abbaIndex);
+    const row = this.createScoreRow(logEntry);
     if (!row) return;
     if (scoringTableBody.firstChild) {
       scoringTableBody.insertBefore(row, scoringTableBody.firstChild);
@@ -2893,10 +5737,12 @@ class ScorekeeperApp {
   }
 
   /**
-   * Create score table row
+   * Create score table row from the replayed state at that log entry
    */
-  createScoreRow(logEntry, abbaIndex = null) {
-    const teamLetter = this.getTeamLetterFromLog(logEntry);
+  createScoreRow(logEntry) {
+    const rowState = this.engine.getRowState(logEntry.scoreID);
+    const score = rowState ? rowState.score : this.engine.getScore();
+    const teamLetter = this.engine.getTeamLetterFromLog(logEntry);
     const normalizedTeamLetter = (teamLetter || '').toUpperCase();
     const row = document.createElement('tr');
     const buildEditButton = (extraClass = '') => {
@@ -2906,13 +5752,25 @@ class ScorekeeperApp {
     };
 
     row.setAttribute('data-score-id', logEntry.scoreID);
+    const remoteChange = this.coScoring.getRowChange(logEntry.scoreID);
+    if (remoteChange) {
+      row.classList.add('remote-change');
+      row.title = remoteChange.added ? 'Added on the other device' : 'Changed on the other device';
+    }
 
-    const scoreboard = `${this.teamAScore}:${this.teamBScore}`;
-    const type = this.getLogType(logEntry);
+    const scoreboard = `${score.A}:${score.B}`;
+    const type = this.engine.getLogType(logEntry);
     const isScore = type === 'score';
-    const eventLabel = logEntry.Event || '';
-    const abba = (isScore && abbaIndex !== null)
-      ? this.computeAbbaForIndex(abbaIndex)
+    // Log fields can come from other devices, backups and transfer links
+    const eventLabel = Utils.escapeHtml(logEntry.Event);
+    const abba = (isScore && rowState) ? Utils.escapeHtml(rowState.ratio) : '';
+    // O: the scoring team received the pull (hold), D: it scored a break
+    const odMarker = (isScore && rowState?.pointResult)
+      ? `<span class="od-marker od-${rowState.pointResult}" title="${rowState.pointResult === 'hold' ? 'Hold' : 'Break'}">${rowState.pointResult === 'hold' ? 'O' : 'D'}</span>`
+      : '';
+    // Main clock reading when the event was logged
+    const gameClock = typeof logEntry.RemainingSeconds === 'number'
+      ? `<span class="row-clock" title="Game clock">${Utils.formatClock(logEntry.RemainingSeconds)}</span>`
       : '';
 
     if (type === 'timeout') {
@@ -2922,7 +5780,7 @@ class ScorekeeperApp {
         row.innerHTML = `
         <td class="abba-cell">${abba}</td>
         <td colspan="2" class="event-cell">${label}</td>
-        <td class="total">${scoreboard}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
         <td></td>
         <td></td>
         <td>${buildEditButton('timeout-edit-btn')}</td>
@@ -2932,7 +5790,7 @@ class ScorekeeperApp {
         <td class="abba-cell">${abba}</td>
         <td></td>
         <td></td>
-        <td class="total">${scoreboard}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
         <td colspan="2" class="event-cell">${label}</td>
         <td>${buildEditButton('timeout-edit-btn')}</td>
       `;
@@ -2940,7 +5798,7 @@ class ScorekeeperApp {
         row.innerHTML = `
         <td class="abba-cell">${abba}</td>
         <td colspan="2" class="event-cell">${label}</td>
-        <td class="total">${scoreboard}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
         <td colspan="2" class="event-cell">${label}</td>
         <td>${buildEditButton('timeout-edit-btn')}</td>
       `;
@@ -2958,7 +5816,7 @@ class ScorekeeperApp {
       row.innerHTML = `
         <td class="abba-cell">${abba}</td>
         <td colspan="2" class="event-cell">${label}</td>
-        <td class="total">${scoreboard}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
         <td colspan="2" class="event-cell">${label}</td>
         <td>${buildEditButton('halftime-edit-btn')}</td>
       `;
@@ -2973,25 +5831,80 @@ class ScorekeeperApp {
       return null;
     }
 
+    if (type === 'matchend') {
+      row.classList.add('event-row', 'end-row');
+      const result = this.engine.getResult();
+      const label = result && result.scoreID === logEntry.scoreID
+        ? Utils.escapeHtml(`END – ${this.describeResult(result)}`)
+        : (eventLabel || 'END');
+      row.innerHTML = `
+        <td class="abba-cell">${abba}</td>
+        <td colspan="2" class="event-cell">${label}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
+        <td colspan="2" class="event-cell">${result ? result.reasonLabel : ''}</td>
+        <td>${buildEditButton('halftime-edit-btn')}</td>
+      `;
+      const editBtn = row.querySelector('.halftime-edit-btn');
+      if (editBtn) {
+        editBtn.addEventListener('click', () => this.openHalftimeEditPopup(logEntry.scoreID));
+      }
+      return row;
+    }
+
+    if (type === 'softcap' || type === 'hardcap') {
+      row.classList.add('event-row', 'cap-row');
+      let label = eventLabel || (type === 'softcap' ? 'Soft cap' : 'Hard cap');
+      if (type === 'softcap' && rowState && typeof rowState.target === 'number') {
+        label = `${label} → ${rowState.target}`;
+      }
+      row.innerHTML = `
+        <td class="abba-cell">${abba}</td>
+        <td colspan="2" class="event-cell">${label}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
+        <td colspan="2" class="event-cell">${label}</td>
+        <td></td>
+      `;
+      return row;
+    }
+
     if (type === 'stoppage') {
       row.classList.add('event-row', 'stoppage-row');
       const label = eventLabel || 'STOP';
       row.innerHTML = `
         <td class="abba-cell">${abba}</td>
         <td colspan="2" class="event-cell">${label}</td>
-        <td class="total">${scoreboard}</td>
+        <td class="total">${scoreboard}${gameClock}</td>
         <td colspan="2" class="event-cell">${label}</td>
         <td></td>
       `;
       return row;
     }
 
+    if (this.engine.isStatLog(logEntry)) {
+      row.classList.add('event-row', 'stat-row');
+      const label = Utils.escapeHtml(this.describeStat(logEntry));
+      const cell = `<td colspan="2" class="event-cell">${label}</td>`;
+      const empty = '<td></td>\n        <td></td>';
+      row.innerHTML = `
+        <td class="abba-cell">${abba}</td>
+        ${normalizedTeamLetter === 'A' ? cell : empty}
+        <td class="total">${scoreboard}${gameClock}</td>
+        ${normalizedTeamLetter === 'A' ? empty : cell}
+        <td>${buildEditButton('stat-edit-btn')}</td>
+      `;
+      const editBtn = row.querySelector('.stat-edit-btn');
+      if (editBtn) {
+        editBtn.addEventListener('click', () => this.openStatPopup(null, logEntry.scoreID));
+      }
+      return row;
+    }
+
     if (isScore && teamLetter === 'A') {
       row.innerHTML = `
         <td class=\"abba-cell\">${abba}</td>
-        <td class="score-cell">${logEntry.Score}</td>
-        <td class="assist-cell">${logEntry.Assist}</td>
-        <td class="total">${scoreboard}</td>
+        <td class="score-cell">${Utils.escapeHtml(logEntry.Score)}</td>
+        <td class="assist-cell">${Utils.escapeHtml(logEntry.Assist)}</td>
+        <td class="total">${scoreboard}${odMarker}${gameClock}</td>
         <td></td>
         <td></td>
         <td>${buildEditButton()}</td>
@@ -3001,9 +5914,9 @@ class ScorekeeperApp {
         <td class=\"abba-cell\">${abba}</td>
         <td></td>
         <td></td>
-        <td class="total">${scoreboard}</td>
-        <td class="score-cell">${logEntry.Score}</td>
-        <td class="assist-cell">${logEntry.Assist}</td>
+        <td class="total">${scoreboard}${odMarker}${gameClock}</td>
+        <td class="score-cell">${Utils.escapeHtml(logEntry.Score)}</td>
+        <td class="assist-cell">${Utils.escapeHtml(logEntry.Assist)}</td>
         <td>${buildEditButton()}</td>
       `;
     } else {
@@ -3019,31 +5932,11 @@ class ScorekeeperApp {
     return row;
   }
 
-  /**
-   * Update score in table
-   */
-  updateScoreInTable(scoreID, scorer, assist) {
-    const row = document.querySelector(`tr[data-score-id="${scoreID}"]`);
-    const popup = document.getElementById('scorePopup');
-    
-    if (!row || !popup) return;
-
-    const teamLetter = popup.dataset.team;
-    if (teamLetter === 'A') {
-      row.cells[1].textContent = scorer;
-      row.cells[2].textContent = assist;
-    } else {
-      row.cells[4].textContent = scorer;
-      row.cells[5].textContent = assist;
-    }
-    this.adjustScoringTableSizing();
-  }
-
   /**
    * Edit existing score
    */
   editScore(scoreID) {
-    const logToEdit = this.dataManager.getScoreLog(scoreID);
+    const logToEdit = this.engine.getScoreLog(scoreID);
     if (!logToEdit) {
       Utils.showNotification('Could not find score to edit!', 'error');
       return;
@@ -3065,10 +5958,12 @@ class ScorekeeperApp {
     // Show delete in edit mode
     const deleteBtn = document.getElementById('deleteBtn');
     if (deleteBtn) deleteBtn.classList.remove('hidden');
+    const editLineBtn = document.getElementById('editLineBtn');
+    if (editLineBtn) editLineBtn.classList.toggle('hidden', !this.engine.getSettings().lineTracking);
+    this.showScoreRatioField(logToEdit.Ratio, scoreID);
 
     // Determine team
-    const teamAName = document.getElementById('teamA')?.value || '';
-    const teamLetter = (logToEdit.Team === teamAName) ? 'A' : 'B';
+    const teamLetter = this.engine.getTeamLetterFromLog(logToEdit) === 'A' ? 'A' : 'B';
     
     if (popup) popup.dataset.team = teamLetter;
 
@@ -3097,6 +5992,568 @@ class ScorekeeperApp {
     this.currentEditID = null;
   }
 
+  /**
+   * Open the stat popup to log a turnover, block or pull for a team,
+   * or to edit an existing stat row when a scoreID is given
+   */
+  openStatPopup(team, scoreID = null) {
+    const logEntry = scoreID ? this.engine.getScoreLog(scoreID) : null;
+    if (scoreID && !this.engine.isStatLog(logEntry)) {
+      Utils.showNotification('Selected entry is not a stat.', 'error');
+      return;
+    }
+    if (!logEntry && !this.engine.getState().matchStarted) {
+      Utils.showNotification('Start the match before logging stats.', 'error');
+      return;
+    }
+
+    const overlay = document.getElementById('statOverlay');
+    const popup = document.getElementById('statPopup');
+    const typeSelect = document.getElementById('statType');
+    const turnoverSelect = document.getElementById('statTurnoverType');
+    if (!overlay || !popup || !typeSelect || !turnoverSelect) return;
+
+    const teamLetter = logEntry ? this.engine.getTeamLetterFromLog(logEntry) : team;
+    this.currentStatEditID = logEntry ? scoreID : null;
+    popup.dataset.team = teamLetter;
+
+    typeSelect.innerHTML = '';
+    MatchEngine.getStatTypes().forEach(({ id, label }) => {
+      typeSelect.appendChild(Utils.createElement('option', { value: id }, label));
+    });
+    turnoverSelect.innerHTML = '';
+    MatchEngine.getTurnoverKinds().forEach(({ id, label }) => {
+      turnoverSelect.appendChild(Utils.createElement('option', { value: id }, label));
+    });
+
+    // The stat type of an existing row is fixed; delete and re-add to change it
+    typeSelect.value = logEntry ? this.engine.getLogType(logEntry) : 'turnover';
+    typeSelect.disabled = Boolean(logEntry);
+    turnoverSelect.value = logEntry?.TurnoverType || 'throwaway';
+
+    this.populateStatPlayerDropdown(teamLetter);
+    const playerSelect = document.getElementById('statPlayer');
+    if (playerSelect && logEntry) playerSelect.value = logEntry.Player || '';
+    this.hangTimeStopwatch.cancel();
+    const hangTimeInput = document.getElementById('statHangTime');
+    if (hangTimeInput) hangTimeInput.value = logEntry?.HangTime ?? '';
+
+    const title = document.getElementById('statPopupTitle');
+    if (title) {
+      const teamLabel = this.engine.getTeamLabel(teamLetter);
+      title.textContent = logEntry ? `Edit Stat – ${teamLabel}` : `Add Stat – ${teamLabel}`;
+    }
+    const saveBtn = document.getElementById('saveStatBtn');
+    if (saveBtn) saveBtn.textContent = logEntry ? 'Update Stat' : 'Add Stat';
+    const deleteBtn = document.getElementById('deleteStatBtn');
+    if (deleteBtn) deleteBtn.classList.toggle('hidden', !logEntry);
+
+    this.handleStatTypeChange();
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  /**
+   * Fill the stat player dropdown from the team roster
+   */
+  populateStatPlayerDropdown(team) {
+    const playerDropdown = document.getElementById('statPlayer');
+    if (!playerDropdown) return;
+
+    playerDropdown.innerHTML = '<option value="">Select Player</option>';
+    this.engine.getRoster(team).forEach(player => {
+      playerDropdown.appendChild(Utils.createElement('option', { value: player }, player));
+    });
+    playerDropdown.appendChild(Utils.createElement('option', { value: SPECIAL_OPTIONS.NA }, SPECIAL_OPTIONS.NA));
+  }
+
+  /**
+   * Show the turnover kind only for turnovers, the hang time only for pulls
+   * and name the player's role
+   */
+  handleStatTypeChange() {
+    const type = document.getElementById('statType')?.value;
+    const turnoverField = document.getElementById('statTurnoverField');
+    if (turnoverField) turnoverField.classList.toggle('hidden', type !== 'turnover');
+    const hangTimeField = document.getElementById('statHangTimeField');
+    if (hangTimeField) hangTimeField.classList.toggle('hidden', type !== 'pull');
+
+    const playerLabel = document.getElementById('statPlayerLabel');
+    if (playerLabel) {
+      const roles = { turnover: 'Player', block: 'Defender', pull: 'Puller' };
+      playerLabel.textContent = roles[type] || 'Player';
+    }
+  }
+
+  handleStatSave() {
+    const popup = document.getElementById('statPopup');
+    const team = popup?.dataset.team;
+    const type = document.getElementById('statType')?.value;
+    const turnoverType = document.getElementById('statTurnoverType')?.value || '';
+    const player = document.getElementById('statPlayer')?.value || '';
+    this.hangTimeStopwatch.stop();
+    const hangTime = type === 'pull' ? (document.getElementById('statHangTime')?.value || '') : '';
+
+    if (!player) {
+      Utils.showNotification('Please select a player.', 'error');
+      return;
+    }
+
+    let result;
+    if (this.currentStatEditID) {
+      const updates = { Player: player };
+      if (type === 'turnover') updates.TurnoverType = turnoverType;
+      if (type === 'pull') updates.HangTime = hangTime;
+      result = this.engine.editEvent(this.currentStatEditID, updates);
+    } else {
+      result = this.engine.recordStat(type, team, { player, turnoverType, hangTime });
+    }
+
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
+    }
+    this.closeStatPopup();
+  }
+
+  handleStatDelete() {
+    if (!this.currentStatEditID) {
+      Utils.showNotification('No stat selected to delete.', 'error');
+      return;
+    }
+
+    const result = this.engine.deleteEvent(this.currentStatEditID);
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
+    }
+
+    this.closeStatPopup();
+    Utils.showNotification('Stat deleted.', 'success');
+  }
+
+  closeStatPopup() {
+    const overlay = document.getElementById('statOverlay');
+    const popup = document.getElementById('statPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+
+    this.hangTimeStopwatch.cancel();
+    this.currentStatEditID = null;
+  }
+
+  /**
+   * Compact table label for a stat row, e.g. "Drop: Sam" or "Pull: Sam (5.2 s)"
+   */
+  describeStat(logEntry) {
+    const type = this.engine.getLogType(logEntry);
+    const label = type === 'turnover'
+      ? (this.engine.getTurnoverLabel(logEntry) || 'Turnover')
+      : (logEntry.Event || this.engine.getEventTypeLabel(type));
+    const text = logEntry.Player ? `${label}: ${logEntry.Player}` : label;
+    return typeof logEntry.HangTime === 'number' ? `${text} (${logEntry.HangTime} s)` : text;
+  }
+
+  /**
+   * Open the line picker for the next point after a goal or match start
+   */
+  promptForNextLine() {
+    const { matchEnded } = this.engine.getState();
+    if (this.engine.getSettings().lineTracking && !matchEnded) {
+      this.openLinePopup();
+    }
+  }
+
+  /**
+   * Open the line picker for the next point, or for an earlier goal when
+   * a scoreID is given
+   */
+  openLinePopup(scoreID = null) {
+    const logEntry = scoreID ? this.engine.getScoreLog(scoreID) : null;
+    if (scoreID && !this.engine.isScoreLog(logEntry)) {
+      Utils.showNotification('Selected entry is not a score.', 'error');
+      return;
+    }
+
+    const overlay = document.getElementById('lineOverlay');
+    const popup = document.getElementById('linePopup');
+    if (!overlay || !popup) return;
+
+    this.currentLineEditID = logEntry ? scoreID : null;
+    const line = logEntry
+      ? { A: logEntry.LineA || [], B: logEntry.LineB || [], offense: this.engine.getRowState(scoreID)?.offense }
+      : this.engine.getCurrentLine();
+
+    const title = document.getElementById('linePopupTitle');
+    if (title) {
+      const rowScore = logEntry ? this.engine.getRowState(scoreID)?.score : null;
+      title.textContent = rowScore ? `Line for point ${rowScore.A}:${rowScore.B}` : 'Line for next point';
+    }
+
+    const offenseSelect = document.getElementById('lineOffense');
+    if (offenseSelect) {
+      ['A', 'B'].forEach((team) => {
+        const option = offenseSelect.querySelector(`option[value="${team}"]`);
+        if (option) option.textContent = this.engine.getTeamLabel(team);
+      });
+      offenseSelect.value = line.offense || '';
+    }
+
+    this.updateLineRatioField(logEntry ? logEntry.Ratio : line.ratio);
+
+    ['A', 'B'].forEach((team) => {
+      const name = document.getElementById(`lineTeamName${team}`);
+      if (name) name.textContent = this.engine.getTeamLabel(team);
+      this.renderLinePlayers(team);
+      this.populateLinePresets(team);
+      this.setLineSelection(team, line[team]);
+    });
+
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  /**
+   * Show the point's ratio above the line picker. Under end zone choice the
+   * ratio is picked here, with a hint naming the team that chooses it.
+   */
+  updateLineRatioField(ratio) {
+    const hint = document.getElementById('lineRatioHint');
+    const field = document.getElementById('lineRatioField');
+    const select = document.getElementById('lineRatio');
+    const { abbaStart, ratioRule } = this.engine.getSettings();
+    const tracking = abbaStart !== 'NONE';
+    const endzone = tracking && ratioRule === 'endzone';
+
+    if (field) field.classList.toggle('hidden', !endzone);
+    if (select) {
+      ['M', 'F'].forEach((value) => {
+        const option = select.querySelector(`option[value="${value}"]`);
+        if (option) option.textContent = this.engine.getRatioLabel(value);
+      });
+      select.value = ratio || '';
+    }
+
+    if (!hint) return;
+    if (!tracking) {
+      hint.textContent = '';
+    } else if (endzone) {
+      const chooser = this.currentLineEditID
+        ? this.engine.getRowState(this.currentLineEditID)?.ratioChooser
+        : this.engine.getRatioChooser();
+      hint.textContent = chooser
+        ? `${this.engine.getTeamLabel(chooser)} chooses the ratio.`
+        : 'Ratio chosen by the team defending the designated end zone.';
+    } else {
+      const required = this.currentLineEditID
+        ? this.engine.getRowState(this.currentLineEditID)?.ratio
+        : this.engine.getRequiredRatio();
+      hint.textContent = required ? `Ratio this point: ${this.engine.getRatioLabel(required)}` : '';
+    }
+  }
+
+  /**
+   * Ratio selected in the line picker, falling back to the prescribed one
+   */
+  getLinePopupRatio() {
+    const field = document.getElementById('lineRatioField');
+    if (field && !field.classList.contains('hidden')) {
+      return document.getElementById('lineRatio')?.value || '';
+    }
+    return this.currentLineEditID
+      ? this.engine.getRowState(this.currentLineEditID)?.ratio || ''
+      : this.engine.getRequiredRatio();
+  }
+
+  closeLinePopup() {
+    const overlay = document.getElementById('lineOverlay');
+    const popup = document.getElementById('linePopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+
+    this.currentLineEditID = null;
+  }
+
+  /**
+   * One checkbox per rostered player
+   */
+  renderLinePlayers(team) {
+    const container = document.getElementById(`linePlayers${team}`);
+    if (!container) return;
+    container.innerHTML = '';
+    this.engine.getRoster(team).forEach((player) => {
+      const checkbox = Utils.createElement('input', { type: 'checkbox', value: player });
+      const label = Utils.createElement('label');
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(this.formatPlayerLabel(team, player)));
+      container.appendChild(label);
+    });
+  }
+
+  getLineSelection(team) {
+    const container = document.getElementById(`linePlayers${team}`);
+    if (!container) return [];
+    return Array.from(container.querySelectorAll('input[type="checkbox"]'))
+      .filter((checkbox) => checkbox.checked)
+      .map((checkbox) => checkbox.value);
+  }
+
+  setLineSelection(team, players = []) {
+    const container = document.getElementById(`linePlayers${team}`);
+    if (!container) return;
+    container.querySelectorAll('input[type="checkbox"]').forEach((checkbox) => {
+      checkbox.checked = players.includes(checkbox.value);
+    });
+    this.updateLineCount(team);
+  }
+
+  /**
+   * Show "selected/line size" and mark it once the line is complete
+   */
+  updateLineCount(team) {
+    const count = document.getElementById(`lineCount${team}`);
+    if (!count) return;
+    const size = this.engine.getSettings().lineSize;
+    const players = this.getLineSelection(team);
+    const selected = players.length;
+    let text = `${selected}/${size}`;
+
+    // Add the M/F split once designations are in use
+    const counts = { M: 0, F: 0 };
+    players.forEach((player) => {
+      const gender = this.engine.getPlayerGender(team, player);
+      if (gender) counts[gender]++;
+    });
+    if (counts.M || counts.F) {
+      text += ` (${counts.M}M/${counts.F}F)`;
+    }
+    const ratio = this.getLinePopupRatio();
+    const overRatio = this.engine.getRatioWarnings({ [team]: players }, ratio).length > 0;
+
+    count.textContent = text;
+    count.classList.toggle('line-count-ok', selected === size && !overRatio);
+    count.classList.toggle('line-count-warn', overRatio);
+  }
+
+  handleLineSameAsLast(team) {
+    const lastLine = this.engine.getLastLine(team, this.currentLineEditID);
+    if (lastLine.length === 0) {
+      Utils.showNotification(`No earlier line recorded for ${this.engine.getTeamLabel(team)}.`, 'warning');
+      return;
+    }
+    this.setLineSelection(team, lastLine);
+  }
+
+  /**
+   * Fill a team's preset dropdown from the presets saved under its name
+   */
+  populateLinePresets(team) {
+    const select = document.getElementById(`linePreset${team}`);
+    if (!select) return;
+    const presets = this.persistenceManager.loadLinePresets()[this.engine.getTeamName(team)] || {};
+    select.innerHTML = '<option value="">Presets</option>';
+    Object.keys(presets).forEach((name) => {
+      select.appendChild(Utils.createElement('option', { value: name }, name));
+    });
+  }
+
+  handleLinePresetSelect(team) {
+    const select = document.getElementById(`linePreset${team}`);
+    const name = select?.value;
+    if (!name) return;
+    const presets = this.persistenceManager.loadLinePresets()[this.engine.getTeamName(team)] || {};
+    this.setLineSelection(team, presets[name] || []);
+    select.value = '';
+  }
+
+  handleLinePresetSave(team) {
+    const teamName = this.engine.getTeamName(team);
+    const players = this.getLineSelection(team);
+    if (!teamName || players.length === 0) {
+      Utils.showNotification('Select players before saving a preset.', 'error');
+      return;
+    }
+    const name = (prompt('Preset name (e.g. O-line, D-line):') || '').trim();
+    if (!name) return;
+
+    const presets = this.persistenceManager.loadLinePresets();
+    presets[teamName] = { ...(presets[teamName] || {}), [name]: players };
+    this.persistenceManager.saveLinePresets(presets);
+    this.populateLinePresets(team);
+    Utils.showNotification(`Preset "${name}" saved for ${teamName}.`, 'success');
+  }
+
+  handleLineSave() {
+    const line = {
+      A: this.getLineSelection('A'),
+      B: this.getLineSelection('B'),
+      offense: document.getElementById('lineOffense')?.value || null
+    };
+    const ratioField = document.getElementById('lineRatioField');
+    const ratioChosen = ratioField && !ratioField.classList.contains('hidden');
+    if (ratioChosen) {
+      line.ratio = document.getElementById('lineRatio')?.value || null;
+    }
+
+    const updates = { LineA: line.A, LineB: line.B, Offense: line.offense };
+    if (ratioChosen) updates.Ratio = line.ratio || '';
+    const result = this.currentLineEditID
+      ? this.engine.editEvent(this.currentLineEditID, updates)
+      : this.engine.setLine(line);
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
+    }
+    this.closeLinePopup();
+  }
+
+  /**
+   * Open the Spirit of the Game form, prefilled with saved scores
+   */
+  openSpiritPopup() {
+    const overlay = document.getElementById('spiritOverlay');
+    const popup = document.getElementById('spiritPopup');
+    if (!overlay || !popup) return;
+
+    const spirit = this.engine.getSpirit();
+    ['A', 'B'].forEach((team) => {
+      const entry = spirit[team];
+      const name = document.getElementById(`spiritTeamName${team}`);
+      if (name) name.textContent = `Spirit for ${this.engine.getTeamLabel(team)}`;
+
+      const scores = document.getElementById(`spiritScores${team}`);
+      if (scores) {
+        scores.innerHTML = '';
+        MatchEngine.getSpiritCategories().forEach(({ id, label }) => {
+          const select = Utils.createElement('select', { 'data-category': id, 'aria-label': label });
+          select.appendChild(Utils.createElement('option', { value: '' }, '–'));
+          [0, 1, 2, 3, 4].forEach((value) => {
+            select.appendChild(Utils.createElement('option', { value: String(value) }, String(value)));
+          });
+          select.value = entry.scores[id] === null ? '' : String(entry.scores[id]);
+          scores.appendChild(Utils.createElement('span', {}, label));
+          scores.appendChild(select);
+        });
+      }
+
+      ['mvp', 'msp'].forEach((key) => {
+        const select = document.getElementById(`spirit${key === 'mvp' ? 'Mvp' : 'Msp'}${team}`);
+        if (!select) return;
+        select.innerHTML = '<option value="">None</option>';
+        this.engine.getRoster(team).forEach((player) => {
+          select.appendChild(Utils.createElement('option', { value: player }, player));
+        });
+        select.value = entry[key];
+      });
+
+      const comments = document.getElementById(`spiritComments${team}`);
+      if (comments) comments.value = entry.comments;
+      this.updateSpiritTotal(team);
+    });
+
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  closeSpiritPopup() {
+    const overlay = document.getElementById('spiritOverlay');
+    const popup = document.getElementById('spiritPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  /**
+   * Read one team's spirit entry from the form
+   */
+  getSpiritFormEntry(team) {
+    const scores = {};
+    document.getElementById(`spiritScores${team}`)?.querySelectorAll('select[data-category]').forEach((select) => {
+      scores[select.getAttribute('data-category')] = select.value;
+    });
+    return {
+      scores,
+      comments: document.getElementById(`spiritComments${team}`)?.value || '',
+      mvp: document.getElementById(`spiritMvp${team}`)?.value || '',
+      msp: document.getElementById(`spiritMsp${team}`)?.value || ''
+    };
+  }
+
+  updateSpiritTotal(team) {
+    const total = document.getElementById(`spiritTotal${team}`);
+    if (!total) return;
+    const values = Object.values(this.getSpiritFormEntry(team).scores).filter((value) => value !== '');
+    total.textContent = values.length ? values.reduce((sum, value) => sum + Number(value), 0) : '–';
+  }
+
+  handleSpiritSave() {
+    const result = this.engine.setSpirit({ A: this.getSpiritFormEntry('A'), B: this.getSpiritFormEntry('B') });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
+    }
+    this.closeSpiritPopup();
+    Utils.showNotification('Spirit scores saved.', 'success');
+  }
+
+  /**
+   * Open the M/F designation editor for both rosters
+   */
+  openDesignationPopup() {
+    const overlay = document.getElementById('designationOverlay');
+    const popup = document.getElementById('designationPopup');
+    if (!overlay || !popup) return;
+
+    ['A', 'B'].forEach((team) => {
+      const name = document.getElementById(`designationTeamName${team}`);
+      if (name) name.textContent = this.engine.getTeamLabel(team);
+      const list = document.getElementById(`designationList${team}`);
+      if (!list) return;
+      list.innerHTML = '';
+      const roster = this.engine.getRoster(team);
+      if (roster.length === 0) {
+        list.appendChild(Utils.createElement('p', {}, 'No players on this roster.'));
+        return;
+      }
+      roster.forEach((player) => {
+        const select = Utils.createElement('select', { 'data-player': player });
+        [['', '–'], ['M', 'M'], ['F', 'F']].forEach(([value, text]) => {
+          select.appendChild(Utils.createElement('option', { value }, text));
+        });
+        select.value = this.engine.getPlayerGender(team, player);
+        list.appendChild(Utils.createElement('span', {}, player));
+        list.appendChild(select);
+      });
+    });
+
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+  }
+
+  closeDesignationPopup() {
+    const overlay = document.getElementById('designationOverlay');
+    const popup = document.getElementById('designationPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  handleDesignationsSave() {
+    ['A', 'B'].forEach((team) => {
+      const list = document.getElementById(`designationList${team}`);
+      if (!list) return;
+      list.querySelectorAll('select[data-player]').forEach((select) => {
+        this.engine.setPlayerGender(team, select.getAttribute('data-player'), select.value);
+      });
+    });
+    this.syncTeamInputsFromEngine();
+    this.autoSave();
+    this.closeDesignationPopup();
+    Utils.showNotification('Player designations saved.', 'success');
+  }
+
   /**
    * Show the initial loading popup
    */
@@ -3152,67 +6609,274 @@ class ScorekeeperApp {
   }
 
   /**
-   * Open time additions popup
+   * Open time additions popup
+   */
+  openTimePopup() {
+    if (!this.engine.getState().matchStarted) {
+      Utils.showNotification('Start the match to access time options.', 'error');
+      return;
+    }
+    const overlay = document.getElementById('timeOverlay');
+    const popup = document.getElementById('timePopup');
+
+    if (overlay) overlay.style.display = 'block';
+    if (popup) popup.style.display = 'block';
+    this.updateStoppageUI();
+  }
+
+  /**
+   * Close time additions popup
+   */
+  closeTimePopup(event = null) {
+    if (this.engine.getState().stoppageActive) {
+      if (event) event.preventDefault();
+      Utils.showNotification('Disable game stoppage before closing.', 'warning');
+      return;
+    }
+    const overlay = document.getElementById('timeOverlay');
+    const popup = document.getElementById('timePopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  /**
+   * Open the End Match popup with a reason picker
+   */
+  openEndMatchPopup() {
+    const { matchStarted, matchEnded } = this.engine.getState();
+    if (!matchStarted || matchEnded) {
+      Utils.showNotification(matchEnded ? 'The match has already ended.' : 'Start the match before ending it.', 'warning');
+      return;
+    }
+    // Ending clears an active stoppage (e.g. weather), so skip closeTimePopup's guard
+    ['timeOverlay', 'timePopup'].forEach((id) => {
+      const element = document.getElementById(id);
+      if (element) element.style.display = 'none';
+    });
+
+    const reasonSelect = document.getElementById('endMatchReason');
+    if (reasonSelect) {
+      if (reasonSelect.options.length === 0) {
+        MatchEngine.getEndReasons().forEach(({ id, label }) => {
+          reasonSelect.appendChild(Utils.createElement('option', { value: id }, label));
+        });
+      }
+      reasonSelect.value = 'manual';
+    }
+    const forfeitSelect = document.getElementById('endMatchForfeitTeam');
+    if (forfeitSelect) {
+      forfeitSelect.value = '';
+      ['A', 'B'].forEach((teamLetter) => {
+        const option = forfeitSelect.querySelector(`option[value="${teamLetter}"]`);
+        if (option) option.textContent = this.engine.getTeamLabel(teamLetter);
+      });
+    }
+    this.updateEndMatchForm();
+
+    const overlay = document.getElementById('endMatchOverlay');
+    const popup = document.getElementById('endMatchPopup');
+    if (overlay) overlay.style.display = 'block';
+    if (popup) popup.style.display = 'block';
+  }
+
+  closeEndMatchPopup() {
+    const overlay = document.getElementById('endMatchOverlay');
+    const popup = document.getElementById('endMatchPopup');
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  /**
+   * Toggle the forfeit picker and preview the result for the chosen reason
    */
-  openTimePopup() {
-    if (!this.matchStarted) {
-      Utils.showNotification('Start the match to access time options.', 'error');
-      return;
+  updateEndMatchForm() {
+    const reason = document.getElementById('endMatchReason')?.value || 'manual';
+    const forfeitTeam = document.getElementById('endMatchForfeitTeam')?.value || '';
+    const forfeitField = document.getElementById('endMatchForfeitField');
+    if (forfeitField) forfeitField.classList.toggle('hidden', reason !== 'forfeit');
+
+    const summary = document.getElementById('endMatchSummary');
+    if (!summary) return;
+    const score = this.engine.getScore();
+    const scoreText = `${this.engine.getTeamLabel('A')} ${score.A} – ${score.B} ${this.engine.getTeamLabel('B')}`;
+    let outcome;
+    if (reason === 'forfeit') {
+      outcome = forfeitTeam
+        ? `${this.engine.getTeamLabel(forfeitTeam === 'A' ? 'B' : 'A')} win by forfeit`
+        : 'Select the forfeiting team';
+    } else if (score.A === score.B) {
+      outcome = 'Draw';
+    } else {
+      outcome = `${this.engine.getTeamLabel(score.A > score.B ? 'A' : 'B')} win`;
     }
-    const overlay = document.getElementById('timeOverlay');
-    const popup = document.getElementById('timePopup');
+    summary.textContent = `${scoreText}. ${outcome}.`;
+  }
 
-    if (overlay) overlay.style.display = 'block';
-    if (popup) popup.style.display = 'block';
-    this.updateStoppageUI();
+  handleEndMatchConfirm() {
+    const reason = document.getElementById('endMatchReason')?.value || 'manual';
+    const forfeitTeam = document.getElementById('endMatchForfeitTeam')?.value || null;
+    const result = this.engine.endMatch({ reason, forfeitTeam });
+    if (!result.ok) {
+      this.reportCommandFailure(result);
+      return;
+    }
+    this.closeEndMatchPopup();
   }
 
   /**
-   * Close time additions popup
+   * Clear the finished match (after exporting) and prepare the next one
    */
-  closeTimePopup(event = null) {
-    if (this.gameStoppageActive) {
-      if (event) event.preventDefault();
-      Utils.showNotification('Disable game stoppage before closing.', 'warning');
+  handleNewMatch() {
+    if (this.engine.getScoreLogs().length === 0) {
+      Utils.showNotification('Nothing to clear. Start the match when ready.', 'info');
+      return;
+    }
+    const { matchEnded } = this.engine.getState();
+    const message = matchEnded
+      ? 'Clear this match and start a new one? Make sure it has been submitted.'
+      : 'The current match has not been ended. Discard it and start a new one?';
+    if (!confirm(message)) {
       return;
     }
-    const overlay = document.getElementById('timeOverlay');
-    const popup = document.getElementById('timePopup');
 
-    if (overlay) overlay.style.display = 'none';
-    if (popup) popup.style.display = 'none';
+    // Keep the match in the history archive before clearing it
+    this.archiveMatch();
+
+    this.currentEditID = null;
+    this.currentTimeoutEditID = null;
+    this.currentHalftimeEditID = null;
+    this.engine.resetMatch();
+    this.timerManager.stop();
+    this.timerManager.reset(this.engine.getSettings().matchDuration);
+    this.secondsTimer.stop();
+    this.secondsTimer.reset(this.engine.getSettings().timeoutDuration);
+    this.updateStoppageUI();
+    this.updateMatchControls();
+    this.updateTeamsDisplay();
+    Utils.showNotification('Ready for a new match. Teams and settings were kept.', 'success');
   }
 
   /**
    * Populate setup form fields with current values
    */
   populateSetupForm() {
-    const matchInput = document.getElementById('setupMatchDuration');
-    if (matchInput) matchInput.value = this.gameSettings.matchDuration;
-
-    const timeoutInput = document.getElementById('setupTimeoutDuration');
-    if (timeoutInput) timeoutInput.value = this.gameSettings.timeoutDuration;
-
-    const timeoutsTotalInput = document.getElementById('setupTimeoutsTotal');
-    if (timeoutsTotalInput) timeoutsTotalInput.value = this.gameSettings.timeoutsTotal;
+    const settings = this.engine.getSettings();
+    const halftimeDurationInput = document.getElementById('setupHalftimeDuration');
+    if (halftimeDurationInput) halftimeDurationInput.value = settings.halftimeBreakDuration;
 
-    const timeoutsPerHalfInput = document.getElementById('setupTimeoutsPerHalf');
-    if (timeoutsPerHalfInput) timeoutsPerHalfInput.value = this.gameSettings.timeoutsPerHalf;
+    const setupAbba = document.getElementById('setupAbba');
+    if (setupAbba) setupAbba.value = settings.abbaStart || 'NONE';
+
+    const ratioRuleSelect = document.getElementById('setupRatioRule');
+    if (ratioRuleSelect) {
+      if (ratioRuleSelect.options.length === 0) {
+        MatchEngine.getRatioRules().forEach(({ id, label }) => {
+          ratioRuleSelect.appendChild(Utils.createElement('option', { value: id }, label));
+        });
+      }
+      ratioRuleSelect.value = settings.ratioRule || 'prescribed';
+    }
+    const abbaHalftimeSelect = document.getElementById('setupAbbaHalftime');
+    if (abbaHalftimeSelect) {
+      if (abbaHalftimeSelect.options.length === 0) {
+        MatchEngine.getAbbaHalftimeModes().forEach(({ id, label }) => {
+          abbaHalftimeSelect.appendChild(Utils.createElement('option', { value: id }, label));
+        });
+      }
+      abbaHalftimeSelect.value = settings.abbaHalftime || 'continue';
+    }
+    const endzoneSelect = document.getElementById('setupRatioEndzoneTeam');
+    if (endzoneSelect) {
+      ['A', 'B'].forEach((team) => {
+        const option = endzoneSelect.querySelector(`option[value="${team}"]`);
+        if (option) option.textContent = this.engine.getTeamLabel(team);
+      });
+      endzoneSelect.value = settings.ratioEndzoneTeam || 'A';
+    }
 
-    const halftimeInput = document.getElementById('setupHalftime');
-    if (halftimeInput) halftimeInput.value = this.gameSettings.halftimeDuration;
+    const setupLineTracking = document.getElementById('setupLineTracking');
+    if (setupLineTracking) setupLineTracking.value = settings.lineTracking ? 'on' : 'off';
+    const setupLineSize = document.getElementById('setupLineSize');
+    if (setupLineSize) setupLineSize.value = settings.lineSize;
+    ['A', 'B'].forEach((team) => {
+      const colorInput = document.getElementById(`setupTeam${team}Color`);
+      if (colorInput) colorInput.value = settings[`team${team}Color`];
+    });
+    const liveFeedInput = document.getElementById('setupLiveFeedUrl');
+    if (liveFeedInput) liveFeedInput.value = this.liveFeed.url;
+    this.renderLiveFeedStatus();
+    const coScoringInput = document.getElementById('setupCoScoringUrl');
+    if (coScoringInput) coScoringInput.value = this.coScoring.url;
+    this.renderCoScoringStatus();
+
+    const profileSelect = document.getElementById('setupRulesProfile');
+    if (profileSelect) {
+      if (profileSelect.options.length === 0) {
+        MatchEngine.getRulesProfiles().forEach(({ id, label }) => {
+          profileSelect.appendChild(Utils.createElement('option', { value: id }, label));
+        });
+      }
+      profileSelect.value = settings.rulesProfile || 'custom';
+    }
+    this.fillRulesFields(settings);
+  }
 
-    const halftimeDurationInput = document.getElementById('setupHalftimeDuration');
-    if (halftimeDurationInput) halftimeDurationInput.value = this.gameSettings.halftimeBreakDuration;
+  /**
+   * Write rules values (from the engine or a picked profile) into the setup form
+   */
+  fillRulesFields(rules) {
+    const fields = {
+      setupMatchDuration: rules.matchDuration,
+      setupHalftime: rules.halftimeDuration,
+      setupTimeoutDuration: rules.timeoutDuration,
+      setupTimeoutsTotal: rules.timeoutsTotal,
+      setupTimeoutsPerHalf: rules.timeoutsPerHalf,
+      setupGameTo: rules.gameTo,
+      setupWinBy: rules.winBy,
+      setupScoreCap: rules.scoreCap,
+      setupHalftimeTarget: rules.halftimeScoreTarget,
+      setupSoftCap: rules.softCapMinutes,
+      setupHardCap: rules.hardCapMinutes,
+      setupSoftCapIncrement: rules.softCapIncrement,
+      setupBetweenPoints: rules.betweenPointSeconds
+    };
+    Object.entries(fields).forEach(([id, value]) => {
+      const input = document.getElementById(id);
+      if (input && value !== undefined) {
+        input.value = value === null ? '' : value;
+      }
+    });
+  }
 
-    const setupAbba = document.getElementById('setupAbba');
-    if (setupAbba) setupAbba.value = this.abbaStart || 'NONE';
+  /**
+   * Prefill the setup form when a rules profile is picked
+   */
+  handleRulesProfileChange() {
+    const profileId = document.getElementById('setupRulesProfile')?.value;
+    const profileSettings = MatchEngine.getRulesProfileSettings(profileId);
+    if (profileSettings) {
+      this.fillRulesFields(profileSettings);
+    }
   }
 
   /**
    * Apply settings entered in the setup popup
    */
   handleSetupSave() {
+    const settings = this.engine.getSettings();
+    const liveFeedUrl = (document.getElementById('setupLiveFeedUrl')?.value ?? this.liveFeed.url).trim();
+    const liveFeedProblem = LiveFeed.validateUrl(liveFeedUrl);
+    if (liveFeedProblem) {
+      Utils.showNotification(liveFeedProblem, 'error');
+      return;
+    }
+    const coScoringUrl = (document.getElementById('setupCoScoringUrl')?.value ?? this.coScoring.url).trim();
+    const coScoringProblem = CoScoring.validateUrl(coScoringUrl);
+    if (coScoringProblem) {
+      Utils.showNotification(coScoringProblem, 'error');
+      return;
+    }
     const clampNumber = (value, fallback, min, max) => {
       const parsed = parseInt(value, 10);
       if (Number.isNaN(parsed)) return fallback;
@@ -3222,31 +6886,31 @@ class ScorekeeperApp {
 
     const newMatchDuration = clampNumber(
       document.getElementById('setupMatchDuration')?.value,
-      this.gameSettings.matchDuration,
+      settings.matchDuration,
       1,
       300
     );
     const newHalftimeDuration = clampNumber(
       document.getElementById('setupHalftime')?.value,
-      this.gameSettings.halftimeDuration,
+      settings.halftimeDuration,
       1,
       newMatchDuration
     );
     const newTimeoutDuration = clampNumber(
       document.getElementById('setupTimeoutDuration')?.value,
-      this.gameSettings.timeoutDuration,
+      settings.timeoutDuration,
       1,
       3600
     );
     const newTimeoutsTotal = clampNumber(
       document.getElementById('setupTimeoutsTotal')?.value,
-      this.gameSettings.timeoutsTotal,
+      settings.timeoutsTotal,
       0,
       10
     );
     let newTimeoutsPerHalf = clampNumber(
       document.getElementById('setupTimeoutsPerHalf')?.value,
-      this.gameSettings.timeoutsPerHalf,
+      settings.timeoutsPerHalf,
       0,
       10
     );
@@ -3254,66 +6918,101 @@ class ScorekeeperApp {
 
     const newHalftimeBreakDuration = clampNumber(
       document.getElementById('setupHalftimeDuration')?.value,
-      this.gameSettings.halftimeBreakDuration,
+      settings.halftimeBreakDuration,
       1,
       120
     );
 
-    const abbaSelection = document.getElementById('setupAbba')?.value || this.abbaStart || 'NONE';
-
-    this.gameSettings = {
-      matchDuration: newMatchDuration,
-      halftimeDuration: newHalftimeDuration,
-      halftimeBreakDuration: newHalftimeBreakDuration,
-      timeoutDuration: newTimeoutDuration,
-      timeoutsTotal: newTimeoutsTotal,
-      timeoutsPerHalf: newTimeoutsPerHalf
+    // Blank inputs switch the corresponding rule off
+    const optionalNumber = (id, fallback, min, max) => {
+      const raw = document.getElementById(id)?.value;
+      if (raw === undefined) return fallback;
+      if (raw.toString().trim() === '') return null;
+      return clampNumber(raw, fallback, min, max);
+    };
+    const newGameTo = optionalNumber('setupGameTo', settings.gameTo, 1, 99);
+    const newScoreCap = optionalNumber('setupScoreCap', settings.scoreCap, 1, 99);
+    const newSoftCap = optionalNumber('setupSoftCap', settings.softCapMinutes, 1, 300);
+    const newHardCap = optionalNumber('setupHardCap', settings.hardCapMinutes, 1, 300);
+    const rules = {
+      gameTo: newGameTo,
+      winBy: clampNumber(document.getElementById('setupWinBy')?.value, settings.winBy, 1, 5),
+      scoreCap: (newScoreCap !== null && newGameTo !== null) ? Math.max(newScoreCap, newGameTo) : newScoreCap,
+      halftimeScoreTarget: optionalNumber('setupHalftimeTarget', settings.halftimeScoreTarget, 1, 99),
+      softCapMinutes: newSoftCap,
+      hardCapMinutes: (newHardCap !== null && newSoftCap !== null) ? Math.max(newHardCap, newSoftCap) : newHardCap,
+      softCapIncrement: clampNumber(document.getElementById('setupSoftCapIncrement')?.value, settings.softCapIncrement, 1, 5),
+      betweenPointSeconds: clampNumber(document.getElementById('setupBetweenPoints')?.value, settings.betweenPointSeconds, 0, 600)
     };
 
-    this.initializeTimeoutState();
-    this.applyGameSettingsToUI();
-
-    this.handleAbbaChange(abbaSelection, false);
+    const abbaSelection = document.getElementById('setupAbba')?.value || settings.abbaStart || 'NONE';
+    const lineTrackingValue = document.getElementById('setupLineTracking')?.value;
+    const lineSettings = {
+      lineTracking: lineTrackingValue ? lineTrackingValue === 'on' : settings.lineTracking,
+      lineSize: clampNumber(document.getElementById('setupLineSize')?.value, settings.lineSize, 1, 15)
+    };
+    const colorInput = (team) => document.getElementById(`setupTeam${team}Color`)?.value;
+    const colorSettings = {
+      teamAColor: MatchEngine.isColor(colorInput('A')) ? colorInput('A').toLowerCase() : settings.teamAColor,
+      teamBColor: MatchEngine.isColor(colorInput('B')) ? colorInput('B').toLowerCase() : settings.teamBColor
+    };
+    const ratioSettings = {
+      ratioRule: document.getElementById('setupRatioRule')?.value || settings.ratioRule,
+      ratioEndzoneTeam: document.getElementById('setupRatioEndzoneTeam')?.value || settings.ratioEndzoneTeam,
+      abbaHalftime: document.getElementById('setupAbbaHalftime')?.value || settings.abbaHalftime
+    };
 
-    const matchInput = document.getElementById('setupMatchDuration');
-    if (matchInput) matchInput.value = this.gameSettings.matchDuration;
-    const timeoutInput = document.getElementById('setupTimeoutDuration');
-    if (timeoutInput) timeoutInput.value = this.gameSettings.timeoutDuration;
-    const totalInput = document.getElementById('setupTimeoutsTotal');
-    if (totalInput) totalInput.value = this.gameSettings.timeoutsTotal;
-    const perHalfInput = document.getElementById('setupTimeoutsPerHalf');
-    if (perHalfInput) perHalfInput.value = this.gameSettings.timeoutsPerHalf;
-    const halftimeInput = document.getElementById('setupHalftime');
-    if (halftimeInput) halftimeInput.value = this.gameSettings.halftimeDuration;
-    const halftimeDurationInput = document.getElementById('setupHalftimeDuration');
-    if (halftimeDurationInput) halftimeDurationInput.value = this.gameSettings.halftimeBreakDuration;
+    // One undo step for the whole setup form
+    this.engine.withHistory('Setup', () => {
+      this.engine.updateSettings({
+        matchDuration: newMatchDuration,
+        halftimeDuration: newHalftimeDuration,
+        halftimeBreakDuration: newHalftimeBreakDuration,
+        timeoutDuration: newTimeoutDuration,
+        timeoutsTotal: newTimeoutsTotal,
+        timeoutsPerHalf: newTimeoutsPerHalf,
+        ...rules,
+        ...lineSettings,
+        ...ratioSettings,
+        ...colorSettings
+      });
+      this.handleAbbaChange(abbaSelection, false);
+      return { ok: true };
+    });
+    // A new endpoint starts with the whole log of the match in progress
+    if (this.liveFeed.configure(liveFeedUrl)) {
+      this.pushLiveFeed('snapshot', { events: this.engine.getScoreLogs() });
+    }
+    this.coScoring.configure(coScoringUrl);
+    this.populateSetupForm();
 
     this.updateTeamsDisplay();
+    this.updateMatchControls();
     this.autoSave();
     this.closeSetupPopup();
     Utils.showNotification('Setup updated.', 'success');
-    this.maybeTriggerHalftimeByScore();
-    this.maybeTriggerHalftimeByTime();
+    this.engine.notifyClock(this.timerManager.getRemainingSeconds() * 1000);
   }
 
   /**
    * Sync timer inputs and defaults with current settings
    */
   applyGameSettingsToUI() {
-    this.timerManager.defaultMinutes = this.gameSettings.matchDuration;
-    this.secondsTimer.defaultSeconds = this.gameSettings.timeoutDuration;
+    const settings = this.engine.getSettings();
+    this.timerManager.defaultMinutes = settings.matchDuration;
+    this.secondsTimer.defaultSeconds = settings.timeoutDuration;
 
     const countdownTimeInput = document.getElementById('countdownTime');
-    if (countdownTimeInput) countdownTimeInput.value = this.gameSettings.matchDuration;
+    if (countdownTimeInput) countdownTimeInput.value = settings.matchDuration;
 
     const countdownTimeSecInput = document.getElementById('countdownTimeSec');
-    if (countdownTimeSecInput) countdownTimeSecInput.value = this.gameSettings.timeoutDuration;
+    if (countdownTimeSecInput) countdownTimeSecInput.value = settings.timeoutDuration;
 
     const halftimeInput = document.getElementById('setupHalftime');
-    if (halftimeInput) halftimeInput.value = this.gameSettings.halftimeDuration;
+    if (halftimeInput) halftimeInput.value = settings.halftimeDuration;
 
     const halftimeDurationInput = document.getElementById('setupHalftimeDuration');
-    if (halftimeDurationInput) halftimeDurationInput.value = this.gameSettings.halftimeBreakDuration;
+    if (halftimeDurationInput) halftimeDurationInput.value = settings.halftimeBreakDuration;
 
     if (typeof this.timerManager.updateDisplay === 'function') {
       this.timerManager.updateDisplay();
@@ -3335,80 +7034,30 @@ class ScorekeeperApp {
       return;
     }
 
-    // Remove from data manager
-    const removed = this.dataManager.removeScoreLog(scoreID);
-    if (!removed) {
+    const result = this.engine.deleteEvent(scoreID);
+    if (!result.ok) {
       Utils.showNotification('Could not delete score. Try again.', 'error');
       return;
     }
 
-    // Remove row from DOM
-    const row = document.querySelector(`tr[data-score-id="${scoreID}"]`);
-    if (row && row.parentElement) {
-      row.parentElement.removeChild(row);
-    }
-
-    // Rebuild table and counters from remaining logs
-    this.rebuildTableAndCounters();
-
     this.closePopup();
-    this.autoSave();
     Utils.showNotification('Score deleted.', 'success');
   }
 
-  /**
-   * Rebuild the scoring table and scoreboard counters from logs
-   */
-  rebuildTableAndCounters() {
-    const scoringTableBody = document.getElementById('scoringTableBody');
-    if (!scoringTableBody) return;
-
-    // Reset counters
-    this.teamAScore = 0;
-    this.teamBScore = 0;
-
-    // Clear table
-    scoringTableBody.innerHTML = '';
-
-    // Re-add rows in order, updating counters per log
-    let scoringIndex = 0;
-    this.dataManager.scoreLogs.forEach((logEntry) => {
-      const isScore = this.isScoreLog(logEntry);
-      let abbaIndex = null;
-      if (isScore) {
-        const teamLetter = this.getTeamLetterFromLog(logEntry);
-        if (teamLetter === 'A') this.teamAScore++;
-        else if (teamLetter === 'B') this.teamBScore++;
-        abbaIndex = scoringIndex;
-        scoringIndex++;
-      }
-      const row = this.createScoreRow(logEntry, abbaIndex);
-      if (row) {
-        if (scoringTableBody.firstChild) {
-          scoringTableBody.insertBefore(row, scoringTableBody.firstChild);
-        } else {
-          scoringTableBody.appendChild(row);
-        }
-      }
-    });
-
-    // Ensure ABBA column matches
-    this.updateAbbaColumn();
-    this.setAbbaVisibility(this.abbaStart !== 'NONE');
-    this.checkForScoreCap({ silent: true });
-    this.updateHalftimeTracking();
-    this.maybeTriggerHalftimeByScore();
-  }
-
   /**
    * Handle timer toggle
    */
   handleTimerToggle() {
-    if (this.gameStoppageActive && !this.timerManager.isRunning) {
+    const { stoppageActive, hardCapReached, matchEnded } = this.engine.getState();
+    if (stoppageActive && !this.timerManager.isRunning) {
       Utils.showNotification('Resolve game stoppage before starting the game timer.', 'error');
       return;
     }
-    if (this.hardCapReached && !this.timerManager.isRunning) {
+    if (matchEnded && !this.timerManager.isRunning) {
+      Utils.showNotification('The match has ended. Timers remain paused.', 'warning');
+      return;
+    }
+    if (hardCapReached && !this.timerManager.isRunning) {
       Utils.showNotification('Score cap reached. Timers remain paused.', 'warning');
       return;
     }
@@ -3428,11 +7077,16 @@ class ScorekeeperApp {
    * Handle seconds timer toggle
    */
   handleSecTimerToggle() {
-    if (this.gameStoppageActive && !this.secondsTimer.isRunning) {
+    const { stoppageActive, hardCapReached, matchEnded } = this.engine.getState();
+    if (stoppageActive && !this.secondsTimer.isRunning) {
       Utils.showNotification('Resolve game stoppage before starting the timeout timer.', 'error');
       return;
     }
-    if (this.hardCapReached && !this.secondsTimer.isRunning) {
+    if (matchEnded && !this.secondsTimer.isRunning) {
+      Utils.showNotification('The match has ended. Timers remain paused.', 'warning');
+      return;
+    }
+    if (hardCapReached && !this.secondsTimer.isRunning) {
       Utils.showNotification('Score cap reached. Timers remain paused.', 'warning');
       return;
     }
@@ -3448,97 +7102,405 @@ class ScorekeeperApp {
     this.secondsTimer.reset(secs);
   }
 
+  /**
+   * Snapshot of the current match for the history archive
+   */
+  buildArchiveRecord() {
+    const score = this.engine.getScore();
+    const result = this.engine.getResult();
+    const firstLog = this.engine.getScoreLogs()[0];
+    return {
+      matchId: this.engine.getMatchId(),
+      gameID: this.engine.getGameID(),
+      teamA: this.engine.getTeamName('A'),
+      teamB: this.engine.getTeamName('B'),
+      startedAt: firstLog?.Timestamp || new Date().toISOString(),
+      savedAt: Date.now(),
+      score: { A: score.A, B: score.B },
+      result: result ? `${result.reasonLabel}: ${this.describeResult(result)}` : '',
+      gameState: { ...this.engine.toGameState(), schemaVersion: StateSchema.VERSIONS.gameState },
+      exportStatus: { csvAt: null, upload: 'none', uploadedAt: null, sheetName: '' }
+    };
+  }
+
+  /**
+   * Save the current match to the history archive, keeping the export status
+   * of an earlier save. The snapshot is taken before the first await, so the
+   * match can be cleared right after calling this. Failures are only logged:
+   * the match in progress is still in localStorage.
+   */
+  async archiveMatch(exportChanges = {}) {
+    if (!this.archive.isAvailable() || !this.engine.getMatchId() || this.engine.getScoreLogs().length === 0) {
+      return null;
+    }
+    const record = this.buildArchiveRecord();
+    try {
+      const previous = await this.archive.get(record.matchId);
+      if (previous) {
+        record.startedAt = previous.startedAt || record.startedAt;
+        record.exportStatus = { ...record.exportStatus, ...previous.exportStatus };
+      }
+      record.exportStatus = { ...record.exportStatus, ...exportChanges };
+      await this.archive.put(record);
+      await this.archive.prune(this.persistenceManager.loadHistoryRetention());
+      return record;
+    } catch (error) {
+      console.error('Failed to archive match:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Record an upload result on an archived match
+   */
+  async updateArchiveExportStatus(matchId, changes) {
+    if (!matchId || !this.archive.isAvailable()) return;
+    try {
+      await this.archive.update(matchId, (record) => ({ exportStatus: { ...record.exportStatus, ...changes } }));
+      this.renderHistory();
+    } catch (error) {
+      console.error('Failed to update match history:', error);
+    }
+  }
+
+  /**
+   * Short export status for a history entry
+   */
+  describeArchiveStatus(record) {
+    const status = record.exportStatus || {};
+    if (status.upload === 'delivered') {
+      const when = status.uploadedAt ? ` ${new Date(status.uploadedAt).toLocaleString()}` : '';
+      return `Uploaded${when}${status.sheetName ? ` to ${status.sheetName}` : ''}`;
+    }
+    if (status.upload === 'pending') return 'Upload pending';
+    if (status.csvAt) return `CSV exported ${new Date(status.csvAt).toLocaleString()}`;
+    return 'Not exported';
+  }
+
+  async openHistoryPopup() {
+    const overlay = document.getElementById('historyOverlay');
+    const popup = document.getElementById('historyPopup');
+    if (!overlay || !popup) return;
+    if (!this.archive.isAvailable()) {
+      Utils.showNotification('Match history is not available in this browser.', 'error');
+      return;
+    }
+
+    const retention = document.getElementById('historyRetention');
+    if (retention) {
+      const days = String(this.persistenceManager.loadHistoryRetention());
+      if (!Array.from(retention.options).some((option) => option.value === days)) {
+        retention.appendChild(Utils.createElement('option', { value: days }, `${days} days`));
+      }
+      retention.value = days;
+    }
+    this.showHistoryList();
+    overlay.style.display = 'block';
+    popup.style.display = 'block';
+    await this.renderHistory();
+  }
+
+  closeHistoryPopup() {
+    const overlay = document.getElementById('historyOverlay');
+    const popup = document.getElementById('historyPopup');
+
+    if (overlay) overlay.style.display = 'none';
+    if (popup) popup.style.display = 'none';
+  }
+
+  showHistoryList() {
+    document.getElementById('historyBrowser')?.classList.remove('hidden');
+    document.getElementById('historyDetail')?.classList.add('hidden');
+  }
+
+  /**
+   * List archived matches matching the search box (team names or date)
+   */
+  async renderHistory() {
+    const list = document.getElementById('historyList');
+    const popup = document.getElementById('historyPopup');
+    if (!list || !popup || popup.style.display === 'none') return;
+
+    let records;
+    try {
+      records = await this.archive.list();
+    } catch (error) {
+      console.error('Failed to load match history:', error);
+      Utils.showNotification(`Could not load match history: ${error.message}`, 'error');
+      return;
+    }
+    const query = (document.getElementById('historySearch')?.value || '').trim().toLowerCase();
+    const matches = records.filter((record) => {
+      if (!query) return true;
+      const started = new Date(record.startedAt);
+      const haystack = [
+        record.teamA,
+        record.teamB,
+        record.gameID,
+        started.toLocaleDateString(),
+        Number.isNaN(started.getTime()) ? '' : started.toISOString().slice(0, 10)
+      ].join(' ').toLowerCase();
+      return haystack.includes(query);
+    });
+
+    list.innerHTML = '';
+    if (matches.length === 0) {
+      list.appendChild(Utils.createElement('li', {}, records.length ? 'No matches found.' : 'No archived matches yet.'));
+      return;
+    }
+    matches.forEach((record) => {
+      const entry = Utils.createElement('li');
+      const text = Utils.createElement('div');
+      text.appendChild(Utils.createElement('div', {},
+        `${record.gameID} ${record.score.A}:${record.score.B} – ${new Date(record.startedAt).toLocaleDateString()}`));
+      text.appendChild(Utils.createElement('div', { class: 'outbox-status' },
+        `${record.result || 'Not ended'} · ${this.describeArchiveStatus(record)}`));
+      entry.appendChild(text);
+
+      const actions = Utils.createElement('div', { class: 'history-actions' });
+      [
+        ['View', () => this.showHistoryDetail(record)],
+        ['CSV', () => this.exportArchivedMatch(record, 'csv')],
+        ['JSON', () => this.exportArchivedMatch(record, 'json')],
+        ['Resubmit', () => this.resubmitArchivedMatch(record)],
+        ['Delete', () => this.deleteArchivedMatch(record)]
+      ].forEach(([label, handler]) => {
+        const button = Utils.createElement('button', { type: 'button', class: 'line-tool-btn' }, label);
+        button.addEventListener('click', async () => {
+          try {
+            await handler();
+          } catch (error) {
+            Utils.showNotification(`${label} failed: ${error.message}`, 'error');
+          }
+        });
+        actions.appendChild(button);
+      });
+      entry.appendChild(actions);
+      list.appendChild(entry);
+    });
+  }
+
+  /**
+   * Load an archived match into a separate engine; the match on screen is untouched
+   */
+  createArchiveEngine(record) {
+    let gameState;
+    try {
+      gameState = StateSchema.upgrade('gameState', record.gameState).data;
+    } catch (error) {
+      throw new Error(`the archived match cannot be read (${error.message})`);
+    }
+    const engine = new MatchEngine();
+    engine.loadGameState(gameState);
+    return engine;
+  }
+
+  /**
+   * Read-only view of an archived match's log
+   */
+  showHistoryDetail(record) {
+    const engine = this.createArchiveEngine(record);
+    const table = new ExportBuilder(engine).build();
+
+    const title = document.getElementById('historyDetailTitle');
+    if (title) title.textContent = `${record.gameID} ${record.score.A}:${record.score.B}`;
+    const summary = document.getElementById('historyDetailSummary');
+    if (summary) {
+      summary.textContent = `${new Date(record.startedAt).toLocaleString()} · ${record.result || 'Not ended'} · ${this.describeArchiveStatus(record)}`;
+    }
+    const body = document.getElementById('historyDetailBody');
+    if (body) {
+      body.innerHTML = '';
+      table.rows.forEach((row) => {
+        const details = [row.Score, row.Assist, row.Player, row.Turnover].filter(Boolean).join(' / ');
+        const tr = document.createElement('tr');
+        [row.GameClock || row.Time, row.Event, row.Team, details, `${row.ScoreA}:${row.ScoreB}`].forEach((value) => {
+          tr.appendChild(Utils.createElement('td', {}, String(value ?? '')));
+        });
+        body.appendChild(tr);
+      });
+    }
+
+    document.getElementById('historyBrowser')?.classList.add('hidden');
+    document.getElementById('historyDetail')?.classList.remove('hidden');
+  }
+
+  /**
+   * Download an archived match again as CSV or as the upload JSON
+   */
+  exportArchivedMatch(record, format) {
+    const builder = new ExportBuilder(this.createArchiveEngine(record));
+    const table = builder.build();
+    const basename = Utils.sanitizeFilename(record.gameID || 'Game');
+    if (format === 'json') {
+      const payload = builder.toPayload(table, new Date(record.startedAt).toLocaleDateString());
+      Utils.downloadTextFile(`${basename}.json`, JSON.stringify(payload, null, 2), 'application/json;charset=utf-8;');
+      Utils.showNotification(`JSON downloaded: ${basename}.json`, 'success');
+      return;
+    }
+    Utils.downloadTextFile(`${basename}.csv`, builder.toCSV(table));
+    Utils.showNotification(`CSV downloaded: ${basename}.csv`, 'success');
+  }
+
+  /**
+   * Queue an archived match for Google Sheets again; rows are upserted by ID
+   */
+  async resubmitArchivedMatch(record) {
+    if (!this.apiManager.submitUrl) {
+      Utils.showNotification('Google Sheets upload is not configured (SUBMIT_URL).', 'error');
+      return;
+    }
+    const builder = new ExportBuilder(this.createArchiveEngine(record));
+    const payload = builder.toPayload(builder.build(), new Date(record.startedAt).toLocaleDateString());
+    await this.updateArchiveExportStatus(record.matchId, { upload: 'pending' });
+    await this.queueUpload(payload);
+  }
+
+  async deleteArchivedMatch(record) {
+    if (!confirm(`Delete ${record.gameID} from the match history? This cannot be undone.`)) {
+      return;
+    }
+    try {
+      await this.archive.remove(record.matchId);
+    } catch (error) {
+      Utils.showNotification(`Could not delete the match: ${error.message}`, 'error');
+      return;
+    }
+    await this.renderHistory();
+  }
+
+  async handleHistoryRetentionChange() {
+    const days = parseInt(document.getElementById('historyRetention')?.value, 10);
+    if (!Number.isInteger(days) || days < 0) return;
+    this.persistenceManager.saveHistoryRetention(days);
+    try {
+      const removed = await this.archive.prune(days);
+      if (removed) {
+        Utils.showNotification(`Removed ${removed} match${removed === 1 ? '' : 'es'} older than ${days} days from the history.`, 'success');
+      }
+    } catch (error) {
+      console.error('Failed to prune match history:', error);
+    }
+    await this.renderHistory();
+  }
+
+  /**
+   * Short text for a backend receipt, e.g. "12 rows in Hawks vs Owls, 1/2/2025"
+   */
+  describeReceipt(receipt) {
+    if (!receipt || !receipt.sheetName) return '';
+    const rows = Number(receipt.rowCount) || 0;
+    return `${rows} row${rows === 1 ? '' : 's'} in ${receipt.sheetName}`;
+  }
+
+  /**
+   * List queued and recently delivered uploads in the Pending uploads panel
+   */
+  renderOutbox() {
+    const panel = document.getElementById('outboxPanel');
+    const list = document.getElementById('outboxList');
+    if (!panel || !list) return;
+
+    const items = this.outbox.getItems();
+    const pendingCount = items.filter((item) => item.status === 'pending').length;
+    panel.classList.toggle('hidden', items.length === 0);
+    const title = document.getElementById('outboxTitle');
+    if (title) title.textContent = pendingCount ? `Pending uploads (${pendingCount})` : 'Uploads';
+    const retryBtn = document.getElementById('outboxRetryBtn');
+    if (retryBtn) retryBtn.classList.toggle('hidden', pendingCount === 0);
+
+    const formatTime = (timestamp) => new Date(timestamp).toLocaleTimeString();
+    list.innerHTML = '';
+    items.slice().reverse().forEach((item) => {
+      const entry = Utils.createElement('li', { class: item.status === 'delivered' ? 'outbox-delivered' : 'outbox-pending' });
+      const text = Utils.createElement('div');
+      text.appendChild(Utils.createElement('div', {}, item.label));
+      let status;
+      if (item.status === 'delivered') {
+        const receipt = this.describeReceipt(item.receipt);
+        status = `Delivered at ${formatTime(item.deliveredAt)}${receipt ? ` – ${receipt}` : ''}`;
+      } else if (item.attempts === 0) {
+        status = 'Waiting to send';
+      } else {
+        status = `${item.attempts} failed attempt${item.attempts === 1 ? '' : 's'}, next try at ${formatTime(item.nextAttemptAt)}`;
+        if (item.lastError) status += ` (${item.lastError})`;
+      }
+      text.appendChild(Utils.createElement('div', { class: 'outbox-status' }, status));
+      entry.appendChild(text);
+
+      const removeBtn = Utils.createElement('button', { type: 'button', class: 'line-tool-btn' }, item.status === 'delivered' ? 'Clear' : 'Discard');
+      removeBtn.addEventListener('click', () => {
+        if (item.status === 'pending' && !confirm(`Discard the upload for ${item.label}? It will not be sent to Google Sheets.`)) {
+          return;
+        }
+        this.outbox.remove(item.id);
+      });
+      entry.appendChild(removeBtn);
+      list.appendChild(entry);
+    });
+  }
+
   /**
    * Handle score submission
    */
   async handleSubmitScore() {
-    const scoreLogs = this.dataManager.scoreLogs;
+    const scoreLogs = this.engine.getScoreLogs();
     
     if (scoreLogs.length === 0) {
       Utils.showNotification('No scores have been logged.', 'error');
       return;
     }
 
-    const teamAName = document.getElementById('teamA')?.value || '';
-    const teamBName = document.getElementById('teamB')?.value || '';
-    const gameID = `${teamAName} vs ${teamBName}`;
+    const matchResult = this.engine.getResult();
+    if (!matchResult && !confirm('The match has not been ended yet. Export the current log anyway?')) {
+      return;
+    }
+
+    const gameID = this.engine.getGameID();
     const dateStr = new Date().toLocaleDateString();
-    // Build CSV content from logs
-    const header = ['GameID', 'Time', 'Event', 'Team', 'Score', 'Assist'];
-    const lines = [Utils.toCSVLine(header)];
-    scoreLogs.forEach((log) => {
-      const eventType = log.EventType || this.getEventTypeLabel(log.Type);
-      lines.push(Utils.toCSVLine([
-        log.GameID || gameID,
-        log.Time || '',
-        eventType || '',
-        log.Team || '',
-        log.Score || '',
-        log.Assist || ''
-      ]));
-    });
-
-    const csv = lines.join('\r\n');
+    const table = this.exportBuilder.build();
+    const csv = this.exportBuilder.toCSV(table);
     const filename = `${Utils.sanitizeFilename(gameID || 'Game')}.csv`;
+    const payload = this.exportBuilder.toPayload(table, dateStr);
 
-    // Build export payload for Google Apps Script doPost
-    const payload = {
-      GameID: gameID,
-      Date: dateStr,
-      logs: scoreLogs.map((log) => ({
-        GameID: log.GameID || gameID,
-        Time: log.Time || '',
-        Event: log.EventType || this.getEventTypeLabel(log.Type),
-        Team: log.Team || '',
-        Score: log.Score || '',
-        Assist: log.Assist || ''
-      }))
-    };
+    // Archive before queuing, so a quick delivery updates the stored record
+    await this.archiveMatch({
+      csvAt: Date.now(),
+      ...(this.apiManager.submitUrl ? { upload: 'pending' } : {})
+    });
+
+    // Queue the upload to Google Sheets (if SUBMIT_URL configured)
+    if (this.apiManager.submitUrl) {
+      await this.queueUpload(payload);
+    } else {
+      console.warn('SUBMIT_URL is not configured; skipping export.');
+    }
+
+    // Always download CSV locally as well; the match stays until New Match
+    Utils.downloadTextFile(filename, csv);
+
+    Utils.showNotification(`CSV downloaded: ${filename}`, 'success');
+  }
 
-    // Try to export to Google Sheets (if SUBMIT_URL configured)
+  /**
+   * Queue a payload in the outbox and try to send it straight away. It stays
+   * in the outbox until it has been delivered; returns whether it was.
+   */
+  async queueUpload(payload) {
+    const item = this.outbox.enqueue(payload);
     try {
       this.loadingManager.start();
-      const ok = await this.apiManager.submitScores(payload);
-      if (ok) {
-        Utils.showNotification('Data has been successfully exported to Google Sheets!', 'success');
+      const delivered = await this.outbox.flush(true);
+      if (delivered.some((entry) => entry.id === item.id)) {
+        return true;
       }
-    } catch (err) {
-      Utils.showNotification(`Export to Google Sheets failed: ${err.message}`, 'error');
+      const queued = this.outbox.getItems().find((entry) => entry.id === item.id);
+      const reason = queued?.lastError || 'Google Sheets could not be reached.';
+      Utils.showNotification(`Export to Google Sheets failed (${reason}). The upload is kept under Pending uploads and retried automatically.`, 'error');
+      return false;
     } finally {
       this.loadingManager.stop();
     }
-
-    // Always download CSV locally as well
-    Utils.downloadTextFile(filename, csv);
-    
-    // Clear logs and table after actions
-    this.dataManager.clearScoreLogs();
-    this.rebuildTableAndCounters();
-    this.currentEditID = null;
-    this.currentHalftimeEditID = null;
-    this.halftimeTriggered = false;
-    this.halftimePendingReason = null;
-    this.halftimeAutoSuppressed = false;
-    this.halftimeReasonResolved = null;
-
-    this.initializeTimeoutState();
-    this.matchStarted = false;
-    this.gameStoppageActive = false;
-    this.hardCapReached = false;
-    this.updateStoppageUI();
-    this.updateMatchControls();
-    this.dataManager.updateGameState({
-      teamAScore: 0,
-      teamBScore: 0,
-      scoreLogs: [],
-      stoppageActive: false,
-      timeoutState: this.getTimeoutStateSnapshot(),
-      matchStarted: this.matchStarted,
-      timestamp: Date.now()
-    });
-    this.dataManager.saveCurrentState();
-
-    Utils.showNotification(`CSV downloaded: ${filename}`, 'success');
   }
 }
 
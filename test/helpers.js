@@ -0,0 +1,20 @@
+// Shared fixtures for the tests in this directory
+const { MatchEngine } = require('../match-engine.js');
+
+/**
+ * Started WFDF match between Hawks and Owls (Hawks receive) on a fake clock
+ * that moves one second per reading
+ */
+function createMatch(settings = {}) {
+  let now = 1000;
+  const engine = new MatchEngine({
+    now: () => (now += 1000),
+    settings: { ...MatchEngine.getRulesProfileSettings('wfdf'), ...settings }
+  });
+  engine.setTeam('A', 'Hawks');
+  engine.setTeam('B', 'Owls');
+  engine.startMatch({ receiving: 'A' });
+  return engine;
+}
+
+module.exports = { createMatch };
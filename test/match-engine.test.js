@@ -0,0 +1,126 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchEngine } = require('../match-engine.js');
+const { createMatch } = require('./helpers.js');
+
+function scoreTimes(engine, teamLetter, count) {
+  for (let i = 0; i < count; i++) {
+    const result = engine.addScore(teamLetter, 'Ann', 'Bob');
+    assert.equal(result.ok, true, result.message);
+  }
+}
+
+const types = (engine) => engine.getScoreLogs().map((log) => engine.getLogType(log));
+
+test('a win exactly at gameTo ends on the target, not the cap', () => {
+  const engine = createMatch();
+  scoreTimes(engine, 'A', 15);
+  const result = engine.getResult();
+  assert.equal(result.reason, 'target');
+  assert.equal(result.reasonLabel, 'Score target reached');
+  assert.deepEqual(result.score, { A: 15, B: 0 });
+});
+
+test('the cap ends a game that is not won by the margin', () => {
+  const engine = createMatch({ gameTo: 15, winBy: 2, scoreCap: 15 });
+  scoreTimes(engine, 'A', 14);
+  scoreTimes(engine, 'B', 14);
+  assert.equal(engine.getResult(), null);
+  scoreTimes(engine, 'A', 1);
+  assert.equal(engine.getResult().reason, 'cap');
+  const blocked = engine.addScore('B', 'Dan', 'Eve');
+  assert.equal(blocked.ok, false);
+});
+
+test('replay derives every score line from the log', () => {
+  const engine = createMatch({ halftimeScoreTarget: 3 });
+  scoreTimes(engine, 'A', 2);
+  scoreTimes(engine, 'B', 1);
+  scoreTimes(engine, 'A', 1);
+  assert.deepEqual(types(engine), ['matchstart', 'score', 'score', 'score', 'score', 'halftime']);
+
+  const goals = engine.getScoreLogs().filter((log) => engine.isScoreLog(log));
+  assert.deepEqual(goals.map((log) => engine.getRowState(log.scoreID).score), [
+    { A: 1, B: 0 }, { A: 2, B: 0 }, { A: 2, B: 1 }, { A: 3, B: 1 }
+  ]);
+
+  // Deleting the first goal changes every later score line
+  engine.deleteEvent(goals[0].scoreID);
+  assert.deepEqual(goals.slice(1).map((log) => engine.getRowState(log.scoreID).score), [
+    { A: 1, B: 0 }, { A: 1, B: 1 }, { A: 2, B: 1 }
+  ]);
+  assert.deepEqual(engine.getScore(), { A: 2, B: 1 });
+});
+
+test('deleting an early goal recomputes holds and breaks after it', () => {
+  const engine = createMatch();
+  scoreTimes(engine, 'A', 1); // A received: hold
+  scoreTimes(engine, 'B', 1); // B received after A scored: hold
+  scoreTimes(engine, 'B', 1); // A received: break for B
+  const ids = engine.getScoreLogs().filter((log) => engine.isScoreLog(log)).map((log) => log.scoreID);
+  assert.deepEqual(ids.map((id) => engine.getRowState(id).pointResult), ['hold', 'hold', 'break']);
+
+  engine.deleteEvent(ids[0]);
+  assert.deepEqual(engine.getScore(), { A: 0, B: 2 });
+  assert.deepEqual(ids.slice(1).map((id) => engine.getRowState(id).pointResult), ['break', 'break']);
+});
+
+test('undo and redo step through whole commands', () => {
+  const engine = createMatch({ halftimeScoreTarget: 2 });
+  scoreTimes(engine, 'A', 2); // the second goal also logs halftime
+  assert.deepEqual(types(engine), ['matchstart', 'score', 'score', 'halftime']);
+
+  engine.undo();
+  assert.deepEqual(types(engine), ['matchstart', 'score']);
+  engine.redo();
+  assert.deepEqual(types(engine), ['matchstart', 'score', 'score', 'halftime']);
+  assert.deepEqual(engine.getScore(), { A: 2, B: 0 });
+});
+
+test('a saved game state loads back to the same match', () => {
+  const engine = createMatch();
+  scoreTimes(engine, 'A', 3);
+  scoreTimes(engine, 'B', 2);
+  const copy = new MatchEngine();
+  copy.loadGameState(JSON.parse(JSON.stringify(engine.toGameState())));
+  assert.deepEqual(copy.toGameState(), engine.toGameState());
+});
+
+test('a scorer who is not on the recorded line raises a warning notice', () => {
+  const engine = createMatch({ abbaStart: 'M', lineSize: 2 });
+  engine.setRoster('A', ['Ann', 'Bob', 'Cid']);
+  assert.equal(engine.setLine({ A: ['Ann', 'Cid'] }).ok, true);
+  const notices = [];
+  engine.on('notice', ({ message, level }) => notices.push({ message, level }));
+
+  assert.equal(engine.addScore('A', 'Ann', 'Bob').ok, true);
+  assert.deepEqual(notices, [{ message: 'Bob is not on the recorded Hawks line.', level: 'warning' }]);
+});
+
+test('an undone time cap stays undone after a reload', () => {
+  const engine = createMatch({ matchDuration: 100, softCapMinutes: 75, hardCapMinutes: null });
+  engine.notifyClock(24 * 60 * 1000);
+  assert.deepEqual(types(engine), ['matchstart', 'softcap']);
+  engine.undo();
+  engine.notifyClock(23 * 60 * 1000);
+  assert.deepEqual(types(engine), ['matchstart']);
+
+  const copy = new MatchEngine();
+  copy.loadGameState(JSON.parse(JSON.stringify(engine.toGameState())));
+  copy.notifyClock(22 * 60 * 1000);
+  assert.deepEqual(types(copy), ['matchstart']);
+});
+
+test('time caps follow the minutes the clock started from', () => {
+  const engine = new MatchEngine({
+    settings: { ...MatchEngine.getRulesProfileSettings('wfdf'), matchDuration: 100, softCapMinutes: 45, hardCapMinutes: null }
+  });
+  engine.setTeam('A', 'Hawks');
+  engine.setTeam('B', 'Owls');
+  engine.startMatch({ receiving: 'A', minutes: 60 });
+  engine.notifyClock(16 * 60 * 1000);
+  assert.deepEqual(types(engine), ['matchstart']);
+  engine.notifyClock(14 * 60 * 1000);
+  assert.deepEqual(types(engine), ['matchstart', 'softcap']);
+});
@@ -0,0 +1,207 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { MatchEngine } = require('../match-engine.js');
+const { createMatch } = require('./helpers.js');
+const { MatchSync, SYNC_LOCAL_KEYS } = require('../match-sync.js');
+
+// The match as the app hands it to MatchSync.commit()
+function readMatch(engine) {
+  const gameState = engine.toGameState();
+  const registers = {};
+  Object.keys(gameState).forEach((key) => {
+    if (!SYNC_LOCAL_KEYS.includes(key)) registers[key] = gameState[key];
+  });
+  return { rows: gameState.scoreLogs, registers };
+}
+
+function loadView(engine, view) {
+  engine.loadGameState({ ...engine.toGameState(), ...view.registers, scoreLogs: view.rows });
+}
+
+// Two devices editing plain { rows, registers } matches at random and
+// exchanging operations at random points; returns every operation sent
+function randomSession(seed) {
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+  };
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const devices = ['device-a', 'device-b'].map((deviceId) => ({
+    sync: new MatchSync(deviceId, 'match-1'),
+    local: { rows: [], registers: { teamAName: 'Hawks', gameTo: 15 } },
+    inbox: []
+  }));
+  const operations = [];
+  const send = (device) => {
+    const operation = device.sync.commit(device.local);
+    if (!operation) return;
+    operations.push(operation);
+    devices.filter((other) => other !== device).forEach((other) => other.inbox.push(operation));
+  };
+  let clock = 1000;
+
+  for (let step = 0; step < 40; step++) {
+    const device = pick(devices);
+    const { rows } = device.local;
+    const roll = random();
+    if (roll < 0.35 || rows.length === 0) {
+      clock += Math.floor(random() * 3);
+      rows.push({ scoreID: String(clock), Type: pick(['score', 'score', 'timeout', 'halftime']), Score: pick(['Ann', 'Bob']) });
+    } else if (roll < 0.6) {
+      const row = pick(rows);
+      row.Score = pick(['Cat', 'Dan', 'Eve']);
+      if (random() < 0.3) delete row.Type;
+    } else if (roll < 0.7) {
+      rows.splice(Math.floor(random() * rows.length), 1);
+    } else if (roll < 0.8) {
+      device.local.registers.gameTo = Math.floor(random() * 20);
+    } else {
+      // Read part of the inbox and show the merged match
+      send(device);
+      device.inbox.splice(0, Math.floor(random() * (device.inbox.length + 1)))
+        .forEach((operation) => device.sync.receive(operation));
+      device.local = JSON.parse(JSON.stringify(device.sync.view()));
+      device.sync.observe(device.local);
+      continue;
+    }
+    send(device);
+  }
+  devices.forEach(send);
+  devices.forEach((device) => device.inbox.forEach((operation) => device.sync.receive(operation)));
+  return { operations, views: devices.map((device) => device.sync.view()), random };
+}
+
+test('operations merge to the same match in any order, even when repeated', () => {
+  for (let seed = 1; seed <= 100; seed++) {
+    const { operations, views, random } = randomSession(seed);
+    assert.deepEqual(views[0], views[1], `devices agree (seed ${seed})`);
+
+    const shuffled = operations.concat(operations.slice(0, 5))
+      .map((operation) => ({ operation, order: random() }))
+      .sort((a, b) => a.order - b.order)
+      .map((entry) => entry.operation);
+    const replica = new MatchSync('device-c', 'match-1');
+    shuffled.forEach((operation) => replica.receive(operation));
+    assert.deepEqual(replica.view(), views[0], `a late replica agrees (seed ${seed})`);
+  }
+});
+
+test('concurrent edits of a row merge per field', () => {
+  const a = new MatchSync('device-a', 'match-1');
+  const b = new MatchSync('device-b', 'match-1');
+  b.receive(a.commit({ rows: [{ scoreID: '1', Score: 'Ann', Assist: 'Bob' }], registers: {} }));
+  b.observe(b.view());
+
+  const fromA = a.commit({ rows: [{ scoreID: '1', Score: 'Cat', Assist: 'Bob' }], registers: {} });
+  const fromB = b.commit({ rows: [{ scoreID: '1', Score: 'Ann', Assist: 'Dan' }], registers: {} });
+  a.receive(fromB);
+  b.receive(fromA);
+  assert.deepEqual(a.view().rows, [{ scoreID: '1', Score: 'Cat', Assist: 'Dan' }]);
+  assert.deepEqual(b.view(), a.view());
+
+  // Same field at the same clock: the higher device ID wins on both
+  const secondA = a.commit({ rows: [{ scoreID: '1', Score: 'Eve', Assist: 'Dan' }], registers: {} });
+  const secondB = b.commit({ rows: [{ scoreID: '1', Score: 'Fay', Assist: 'Dan' }], registers: {} });
+  assert.equal(secondA.lamport, secondB.lamport);
+  a.receive(secondB);
+  b.receive(secondA);
+  assert.equal(a.view().rows[0].Score, 'Fay');
+  assert.deepEqual(b.view(), a.view());
+  assert.deepEqual(a.getRowChange('1'), { deviceId: 'device-b', added: false });
+});
+
+test('a deletion wins over a concurrent edit', () => {
+  const a = new MatchSync('device-a', 'match-1');
+  const b = new MatchSync('device-b', 'match-1');
+  b.receive(a.commit({ rows: [{ scoreID: '1', Score: 'Ann' }], registers: {} }));
+  b.observe(b.view());
+
+  const edit = a.commit({ rows: [{ scoreID: '1', Score: 'Zed' }], registers: {} });
+  const deletion = b.commit({ rows: [], registers: {} });
+  a.receive(deletion);
+  b.receive(edit);
+  assert.deepEqual(a.view().rows, []);
+  assert.deepEqual(b.view().rows, []);
+});
+
+test('events a match has once are shown once', () => {
+  const a = new MatchSync('device-a', 'match-1');
+  const b = new MatchSync('device-b', 'match-1');
+  const fromA = a.commit({ rows: [{ scoreID: '10', Type: 'halftime' }], registers: {} });
+  const fromB = b.commit({ rows: [{ scoreID: '12', Type: 'halftime' }, { scoreID: '13', Type: 'timeout' }], registers: {} });
+  a.receive(fromB);
+  b.receive(fromA);
+  assert.deepEqual(a.view().rows, [{ scoreID: '10', Type: 'halftime' }, { scoreID: '13', Type: 'timeout' }]);
+  assert.deepEqual(b.view(), a.view());
+});
+
+test('a row restored by undo keeps its place in the log', () => {
+  const engine = createMatch({ halftimeScoreTarget: 2 });
+  const sync = new MatchSync('device-a', 'match-1');
+  engine.addScore('A', 'Ann', 'Bob');
+  engine.addScore('A', 'Cid', 'Dan'); // and halftime
+  engine.addScore('B', 'Eve', 'Fay');
+  sync.commit(readMatch(engine));
+
+  const firstGoal = engine.getScoreLogs()[1];
+  engine.deleteEvent(firstGoal.scoreID);
+  sync.commit(readMatch(engine));
+  engine.undo();
+  const operation = sync.commit(readMatch(engine));
+
+  // The old ID is taken by the deleted row, so the restored one gets a new ID
+  const restoredId = operation.changes[0].scoreID;
+  assert.notEqual(restoredId, firstGoal.scoreID);
+  assert.equal(sync.needsReload, true);
+
+  loadView(engine, sync.view());
+  const logs = engine.getScoreLogs();
+  assert.deepEqual(logs.map((log) => engine.getLogType(log)), ['matchstart', 'score', 'score', 'halftime', 'score']);
+  assert.equal(logs[1].scoreID, restoredId);
+  assert.equal(logs[1].Score, 'Ann');
+  assert.equal(engine.getRowState(restoredId).half, 1);
+  assert.deepEqual(engine.getScore(), { A: 2, B: 1 });
+});
+
+test('undo after a remote change reverts only the local actions', () => {
+  const local = createMatch();
+  const localSync = new MatchSync('device-a', 'match-1');
+  const remote = new MatchEngine();
+  const remoteSync = new MatchSync('device-b', 'match-1');
+  remoteSync.receive(localSync.commit(readMatch(local)));
+  loadView(remote, remoteSync.view());
+  remoteSync.observe(readMatch(remote));
+  local.clearHistory();
+
+  local.addScore('A', 'Ann', 'Bob');
+  local.addScore('A', 'Cat', 'Dan');
+  remoteSync.receive(localSync.commit(readMatch(local)));
+  loadView(remote, remoteSync.view());
+  remoteSync.observe(readMatch(remote));
+
+  // The other device corrects the first goal's assist and adds a goal
+  const [, firstGoal] = remote.getScoreLogs();
+  remote.editEvent(firstGoal.scoreID, { Assist: 'Eve' });
+  remote.addScore('B', 'Fay', 'Gus');
+  localSync.receive(remoteSync.commit(readMatch(remote)));
+  const view = localSync.view();
+  local.loadGameState({ ...local.toGameState(), ...view.registers, scoreLogs: view.rows }, { rebaseHistory: true });
+  localSync.observe(readMatch(local));
+  const rows = () => local.getScoreLogs().filter((log) => local.isScoreLog(log)).map((log) => `${log.Score}/${log.Assist}`);
+  assert.deepEqual(rows(), ['Ann/Eve', 'Cat/Dan', 'Fay/Gus']);
+  assert.equal(local.getHistorySummary().undoCount, 2);
+
+  local.undo();
+  assert.deepEqual(rows(), ['Ann/Eve', 'Fay/Gus']);
+  local.undo();
+  assert.deepEqual(rows(), ['Fay/Gus']);
+  assert.equal(local.canUndo(), false);
+  local.redo();
+  assert.deepEqual(rows(), ['Ann/Eve', 'Fay/Gus']);
+
+  // The undo is sent on like any other change
+  remoteSync.receive(localSync.commit(readMatch(local)));
+  loadView(remote, remoteSync.view());
+  assert.deepEqual(remote.getScoreLogs(), local.getScoreLogs());
+});
@@ -0,0 +1,185 @@
+// Run with: node --test test/
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { QrCode } = require('../qr-code.js');
+
+// A small decoder written from the standard rather than from the encoder:
+// it reads the format bits, unmasks, walks the codeword zigzag, finds the
+// block layout whose Reed-Solomon syndromes vanish and parses byte mode.
+
+const GF_EXP = new Array(512);
+const GF_LOG = new Array(256);
+for (let i = 0, x = 1; i < 255; i++) {
+  GF_EXP[i] = x;
+  GF_LOG[x] = i;
+  x <<= 1;
+  if (x & 0x100) x ^= 0x11D;
+}
+for (let i = 255; i < 512; i++) GF_EXP[i] = GF_EXP[i - 255];
+const gfMultiply = (a, b) => (a === 0 || b === 0 ? 0 : GF_EXP[GF_LOG[a] + GF_LOG[b]]);
+
+// True when the codeword polynomial has the roots a^0 .. a^(eccLength - 1)
+function hasValidEcc(codewords, eccLength) {
+  for (let i = 0; i < eccLength; i++) {
+    let value = 0;
+    codewords.forEach((byte) => {
+      value = gfMultiply(value, GF_EXP[i]) ^ byte;
+    });
+    if (value !== 0) return false;
+  }
+  return true;
+}
+
+function formatCode(level, mask) {
+  const data = (level << 3) | mask;
+  let rem = data;
+  for (let i = 0; i < 10; i++) rem = (rem << 1) ^ ((rem >>> 9) * 0x537);
+  return ((data << 10) | rem) ^ 0x5412;
+}
+
+function isFunctionModule(version, size, x, y) {
+  if ((x < 9 && y < 9) || (x >= size - 8 && y < 9) || (x < 9 && y >= size - 8)) return true;
+  if (x === 6 || y === 6) return true;
+  if (version >= 7 && ((x >= size - 11 && x < size - 8 && y < 6) || (y >= size - 11 && y < size - 8 && x < 6))) return true;
+  if (version === 1) return false;
+  const count = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((size - 13) / (count * 2 - 2)) * 2;
+  const centers = [6];
+  for (let i = count - 1; i >= 1; i--) centers.push(size - 7 - (count - 1 - i) * step);
+  centers.sort((a, b) => a - b);
+  return centers.some((cx) => centers.some((cy) => {
+    const corner = (cx === 6 && cy === 6) || (cx === 6 && cy === size - 7) || (cx === size - 7 && cy === 6);
+    return !corner && Math.abs(x - cx) <= 2 && Math.abs(y - cy) <= 2;
+  }));
+}
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x, y) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(y / 2) + Math.floor(x / 3)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+const LEVELS = { 1: 'L', 0: 'M', 3: 'Q', 2: 'H' };
+
+function decode(modules) {
+  const size = modules.length;
+  const version = (size - 17) / 4;
+  const dark = (x, y) => (modules[y][x] ? 1 : 0);
+
+  let first = 0;
+  let second = 0;
+  const firstPositions = [[8, 0], [8, 1], [8, 2], [8, 3], [8, 4], [8, 5], [8, 7], [8, 8], [7, 8], [5, 8], [4, 8], [3, 8], [2, 8], [1, 8], [0, 8]];
+  firstPositions.forEach(([x, y], i) => { first |= dark(x, y) << i; });
+  for (let i = 0; i < 8; i++) second |= dark(size - 1 - i, 8) << i;
+  for (let i = 8; i < 15; i++) second |= dark(8, size - 15 + i) << i;
+  assert.equal(first, second, 'both format copies agree');
+  assert.equal(dark(8, size - 8), 1, 'dark module');
+  let format = null;
+  for (let level = 0; level < 4; level++) {
+    for (let mask = 0; mask < 8; mask++) {
+      if (formatCode(level, mask) === first) format = { level, mask };
+    }
+  }
+  assert.ok(format, 'format bits are a valid code');
+
+  const bits = [];
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    const upward = ((size - 1 - right) >> 1) % 2 === 0;
+    for (let step = 0; step < size; step++) {
+      const y = upward ? size - 1 - step : step;
+      [right, right - 1].forEach((x) => {
+        if (!isFunctionModule(version, size, x, y)) {
+          bits.push(dark(x, y) ^ (MASKS[format.mask](x, y) ? 1 : 0));
+        }
+      });
+    }
+  }
+  const total = Math.floor(bits.length / 8);
+  const codewords = [];
+  for (let i = 0; i < total; i++) {
+    codewords.push(bits.slice(i * 8, i * 8 + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+
+  // Several layouts can pass by chance; the real one carries the most check symbols
+  let layout = null;
+  for (let blockCount = 1; blockCount <= 81; blockCount++) {
+    for (let eccLength = 7; eccLength <= 30; eccLength++) {
+      const shortLength = Math.floor(total / blockCount);
+      const shortCount = blockCount - (total % blockCount);
+      const shortData = shortLength - eccLength;
+      if (shortData < 1) continue;
+      const blocks = Array.from({ length: blockCount }, () => ({ data: [], ecc: [] }));
+      let index = 0;
+      for (let i = 0; i <= shortData; i++) {
+        blocks.forEach((block, j) => {
+          if (i < shortData || j >= shortCount) block.data.push(codewords[index++]);
+        });
+      }
+      for (let i = 0; i < eccLength; i++) blocks.forEach((block) => block.ecc.push(codewords[index++]));
+      if (!blocks.every((block) => hasValidEcc(block.data.concat(block.ecc), eccLength))) continue;
+      if (!layout || blockCount * eccLength > layout.blockCount * layout.eccLength) {
+        layout = { blockCount, eccLength, data: blocks.flatMap((block) => block.data) };
+      }
+    }
+  }
+  assert.ok(layout, 'a block layout with valid error correction');
+
+  const stream = layout.data.flatMap((byte) => [7, 6, 5, 4, 3, 2, 1, 0].map((shift) => (byte >> shift) & 1));
+  let position = 0;
+  const read = (length) => {
+    const value = stream.slice(position, position + length).reduce((acc, bit) => (acc << 1) | bit, 0);
+    position += length;
+    return value;
+  };
+  assert.equal(read(4), 0x4, 'byte mode');
+  const length = read(version < 10 ? 8 : 16);
+  const bytes = Array.from({ length }, () => read(8));
+  return { version, level: LEVELS[format.level], mask: format.mask, bytes, blockCount: layout.blockCount, eccLength: layout.eccLength };
+}
+
+const utf8 = (text) => Array.from(new TextEncoder().encode(text));
+
+test('encoded text decodes back at every error correction level', () => {
+  const samples = ['HELLO', 'https://example.org/index.html#transfer=zxZ', 'Ann → Bob, 15–14 ✓'];
+  ['L', 'M', 'Q', 'H'].forEach((errorCorrection) => {
+    samples.forEach((text) => {
+      const qr = QrCode.encode(text, { errorCorrection });
+      const decoded = decode(qr.modules);
+      assert.equal(decoded.version, qr.version);
+      assert.equal(decoded.level, errorCorrection);
+      assert.deepEqual(decoded.bytes, utf8(text));
+    });
+  });
+});
+
+test('long links round-trip through multi-block versions', () => {
+  let seed = 11;
+  const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed;
+  };
+  const alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+  [120, 400, 1000, 1800].forEach((length) => {
+    const text = `https://example.org/#transfer=z${Array.from({ length }, () => alphabet[random() % 64]).join('')}`;
+    const qr = QrCode.encode(text, { errorCorrection: 'L' });
+    const decoded = decode(qr.modules);
+    assert.deepEqual(decoded.bytes, utf8(text));
+    assert.equal(qr.size, qr.version * 4 + 17);
+  });
+});
+
+test('the smallest version that fits is chosen', () => {
+  // Version 1-M holds 14 bytes
+  assert.equal(QrCode.encode('x'.repeat(14), { errorCorrection: 'M' }).version, 1);
+  assert.equal(QrCode.encode('x'.repeat(15), { errorCorrection: 'M' }).version, 2);
+});
+
+test('data beyond version 40 is rejected', () => {
+  assert.throws(() => QrCode.encode('x'.repeat(3000), { errorCorrection: 'L' }), RangeError);
+  assert.throws(() => QrCode.encode('x', { errorCorrection: 'X' }), RangeError);
+});